@@ -0,0 +1,99 @@
+import { expect, test } from 'vitest';
+import { parseChangelog, parseReleaseHeading, releaseSlug, releaseSummary, renderAtomFeed, renderRelease } from '../changelog.cjs';
+
+const keepAChangelog = `# Changelog
+
+All notable changes to this project are documented here.
+
+## [Unreleased]
+
+### Added
+- Streaming mode
+
+## [1.2.0] - 2025-03-01
+
+### Added
+- Search
+- **api:** pagination
+
+### Fixed
+- Crash on empty input
+
+## [1.1.0] - 2024-12-01 [YANKED]
+
+### Changed
+- New defaults
+
+[1.2.0]: https://github.com/lostmind/mono/compare/v1.1.0...v1.2.0
+`;
+
+const conventional = `# Changelog
+
+## [2.0.0](https://github.com/lostmind/keeper/compare/v1.9.0...v2.0.0) (2025-02-10)
+
+### ⚠ BREAKING CHANGES
+
+* **config:** drop the v1 format
+
+### Features
+
+* **cli:** add \`--watch\` ([abc1234](https://github.com/lostmind/keeper/commit/abc1234))
+
+### [1.9.1](https://github.com/lostmind/keeper/compare/v1.9.0...v1.9.1) (2025-01-05)
+
+### Bug Fixes
+
+* handle empty files
+`;
+
+test('parses Keep a Changelog releases, sections and reference links', () => {
+  const changelog = parseChangelog(keepAChangelog);
+  expect(changelog.title).toBe('Changelog');
+  expect(changelog.intro).toBe('All notable changes to this project are documented here.');
+  expect(changelog.releases.map(release => release.version)).toEqual(['Unreleased', '1.2.0', '1.1.0']);
+
+  const [unreleased, current, yanked] = changelog.releases;
+  expect(unreleased).toMatchObject({ unreleased: true, date: null });
+  expect(current).toMatchObject({ date: '2025-03-01', url: 'https://github.com/lostmind/mono/compare/v1.1.0...v1.2.0' });
+  expect(current.sections.map(section => [section.title, section.kind])).toEqual([['Added', 'added'], ['Fixed', 'fixed']]);
+  expect(current.sections[0].entries[1]).toEqual({ scope: 'api', text: 'pagination', breaking: false });
+  expect(yanked).toMatchObject({ yanked: true, date: '2024-12-01' });
+});
+
+test('parses conventional changelogs, including patch releases a level down', () => {
+  const changelog = parseChangelog(conventional);
+  expect(changelog.releases.map(release => [release.version, release.date])).toEqual([['2.0.0', '2025-02-10'], ['1.9.1', '2025-01-05']]);
+
+  const [major, patch] = changelog.releases;
+  expect(major.url).toBe('https://github.com/lostmind/keeper/compare/v1.9.0...v2.0.0');
+  expect(major.sections[0].entries[0]).toEqual({ scope: 'config', text: 'drop the v1 format', breaking: true });
+  expect(patch.sections.map(section => section.kind)).toEqual(['fixed']);
+});
+
+test('numbered headings are not releases', () => {
+  expect(parseReleaseHeading('1.2 Introduction')).toBeNull();
+  expect(parseReleaseHeading('<small>1.0.1 (2024-01-02)</small>')).toMatchObject({ version: '1.0.1', date: '2024-01-02' });
+});
+
+test('renders release notes, summaries and slugs', () => {
+  const [, current, yanked] = parseChangelog(keepAChangelog).releases;
+  expect(releaseSummary(current)).toBe('2 additions, 1 fix');
+  expect(renderRelease(current, 3)).toContain('### Fixed\n\n- Crash on empty input');
+  expect(renderRelease(yanked)).toMatch(/^<Warning>/);
+  expect(releaseSlug('1.2.0')).toBe('v1-2-0');
+  expect(releaseSlug('Unreleased')).toBe('unreleased');
+});
+
+test('renders an Atom feed with escaped text', () => {
+  const feed = renderAtomFeed({
+    id: 'https://docs.example.com/changelog',
+    title: 'Changelog',
+    url: 'https://docs.example.com/changelog',
+    feedUrl: 'https://docs.example.com/changelog.xml',
+    updated: '2025-03-01',
+    entries: [{ id: 'a', title: 'R&D 1.0', url: 'https://docs.example.com/a', updated: '2025-03-01', summary: '<b>1 fix</b>' }]
+  });
+  expect(feed).toContain('<updated>2025-03-01T00:00:00Z</updated>');
+  expect(feed).toContain('<title>R&amp;D 1.0</title>');
+  expect(feed).toContain('<summary type="text">&lt;b&gt;1 fix&lt;/b&gt;</summary>');
+});
@@ -0,0 +1,60 @@
+import { mkdir, mkdtemp, rm, stat, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, afterEach, beforeAll, expect, test, vi } from 'vitest';
+import { EXIT_CODES, createProgram } from '../cli.cjs';
+
+// The manifest lives in repo/, inside the temporary directory, so a regression removes nothing else
+let root;
+let repo;
+let log;
+
+// Run `docs <args>` with the temporary manifest; returns the exit code
+async function docs(...args) {
+  process.exitCode = undefined;
+  await createProgram().parseAsync(['--config', path.join(repo, 'docs.config.yaml'), ...args], { from: 'user' });
+  const exitCode = process.exitCode;
+  process.exitCode = undefined;
+  return exitCode;
+}
+
+const printed = () => log.mock.calls.map(call => call.join(' ')).join('\n');
+
+beforeAll(async () => {
+  root = await mkdtemp(path.join(tmpdir(), 'cli-'));
+  repo = path.join(root, 'repo');
+  await mkdir(path.join(repo, 'site/projects'), { recursive: true });
+  await writeFile(path.join(repo, 'docs.config.yaml'), 'projects: []\n');
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+test('clean refuses to remove the manifest directory or its ancestors', async () => {
+  log = vi.spyOn(console, 'log').mockImplementation(() => undefined);
+  const error = vi.spyOn(console, 'error').mockImplementation(() => undefined);
+
+  for (const outputDir of [repo, root]) {
+    expect(await docs('--output-dir', outputDir, 'clean')).toBe(EXIT_CODES.failure);
+    expect(error).toHaveBeenLastCalledWith(`\n❌ clean failed: Refusing to remove ${outputDir}: it contains ${repo}`);
+  }
+  expect((await stat(path.join(repo, 'docs.config.yaml'))).isFile()).toBe(true);
+
+  expect(await docs('--output-dir', path.join(repo, 'site/projects'), 'clean')).toBe(EXIT_CODES.success);
+  await expect(stat(path.join(repo, 'site/projects'))).rejects.toThrow('ENOENT');
+});
+
+test('build --scan --dry-run does not build', async () => {
+  log = vi.spyOn(console, 'log').mockImplementation(() => undefined);
+  await mkdir(path.join(repo, 'site/projects'), { recursive: true });
+  await writeFile(path.join(repo, 'site/mint.json'), JSON.stringify({ navigation: [] }));
+
+  expect(await docs('--dry-run', '--output-dir', path.join(repo, 'site/projects'), 'build', '--scan')).toBe(EXIT_CODES.success);
+  expect(printed()).toContain('Dry run: skipping mintlify build');
+  expect(printed()).not.toContain('Building Mintlify site');
+});
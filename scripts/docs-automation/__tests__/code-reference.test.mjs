@@ -0,0 +1,81 @@
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { expect, test } from 'vitest';
+import { extractModuleReference, moduleName, renderModuleReference } from '../code-reference.cjs';
+import { findMDXError } from '../mdx-compiler.cjs';
+import { sanitizeMarkdown } from '../mdx-sanitizer.cjs';
+
+const PACKAGE = fileURLToPath(new URL('fixtures/auth-package/', import.meta.url));
+
+async function reference(relativePath) {
+  const filePath = `${PACKAGE}${relativePath}`;
+  return extractModuleReference(filePath, await readFile(filePath, 'utf8'));
+}
+
+// The rendered page must compile once sanitized, as the scanner publishes it
+async function page(name, moduleReference) {
+  const markdown = await sanitizeMarkdown(renderModuleReference(name, moduleReference));
+  const error = await findMDXError(markdown, 'reference.mdx');
+  if (error) {
+    throw new Error(`${name} does not compile: ${error.message}`);
+  }
+  return markdown;
+}
+
+test('documents each kind of TypeScript export with its JSDoc', async () => {
+  const keys = await reference('src/keys.ts');
+  expect(keys.language).toBe('ts');
+  expect(keys.description).toBe('Signing keys for session tokens.');
+  expect(keys.symbols.map(symbol => [symbol.name, symbol.kind])).toEqual([
+    ['Algorithm', 'enum'],
+    ['SigningKey', 'interface'],
+    ['createKey', 'function'],
+    ['KeyRing', 'class'],
+    ['DEFAULT_TTL', 'variable']
+  ]);
+  expect(keys.reexports).toEqual([{ from: './hash', names: ['hashKey'] }, { from: './errors', names: ['*'] }]);
+
+  const [algorithm, signingKey, createKey, keyRing, ttl] = keys.symbols;
+  expect(algorithm.members[0]).toMatchObject({ name: 'HS256', type: "'HS256'", description: 'HMAC with SHA-256' });
+  expect(signingKey.members[2]).toMatchObject({ name: 'expiresAt', type: 'Date', optional: true });
+  // A destructured parameter takes its @param name; dotted tags follow their parent
+  expect(createKey.params).toEqual([
+    { name: 'options', type: '{ algorithm: Algorithm; ttl: number }', optional: false, defaultValue: null, description: 'How to create the key' },
+    { name: 'options.ttl', type: null, optional: false, defaultValue: null, description: 'Lifetime in seconds' },
+    { name: 'now', type: null, optional: true, defaultValue: 'new Date()', description: '' }
+  ]);
+  expect(createKey.description).toBe('Create a signing key. See `the key shape`.');
+  expect(createKey.returns).toEqual({ type: 'SigningKey', description: 'The new key' });
+  // Private members stay out of the reference
+  expect(keyRing.methods.map(method => method.name)).toEqual(['add']);
+  expect(keyRing.properties.map(property => property.name)).toEqual(['size']);
+  expect(ttl).toMatchObject({ signature: 'const DEFAULT_TTL = 3600', deprecated: 'Use createKey with a ttl instead.' });
+
+  const markdown = await page('@repo/auth/keys', keys);
+  expect(markdown).toContain('| [DEFAULT\\_TTL](#default_ttl) | Constant | **Deprecated.** |');
+  expect(markdown).toContain('- `hashKey` from `./hash`\n- everything from `./errors`');
+});
+
+test('recognises wrapped components and CommonJS exports', async () => {
+  const badge = await reference('src/Badge.tsx');
+  expect(badge.symbols).toMatchObject([
+    { name: 'Badge', kind: 'component', signature: 'const Badge = forwardRef<HTMLSpanElement, { label: string }>(...)', returns: null }
+  ]);
+  await page('@repo/auth/Badge', badge);
+
+  const legacy = await reference('src/legacy.cjs');
+  expect(legacy.language).toBe('js');
+  // The block above an exported function is its own, not the module's
+  expect(legacy.description).toBe('');
+  expect(legacy.symbols).toMatchObject([
+    { name: 'parseKeys', kind: 'function', description: 'Parse a key file.', returns: { type: 'object[]', description: 'The keys it holds' } }
+  ]);
+  await page('@repo/auth/legacy', legacy);
+});
+
+test('module names follow the nearest package.json', () => {
+  expect(moduleName(`${PACKAGE}src/keys.ts`, PACKAGE)).toBe('@repo/auth/keys');
+  expect(moduleName(`${PACKAGE}src/index.ts`, PACKAGE)).toBe('@repo/auth');
+  // Without a package.json up to the root, the path from the root is used
+  expect(moduleName(`${PACKAGE}src/keys.ts`, `${PACKAGE}src`)).toBe('keys');
+});
@@ -0,0 +1,64 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, beforeAll, expect, test } from 'vitest';
+import { DocumentTypeRegistry } from '../document-types.cjs';
+
+const files = [
+  { relativePath: 'README.md', classification: 'readme' },
+  { relativePath: 'docs/Design.md', classification: 'architecture' },
+  { relativePath: 'docs/FAQ.md', classification: 'documentation' }
+];
+
+let pluginDir;
+
+beforeAll(async () => {
+  pluginDir = await mkdtemp(path.join(tmpdir(), 'document-types-'));
+  await writeFile(path.join(pluginDir, 'runbook.cjs'), `module.exports = {
+    title: 'Runbook',
+    template: ({ project }) => '# Runbook of ' + project.displayName,
+    navigation: { classification: 'guide' }
+  };`);
+});
+
+afterAll(async () => {
+  await rm(pluginDir, { recursive: true, force: true });
+});
+
+test('built-in types select their source by classification or path', () => {
+  const registry = new DocumentTypeRegistry();
+  expect(registry.selectSource(registry.get('readme'), files).relativePath).toBe('README.md');
+  expect(registry.selectSource(registry.get('architecture'), files).relativePath).toBe('docs/Design.md');
+  expect(registry.selectSource(registry.get('faq'), files).relativePath).toBe('docs/FAQ.md');
+  expect(registry.selectSource(registry.get('deployment'), files)).toBeUndefined();
+});
+
+test('types without a template only have a page when a source matches', () => {
+  const registry = new DocumentTypeRegistry();
+  expect(registry.hasPage(registry.get('development'), [])).toBe(true);
+  expect(registry.hasPage(registry.get('security'), files)).toBe(false);
+  expect(registry.hasPage(registry.get('faq'), files)).toBe(true);
+});
+
+test('fills in titles, descriptions and navigation', () => {
+  const type = new DocumentTypeRegistry().get('security');
+  expect(type).toMatchObject({ title: 'Security', label: 'Security', navigation: { classification: 'security' } });
+  expect(type.description({ displayName: 'Keeper' })).toBe('security documentation for Keeper');
+  expect(() => new DocumentTypeRegistry([{ id: 'empty' }])).toThrow('needs sources, a template, render or generate');
+});
+
+test('manifest types add plugins and change built-in ones', () => {
+  const registry = DocumentTypeRegistry.fromManifest({
+    runbook: { module: path.join(pluginDir, 'runbook.cjs'), summary: 'On-call procedures' },
+    architecture: { sources: { paths: ['adr'] }, navigation: { order: 2 } }
+  });
+
+  const runbook = registry.get('runbook');
+  expect(runbook).toMatchObject({ title: 'Runbook', summary: 'On-call procedures', navigation: { classification: 'guide' } });
+  expect(runbook.template({ project: { displayName: 'Keeper' } })).toBe('# Runbook of Keeper');
+
+  const architecture = registry.get('architecture');
+  expect(architecture.sources).toEqual({ classifications: [], paths: ['adr'] });
+  expect(architecture.navigation).toEqual({ classification: 'architecture', order: 2 });
+  expect(typeof architecture.template).toBe('function');
+});
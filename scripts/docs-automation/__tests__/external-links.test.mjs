@@ -0,0 +1,143 @@
+import { createServer } from 'node:http';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, beforeAll, beforeEach, expect, test } from 'vitest';
+import { ExternalLinkChecker } from '../external-links.cjs';
+
+// Stub site: each route answers (req, res, hits) where hits counts earlier requests to it
+const routes = {
+  '/ok': (req, res) => res.writeHead(200, { 'content-type': 'text/html' }).end('<title>Docs</title>'),
+  '/missing': (req, res) => res.writeHead(404).end(),
+  '/gone': (req, res) => res.writeHead(410).end(),
+  '/no-head': (req, res) => res.writeHead(req.method === 'HEAD' ? 405 : 200, { 'content-type': 'text/html' }).end('<title>Docs</title>'),
+  '/moved': (req, res) => res.writeHead(301, { location: '/ok' }).end(),
+  '/elsewhere': (req, res) => res.writeHead(302, { location: '/ok' }).end(),
+  '/to-home': (req, res) => res.writeHead(302, { location: '/' }).end(),
+  '/': (req, res) => res.writeHead(200, { 'content-type': 'text/html' }).end('<title>Home</title>'),
+  '/soft': (req, res) => res
+    .writeHead(req.method === 'HEAD' ? 405 : 200, { 'content-type': 'text/html' })
+    .end('<html><head><title>Page Not Found | Example</title></head></html>'),
+  '/loop': (req, res) => res.writeHead(302, { location: '/loop' }).end(),
+  '/flaky': (req, res, hits) => res.writeHead(hits < 2 ? 503 : 200).end(),
+  '/limited': (req, res, hits) => res.writeHead(hits < 1 ? 429 : 200, { 'retry-after': '0' }).end(),
+  '/down': (req, res) => res.writeHead(500).end(),
+  '/private': (req, res) => res.writeHead(403).end()
+};
+
+let server;
+let base;
+let requests;
+let cacheDir;
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    const hits = requests.filter(request => request.path === req.url).length;
+    requests.push({ method: req.method, path: req.url, at: Date.now() });
+    (routes[req.url] || routes['/missing'])(req, res, hits);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  cacheDir = await mkdtemp(path.join(tmpdir(), 'link-cache-'));
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await rm(cacheDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+const checker = (options = {}) => new ExternalLinkChecker({ hostIntervalMs: 0, retryDelayMs: 10, ...options });
+
+async function checkOne(route, options) {
+  const results = await checker(options).check([`${base}${route}`]);
+  return results.get(`${base}${route}`);
+}
+
+test('working links are ok after a single HEAD request', async () => {
+  expect(await checkOne('/ok')).toMatchObject({ state: 'ok', status: 200, cached: false });
+  expect(requests.map(request => request.method)).toEqual(['HEAD']);
+});
+
+test('404 and 410 are broken', async () => {
+  expect(await checkOne('/missing')).toMatchObject({ state: 'broken', status: 404, reason: 'HTTP 404' });
+  expect(await checkOne('/gone')).toMatchObject({ state: 'broken', status: 410 });
+});
+
+test('falls back to GET when HEAD is rejected', async () => {
+  expect(await checkOne('/no-head')).toMatchObject({ state: 'ok', status: 200 });
+  expect(requests.map(request => request.method)).toEqual(['HEAD', 'GET']);
+});
+
+test('permanent redirects are reported with their target, temporary ones are ok', async () => {
+  expect(await checkOne('/moved')).toMatchObject({ state: 'redirect', location: `${base}/ok` });
+  expect(await checkOne('/elsewhere')).toMatchObject({ state: 'ok', location: null });
+});
+
+test('soft 404s are broken', async () => {
+  expect(await checkOne('/to-home')).toMatchObject({ state: 'broken', reason: expect.stringContaining('home page') });
+  expect(await checkOne('/soft')).toMatchObject({ state: 'broken', reason: 'soft 404: page says "Page Not Found | Example"' });
+});
+
+test('redirect loops are broken', async () => {
+  expect(await checkOne('/loop')).toMatchObject({ state: 'broken', reason: 'more than 10 redirects' });
+});
+
+test('retries 5xx responses and honours Retry-After on 429', async () => {
+  expect(await checkOne('/flaky')).toMatchObject({ state: 'ok' });
+  // HEAD and GET fail, then the retried HEAD succeeds
+  expect(requests.map(request => request.method)).toEqual(['HEAD', 'GET', 'HEAD']);
+
+  // Without Retry-After: 0 the backoff would outlast the test timeout
+  expect(await checkOne('/limited', { retryDelayMs: 60000 })).toMatchObject({ state: 'ok' });
+});
+
+test('gives up after the configured retries', async () => {
+  expect(await checkOne('/down', { retries: 1 })).toMatchObject({ state: 'unverified', status: 500 });
+  // HEAD then GET on each of the two attempts
+  expect(requests).toHaveLength(4);
+  expect(await checkOne('/private')).toMatchObject({ state: 'unverified', status: 403 });
+});
+
+test('unknown hosts and invalid URLs are broken', async () => {
+  const results = await checker({ retries: 0 }).check(['https://does-not-exist.invalid/page', 'http://']);
+  expect(results.get('https://does-not-exist.invalid/page')).toMatchObject({ state: 'broken', reason: expect.stringContaining('host not found') });
+  expect(results.get('http://')).toMatchObject({ state: 'broken', reason: 'invalid URL' });
+});
+
+test('spaces out requests to the same host', async () => {
+  const urls = ['/ok', '/elsewhere', '/missing'].map(route => `${base}${route}`);
+  await checker({ hostIntervalMs: 50 }).check(urls);
+  const gaps = requests.slice(1).map((request, index) => request.at - requests[index].at);
+  expect(requests.length).toBeGreaterThan(3);
+  // Timers may fire a millisecond early
+  expect(Math.min(...gaps)).toBeGreaterThanOrEqual(45);
+});
+
+test('caches results until they expire', async () => {
+  const cachePath = path.join(cacheDir, 'link-cache.json');
+  let now = Date.parse('2025-01-01T00:00:00Z');
+  const urls = ['/ok', '/missing', '/down'].map(route => `${base}${route}`);
+  const options = { cachePath, cacheTTLHours: 24, retries: 0, now: () => now };
+
+  await checker(options).check(urls);
+  const stored = JSON.parse(await readFile(cachePath, 'utf8'));
+  // Unverified results are checked again next time
+  expect(Object.keys(stored.links).sort()).toEqual([`${base}/missing`, `${base}/ok`]);
+
+  requests = [];
+  now += 23 * 3600 * 1000;
+  const cached = await checker(options).check(urls);
+  expect(cached.get(`${base}/ok`)).toMatchObject({ state: 'ok', cached: true });
+  expect(cached.get(`${base}/missing`)).toMatchObject({ state: 'broken', cached: true });
+  expect(new Set(requests.map(request => request.path))).toEqual(new Set(['/down']));
+
+  requests = [];
+  now += 2 * 3600 * 1000;
+  const expired = await checker(options).check(urls);
+  expect(expired.get(`${base}/ok`)).toMatchObject({ state: 'ok', cached: false });
+  expect(requests.some(request => request.path === '/ok')).toBe(true);
+});
@@ -0,0 +1,6 @@
+import { forwardRef } from 'react';
+
+/** A small status label. */
+export const Badge = forwardRef<HTMLSpanElement, { label: string }>(function Badge({ label }, ref) {
+  return <span ref={ref}>{label}</span>;
+});
@@ -0,0 +1,61 @@
+/**
+ * Signing keys for session tokens.
+ *
+ * @packageDocumentation
+ */
+
+export { hashKey } from './hash';
+export * from './errors';
+
+/** Algorithms a key can sign with. */
+export enum Algorithm {
+  /** HMAC with SHA-256 */
+  HS256 = 'HS256',
+  RS256 = 'RS256'
+}
+
+/** A stored signing key. */
+export interface SigningKey {
+  /** Key identifier, sent in the token header */
+  id: string;
+  algorithm: Algorithm;
+  /** When the key stops signing new tokens */
+  expiresAt?: Date;
+}
+
+/**
+ * Create a signing key. See {@link SigningKey | the key shape}.
+ *
+ * @param {{ algorithm: Algorithm, ttl: number }} options - How to create the key
+ * @param options.ttl - Lifetime in seconds
+ * @returns The new key
+ * @example
+ * const key = createKey({ algorithm: Algorithm.HS256, ttl: 3600 });
+ */
+export function createKey({ algorithm, ttl }: { algorithm: Algorithm; ttl: number }, now = new Date()): SigningKey {
+  return { id: crypto.randomUUID(), algorithm, expiresAt: new Date(now.getTime() + ttl * 1000) };
+}
+
+/** Keys by identifier. */
+export class KeyRing {
+  private readonly keys = new Map<string, SigningKey>();
+
+  /** Number of keys in the ring */
+  size = 0;
+
+  /**
+   * Add a key, replacing one with the same id.
+   * @param key - The key to add
+   */
+  add(key: SigningKey): void {
+    this.keys.set(key.id, key);
+    this.size = this.keys.size;
+  }
+
+  #rotate(): void {}
+}
+
+/** @deprecated Use createKey with a ttl instead. */
+export const DEFAULT_TTL = 3600;
+
+const internal = 'not exported';
@@ -0,0 +1,12 @@
+/**
+ * Parse a key file.
+ * @param {string} text Contents of the file
+ * @returns {object[]} The keys it holds
+ */
+function parseKeys(text) {
+  return JSON.parse(text);
+}
+
+function helper() {}
+
+module.exports = { parseKeys, load: parseKeys };
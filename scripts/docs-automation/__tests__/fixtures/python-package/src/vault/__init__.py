@@ -0,0 +1,14 @@
+"""Encrypted secret storage."""
+
+from .store import SecretStore
+
+__all__ = ["SecretStore", "open_store"]
+
+
+def open_store(path):
+    """Open the store at ``path``."""
+    return SecretStore(path)
+
+
+def helper():
+    """Not in __all__, so not documented."""
@@ -0,0 +1,77 @@
+"""Secret store backed by a single file.
+
+See :class:`~vault.store.SecretStore` for the API.
+"""
+
+import json
+
+MAX_SECRETS = 1000
+"""Secrets one store can hold."""
+
+default_path = "secrets.json"
+
+
+class SecretStore:
+    """A file of named secrets.
+
+    Attributes:
+        path (str): Where the secrets are kept.
+    """
+
+    path: str
+    version = 2
+    """Format version written to new files."""
+
+    def __init__(self, path, *, create=True):
+        """Open a store.
+
+        Args:
+            path (str): File holding the secrets.
+            create (bool, optional): Create the file when missing.
+
+        Raises:
+            FileNotFoundError: The file is missing and ``create`` is false.
+        """
+        self.path = path
+
+    def get(self, name: str, default: str | None = None) -> str | None:
+        """Read a secret.
+
+        Parameters
+        ----------
+        name : str
+            Name of the secret.
+        default : str, optional
+            Returned when there is no such secret.
+
+        Returns
+        -------
+        str or None
+            The secret's value.
+        """
+        return default
+
+    @staticmethod
+    def check(name):
+        """Validate a secret name.
+
+        :param str name: The name to check.
+        :returns: Whether the name is valid.
+        :rtype: bool
+        :raises ValueError: The name is empty.
+        """
+        return bool(name)
+
+    def _load(self):
+        return json.load(open(self.path))
+
+
+def rotate(store, *names, **options) -> None:
+    """Re-encrypt secrets.
+
+    .. deprecated:: 2.0
+       Use ``SecretStore.rotate`` instead.
+
+    Examples:
+        >>> rotate(store, "db")
+    """
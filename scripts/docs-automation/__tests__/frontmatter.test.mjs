@@ -0,0 +1,53 @@
+import { expect, test } from 'vitest';
+import { formatDocument, parseFrontmatter, validateFrontmatterData } from '../frontmatter.cjs';
+import { DocumentationValidator } from '../validate-docs.cjs';
+
+const page = fields => `---\n${Object.entries(fields).map(([key, value]) => `${key}: ${JSON.stringify(value)}`).join('\n')}\n---\n\nBody`;
+
+test('round-trips quotes, version strings, dates, lists and multiline values', () => {
+  const data = { title: 'A: "quoted"', version: '1.10', lastUpdated: '2024-01-05', tags: ['x', 'y'], notes: 'line1\nline2' };
+  const document = formatDocument({ ...data, skipped: undefined }, '# Body\n');
+
+  expect(document).toBe('---\ntitle: "A: \\"quoted\\""\nversion: "1.10"\nlastUpdated: "2024-01-05"\n' +
+    'tags:\n  - "x"\n  - "y"\nnotes: "line1\\nline2"\n---\n\n# Body\n');
+  expect(parseFrontmatter(document)).toEqual({ data, content: '\n# Body\n', error: null });
+});
+
+test('reports invalid YAML instead of throwing', () => {
+  const source = '---\ntitle: [\n---\nx';
+  const { data, content, error } = parseFrontmatter(source);
+  expect(data).toEqual({});
+  expect(content).toBe(source);
+  expect(error.linePos[0].line).toBe(2);
+});
+
+test('checks types, categories, dates and lengths', () => {
+  const issues = validateFrontmatterData(
+    { title: 'T', category: 'x', lastUpdated: '2024-02-30', tags: ['a', 1], description: 'd'.repeat(200) },
+    { categories: ['core-platforms'] }
+  );
+  expect(issues.map(issue => [issue.field, issue.rule, issue.severity])).toEqual([
+    ['description', 'length', 'warning'],
+    ['category', 'enum', 'error'],
+    ['tags', 'type', 'error'],
+    ['lastUpdated', 'date', 'error']
+  ]);
+  expect(validateFrontmatterData({}).map(issue => [issue.field, issue.rule])).toEqual([
+    ['title', 'required'],
+    ['description', 'required'],
+    ['category', 'recommended'],
+    ['tags', 'recommended'],
+    ['lastUpdated', 'recommended']
+  ]);
+});
+
+test('the validator accepts the categories of discovered projects', () => {
+  const validator = new DocumentationValidator({ categories: ['core-platforms'] });
+  const fields = { title: 'T', description: 'D', tags: ['a'], lastUpdated: '2024-01-01' };
+
+  expect(validator.checkFrontmatter(page({ ...fields, category: 'miscellaneous' }), 'page.mdx')).toEqual([]);
+  expect(validator.checkFrontmatter(page({ ...fields, category: 'core-platforms' }), 'page.mdx')).toEqual([]);
+
+  const [issue] = validator.checkFrontmatter(page({ ...fields, category: 'nowhere' }), 'page.mdx');
+  expect(issue).toMatchObject({ ruleId: 'frontmatter-enum', severity: 'error', line: 6 });
+});
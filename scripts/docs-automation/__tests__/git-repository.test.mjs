@@ -0,0 +1,95 @@
+import { execFileSync } from 'node:child_process';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, beforeAll, expect, test } from 'vitest';
+import { GitHistory, editUrl, findGitHubRepository, githubUrl, sourceUrl } from '../git-repository.cjs';
+
+let root;
+let checkout;
+
+const git = (...args) => execFileSync('git', args, { cwd: checkout, encoding: 'utf8' }).trim();
+
+// Commit `files` as `author` ("Name <email>") on `date`
+async function commit(author, date, files) {
+  for (const [relativePath, content] of Object.entries(files)) {
+    await mkdir(path.dirname(path.join(checkout, relativePath)), { recursive: true });
+    await writeFile(path.join(checkout, relativePath), content);
+  }
+  const [, name, email] = author.match(/^(.*) <(.*)>$/);
+  git('add', ...Object.keys(files));
+  execFileSync('git', ['-c', `user.name=${name}`, '-c', `user.email=${email}`, 'commit', '-q', '-m', date], {
+    cwd: checkout,
+    env: { ...process.env, GIT_AUTHOR_DATE: `${date}T12:00:00Z`, GIT_COMMITTER_DATE: `${date}T12:00:00Z` }
+  });
+}
+
+beforeAll(async () => {
+  root = await mkdtemp(path.join(tmpdir(), 'git-repository-'));
+  checkout = path.join(root, 'checkout');
+  await mkdir(checkout);
+  git('init', '-q', '-b', 'main');
+  git('remote', 'add', 'origin', 'git@github.com:lostmind/tools.git');
+
+  await commit('Ada <ada@example.com>', '2024-01-10', { 'README.md': '# Tools\n', 'docs/guide.md': '# Guide\n' });
+  await commit('Bob <bob@example.com>', '2024-02-20', { 'docs/guide.md': '# Guide\n\nMore.\n' });
+  // .mailmap folds Ada's second address into the first
+  await commit('Ada Lovelace <ada@work.example>', '2024-03-30', { 'docs/Über uns.md': '# Über uns\n', '.mailmap': 'Ada <ada@example.com> <ada@work.example>\n' });
+  await writeFile(path.join(checkout, 'README.md'), '# Tools\n\nChanged.\n');
+  await writeFile(path.join(checkout, 'untracked.md'), '# New\n');
+});
+
+afterAll(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+test('GitHub URLs from remotes and file paths', async () => {
+  expect(githubUrl('git@github.com:lostmind/tools.git')).toBe('https://github.com/lostmind/tools');
+  expect(githubUrl('https://github.com/lostmind/tools/')).toBe('https://github.com/lostmind/tools');
+  expect(githubUrl('https://gitlab.com/lostmind/tools.git')).toBeNull();
+
+  const base = 'https://github.com/lostmind/tools/blob/main/';
+  expect(await sourceUrl(base, checkout, path.join(checkout, 'docs/Über uns.md'))).toBe('https://github.com/lostmind/tools/blob/main/docs/%C3%9Cber%20uns.md');
+  expect(await sourceUrl(base, checkout, checkout)).toBe('https://github.com/lostmind/tools/blob/main');
+  expect(await sourceUrl(base, path.join(checkout, 'docs'), path.join(checkout, 'README.md'))).toBeNull();
+
+  expect(editUrl('https://github.com/lostmind/tools/blob/main/docs/guide.md')).toBe('https://github.com/lostmind/tools/edit/main/docs/guide.md');
+  expect(editUrl('https://example.com/docs/guide.md')).toBeNull();
+});
+
+test('finds the checkout, repository and branch of a directory', async () => {
+  const realCheckout = git('rev-parse', '--show-toplevel');
+  expect(await findGitHubRepository(path.join(checkout, 'docs')))
+    .toEqual({ root: realCheckout, url: 'https://github.com/lostmind/tools', ref: 'main' });
+  expect(await findGitHubRepository(root)).toBeNull();
+
+  // A detached checkout links to its commit
+  const head = git('rev-parse', 'HEAD');
+  git('checkout', '-q', '--detach');
+  try {
+    expect((await findGitHubRepository(checkout)).ref).toBe(head);
+  } finally {
+    git('checkout', '-q', 'main');
+  }
+});
+
+test('history of files and directories', async () => {
+  const history = new GitHistory();
+
+  expect(await history.history(path.join(checkout, 'docs/guide.md'))).toMatchObject({
+    date: '2024-02-20T12:00:00+00:00',
+    dirty: false,
+    authors: [{ name: 'Ada', email: 'ada@example.com', commits: 1 }, { name: 'Bob', email: 'bob@example.com', commits: 1 }]
+  });
+  expect(await history.history(path.join(checkout, 'README.md'))).toMatchObject({ date: '2024-01-10T12:00:00+00:00', dirty: true });
+  expect(await history.history(path.join(checkout, 'untracked.md'))).toBeNull();
+  expect(await history.history(path.join(checkout, 'missing.md'))).toBeNull();
+  expect(await history.history(root)).toBeNull();
+
+  // A directory takes its newest commit and every author below it
+  const docs = await history.history(path.join(checkout, 'docs'));
+  expect(docs).toMatchObject({ date: '2024-03-30T12:00:00+00:00', dirty: false });
+  expect(docs.hash).toBe(git('rev-parse', 'HEAD'));
+  expect(docs.authors).toEqual([{ name: 'Ada', email: 'ada@example.com', commits: 2 }, { name: 'Bob', email: 'bob@example.com', commits: 1 }]);
+  expect(await history.history(checkout)).toMatchObject({ dirty: true });
+});
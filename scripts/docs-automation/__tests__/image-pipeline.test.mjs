@@ -0,0 +1,103 @@
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, beforeAll, expect, test, vi } from 'vitest';
+import { AssetManager, Logger } from '../enhanced-scan-projects.cjs';
+import { loadSharp, outputExtension, publishImage } from '../image-pipeline.cjs';
+
+// A 1x1 PNG
+const PIXEL = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+const SETTINGS = { optimize: true, webpThresholdKB: 200, quality: 80, maxSizeKB: 500, addDimensions: true };
+const sharp = loadSharp();
+
+let root;
+
+function context(sourcePath) {
+  return {
+    sourcePath,
+    pagePath: path.join(root, 'site/projects/proj/readme.mdx'),
+    routes: new Map(),
+    imagesDir: path.join(root, 'site/images/proj'),
+    imagesUrl: '/images/proj',
+    sourceUrl: async () => null,
+    reportBroken: true
+  };
+}
+
+// An image too noisy to compress well, so its PNG is large
+function noise(width, height) {
+  return sharp({ create: { width, height, channels: 3, background: '#808080', noise: { type: 'gaussian', mean: 128, sigma: 60 } } });
+}
+
+beforeAll(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => undefined);
+  root = await mkdtemp(path.join(tmpdir(), 'image-pipeline-'));
+  await writeFile(path.join(root, 'logo.png'), PIXEL);
+  await writeFile(path.join(root, 'copy.png'), PIXEL);
+  await writeFile(path.join(root, 'diagram.svg'), '<svg xmlns="http://www.w3.org/2000/svg"/>');
+});
+
+afterAll(async () => {
+  vi.restoreAllMocks();
+  await rm(root, { recursive: true, force: true });
+});
+
+test('only large PNG and JPEG images become WebP', () => {
+  const large = 300 * 1024;
+  expect(outputExtension('a.png', 1024, SETTINGS)).toBe('.png');
+  expect(outputExtension('a.svg', large, SETTINGS)).toBe('.svg');
+  expect(outputExtension('a.PNG', large, { ...SETTINGS, optimize: false })).toBe('.png');
+  expect(outputExtension('a.jpeg', large, SETTINGS)).toBe(sharp ? '.webp' : '.jpeg');
+});
+
+test('images are copied unchanged without optimisation', async () => {
+  const destPath = path.join(root, 'out/logo.png');
+  expect(await publishImage(path.join(root, 'logo.png'), destPath, { ...SETTINGS, optimize: false }))
+    .toEqual(sharp ? { size: PIXEL.length, width: 1, height: 1 } : { size: PIXEL.length });
+  expect(await readFile(destPath)).toEqual(PIXEL);
+});
+
+test('each image content is published once per project', async () => {
+  const assets = new AssetManager(new Logger(), { ...SETTINGS, addDimensions: false });
+  const content = await assets.rewriteLinks('![a](logo.png) ![b](./copy.png) ![c](diagram.svg)', context(path.join(root, 'README.md')));
+
+  const published = (await readdir(path.join(root, 'site/images/proj'))).sort();
+  expect(published).toEqual([expect.stringMatching(/^diagram-[0-9a-f]{8}\.svg$/), expect.stringMatching(/^logo-[0-9a-f]{8}\.png$/)]);
+  expect(content).toBe(`![a](/images/proj/${published[1]}) ![b](/images/proj/${published[1]}) ![c](/images/proj/${published[0]})`);
+  expect(assets.logger.stats.assetscopied).toBe(2);
+});
+
+test('images over the size budget are errors', async () => {
+  const assets = new AssetManager(new Logger(), { ...SETTINGS, optimize: false, maxSizeKB: 0.01 });
+  await assets.rewriteLinks('![logo](logo.png)', context(path.join(root, 'README.md')));
+  expect(assets.logger.stats.errorsEncountered).toBe(1);
+  expect(console.log).toHaveBeenCalledWith(expect.stringContaining(`Image ${path.join(root, 'logo.png')} (used in ${path.join(root, 'README.md')}) is 0 KB, over the 0.01 KB image budget`));
+});
+
+test.skipIf(sharp)('without sharp images are copied and the scan warns once', async () => {
+  const assets = new AssetManager(new Logger(), SETTINGS);
+  await assets.rewriteLinks('![a](logo.png) ![c](diagram.svg)', context(path.join(root, 'README.md')));
+  expect(assets.logger.stats.warningsEncountered).toBe(1);
+});
+
+test.skipIf(!sharp)('large images become WebP and pages get their size', async () => {
+  await noise(400, 300).png().toFile(path.join(root, 'photo.png'));
+  const assets = new AssetManager(new Logger(), SETTINGS);
+  const content = await assets.rewriteLinks('![A "photo"](photo.png)', context(path.join(root, 'README.md')));
+
+  const [published] = (await readdir(path.join(root, 'site/images/proj'))).filter(file => file.startsWith('photo-'));
+  expect(published).toMatch(/^photo-[0-9a-f]{8}\.webp$/);
+  expect(await sharp(path.join(root, 'site/images/proj', published)).metadata()).toMatchObject({ format: 'webp', width: 400, height: 300 });
+  expect(content).toBe(`<img src="/images/proj/${published}" alt="A &quot;photo&quot;" width="400" height="300" />`);
+});
+
+test.skipIf(!sharp)('re-encoding drops EXIF metadata and applies the orientation', async () => {
+  const sourcePath = path.join(root, 'camera.jpg');
+  await noise(40, 20).jpeg().withMetadata({ orientation: 6, exif: { IFD0: { Copyright: 'Someone' } } }).toFile(sourcePath);
+
+  const destPath = path.join(root, 'out/camera.jpg');
+  expect(await publishImage(sourcePath, destPath, SETTINGS)).toMatchObject({ width: 20, height: 40 });
+  const metadata = await sharp(destPath).metadata();
+  expect(metadata.exif).toBeUndefined();
+  expect(metadata.orientation).toBeUndefined();
+});
@@ -0,0 +1,54 @@
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, beforeAll, expect, test, vi } from 'vitest';
+import { EnhancedProjectScanner } from '../enhanced-scan-projects.cjs';
+import { loadManifest } from '../project-manifest.cjs';
+
+let root;
+
+beforeAll(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => undefined);
+  root = await mkdtemp(path.join(tmpdir(), 'introduction-'));
+  await mkdir(path.join(root, 'proj'));
+  await mkdir(path.join(root, 'templates'));
+  await writeFile(path.join(root, 'proj/README.md'), '# Proj\n\nParses configuration files.\n\n## Install\n');
+  // The architecture page is rendered from this template and does not compile
+  await writeFile(path.join(root, 'templates/default-architecture.hbs'), '# Architecture\n\n<div>\n');
+  await writeFile(path.join(root, 'docs.config.yaml'), [
+    'projects:',
+    '  - id: proj',
+    '    displayName: Proj',
+    '    sourcePath: ./proj',
+    '    category: core-platforms',
+    '    documentTypes: [introduction, readme, architecture]',
+    '    primaryFiles: [README.md]',
+    '    templates: ./templates',
+    'scanner:',
+    '  output:',
+    '    createNavigation: false',
+    '  validation:',
+    '    strictMode: false',
+    '  generation:',
+    '    gitMetadata: false',
+    ''
+  ].join('\n'));
+});
+
+afterAll(async () => {
+  vi.restoreAllMocks();
+  await rm(root, { recursive: true, force: true });
+});
+
+test('the introduction links written pages only and has one H1', async () => {
+  const outputDir = path.join(root, 'site/projects');
+  const scanner = new EnhancedProjectScanner({ manifest: loadManifest(path.join(root, 'docs.config.yaml'), { outputDir }), outputDir });
+  await scanner.scan();
+  expect(scanner.logger.stats.errorsEncountered).toBe(1);
+
+  const introduction = await readFile(path.join(outputDir, 'proj/introduction.mdx'), 'utf8');
+  expect(introduction).toContain('- [README](./readme)');
+  expect(introduction).not.toContain('./architecture');
+  expect(introduction.match(/^# .*/gm)).toEqual(['# Proj']);
+  expect(introduction).toContain('Parses configuration files.');
+});
@@ -0,0 +1,125 @@
+import { mkdir, mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, beforeAll, expect, test, vi } from 'vitest';
+import { EnhancedProjectScanner } from '../enhanced-scan-projects.cjs';
+import { loadManifest } from '../project-manifest.cjs';
+
+// A 1x1 PNG
+const PIXEL = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+const COPIED_IMAGE = /^logo-[0-9a-f]{8}\.png$/;
+
+let root;
+let project;
+
+function newScanner() {
+  return new EnhancedProjectScanner({
+    manifest: loadManifest(path.join(root, 'docs.config.yaml')),
+    outputDir: path.join(root, 'site/projects')
+  });
+}
+
+const page = route => path.join(root, 'site/projects/proj', route);
+
+beforeAll(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => undefined);
+  root = await mkdtemp(path.join(tmpdir(), 'link-rewriting-'));
+  project = { name: 'proj', path: path.join(root, 'proj') };
+
+  const files = {
+    'docs/Setup Guide/README.md': '# Setup',
+    'docs/api.md': '# API',
+    'scripts/run.sh': '#!/bin/sh'
+  };
+  for (const [relativePath, content] of Object.entries(files)) {
+    await mkdir(path.dirname(path.join(project.path, relativePath)), { recursive: true });
+    await writeFile(path.join(project.path, relativePath), content);
+  }
+  await mkdir(path.join(project.path, 'images'));
+  await writeFile(path.join(project.path, 'images/logo.png'), PIXEL);
+  await writeFile(path.join(root, 'docs.config.yaml'), 'projects: []\nscanner:\n  generation:\n    gitMetadata: false\n');
+});
+
+afterAll(async () => {
+  vi.restoreAllMocks();
+  await rm(root, { recursive: true, force: true });
+});
+
+test('rewrites links to pages, copied images and source URLs', async () => {
+  const scanner = newScanner();
+  const routes = new Map([
+    [path.join(project.path, 'docs/Setup Guide/README.md'), page('docs/setup-guide/readme.mdx')],
+    [path.join(project.path, 'docs/api.md'), page('docs/api.mdx')]
+  ]);
+
+  const content = await scanner.assetManager.rewriteLinks(
+    'See [setup](./docs/Setup%20Guide/README.md#install), [dir](docs/Setup%20Guide/), [api](docs/api.md), ' +
+    '![logo](images/logo.png "Logo"), [run](scripts/run.sh?plain=1#L2), [gone](missing.md), `[code](docs/api.md)` and [web](https://x.dev).',
+    {
+      sourcePath: path.join(project.path, 'README.md'),
+      pagePath: page('readme.mdx'),
+      routes,
+      imagesDir: path.join(root, 'site/images/proj'),
+      imagesUrl: '/images/proj',
+      sourceUrl: async target => `https://github.com/o/r/blob/main/${path.relative(project.path, target)}`,
+      reportBroken: true
+    }
+  );
+
+  const [image] = await readdir(path.join(root, 'site/images/proj'));
+  expect(image).toMatch(COPIED_IMAGE);
+  expect(content).toBe(`See [setup](./docs/setup-guide/readme#install), [dir](./docs/setup-guide/readme), [api](./docs/api), \
+![logo](/images/proj/${image} "Logo"), [run](https://github.com/o/r/blob/main/scripts/run.sh?plain=1#L2), \
+[gone](missing.md), \`[code](docs/api.md)\` and [web](https://x.dev).`);
+  // Only the missing document is an error
+  expect(scanner.logger.stats.errorsEncountered).toBe(1);
+});
+
+test('a scan points links between published sources at their pages', async () => {
+  const scanRoot = path.join(root, 'scan');
+  const files = {
+    'proj/README.md': '# Proj\n\nRead the [guide](docs/development.md#setup) and [api][api].\n\n<img src="images/logo.png" alt="Logo">\n\n[api]: docs/api.md\n',
+    'proj/docs/development.md': '# Development\n\n## Setup\n\nBack to the [readme](../README.md) with ![the logo](../images/logo.png).\n',
+    'proj/docs/api.md': '# API\n'
+  };
+  for (const [relativePath, content] of Object.entries(files)) {
+    await mkdir(path.dirname(path.join(scanRoot, relativePath)), { recursive: true });
+    await writeFile(path.join(scanRoot, relativePath), content);
+  }
+  await mkdir(path.join(scanRoot, 'proj/images'));
+  await writeFile(path.join(scanRoot, 'proj/images/logo.png'), PIXEL);
+  await writeFile(path.join(scanRoot, 'docs.config.yaml'), [
+    'projects:',
+    '  - id: proj',
+    '    displayName: Proj',
+    '    sourcePath: ./proj',
+    '    category: core-platforms',
+    '    documentTypes: [readme, development, api]',
+    '    primaryFiles: [README.md, "docs/*.md"]',
+    'scanner:',
+    '  output:',
+    '    createNavigation: false',
+    '  generation:',
+    '    gitMetadata: false',
+    '  images:',
+    '    addDimensions: false',
+    ''
+  ].join('\n'));
+
+  const outputDir = path.join(scanRoot, 'site/projects');
+  const scanner = new EnhancedProjectScanner({ manifest: loadManifest(path.join(scanRoot, 'docs.config.yaml'), { outputDir }), outputDir });
+  await scanner.scan();
+  expect(scanner.logger.stats.errorsEncountered).toBe(0);
+
+  // Both pages share one copy of the image
+  const images = await readdir(path.join(scanRoot, 'site/images/proj'));
+  expect(images).toEqual([expect.stringMatching(COPIED_IMAGE)]);
+  const [image] = images;
+  const readme = await readFile(path.join(outputDir, 'proj/readme.mdx'), 'utf8');
+  expect(readme).toContain('Read the [guide](./development#setup) and [api][api].');
+  expect(readme).toContain(`<img src="/images/proj/${image}" alt="Logo" />`);
+  expect(readme).toContain('[api]: ./api');
+  const development = await readFile(path.join(outputDir, 'proj/development.mdx'), 'utf8');
+  expect(development).toContain(`Back to the [readme](./readme) with ![the logo](/images/proj/${image}).`);
+});
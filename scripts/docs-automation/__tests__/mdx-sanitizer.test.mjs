@@ -0,0 +1,58 @@
+import { expect, test } from 'vitest';
+import { findMDXError } from '../mdx-compiler.cjs';
+import { escapeProse, sanitizeMarkdown } from '../mdx-sanitizer.cjs';
+
+// Every sanitized sample must also compile, as Mintlify will compile it
+async function sanitized(source) {
+  const output = await sanitizeMarkdown(source);
+  const error = await findMDXError(output, 'sample.mdx');
+  if (error) {
+    throw new Error(`${JSON.stringify(output)} does not compile: ${error.message}`);
+  }
+  return output;
+}
+
+test('escapes braces and angle brackets in prose but not in code', async () => {
+  expect(await sanitized('Use {config} and a < b in `code {x}`.')).toBe('Use \\{config\\} and a \\< b in `code {x}`.');
+  expect(await sanitized('```js\nconst a = {b: 1} < 2;\n```')).toBe('```js\nconst a = {b: 1} < 2;\n```');
+  expect(await sanitized('    indented code {x}\n')).toBe('```\nindented code {x}\n```');
+});
+
+test('turns raw HTML into JSX', async () => {
+  expect(await sanitized('<!-- hidden -->\n\n<img src="a.png" class="wide" style="width: 10px; margin-top: 2px">'))
+    .toBe('{/* hidden */}\n\n<img src="a.png" className="wide" style={{"width": "10px", "marginTop": "2px"}} />');
+  expect(await sanitized('A<br>B')).toBe('A<br />B');
+  expect(await sanitized('<div align="center">\n\n**Bold**\n\n</div>')).toBe('<div align="center">\n\n**Bold**\n\n</div>');
+  expect(await sanitized('An <b>unclosed tag here.')).toBe('An \\<b>unclosed tag here.');
+});
+
+test('gives block tags closed in another paragraph a line of their own', async () => {
+  expect(await sanitized('<details><summary>More</summary>\n\nContent<br>\nmore\n\n</details>'))
+    .toBe('<details>\n<summary>More</summary>\n\nContent<br />\nmore\n\n</details>');
+  expect(await sanitized('> <div align="center">Logo<br>\n> text</div>'))
+    .toBe('> <div align="center">\n> Logo<br />\n> text\n> </div>');
+  // Inline HTML cannot span paragraphs, so it stays text
+  expect(await sanitized('Intro <details><summary>More</summary>\n\n</details>'))
+    .toBe('Intro \\<details><summary>More</summary>\n\n\\</details>');
+});
+
+test('rewrites autolinks and drops source frontmatter', async () => {
+  expect(await sanitized('See <https://example.com> now.')).toBe('See [https://example.com](https://example.com) now.');
+  expect(await sanitized('---\ntitle: x\n---\n\n# Hi')).toBe('# Hi');
+});
+
+test('escapeProse leaves characters that are already escaped', () => {
+  expect(escapeProse('a {b} <c>')).toBe('a \\{b\\} \\<c>');
+  expect(escapeProse('a \\{b\\} \\\\{c')).toBe('a \\{b\\} \\\\\\{c');
+});
+
+test('reports compile errors with line, column and a code frame', async () => {
+  const error = await findMDXError('---\ntitle: x\n---\n\n# Title\n\nText {a b}\n', 'page.mdx');
+  expect(error).toMatchObject({ line: 7, column: 8, message: 'Could not parse expression with acorn' });
+  expect(error.frame).toContain('> 7 | Text {a b}\n    |        ^');
+});
+
+test('accepts what the old regex checks rejected', async () => {
+  // Headings starting with a digit and expressions holding numbers are valid MDX
+  expect(await findMDXError('# 1. Introduction\n\nTwo is {1 + 1}.\n', 'page.mdx')).toBeNull();
+});
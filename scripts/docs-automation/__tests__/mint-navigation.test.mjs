@@ -0,0 +1,119 @@
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, afterEach, beforeAll, expect, test, vi } from 'vitest';
+import { EnhancedProjectScanner } from '../enhanced-scan-projects.cjs';
+import { mergeNavigation } from '../mint-navigation.cjs';
+import { loadManifest } from '../project-manifest.cjs';
+
+const navigation = [
+  { group: 'Get Started', pages: ['introduction'] },
+  { group: '🚀 Core Platforms', pages: ['projects/keeper/index'] },
+  // Written by another generator, or by hand, under projects/
+  { group: 'Scanned Projects', pages: ['projects/mono/index'] },
+  { group: 'Changelog', pages: ['changelog'] }
+];
+
+const directories = [];
+
+// A manifest with a checked-out project and one whose sourcePath is missing,
+// and a mint.json already listing both
+async function missingProjectFixture(strictMode) {
+  const root = await mkdtemp(path.join(tmpdir(), 'mint-navigation-'));
+  directories.push(root);
+  await mkdir(path.join(root, 'keeper'));
+  await mkdir(path.join(root, 'site'));
+  await writeFile(path.join(root, 'keeper/README.md'), '# Keeper\n\nNotes.\n');
+  await writeFile(path.join(root, 'docs.config.yaml'), [
+    'defaults:',
+    '  documentTypes: [readme]',
+    'projects:',
+    '  - { id: keeper, displayName: Keeper, sourcePath: ./keeper, category: core-platforms }',
+    '  - { id: rag, displayName: RAG, sourcePath: ./missing, category: ai-development-tools }',
+    'scanner:',
+    '  validation:',
+    `    strictMode: ${strictMode}`,
+    '  generation:',
+    '    gitMetadata: false',
+    ''
+  ].join('\n'));
+  await writeFile(path.join(root, 'site/mint.json'), JSON.stringify({
+    name: 'Docs',
+    navigation: [
+      { group: 'Get Started', pages: ['introduction'] },
+      { group: '🚀 Core Platforms', pages: [{ group: 'Keeper', pages: ['projects/keeper/index'] }] },
+      { group: '🤖 AI Development Tools', pages: [{ group: 'RAG', pages: ['projects/rag/index', 'projects/rag/readme'] }] }
+    ]
+  }));
+  return root;
+}
+
+function scanner(root) {
+  const outputDir = path.join(root, 'site/projects');
+  return new EnhancedProjectScanner({ manifest: loadManifest(path.join(root, 'docs.config.yaml'), { outputDir }), outputDir });
+}
+
+async function navigationOf(root) {
+  return JSON.parse(await readFile(path.join(root, 'site/mint.json'), 'utf8')).navigation;
+}
+
+beforeAll(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => undefined);
+});
+
+afterEach(async () => {
+  await Promise.all(directories.splice(0).map(directory => rm(directory, { recursive: true, force: true })));
+});
+
+afterAll(() => {
+  vi.restoreAllMocks();
+});
+
+test('replaces only the groups the generator owns, in place', () => {
+  const generated = [{ group: '🚀 Core Platforms', pages: ['projects/keeper/index', 'projects/keeper/readme'] }];
+  const merged = mergeNavigation(navigation, generated, { titles: ['🚀 Core Platforms', '🤖 AI Development Tools'] });
+
+  expect(merged).toEqual([
+    navigation[0],
+    generated[0],
+    navigation[2],
+    navigation[3]
+  ]);
+});
+
+test('removes owned groups without pages and appends new ones', () => {
+  const generated = [{ group: '🤖 AI Development Tools', pages: ['projects/rag/index'] }];
+  const merged = mergeNavigation(navigation, generated, { titles: ['🚀 Core Platforms', 'Changelog'] });
+
+  expect(merged.map(entry => entry.group)).toEqual(['Get Started', '🤖 AI Development Tools', 'Scanned Projects']);
+  expect(mergeNavigation(navigation, [], { titles: ['Unknown'] })).toEqual(navigation);
+});
+
+test('keeps the project groups of projects that were not scanned', () => {
+  const current = [
+    { group: '🚀 Core Platforms', pages: [{ group: 'Keeper', pages: ['projects/keeper/index'] }, { group: 'Old', pages: ['projects/old/index'] }] },
+    { group: '🤖 AI Development Tools', pages: [{ group: 'RAG', pages: ['projects/rag/index', { group: 'API Reference', pages: ['projects/rag/api/index'] }] }] }
+  ];
+  const generated = [{ group: '🚀 Core Platforms', pages: [{ group: 'Keeper', pages: ['projects/keeper/index', 'projects/keeper/readme'] }] }];
+  const merged = mergeNavigation(current, generated, { titles: ['🚀 Core Platforms', '🤖 AI Development Tools'], keep: ['projects/rag'] });
+
+  expect(merged).toEqual([generated[0], current[1]]);
+});
+
+test('a scan keeps the navigation of projects whose source is missing', async () => {
+  const root = await missingProjectFixture(false);
+  await scanner(root).scan();
+
+  const navigation = await navigationOf(root);
+  expect(navigation.map(entry => entry.group)).toEqual(['Get Started', '🚀 Core Platforms', '🤖 AI Development Tools']);
+  expect(navigation[1].pages).toEqual([{ group: 'Keeper', pages: ['projects/keeper/readme'] }]);
+  expect(navigation[2].pages).toEqual([{ group: 'RAG', pages: ['projects/rag/index', 'projects/rag/readme'] }]);
+});
+
+test('a failing strict scan leaves mint.json alone', async () => {
+  const root = await missingProjectFixture(true);
+  const before = await readFile(path.join(root, 'site/mint.json'), 'utf8');
+
+  await expect(scanner(root).scan()).rejects.toThrow('Strict mode: 1 error(s)');
+  expect(await readFile(path.join(root, 'site/mint.json'), 'utf8')).toBe(before);
+});
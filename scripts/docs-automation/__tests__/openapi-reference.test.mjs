@@ -0,0 +1,65 @@
+import { readFile } from 'node:fs/promises';
+import { expect, test } from 'vitest';
+import { findMDXError } from '../mdx-compiler.cjs';
+import { sanitizeMarkdown } from '../mdx-sanitizer.cjs';
+import { buildApiReference, parseSpec } from '../openapi-reference.cjs';
+
+const fixture = async name => parseSpec(await readFile(new URL(`fixtures/${name}`, import.meta.url), 'utf8'));
+
+// Every page must compile once sanitized, as the scanner publishes it
+async function compiledPages(spec) {
+  const pages = buildApiReference(spec);
+  for (const page of pages) {
+    const error = await findMDXError(await sanitizeMarkdown(page.markdown), `${page.slug}.mdx`);
+    if (error) {
+      throw new Error(`${page.slug} does not compile: ${error.message}`);
+    }
+  }
+  return Object.fromEntries(pages.map(page => [page.slug, page]));
+}
+
+test('recursive $refs end at the schema being expanded', async () => {
+  const pages = await compiledPages(await fixture('openapi-tree.yaml'));
+  const folder = pages['get-folder'].markdown;
+
+  expect(folder).toContain('| `folderId` | path | `string (uuid)` | Yes |  |');
+  expect(folder).toContain('| `parent` | `Folder` | No |  |');
+  expect(folder).toContain('| `children` | `Folder[]` | No |  |');
+  // The example stops at the first repeat of Folder
+  expect(folder).toContain('"name": "Reports",\n  "parent": {},\n  "children": [\n    {}\n  ]');
+  // Shared responses resolve too
+  expect(folder).toContain('### 404 Not Found\n\nNo such folder');
+});
+
+test('operations without an operationId are named by method and path', async () => {
+  const pages = await compiledPages(await fixture('openapi-tree.yaml'));
+  expect(pages['get-health']).toMatchObject({ title: 'GET /health', description: 'GET /health' });
+  expect(pages.index.markdown).toContain('| [GET /health](./get-health) | `GET` | `/health` |');
+
+  // A slug taken by an earlier operation gets a suffix
+  const swagger = await compiledPages(await fixture('swagger-pets.json'));
+  expect(Object.keys(swagger)).toEqual(['index', 'get-pets', 'add-pet', 'get-pets-2', 'post-pets-id-photo']);
+  expect(swagger['get-pets-2'].title).toBe('Get a pet');
+});
+
+test('Swagger 2 body and form parameters become request bodies', async () => {
+  const spec = await fixture('swagger-pets.json');
+  expect(spec).toMatchObject({ openapi: '3.0.0', servers: [{ url: 'https://pets.example.com/api' }] });
+
+  const pages = await compiledPages(spec);
+  const addPet = pages['add-pet'].markdown;
+  expect(addPet).toContain('## Request body\n\nThe pet to add\n\nContent type `application/json` (required)');
+  expect(addPet).toContain('| `name` | `string` | Yes |  |');
+  // Shared parameters are resolved before being sorted into body and the rest
+  expect(addPet).toContain('| `X-Trace` | header | `string` | No |  |');
+  expect(addPet).toContain(`-H "Content-Type: application/json" \\\n  -d '{"name":"Rex","tag":"string"}'`);
+
+  expect(pages['post-pets-id-photo'].markdown).toContain('Content type `multipart/form-data` (required)');
+  expect(pages['get-pets'].markdown).toContain('curl -X GET "https://pets.example.com/api/pets?limit=1"');
+});
+
+test('only API descriptions are parsed', () => {
+  expect(parseSpec('name: not an api\n')).toBeNull();
+  expect(parseSpec('{ "openapi": "3.1')).toBeNull();
+  expect(() => parseSpec('swagger: "1.2"\n')).toThrow('Unsupported API description version 1.2');
+});
@@ -0,0 +1,53 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, beforeAll, expect, test } from 'vitest';
+import { TemplateSet, renderTemplate } from '../page-templates.cjs';
+
+let overrides;
+
+beforeAll(async () => {
+  overrides = await mkdtemp(path.join(tmpdir(), 'page-templates-'));
+  await writeFile(path.join(overrides, 'default-readme.hbs'), '# {{project.displayName}}\n\n{{> workspace-packages}}');
+});
+
+afterAll(async () => {
+  await rm(overrides, { recursive: true, force: true });
+});
+
+test('renders values, conditions and lists', () => {
+  const template = '# {{title}}\n\n{{#each items}}\n{{@index}}. {{name}} of {{title}}{{#if @last}}.{{/if}}\n{{else}}\nNothing.\n{{/each}}\n{{#unless items}}\nEmpty.\n{{/unless}}\n';
+  expect(renderTemplate(template, { title: 'List', items: [{ name: 'a' }, { name: 'b' }] }))
+    .toBe('# List\n\n0. a of List\n1. b of List.\n');
+  expect(renderTemplate(template, { title: 'List', items: [] })).toBe('# List\n\nNothing.\nEmpty.\n');
+});
+
+test('includes partials and drops comments', () => {
+  expect(renderTemplate('{{! heading }}\n# {{name}}\n{{> footer}}\n', { name: 'Keeper' }, { footer: '---\n*{{name}}*\n' }))
+    .toBe('# Keeper\n---\n*Keeper*\n');
+});
+
+test('escapes values for MDX unless they use triple braces', () => {
+  const data = { description: 'Parses {config} into <T>', excerpt: '<Note>Hi</Note>' };
+  expect(renderTemplate('{{description}}\n{{{excerpt}}}\n{{{ excerpt }}}', data))
+    .toBe('Parses \\{config\\} into \\<T>\n<Note>Hi</Note>\n<Note>Hi</Note>');
+  expect(renderTemplate('{{text}}', { text: 'already \\{escaped\\}' })).toBe('already \\{escaped\\}');
+});
+
+test('reports unclosed blocks and unknown partials', () => {
+  expect(() => renderTemplate('{{#if a}}', {}, {}, 'intro')).toThrow('Template intro: {{#if}} is not closed');
+  expect(() => renderTemplate('{{#each a}}{{/if}}', {})).toThrow('{{/if}} does not close {{#each}}');
+  expect(() => renderTemplate('{{> missing}}', {})).toThrow('unknown partial {{> missing}}');
+});
+
+test('templates in earlier directories replace built-in ones', async () => {
+  const templates = new TemplateSet().forDirectory(overrides);
+  const workspace = { tool: 'pnpm', packages: [{ displayName: 'ui', path: 'packages/ui', description: 'UI kit' }] };
+  const readme = await templates.render('default-readme', { project: { displayName: 'Keeper' }, workspace });
+  expect(readme).toContain('# Keeper\n\n\n## Workspace Packages\n\nThis pnpm monorepo has 1 workspace packages.');
+  expect(readme).toContain('| [ui](./packages/ui/index) | `packages/ui` | UI kit |');
+
+  const development = await new TemplateSet().render('default-development', { project: { displayName: 'Keeper' } });
+  expect(development).toMatch(/^# Development Guide\n\n## Keeper Development\n/);
+  expect((await templates.files())[0]).toBe(path.join(overrides, 'default-readme.hbs'));
+});
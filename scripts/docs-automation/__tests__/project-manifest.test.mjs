@@ -0,0 +1,136 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterEach, expect, test } from 'vitest';
+import { ManifestError, loadManifest } from '../project-manifest.cjs';
+
+const MANIFEST = `
+variables:
+  WORK: \${HOME_DIR}/work
+  API: \${WORK}/api
+outputDir: out/projects
+defaults:
+  category: core-platforms
+  documentTypes: [introduction, readme]
+  primaryFiles: [README.md]
+projects:
+  - id: api
+    displayName: API
+    sourcePath: \${API}
+  - id: web
+    displayName: Web
+    sourcePath: ./web
+    documentTypes: [readme]
+overrides:
+  web:
+    priority: 9
+`;
+
+const directories = [];
+
+// A directory holding docs.config.yaml and, optionally, docs.config.local.yaml
+async function manifestDir(manifest, local) {
+  const directory = await mkdtemp(path.join(tmpdir(), 'project-manifest-'));
+  directories.push(directory);
+  await writeFile(path.join(directory, 'docs.config.yaml'), manifest);
+  if (local) {
+    await writeFile(path.join(directory, 'docs.config.local.yaml'), local);
+  }
+  return directory;
+}
+
+function problemsOf(load) {
+  try {
+    load();
+  } catch (error) {
+    if (!(error instanceof ManifestError)) {
+      throw error;
+    }
+    return error.problems;
+  }
+  throw new Error('Expected the manifest to be rejected');
+}
+
+afterEach(async () => {
+  await Promise.all(directories.splice(0).map(directory => rm(directory, { recursive: true, force: true })));
+});
+
+test('projects inherit defaults and take overrides', async () => {
+  const directory = await manifestDir(MANIFEST);
+  const { projects, outputDir } = loadManifest(path.join(directory, 'docs.config.yaml'), { env: { HOME_DIR: '/home/dev' } });
+
+  expect(outputDir).toBe(path.join(directory, 'out/projects'));
+  expect(projects[0]).toMatchObject({
+    id: 'api',
+    category: 'core-platforms',
+    documentTypes: ['introduction', 'readme'],
+    primaryFiles: ['README.md'],
+    outputPath: path.join(directory, 'out/projects/api'),
+    priority: 1
+  });
+  // Arrays set on a project replace the inherited ones
+  expect(projects[1]).toMatchObject({ documentTypes: ['readme'], priority: 9, sourcePath: path.join(directory, 'web') });
+});
+
+test('variables resolve from the environment, the local manifest and each other', async () => {
+  const fromEnv = await manifestDir(MANIFEST);
+  expect(loadManifest(path.join(fromEnv, 'docs.config.yaml'), { env: { HOME_DIR: '/home/dev' } }).projects[0].sourcePath)
+    .toBe('/home/dev/work/api');
+  // The environment wins over declared variables
+  expect(loadManifest(path.join(fromEnv, 'docs.config.yaml'), { env: { HOME_DIR: '/home/dev', API: '/srv/api' } }).projects[0].sourcePath)
+    .toBe('/srv/api');
+
+  const fromLocal = await manifestDir(MANIFEST, 'variables:\n  HOME_DIR: /home/local\noverrides:\n  api:\n    priority: 5\n');
+  const { projects } = loadManifest(path.join(fromLocal, 'docs.config.yaml'), { env: {} });
+  expect(projects[0]).toMatchObject({ sourcePath: '/home/local/work/api', priority: 5 });
+});
+
+test('reports every undefined variable', async () => {
+  const directory = await manifestDir(MANIFEST);
+  expect(problemsOf(() => loadManifest(path.join(directory, 'docs.config.yaml'), { env: {} }))).toEqual([
+    'variables.WORK uses undefined variable ${HOME_DIR}; export HOME_DIR or add it to variables in docs.config.local.yaml',
+    'variables.API uses undefined variable ${WORK}; export WORK or add it to variables in docs.config.local.yaml',
+    'projects[0] (api).sourcePath uses undefined variable ${API}; export API or add it to variables in docs.config.local.yaml'
+  ]);
+});
+
+test('rejects unknown options, categories and project ids', async () => {
+  const directory = await manifestDir(`
+projects:
+  - id: api
+    displayName: API
+    sourcePath: ./api
+    category: nowhere
+    documentTypes: [readme, brochure]
+    colour: blue
+overrides:
+  missing:
+    priority: 1
+`);
+  const problems = problemsOf(() => loadManifest(path.join(directory, 'docs.config.yaml'), { env: {} }));
+  expect(problems).toContain('projects[0].category must be one of core-platforms, proptech-solutions, ai-development-tools, got "nowhere"');
+  expect(problems.some(problem => problem.startsWith('projects[0].documentTypes[1] must be one of'))).toBe(true);
+  expect(problems.some(problem => problem.startsWith('projects[0].colour is not a recognised option'))).toBe(true);
+});
+
+test('options.outputDir moves projects without an outputPath', async () => {
+  const directory = await manifestDir(MANIFEST);
+  const { projects } = loadManifest(path.join(directory, 'docs.config.yaml'), { env: { HOME_DIR: '/h' }, outputDir: '/tmp/docs/' });
+  expect(projects.map(project => project.outputPath)).toEqual(['/tmp/docs/api', '/tmp/docs/web']);
+});
+
+test('output paths resolve against the manifest directory, not cwd', async () => {
+  const directory = await manifestDir(`${MANIFEST}    outputPath: ./site/web\n`);
+  const cwd = process.cwd();
+  process.chdir(tmpdir());
+  try {
+    const { projects, outputDir } = loadManifest(path.join(directory, 'docs.config.yaml'), { env: { HOME_DIR: '/h' } });
+    expect(outputDir).toBe(path.join(directory, 'out/projects'));
+    expect(projects.map(project => project.outputPath)).toEqual([path.join(directory, 'out/projects/api'), path.join(directory, 'site/web')]);
+    // A command-line outputDir is relative to where the command runs
+    expect(loadManifest(path.join(directory, 'docs.config.yaml'), { env: { HOME_DIR: '/h' }, outputDir: 'docs' }).outputDir)
+      .toBe(path.join(tmpdir(), 'docs'));
+  } finally {
+    process.chdir(cwd);
+  }
+});
@@ -0,0 +1,78 @@
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { expect, test } from 'vitest';
+import { renderModuleReference } from '../code-reference.cjs';
+import { findMDXError } from '../mdx-compiler.cjs';
+import { sanitizeMarkdown } from '../mdx-sanitizer.cjs';
+import { extractPythonReferences, parseDocstring, pythonModuleName } from '../python-reference.cjs';
+
+const PACKAGE = fileURLToPath(new URL('fixtures/python-package/', import.meta.url));
+const hasPython = spawnSync(process.env.PYTHON || 'python3', ['--version']).status === 0;
+
+test('parses Google, NumPy and Sphinx docstrings', () => {
+  expect(parseDocstring('Open a store.\n\nArgs:\n    path (str): File holding\n        the secrets.\n    create (bool, optional): Create it.\n\nRaises:\n    OSError: On failure.'))
+    .toMatchObject({
+      description: 'Open a store.',
+      params: [
+        { name: 'path', type: 'str', optional: false, description: 'File holding the secrets.' },
+        { name: 'create', type: 'bool', optional: true, description: 'Create it.' }
+      ],
+      raises: [{ type: 'OSError', description: 'On failure.' }]
+    });
+
+  expect(parseDocstring('Read.\n\nParameters\n----------\nname, alias : str\n    The name.\n\nReturns\n-------\nstr\n    The value.'))
+    .toMatchObject({
+      params: [{ name: 'name', type: 'str', description: 'The name.' }, { name: 'alias', type: 'str', description: 'The name.' }],
+      returns: { type: 'str', description: 'The value.' }
+    });
+
+  expect(parseDocstring('Check :func:`~pkg.run`.\n\n:param int depth: How deep.\n:type depth: int, optional\n:rtype: bool'))
+    .toMatchObject({
+      description: 'Check `pkg.run`.',
+      params: [{ name: 'depth', type: 'int', optional: true, description: 'How deep.' }],
+      returns: { type: 'bool', description: '' }
+    });
+});
+
+test('module names are dotted paths without src/', () => {
+  expect(pythonModuleName(`${PACKAGE}src/vault/store.py`, PACKAGE)).toBe('vault.store');
+  expect(pythonModuleName(`${PACKAGE}src/vault/__init__.py`, PACKAGE)).toBe('vault');
+  expect(pythonModuleName(`${PACKAGE}src/vault/__init__.py`, `${PACKAGE}src/vault`)).toBe('vault');
+});
+
+test.skipIf(!hasPython)('documents the public API of Python modules', async () => {
+  const files = ['src/vault/__init__.py', 'src/vault/store.py', 'src/broken.py'].map(file => `${PACKAGE}${file}`);
+  const references = await extractPythonReferences(files);
+
+  // __all__ decides what is public
+  expect(references.get(files[0]).symbols.map(symbol => symbol.name)).toEqual(['open_store']);
+
+  const store = references.get(files[1]);
+  expect(store.description).toBe('Secret store backed by a single file.\n\nSee `vault.store.SecretStore` for the API.');
+  expect(store.symbols.map(symbol => [symbol.name, symbol.kind])).toEqual([
+    ['MAX_SECRETS', 'variable'],
+    ['SecretStore', 'class'],
+    ['rotate', 'function']
+  ]);
+
+  const [constant, secretStore, rotate] = store.symbols;
+  expect(constant).toMatchObject({ signature: 'MAX_SECRETS = 1000', description: 'Secrets one store can hold.' });
+  expect(secretStore.methods.map(method => method.name)).toEqual(['__init__', 'get', 'static check']);
+  expect(secretStore.properties).toMatchObject([
+    { name: 'path', type: 'str', description: 'Where the secrets are kept.' },
+    { name: 'version', description: 'Format version written to new files.' }
+  ]);
+  // Annotations win over docstring types; self is left out
+  expect(secretStore.methods[1].params).toMatchObject([
+    { name: 'name', type: 'str', optional: false, description: 'Name of the secret.' },
+    { name: 'default', type: 'str | None', optional: true, defaultValue: 'None' }
+  ]);
+  expect(secretStore.methods[2]).toMatchObject({ returns: { type: 'bool' }, raises: [{ type: 'ValueError' }] });
+  expect(rotate).toMatchObject({ deprecated: 'Since 2.0. Use ``SecretStore.rotate`` instead.', returns: null, examples: ['>>> rotate(store, "db")'] });
+
+  expect(references.get(files[2]).error).toMatch(/^SyntaxError: /);
+
+  const markdown = await sanitizeMarkdown(renderModuleReference('vault.store', store));
+  expect(await findMDXError(markdown, 'vault-store.mdx')).toBeNull();
+  expect(markdown).toContain('### SecretStore.\\_\\_init\\_\\_');
+});
@@ -0,0 +1,73 @@
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, beforeAll, expect, test, vi } from 'vitest';
+import { EnhancedProjectScanner } from '../enhanced-scan-projects.cjs';
+import { loadManifest } from '../project-manifest.cjs';
+
+let root;
+let project;
+
+function newScanner() {
+  return new EnhancedProjectScanner({
+    manifest: loadManifest(path.join(root, 'docs.config.yaml')),
+    outputDir: path.join(root, 'site/projects')
+  });
+}
+
+const source = relativePath => ({
+  path: path.join(project.path, relativePath),
+  filename: path.basename(relativePath),
+  frontmatter: {}
+});
+
+beforeAll(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => undefined);
+  root = await mkdtemp(path.join(tmpdir(), 'routes-'));
+  project = { name: 'proj', path: path.join(root, 'proj') };
+
+  const files = {
+    'docs/Setup Guide/README.md': '# Setup',
+    'docs/api.md': '# API',
+    'scripts/run.sh': '#!/bin/sh',
+    'node_modules/dep/README.md': '# Dependency',
+    '.github/README.md': '# Profile'
+  };
+  for (const [relativePath, content] of Object.entries(files)) {
+    await mkdir(path.dirname(path.join(project.path, relativePath)), { recursive: true });
+    await writeFile(path.join(project.path, relativePath), content);
+  }
+  await writeFile(path.join(root, 'docs.config.yaml'), 'projects: []\nscanner:\n  generation:\n    gitMetadata: false\n');
+});
+
+afterAll(async () => {
+  vi.restoreAllMocks();
+  await rm(root, { recursive: true, force: true });
+});
+
+test('routes mirror the source path with slugified segments', () => {
+  const scanner = newScanner();
+  expect(scanner.routeFor(source('docs/Setup Guide/README.md'), project)).toBe('docs/setup-guide/readme.mdx');
+  expect(scanner.routeFor(source('docs/API Notes.md'), project)).toBe('docs/api-notes.mdx');
+  expect(scanner.routeFor(source('CLAUDE.md'), project)).toBe('ai-context.mdx');
+  // A frontmatter route replaces the mirrored path and cannot leave the project
+  expect(scanner.routeFor({ ...source('notes.md'), frontmatter: { route: '../Guides/Install.md' } }, project)).toBe('guides/install.mdx');
+});
+
+test('a page belongs to the first source that claims it', () => {
+  const scanner = newScanner();
+  expect(scanner.routes.claim('proj/readme.mdx', 'README.md')).toBe(true);
+  expect(scanner.routes.claim('proj/readme.mdx', 'README.md')).toBe(true);
+  expect(scanner.logger.stats.errorsEncountered).toBe(0);
+
+  expect(scanner.routes.claim(path.join(root, 'site/projects/proj/readme.mdx'), 'docs/README.md')).toBe(false);
+  expect(scanner.logger.stats.errorsEncountered).toBe(1);
+});
+
+test('globs with negated patterns and gitignore-style ignores', async () => {
+  const matches = await newScanner().glob(['**/*.md', '!docs/api.md'], { cwd: project.path, ignore: ['node_modules'] });
+  expect(matches).toEqual([
+    path.join(project.path, '.github/README.md'),
+    path.join(project.path, 'docs/Setup Guide/README.md')
+  ]);
+});
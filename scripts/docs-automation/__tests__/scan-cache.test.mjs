@@ -0,0 +1,148 @@
+import { mkdir, mkdtemp, readFile, rm, stat, unlink, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, afterEach, beforeAll, expect, test, vi } from 'vitest';
+import { EnhancedProjectScanner, ScanCache } from '../enhanced-scan-projects.cjs';
+import { loadManifest } from '../project-manifest.cjs';
+
+const directories = [];
+
+async function tempDir() {
+  const directory = await mkdtemp(path.join(tmpdir(), 'scan-cache-'));
+  directories.push(directory);
+  return directory;
+}
+
+async function writeFiles(root, files) {
+  for (const [relativePath, content] of Object.entries(files)) {
+    await mkdir(path.dirname(path.join(root, relativePath)), { recursive: true });
+    await writeFile(path.join(root, relativePath), content);
+  }
+}
+
+// A discovery scan of root/projects into root/site/projects, without git or navigation
+async function scan(root) {
+  const scanner = new EnhancedProjectScanner({
+    manifest: loadManifest(path.join(root, 'docs.config.yaml')),
+    outputDir: path.join(root, 'site/projects'),
+    basePaths: [path.join(root, 'projects')]
+  });
+  await scanner.scan();
+  return scanner.logger.stats;
+}
+
+async function projectFixture(files) {
+  const root = await tempDir();
+  await writeFiles(root, {
+    'docs.config.yaml': [
+      'projects: []',
+      'scanner:',
+      '  output:',
+      '    createNavigation: false',
+      '  validation:',
+      '    strictMode: false',
+      '  generation:',
+      '    gitMetadata: false',
+      ''
+    ].join('\n'),
+    'projects/proj/package.json': JSON.stringify({ name: 'proj', version: '1.0.0', description: 'Parses {config} into <T>' }),
+    ...Object.fromEntries(Object.entries(files).map(([relativePath, content]) => [`projects/proj/${relativePath}`, content]))
+  });
+  return root;
+}
+
+beforeAll(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => undefined);
+});
+
+afterEach(async () => {
+  await Promise.all(directories.splice(0).map(directory => rm(directory, { recursive: true, force: true })));
+});
+
+afterAll(() => {
+  vi.restoreAllMocks();
+});
+
+test('reuses file hashes while size and modification time match', async () => {
+  const root = await tempDir();
+  const filePath = path.join(root, 'a.md');
+  await writeFile(filePath, 'one');
+
+  const cache = new ScanCache(path.join(root, 'scan-cache.json'));
+  const first = await cache.hashFile(filePath, await stat(filePath));
+  expect(first).toBe(ScanCache.hash(Buffer.from('one')));
+
+  // Same size and mtime: the stored hash is trusted
+  await writeFile(filePath, 'two');
+  expect(await cache.hashFile(filePath, cache.entries.files[filePath])).toBe(first);
+  expect(await cache.hashFile(filePath, { mtimeMs: 1, size: 3 })).toBe(ScanCache.hash(Buffer.from('two')));
+});
+
+test('persists outputs and drops caches of another version or with --force', async () => {
+  const root = await tempDir();
+  const cachePath = path.join(root, 'scan-cache.json');
+
+  const cache = new ScanCache(cachePath);
+  cache.setOutput('proj:README.md', 'abc', { processed: [] });
+  await cache.save();
+
+  const reloaded = new ScanCache(cachePath);
+  await reloaded.load();
+  expect(reloaded.isFresh('proj:README.md', 'abc')).toBe(true);
+  expect(reloaded.isFresh('proj:README.md', 'def')).toBe(false);
+
+  const forced = new ScanCache(cachePath, { force: true });
+  await forced.load();
+  expect(forced.isFresh('proj:README.md', 'abc')).toBe(false);
+
+  await writeFile(cachePath, JSON.stringify({ ...JSON.parse(await readFile(cachePath, 'utf8')), version: ScanCache.VERSION - 1 }));
+  const outdated = new ScanCache(cachePath);
+  await outdated.load();
+  expect(outdated.isFresh('proj:README.md', 'abc')).toBe(false);
+});
+
+test('a second scan leaves unchanged pages alone and escapes the index', async () => {
+  const root = await projectFixture({
+    'README.md': '# Proj\n\nSee the [guide](./docs/guide.md).\n',
+    'docs/guide.md': '# Guide\n\nSteps.\n'
+  });
+
+  expect(await scan(root)).toMatchObject({ errorsEncountered: 0, filesUnchanged: 0 });
+  // README, guide and package.json
+  expect(await scan(root)).toMatchObject({ errorsEncountered: 0, filesUnchanged: 3 });
+
+  const index = await readFile(path.join(root, 'site/projects/proj/index.mdx'), 'utf8');
+  expect(index).toContain('Parses \\{config\\} into \\<T>');
+  expect(index).toContain('- [Guide](./docs/guide)');
+});
+
+test('pages that logged errors are rebuilt and reported on every scan', async () => {
+  const root = await projectFixture({
+    'README.md': '# Proj\n\nSee the [setup](./docs/setup.md).\n',
+    'docs/guide.md': '# Guide\n\nSteps.\n'
+  });
+
+  expect(await scan(root)).toMatchObject({ errorsEncountered: 1, filesUnchanged: 0 });
+  // Only the guide and package.json come from the cache
+  expect(await scan(root)).toMatchObject({ errorsEncountered: 1, filesUnchanged: 2 });
+
+  await writeFile(path.join(root, 'projects/proj/docs/setup.md'), '# Setup\n');
+  expect(await scan(root)).toMatchObject({ errorsEncountered: 0 });
+  expect(await scan(root)).toMatchObject({ errorsEncountered: 0, filesUnchanged: 4 });
+});
+
+test('removing a document refreshes the index and the pages linking to it', async () => {
+  const root = await projectFixture({
+    'README.md': '# Proj\n\nSee the [guide](./docs/guide.md#steps).\n',
+    'docs/guide.md': '# Guide\n\n## Steps\n'
+  });
+  const output = relativePath => readFile(path.join(root, 'site/projects/proj', relativePath), 'utf8');
+
+  await scan(root);
+  expect(await output('readme.mdx')).toContain('[guide](./docs/guide#steps)');
+
+  await unlink(path.join(root, 'projects/proj/docs/guide.md'));
+  // The README itself did not change, but the page it links to is gone
+  expect(await scan(root)).toMatchObject({ errorsEncountered: 1, filesUnchanged: 0 });
+  expect(await output('index.mdx')).not.toContain('Guide');
+});
@@ -0,0 +1,66 @@
+import { expect, test } from 'vitest';
+import { documentRoutes, mergeSources, normalizeHeadings, orderSources, sourceTitle } from '../source-merge.cjs';
+
+const architecture = [
+  { relativePath: 'docs/adr/0010-later.md' },
+  { relativePath: 'docs/architecture/data-flow.md' },
+  { relativePath: 'docs/adr/0002-use-mdx.md' },
+  { relativePath: 'docs/architecture/overview.md' },
+  { relativePath: 'docs/adr/0001-record-decisions.md' }
+];
+
+test('orders by frontmatter, depth, directory, index files and natural names', () => {
+  expect(orderSources(architecture).map(source => source.relativePath)).toEqual([
+    'docs/adr/0001-record-decisions.md',
+    'docs/adr/0002-use-mdx.md',
+    'docs/adr/0010-later.md',
+    'docs/architecture/overview.md',
+    'docs/architecture/data-flow.md'
+  ]);
+
+  const ordered = orderSources([
+    { relativePath: 'docs/b.md' },
+    { relativePath: 'docs/deep/a.md', frontmatter: { sidebar_position: 1 } }
+  ]);
+  expect(ordered[0].relativePath).toBe('docs/deep/a.md');
+});
+
+test('shifts headings but not fenced code', () => {
+  expect(normalizeHeadings('# Title\n\n```sh\n# comment\n```\n\n### Deep', 2))
+    .toBe('## Title\n\n```sh\n# comment\n```\n\n#### Deep');
+});
+
+test('merges sources, dropping repeated intros and sections', () => {
+  const merged = mergeSources([
+    { title: 'Overview', content: '# Overview\n\nMono is a monorepo of a web app.\n\n## Components\n\n- web\n' },
+    { title: 'Data flow', content: '# Data Flow\n\nMono is a monorepo of a web app.\n\n## Components\n\n- web\n\n## Requests\n\nThey go to web.' },
+    { title: 'Notes', content: 'No heading here.' }
+  ]);
+  expect(merged).toBe('# Overview\n\nMono is a monorepo of a web app.\n\n## Components\n\n- web\n\n' +
+    '## Data Flow\n\n### Requests\n\nThey go to web.\n\n## Notes\n\nNo heading here.\n');
+
+  expect(mergeSources([{ title: 'A', content: '# A\n\nText' }], '# Architecture'))
+    .toBe('# Architecture\n\n## A\n\nText\n');
+});
+
+test('routes a sub-tree below the index, grouped by directory', () => {
+  const routes = documentRoutes('architecture', 'tree', orderSources(architecture));
+  expect(routes.map(({ source, route }) => [source.relativePath, route])).toEqual([
+    ['docs/architecture/overview.md', 'architecture.mdx'],
+    ['docs/architecture/data-flow.md', 'architecture/data-flow.mdx'],
+    ['docs/adr/0001-record-decisions.md', 'architecture/adr/0001-record-decisions.mdx'],
+    ['docs/adr/0002-use-mdx.md', 'architecture/adr/0002-use-mdx.mdx'],
+    ['docs/adr/0010-later.md', 'architecture/adr/0010-later.mdx']
+  ]);
+
+  const page = documentRoutes('architecture', 'page', orderSources(architecture));
+  expect(page[0].source.relativePath).toBe('docs/architecture/overview.md');
+  expect(new Set(page.map(({ route }) => route))).toEqual(new Set(['architecture.mdx']));
+  expect(documentRoutes('architecture', 'first', architecture)).toHaveLength(1);
+});
+
+test('titles come from frontmatter, the leading heading or the file name', () => {
+  expect(sourceTitle({ title: 'Data flow', frontmatter: { title: 'Flow' }, content: '# Data Flow' })).toBe('Flow');
+  expect(sourceTitle({ title: 'Data flow', content: '# Data Flow\n\nText' })).toBe('Data Flow');
+  expect(sourceTitle({ title: 'Data flow', content: 'Text' })).toBe('Data flow');
+});
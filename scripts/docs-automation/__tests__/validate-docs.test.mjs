@@ -0,0 +1,85 @@
+import { execFileSync } from 'node:child_process';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, beforeAll, expect, test, vi } from 'vitest';
+import { EnhancedProjectScanner } from '../enhanced-scan-projects.cjs';
+import { parseFrontmatter } from '../frontmatter.cjs';
+import { loadManifest } from '../project-manifest.cjs';
+import { DocumentationValidator } from '../validate-docs.cjs';
+
+let root;
+
+beforeAll(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => undefined);
+  root = await mkdtemp(path.join(tmpdir(), 'validate-docs-'));
+  await mkdir(path.join(root, 'proj/docs'), { recursive: true });
+  await mkdir(path.join(root, 'site'));
+  await writeFile(path.join(root, 'proj/README.md'), '# Proj\n\nParses configuration files. See the [design](docs/architecture.md).\n');
+  await writeFile(path.join(root, 'proj/docs/architecture.md'), '# Design\n\nOne module per format.\n');
+  await writeFile(path.join(root, 'site/mint.json'), JSON.stringify({ name: 'Docs', navigation: [] }));
+  await writeFile(path.join(root, 'docs.config.yaml'), [
+    'projects:',
+    '  - id: proj',
+    '    displayName: Proj',
+    '    sourcePath: ./proj',
+    '    category: core-platforms',
+    '    documentTypes: [introduction, readme, architecture, development]',
+    '    primaryFiles: [README.md, docs/*.md]',
+    'scanner:',
+    '  generation:',
+    '    gitMetadata: false',
+    ''
+  ].join('\n'));
+});
+
+afterAll(async () => {
+  vi.restoreAllMocks();
+  await rm(root, { recursive: true, force: true });
+});
+
+test('freshly generated pages pass validation without issues', async () => {
+  const outputDir = path.join(root, 'site/projects');
+  const manifest = loadManifest(path.join(root, 'docs.config.yaml'), { outputDir });
+  await new EnhancedProjectScanner({ manifest, outputDir }).scan();
+
+  const validator = new DocumentationValidator({ docsDir: outputDir, projects: manifest.projects, quiet: true });
+  const { issues } = await validator.validate();
+  expect(validator.files).toHaveLength(4);
+  expect(issues).toEqual([]);
+});
+
+test('--fix dates pages by the last commit of their source', async () => {
+  const checkout = path.join(root, 'checkout');
+  const page = (relativePath, frontmatter) => writeFile(path.join(checkout, 'site/projects', relativePath), `---\n${frontmatter}---\n\n# Page\n`);
+  const commit = (date, ...files) => {
+    execFileSync('git', ['add', ...files], { cwd: checkout });
+    execFileSync('git', ['-c', 'user.name=Docs', '-c', 'user.email=docs@example.com', 'commit', '-q', '-m', date], {
+      cwd: checkout,
+      env: { ...process.env, GIT_AUTHOR_DATE: `${date}T12:00:00Z`, GIT_COMMITTER_DATE: `${date}T12:00:00Z` }
+    });
+  };
+
+  await mkdir(path.join(checkout, 'site/projects/proj'), { recursive: true });
+  await mkdir(path.join(checkout, 'src'));
+  execFileSync('git', ['init', '-q'], { cwd: checkout });
+  await writeFile(path.join(checkout, 'src/README.md'), '# Proj\n');
+  commit('2023-01-02', 'src/README.md');
+  await page('proj/readme.mdx', 'title: Readme\ndescription: The README\nsourceFile: README.md\n');
+  await page('proj/notes.mdx', 'title: Notes\ndescription: Notes\n');
+  commit('2024-03-05', 'site');
+  await page('proj/draft.mdx', 'title: Draft\ndescription: Not committed\n');
+
+  const validator = new DocumentationValidator({
+    docsDir: path.join(checkout, 'site/projects'),
+    projects: [{ id: 'proj', category: 'core-platforms', sourcePath: path.join(checkout, 'src'), outputPath: path.join(checkout, 'site/projects/proj') }],
+    fix: true,
+    quiet: true
+  });
+  await validator.validate();
+
+  const lastUpdated = async name => parseFrontmatter(await readFile(path.join(checkout, 'site/projects/proj', name), 'utf8')).data.lastUpdated;
+  expect(await lastUpdated('readme.mdx')).toBe('2023-01-02');
+  expect(await lastUpdated('notes.mdx')).toBe('2024-03-05');
+  expect(await lastUpdated('draft.mdx')).toBeUndefined();
+});
@@ -0,0 +1,116 @@
+import { mkdir, mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterAll, beforeAll, expect, test, vi } from 'vitest';
+import { EnhancedProjectScanner } from '../enhanced-scan-projects.cjs';
+import { loadManifest } from '../project-manifest.cjs';
+import { detectWorkspaces } from '../workspaces.cjs';
+
+let root;
+
+// Write { relativePath: content } below `dir`; objects are written as JSON
+async function writeTree(dir, files) {
+  for (const [relativePath, content] of Object.entries(files)) {
+    await mkdir(path.dirname(path.join(dir, relativePath)), { recursive: true });
+    await writeFile(path.join(dir, relativePath), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return dir;
+}
+
+beforeAll(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => undefined);
+  root = await mkdtemp(path.join(tmpdir(), 'workspaces-'));
+  await writeTree(path.join(root, 'mono'), {
+    'package.json': { name: 'mono', private: true },
+    'pnpm-workspace.yaml': 'packages:\n  - apps/*\n  - packages/*\n  - "!packages/legacy"\n',
+    'turbo.json': '{}',
+    'README.md': '# Mono\n\nThe monorepo.\n',
+    'apps/web/package.json': { name: 'web', version: '1.0.0', dependencies: { '@mono/ui': 'workspace:*', react: '^19.0.0' } },
+    'apps/web/README.md': '# Web\n\nThe site.\n',
+    'packages/ui/package.json': { name: '@mono/ui', description: 'Shared components', private: true },
+    'packages/ui/node_modules/dep/package.json': { name: 'dep' },
+    'packages/legacy/package.json': { name: 'legacy' }
+  });
+});
+
+afterAll(async () => {
+  vi.restoreAllMocks();
+  await rm(root, { recursive: true, force: true });
+});
+
+test('reads pnpm workspaces with exclusions and links internal dependencies', async () => {
+  const workspace = await detectWorkspaces(path.join(root, 'mono'));
+  expect(workspace).toMatchObject({ manager: 'pnpm', turbo: true });
+  expect(workspace.packages).toMatchObject([
+    { name: 'web', relativePath: 'apps/web', version: '1.0.0', internalDependencies: ['@mono/ui'], dependents: [] },
+    { name: '@mono/ui', relativePath: 'packages/ui', description: 'Shared components', private: true, readme: null, internalDependencies: [], dependents: ['web'] }
+  ]);
+  expect(workspace.packages[0].readme).toBe(path.join(root, 'mono/apps/web/README.md'));
+});
+
+test('reads npm and yarn workspaces and the Turborepo layout', async () => {
+  const yarn = await writeTree(path.join(root, 'yarn'), {
+    'package.json': { name: 'root', workspaces: { packages: ['*'] } },
+    'yarn.lock': '',
+    'lib/package.json': { name: 'lib' }
+  });
+  // "*" also matches the root package.json, which is not a package of its own
+  expect(await detectWorkspaces(yarn)).toMatchObject({ manager: 'yarn', turbo: false, packages: [{ name: 'lib', relativePath: 'lib' }] });
+
+  const npm = await writeTree(path.join(root, 'npm'), {
+    'package.json': { name: 'root', workspaces: ['tools/'] },
+    'tools/package.json': {}
+  });
+  // A package without a name is named by its path
+  expect(await detectWorkspaces(npm)).toMatchObject({ manager: 'npm', packages: [{ name: 'tools' }] });
+
+  const turbo = await writeTree(path.join(root, 'turbo'), {
+    'package.json': { name: 'root' },
+    'turbo.json': '{}',
+    'apps/docs/package.json': { name: 'docs' }
+  });
+  expect(await detectWorkspaces(turbo)).toMatchObject({ manager: null, turbo: true, packages: [{ name: 'docs' }] });
+});
+
+test('single packages and broken manifests', async () => {
+  const single = await writeTree(path.join(root, 'single'), { 'package.json': { name: 'single' } });
+  expect(await detectWorkspaces(single)).toBeNull();
+
+  const broken = await writeTree(path.join(root, 'broken'), {
+    'package.json': { name: 'root', workspaces: ['pkg'] },
+    'pkg/package.json': '{ "name": '
+  });
+  await expect(detectWorkspaces(broken)).rejects.toThrow(`Could not parse ${path.join(broken, 'pkg/package.json')}`);
+});
+
+test('a scan gives each workspace package its own pages', async () => {
+  await writeFile(path.join(root, 'docs.config.yaml'), [
+    'projects:',
+    '  - id: mono',
+    '    displayName: Mono',
+    '    sourcePath: ./mono',
+    '    category: core-platforms',
+    '    documentTypes: [readme]',
+    '    primaryFiles: [README.md, "apps/*/README.md"]',
+    'scanner:',
+    '  output:',
+    '    createNavigation: false',
+    '  generation:',
+    '    gitMetadata: false',
+    ''
+  ].join('\n'));
+  const outputDir = path.join(root, 'site/projects');
+  const scanner = new EnhancedProjectScanner({ manifest: loadManifest(path.join(root, 'docs.config.yaml'), { outputDir }), outputDir });
+  await scanner.scan();
+  expect(scanner.logger.stats.errorsEncountered).toBe(0);
+
+  const pages = (await readdir(path.join(outputDir, 'mono'), { recursive: true })).filter(file => file.endsWith('.mdx')).sort();
+  // The package's README is published with the package, not the monorepo
+  expect(pages).toEqual(['apps/web/index.mdx', 'apps/web/readme.mdx', 'packages/ui/index.mdx', 'readme.mdx']);
+
+  const web = await readFile(path.join(outputDir, 'mono/apps/web/index.mdx'), 'utf8');
+  expect(web).toContain('project: "mono/apps/web"');
+  expect(web).toContain('- [@mono/ui](../../packages/ui/index)');
+  const ui = await readFile(path.join(outputDir, 'mono/packages/ui/index.mdx'), 'utf8');
+  expect(ui).toContain('## Used By\n\n- [web](../../apps/web/index)');
+});
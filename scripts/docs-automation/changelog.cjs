@@ -0,0 +1,312 @@
+/**
+ * Changelog Parsing for LostMind AI Documentation
+ *
+ * Reads Keep a Changelog files and the changelogs written by
+ * conventional-commit tools (conventional-changelog, standard-version,
+ * release-please, semantic-release, changesets) into structured releases,
+ * and renders release notes, summaries and the Atom feed of the aggregated
+ * changelog. Release headings are recognised by their version, whatever
+ * their level:
+ *   ## [1.2.0] - 2024-05-01            (Keep a Changelog, with [YANKED])
+ *   ## [1.2.0](compare-url) (2024-05-01)   (conventional changelog)
+ *   ## 1.2.0                           (changesets)
+ * Other headings inside a release are its sections (Added, Bug Fixes, ...).
+ */
+
+const RELEASE_PATTERN = /^\[?((?:[\w./@-]*?[@-])?v?\d+\.\d+(?:\.\d+)?(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?|unreleased)\]?(?:\(([^)\s]+)\))?(.*)$/i;
+const DATE_PATTERN = /\b(\d{4}-\d{2}-\d{2})\b/;
+
+// Section titles by kind; the first matching pattern wins
+const SECTION_KINDS = [
+  ['breaking', /breaking|major changes/i],
+  ['added', /^(added|features?|new)\b|minor changes/i],
+  ['fixed', /fix|patch changes/i],
+  ['security', /security/i],
+  ['deprecated', /deprecat/i],
+  ['removed', /removed|reverts?/i],
+  ['performance', /perf/i],
+  ['docs', /^doc/i],
+  ['dependencies', /dependenc/i],
+  ['changed', /change|improve|refactor|update/i]
+];
+
+// Singular and plural nouns for release summaries
+const KIND_NOUNS = {
+  breaking: ['breaking change', 'breaking changes'],
+  added: ['addition', 'additions'],
+  fixed: ['fix', 'fixes'],
+  security: ['security fix', 'security fixes'],
+  deprecated: ['deprecation', 'deprecations'],
+  removed: ['removal', 'removals'],
+  performance: ['performance improvement', 'performance improvements'],
+  docs: ['documentation change', 'documentation changes'],
+  dependencies: ['dependency update', 'dependency updates'],
+  changed: ['change', 'changes'],
+  other: ['other change', 'other changes']
+};
+
+function sectionKind(title) {
+  const match = SECTION_KINDS.find(([, pattern]) => pattern.test(title));
+  return match ? match[0] : 'other';
+}
+
+// Heading text without HTML (<small>1.0.1</small>), emoji and trailing #s
+function headingText(text) {
+  return text
+    .replace(/<[^>]+>/g, '')
+    .replace(/\s+#+\s*$/, '')
+    .replace(/^[^\w[]+/u, '')
+    .trim();
+}
+
+// { version, url, date, yanked } when a heading names a release, otherwise null
+function parseReleaseHeading(text) {
+  const match = headingText(text).match(RELEASE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, version, url, rest] = match;
+  const date = rest.match(DATE_PATTERN);
+  const yanked = /\[?yanked\]?/i.test(rest);
+  // "1.2 Introduction" is a numbered heading, not a release
+  if (rest.trim() && !date && !yanked && !/^[\s\-–—:()]*$/.test(rest)) {
+    return null;
+  }
+
+  const unreleased = version.toLowerCase() === 'unreleased';
+  return {
+    version: unreleased ? 'Unreleased' : version,
+    url: url || null,
+    date: date ? date[1] : null,
+    yanked,
+    unreleased
+  };
+}
+
+// { scope, text, breaking } of a list entry; conventional entries start with **scope:**
+function parseEntry(text, kind) {
+  const scoped = text.match(/^\*\*([^*:]+):\*\*\s*([\s\S]*)$/);
+  const breaking = kind === 'breaking' || /^\*\*BREAKING/.test(text);
+  return scoped
+    ? { scope: scoped[1].trim(), text: scoped[2].trim(), breaking }
+    : { scope: null, text: text.trim(), breaking };
+}
+
+/**
+ * Parse a changelog (Markdown without frontmatter) into
+ * { title, intro, releases } where each release is
+ * { version, date, url, yanked, unreleased, notes, sections } and each
+ * section { title, kind, entries: [{ scope, text, breaking }], notes }.
+ * Releases keep the file's order, newest first by convention. Link
+ * reference definitions ([1.2.0]: https://...) supply release URLs.
+ */
+function parseChangelog(markdown) {
+  const references = {};
+  const lines = markdown
+    .split('\n')
+    .filter(line => {
+      const definition = line.match(/^\s{0,3}\[([^\]]+)\]:\s*(\S+)/);
+      if (definition) {
+        references[definition[1].toLowerCase()] = definition[2];
+      }
+      return !definition;
+    });
+
+  const changelog = { title: null, intro: [], releases: [] };
+  let release = null;
+  // Level of the highest release heading; standard-version puts patch
+  // releases a level below minor ones, at the level of their sections
+  let releaseLevel = Number.POSITIVE_INFINITY;
+  let section = null;
+  let entry = null;
+  let fence = null;
+  // Text after a heading that ends the releases (e.g. "## Links")
+  let outside = false;
+
+  const closeEntry = () => {
+    if (entry) {
+      section.entries.push(parseEntry(entry.join('\n'), section.kind));
+      entry = null;
+    }
+  };
+
+  for (const line of lines) {
+    const fenceMarker = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMarker && (!fence || fenceMarker[1].startsWith(fence))) {
+      fence = fence ? null : fenceMarker[1];
+    }
+    const heading = !fence && !fenceMarker && line.match(/^(#{1,6})\s+(.*)$/);
+
+    if (heading) {
+      const level = heading[1].length;
+      const parsed = parseReleaseHeading(heading[2]);
+
+      if (parsed) {
+        closeEntry();
+        release = { ...parsed, notes: [], sections: [] };
+        release.url = release.url || references[parsed.version.toLowerCase()] || null;
+        changelog.releases.push(release);
+        releaseLevel = Math.min(releaseLevel, level);
+        section = null;
+        outside = false;
+        continue;
+      }
+
+      if (release && level > releaseLevel) {
+        closeEntry();
+        const title = headingText(heading[2]);
+        section = { title, kind: sectionKind(title), entries: [], notes: [] };
+        release.sections.push(section);
+        continue;
+      }
+
+      if (!release && level === 1 && !changelog.title) {
+        changelog.title = headingText(heading[2]);
+        continue;
+      }
+
+      if (release) {
+        closeEntry();
+        release = null;
+        section = null;
+        outside = true;
+        continue;
+      }
+    }
+
+    if (outside) {
+      continue;
+    }
+    if (!release) {
+      changelog.intro.push(line);
+      continue;
+    }
+
+    // Entries without a section heading go into an unnamed section
+    const item = !fence && line.match(/^[*+-]\s+(.*)$/);
+    if (item) {
+      if (!section) {
+        section = { title: null, kind: 'other', entries: [], notes: [] };
+        release.sections.push(section);
+      }
+      closeEntry();
+      entry = [item[1]];
+    } else if (entry && (line.trim() === '' || /^\s+/.test(line))) {
+      entry.push(line.replace(/^ {2,4}/, ''));
+    } else {
+      closeEntry();
+      (section ? section.notes : release.notes).push(line);
+    }
+  }
+  closeEntry();
+
+  const trim = text => text.join('\n').trim();
+  changelog.intro = trim(changelog.intro);
+  for (const parsed of changelog.releases) {
+    parsed.notes = trim(parsed.notes);
+    parsed.sections = parsed.sections
+      .map(parsedSection => ({ ...parsedSection, notes: trim(parsedSection.notes) }))
+      .filter(parsedSection => parsedSection.entries.length > 0 || parsedSection.notes);
+  }
+  changelog.releases = changelog.releases.filter(parsed => parsed.notes || parsed.sections.length > 0);
+  return changelog;
+}
+
+// Release notes as Markdown, with sections as headings of `level`
+function renderRelease(release, level = 2) {
+  const hashes = '#'.repeat(level);
+  const blocks = [];
+
+  if (release.yanked) {
+    blocks.push('<Warning>This release was yanked and should not be used.</Warning>');
+  }
+  if (release.notes) {
+    blocks.push(release.notes);
+  }
+
+  for (const section of release.sections) {
+    if (section.title) {
+      blocks.push(`${hashes} ${section.title}`);
+    }
+    if (section.notes) {
+      blocks.push(section.notes);
+    }
+    if (section.entries.length > 0) {
+      blocks.push(section.entries
+        .map(entry => `- ${entry.scope ? `**${entry.scope}:** ` : ''}${entry.text.replace(/\n/g, '\n  ')}`)
+        .join('\n'));
+    }
+  }
+
+  if (release.url) {
+    blocks.push(`[Compare changes](${release.url})`);
+  }
+  return blocks.join('\n\n');
+}
+
+// "2 additions, 1 fix" for a release, or null when it has no entries
+function releaseSummary(release) {
+  const counts = new Map();
+  for (const section of release.sections) {
+    counts.set(section.kind, (counts.get(section.kind) || 0) + section.entries.length);
+  }
+
+  const parts = Object.keys(KIND_NOUNS)
+    .filter(kind => counts.get(kind))
+    .map(kind => `${counts.get(kind)} ${KIND_NOUNS[kind][counts.get(kind) === 1 ? 0 : 1]}`);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+// URL segment of a release page: v1-2-0, unreleased
+function releaseSlug(version) {
+  const slug = String(version)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'release';
+  return /^\d/.test(slug) ? `v${slug}` : slug;
+}
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Atom 1.0 feed. `feed` is { id, title, url, feedUrl, updated, entries }
+ * and each entry { id, title, url, updated, summary }; dates are ISO
+ * strings (a bare YYYY-MM-DD is taken as midnight UTC).
+ */
+function renderAtomFeed(feed) {
+  const timestamp = date => (/^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T00:00:00Z` : date);
+  const entries = feed.entries.map(entry => `  <entry>
+    <id>${escapeXML(entry.id)}</id>
+    <title>${escapeXML(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXML(entry.url)}"/>
+    <updated>${timestamp(entry.updated)}</updated>
+    <summary type="text">${escapeXML(entry.summary)}</summary>
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXML(feed.id)}</id>
+  <title>${escapeXML(feed.title)}</title>
+  <link rel="alternate" type="text/html" href="${escapeXML(feed.url)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXML(feed.feedUrl)}"/>
+  <updated>${timestamp(feed.updated)}</updated>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+module.exports = {
+  parseChangelog,
+  parseReleaseHeading,
+  renderRelease,
+  releaseSummary,
+  releaseSlug,
+  renderAtomFeed
+};
@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+
+/**
+ * LostMind AI Documentation CLI
+ *
+ * Single entry point for the documentation automation scripts:
+ * - docs scan       Generate project documentation from configured sources
+ * - docs extract    Extract content for discovered projects (legacy pipeline)
+ * - docs build      Build the Mintlify site
+ * - docs validate   Validate generated MDX, links, images and frontmatter
+ * - docs clean      Remove generated output, summary and caches
+ * - docs status     Show configured projects and the state of their output
+ *
+ * Projects are read from docs.config.yaml (see --config).
+ *
+ * Exit codes: 0 on success, 1 when a command fails, 2 on invalid usage.
+ */
+
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { Command, Option } = require('commander');
+const { EnhancedProjectScanner } = require('./enhanced-scan-projects.cjs');
+const { loadManifest, findManifest } = require('./project-manifest.cjs');
+const { DocumentationValidator } = require('./validate-docs.cjs');
+const { REPORT_FORMATS } = require('./validation-report.cjs');
+
+const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2
+};
+
+const DOCS_APP_DIR = './apps/docs';
+
+// Files the scanner writes next to the output directory
+function generatedArtifacts(outputDir) {
+  return {
+    summary: path.join(outputDir, '../project-summary.json'),
+    cache: path.join(outputDir, '../scan-cache.json'),
+    // Results of `validate --external-links`
+    linkCache: path.join(outputDir, '../link-cache.json'),
+    // Changelog of all projects and its Atom feed
+    changelog: path.join(outputDir, '../changelog.mdx'),
+    changelogFeed: path.join(outputDir, '../changelog.xml'),
+    // Images copied from project sources, in one directory per project
+    images: path.join(outputDir, '../images')
+  };
+}
+
+async function pathExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Whether `dir` is `other` or one of its ancestors
+function containsPath(dir, other) {
+  const relative = path.relative(path.resolve(dir), path.resolve(other));
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+async function countPages(dir) {
+  try {
+    const entries = await fs.readdir(dir, { recursive: true });
+    return entries.filter(entry => entry.endsWith('.mdx')).length;
+  } catch {
+    return 0;
+  }
+}
+
+async function scanCommand(options) {
+  console.log('🚀 Enhanced Documentation Scraper for LostMind AI');
+  console.log('================================================\n');
+
+  if (options.dryRun) {
+    console.log('🔍 DRY RUN MODE - No files will be written\n');
+  }
+
+  const basePaths = options.basePath || (options.discover ? options.manifest.discovery.basePaths : undefined);
+  if (options.discover && (!basePaths || basePaths.length === 0)) {
+    throw new Error(`--discover needs discovery.basePaths in ${options.manifest.filePath} or --base-path`);
+  }
+
+  const scanner = new EnhancedProjectScanner({
+    verbose: options.verbose,
+    dryRun: options.dryRun,
+    force: options.force,
+    manifest: options.manifest,
+    outputDir: options.outputDir,
+    basePaths
+  });
+
+  await scanner.scan();
+
+  // Outside strict mode errors do not fail the scan, but they should not read as a clean run
+  const { errorsEncountered } = scanner.logger.stats;
+  if (errorsEncountered > 0) {
+    console.log(`\n⚠️  Documentation scan completed with ${errorsEncountered} error(s); see the log above`);
+    console.log(`📁 Output directory: ${options.outputDir}`);
+    return EXIT_CODES.success;
+  }
+
+  console.log('\n✅ Documentation scan completed successfully!');
+  console.log(`📁 Output directory: ${options.outputDir}`);
+  console.log('🌐 Ready for deployment to docs.lostmindai.com');
+  return EXIT_CODES.success;
+}
+
+async function extractCommand(options) {
+  const { MintlifyContentExtractor } = await import('./extract-content.mjs');
+  const extractor = new MintlifyContentExtractor({ templates: options.manifest.templates });
+  const basePath = options.basePath || options.manifest.discovery.basePaths[0];
+
+  if (options.dryRun) {
+    return reportExtraction(extractor, options.discover ? basePath : null);
+  }
+
+  if (options.discover) {
+    const { ProjectScanner } = await import('./scan-projects.mjs');
+    await new ProjectScanner({ basePath }).scan();
+  }
+
+  await extractor.extract();
+  return EXIT_CODES.success;
+}
+
+// What `extract` would do: the projects listed in discovered-projects.json and their output
+async function reportExtraction(extractor, basePath) {
+  console.log('🔍 DRY RUN MODE - No files will be written\n');
+  if (basePath) {
+    console.log(`🔍 Would discover projects below ${basePath} and rewrite ${extractor.configPath}`);
+    console.log('   The projects below are the ones discovered last time');
+  }
+
+  let projects;
+  try {
+    ({ projects } = JSON.parse(await fs.readFile(extractor.configPath, 'utf8')));
+  } catch (error) {
+    console.log(`No discovered projects in ${extractor.configPath} (${error.message}); run with --discover first`);
+    return EXIT_CODES.success;
+  }
+
+  for (const project of projects) {
+    console.log(`🔍 Would extract ${project.name} into ${path.join(extractor.projectsPath, project.slug)}`);
+  }
+  console.log(`\n${projects.length} project(s); mint.json navigation would be updated`);
+  return EXIT_CODES.success;
+}
+
+async function buildCommand(options) {
+  if (options.scan) {
+    const status = await scanCommand(options);
+    if (status !== EXIT_CODES.success) {
+      return status;
+    }
+  }
+
+  // Nothing was written, so there is nothing new to build
+  if (options.dryRun) {
+    console.log('🔍 Dry run: skipping mintlify build');
+    return EXIT_CODES.success;
+  }
+
+  console.log('🏗️  Building Mintlify site...');
+  const result = spawnSync('npx', ['mintlify', 'build'], {
+    cwd: DOCS_APP_DIR,
+    stdio: 'inherit',
+    shell: process.platform === 'win32'
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+
+  return result.status === 0 ? EXIT_CODES.success : EXIT_CODES.failure;
+}
+
+async function validateCommand(options) {
+  // A machine-readable report on stdout must not be mixed with progress output
+  const toStdout = options.format !== 'text' && !options.output;
+  const validator = new DocumentationValidator({
+    verbose: options.verbose,
+    quiet: toStdout,
+    docsDir: options.outputDir,
+    fix: options.fix,
+    dryRun: options.dryRun,
+    categories: Object.keys(options.manifest.navigationGroups),
+    projects: options.manifest.projects,
+    linkCheck: { ...options.manifest.scanner.linkCheck, ...(options.externalLinks && { external: true }) },
+    linkCachePath: generatedArtifacts(options.outputDir).linkCache
+  });
+
+  const result = await validator.validate();
+
+  if (options.output) {
+    await fs.mkdir(path.dirname(options.output), { recursive: true });
+    await fs.writeFile(options.output, validator.formatReport(options.format), 'utf8');
+    console.log(`📄 Wrote ${options.format} report to ${options.output}`);
+  } else if (toStdout) {
+    process.stdout.write(validator.formatReport(options.format));
+  }
+
+  return result.success ? EXIT_CODES.success : EXIT_CODES.failure;
+}
+
+async function cleanCommand(options) {
+  // A misconfigured outputDir must not take the repository with it
+  const protectedDirs = [process.cwd(), path.dirname(path.resolve(options.manifest.filePath))];
+  const protectedDir = protectedDirs.find(dir => containsPath(options.outputDir, dir));
+  if (protectedDir) {
+    throw new Error(`Refusing to remove ${options.outputDir}: it contains ${protectedDir}`);
+  }
+
+  const artifacts = generatedArtifacts(options.outputDir);
+  const targets = [
+    options.outputDir,
+    artifacts.summary,
+    artifacts.changelog,
+    artifacts.changelogFeed,
+    ...options.manifest.projects.map(project => path.join(artifacts.images, project.id))
+  ];
+
+  if (!options.keepCache) {
+    targets.push(artifacts.cache, artifacts.linkCache);
+  }
+
+  for (const target of targets) {
+    if (!(await pathExists(target))) {
+      continue;
+    }
+
+    if (options.dryRun) {
+      console.log(`🔍 Would remove ${target}`);
+    } else {
+      await fs.rm(target, { recursive: true, force: true });
+      console.log(`🧹 Removed ${target}`);
+    }
+  }
+
+  return EXIT_CODES.success;
+}
+
+async function statusCommand(options) {
+  const artifacts = generatedArtifacts(options.outputDir);
+
+  console.log('📊 DOCUMENTATION STATUS');
+  console.log('======================\n');
+  console.log(`Manifest: ${options.manifest.filePath}\n`);
+
+  for (const project of options.manifest.projects) {
+    const sourceFound = await pathExists(project.sourcePath);
+    const pages = await countPages(project.outputPath);
+
+    console.log(`${sourceFound ? '✅' : '❌'} ${project.displayName}`);
+    console.log(`   Source: ${project.sourcePath}${sourceFound ? '' : ' (not found)'}`);
+    console.log(`   Output: ${project.outputPath} (${pages} pages)`);
+  }
+
+  try {
+    const summary = JSON.parse(await fs.readFile(artifacts.summary, 'utf8'));
+    console.log(`\nLast scan: ${summary.generatedAt}`);
+  } catch {
+    console.log('\nLast scan: never');
+  }
+
+  try {
+    const cache = JSON.parse(await fs.readFile(artifacts.cache, 'utf8'));
+    console.log(`Cached sources: ${Object.keys(cache.files || {}).length}`);
+  } catch {
+    console.log('Cached sources: 0');
+  }
+
+  return EXIT_CODES.success;
+}
+
+// Run a command handler with the global options and the loaded manifest merged in,
+// and map the result to an exit code
+function action(handler) {
+  return async (_options, command) => {
+    try {
+      const options = command.optsWithGlobals();
+      options.manifest = loadManifest(options.config, { outputDir: options.outputDir });
+      options.outputDir = options.manifest.outputDir;
+      process.exitCode = await handler(options);
+    } catch (error) {
+      console.error(`\n❌ ${command.name()} failed: ${error.message}`);
+      if (command.optsWithGlobals().verbose) {
+        console.error(error.stack);
+      }
+      process.exitCode = EXIT_CODES.failure;
+    }
+  };
+}
+
+function createProgram() {
+  const program = new Command();
+
+  program
+    .name('docs')
+    .description('LostMind AI documentation automation')
+    .option('-v, --verbose', 'Enable detailed logging')
+    .option('--dry-run', 'Report what would change without writing files')
+    .option('-c, --config <file>', 'Project manifest (YAML or JSON)', findManifest())
+    .option('--output-dir <dir>', 'Generated documentation directory (default: outputDir from the manifest)')
+    .showHelpAfterError()
+    .exitOverride(error => {
+      process.exit(error.exitCode === 0 ? EXIT_CODES.success : EXIT_CODES.usage);
+    });
+
+  program
+    .command('scan')
+    .description('Generate documentation for the configured projects')
+    .option('--force', 'Ignore the scan cache and rebuild every project')
+    .option('--discover', 'Document every project below discovery.basePaths instead of the manifest projects')
+    .option('--base-path <dir...>', 'Discover and document every project below these directories')
+    .action(action(scanCommand));
+
+  program
+    .command('extract')
+    .description('Extract Mintlify content for discovered projects')
+    .option('--discover', 'Refresh apps/docs/config/discovered-projects.json first')
+    .option('--base-path <dir>', 'Directory to discover projects in (default: first discovery.basePaths entry)')
+    .action(action(extractCommand));
+
+  program
+    .command('build')
+    .description('Build the Mintlify documentation site')
+    .option('--scan', 'Run a documentation scan before building')
+    .option('--force', 'Ignore the scan cache when scanning')
+    .action(action(buildCommand));
+
+  program
+    .command('validate')
+    .description('Validate generated MDX, links, images, frontmatter and navigation')
+    .option('--fix', 'Fill in missing frontmatter fields and rewrite the pages (lists them with --dry-run)')
+    .addOption(new Option('--format <format>', 'Report format').choices(REPORT_FORMATS).default('text'))
+    .option('--output <file>', 'Write the report to a file instead of stdout')
+    .option('--external-links', 'Also check http(s) links (results are cached for scanner.linkCheck.cacheTTLHours)')
+    .action(action(validateCommand));
+
+  program
+    .command('clean')
+    .description('Remove generated documentation, summary and cache files')
+    .option('--keep-cache', 'Keep the scan and link caches')
+    .action(action(cleanCommand));
+
+  program
+    .command('status')
+    .description('Show configured projects and the state of their generated output')
+    .action(action(statusCommand));
+
+  return program;
+}
+
+module.exports = { createProgram, EXIT_CODES };
+
+if (require.main === module) {
+  createProgram().parseAsync(process.argv);
+}
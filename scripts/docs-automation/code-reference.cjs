@@ -0,0 +1,662 @@
+/**
+ * Code Reference Generator for LostMind AI Documentation
+ *
+ * Parses JavaScript and TypeScript modules with the TypeScript compiler API
+ * and documents what they export: functions, classes, interfaces, type
+ * aliases, enums, constants and React components. Each export is paired with
+ * its JSDoc block, whose @param, @returns, @example and @deprecated tags are
+ * merged with the types written in the code. ES module exports, `export {}`
+ * lists, default exports and CommonJS `module.exports` are understood.
+ * renderModuleReference also renders the Python references built by
+ * python-reference.cjs, which share the same shape.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+// The TypeScript compiler, loaded by the first module parsed: only code
+// reference pages need it, so the scanner runs without it
+let ts;
+
+// ts.ScriptKind member of each extension
+const SCRIPT_KINDS = {
+  '.ts': 'TS',
+  '.mts': 'TS',
+  '.cts': 'TS',
+  '.tsx': 'TSX',
+  '.js': 'JS',
+  '.mjs': 'JS',
+  '.cjs': 'JS',
+  '.jsx': 'JSX'
+};
+
+const CODE_EXTENSIONS = Object.keys(SCRIPT_KINDS);
+
+// Language of the code fences on a module's page
+const FENCE_LANGUAGES = {
+  TS: 'ts',
+  TSX: 'tsx',
+  JS: 'js',
+  JSX: 'jsx'
+};
+
+// Tags that mark a JSDoc block as describing the whole file
+const MODULE_TAGS = ['packageDocumentation', 'module', 'fileoverview', 'file'];
+
+const KIND_LABELS = {
+  function: 'Function',
+  component: 'Component',
+  class: 'Class',
+  interface: 'Interface',
+  type: 'Type',
+  enum: 'Enum',
+  variable: 'Constant'
+};
+
+// The TypeScript compiler, or null when it is not installed
+function loadTypeScript() {
+  if (ts === undefined) {
+    try {
+      ts = require('typescript');
+    } catch {
+      ts = null;
+    }
+  }
+  return ts;
+}
+
+function isCodeFile(filePath) {
+  return CODE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+function hasModifier(node, kind) {
+  return Boolean(ts.canHaveModifiers(node) && ts.getModifiers(node)?.some(modifier => modifier.kind === kind));
+}
+
+// Comment text with {@link Target | label} turned into code spans
+function commentText(comment) {
+  return (ts.getTextOfJSDocComment(comment) || '')
+    .replace(/\{@link(?:code|plain)?\s+([^}|\s]+)(?:\s*\|\s*|\s+)?([^}]*)\}/g, (_match, target, label) => `\`${label.trim() || target}\``)
+    .trim();
+}
+
+// JSDoc blocks written directly above a node (for a variable, above its statement)
+function jsDocsOf(node) {
+  return ts.getJSDocCommentsAndTags(node).filter(ts.isJSDoc);
+}
+
+function isModuleDoc(doc) {
+  return (doc.tags || []).some(tag => MODULE_TAGS.includes(tag.tagName.text));
+}
+
+/**
+ * Description and tags of the block closest to `node`: { description,
+ * params: [{ name, type, description }], returns, examples, deprecated }.
+ */
+function readJSDoc(node) {
+  const doc = jsDocsOf(node).filter(candidate => !isModuleDoc(candidate)).pop();
+  const result = { description: '', params: [], returns: null, examples: [], deprecated: null };
+  if (!doc) {
+    return result;
+  }
+
+  result.description = commentText(doc.comment);
+
+  for (const tag of doc.tags || []) {
+    const name = tag.tagName.text;
+    const text = commentText(tag.comment).replace(/^-\s*/, '');
+
+    if (ts.isJSDocParameterTag(tag)) {
+      result.params.push({
+        name: tag.name.getText(),
+        type: tag.typeExpression ? tag.typeExpression.type.getText() : null,
+        optional: tag.isBracketed,
+        description: text
+      });
+    } else if (ts.isJSDocReturnTag(tag)) {
+      result.returns = { type: tag.typeExpression ? tag.typeExpression.type.getText() : null, description: text };
+    } else if (name === 'example') {
+      result.examples.push(commentText(tag.comment));
+    } else if (name === 'deprecated') {
+      result.deprecated = text || 'This export is deprecated.';
+    }
+  }
+
+  return result;
+}
+
+function isFunctionLike(node) {
+  return Boolean(node) && (ts.isFunctionDeclaration(node) || ts.isArrowFunction(node) ||
+    ts.isFunctionExpression(node) || ts.isMethodDeclaration(node) || ts.isConstructorDeclaration(node));
+}
+
+function containsJSX(node) {
+  if (ts.isJsxElement(node) || ts.isJsxSelfClosingElement(node) || ts.isJsxFragment(node)) {
+    return true;
+  }
+  return Boolean(ts.forEachChild(node, child => containsJSX(child) || undefined));
+}
+
+// Declared parameters, described by the matching @param tags. A destructured
+// parameter takes the name of the tag at its position, and dotted tags
+// (options.verbose) become rows of their own below their parent.
+function describeParameters(fn, doc) {
+  const rows = fn.parameters.map(parameter => ({
+    name: `${parameter.dotDotDotToken ? '...' : ''}${parameter.name.getText()}`,
+    type: parameter.type ? parameter.type.getText() : null,
+    optional: Boolean(parameter.questionToken || parameter.initializer),
+    defaultValue: parameter.initializer ? parameter.initializer.getText() : null,
+    description: ''
+  }));
+
+  doc.params.forEach((tag, index) => {
+    const row = rows.find(candidate => candidate.name.replace(/^\.\.\./, '') === tag.name);
+    if (row) {
+      row.description = tag.description;
+      row.type = row.type || tag.type;
+      row.optional = row.optional || tag.optional;
+      return;
+    }
+
+    if (tag.name.includes('.')) {
+      const parent = tag.name.split('.')[0];
+      const parentIndex = rows.findIndex(candidate => candidate.name === parent);
+      const position = rows.findLastIndex(candidate => candidate.name === parent || candidate.name.startsWith(`${parent}.`));
+      if (parentIndex !== -1) {
+        rows.splice(position + 1, 0, { name: tag.name, type: tag.type, optional: tag.optional, defaultValue: null, description: tag.description });
+      }
+      return;
+    }
+
+    const positional = rows[doc.params.filter(other => !other.name.includes('.')).indexOf(tag)] || rows[index];
+    if (positional && /^[{[]/.test(positional.name)) {
+      Object.assign(positional, { name: tag.name, type: positional.type || tag.type, description: tag.description });
+    }
+  });
+
+  return rows;
+}
+
+function describeReturns(fn, doc) {
+  const type = fn.type ? fn.type.getText() : doc.returns?.type;
+  if (!type && !doc.returns?.description) {
+    return null;
+  }
+  return { type: type || null, description: doc.returns?.description || '' };
+}
+
+// Source text from the start of a declaration up to its body
+function headerText(node, bodyStart) {
+  return node.getSourceFile().text
+    .slice(node.getStart(), bodyStart)
+    .replace(/^export\s+(default\s+)?/, '')
+    .replace(/(=>|\{)\s*$/, '')
+    .trim();
+}
+
+function functionSignature(node, fn) {
+  const statement = ts.isVariableDeclaration(node) ? node.parent.parent : node;
+  const bodyStart = fn.body ? fn.body.getStart() : fn.end;
+  return headerText(statement, bodyStart).replace(/\s*=\s*$/, '');
+}
+
+function memberRows(members) {
+  return members
+    .filter(member => member.name && !ts.isPrivateIdentifier(member.name) &&
+      !hasModifier(member, ts.SyntaxKind.PrivateKeyword) && !hasModifier(member, ts.SyntaxKind.ProtectedKeyword))
+    .map(member => {
+      const doc = readJSDoc(member);
+      let type = member.type ? member.type.getText() : null;
+      if (ts.isEnumMember(member)) {
+        type = member.initializer ? member.initializer.getText() : null;
+      }
+      return {
+        name: member.name.getText(),
+        type,
+        optional: Boolean(member.questionToken),
+        description: doc.description,
+        deprecated: doc.deprecated
+      };
+    });
+}
+
+function describeFunction(node, fn, name, doc) {
+  const isComponent = /^[A-Z]/.test(name) && Boolean(fn.body) && containsJSX(fn.body);
+  return {
+    kind: isComponent ? 'component' : 'function',
+    signature: functionSignature(node, fn),
+    params: describeParameters(fn, doc),
+    returns: isComponent ? null : describeReturns(fn, doc)
+  };
+}
+
+function describeClass(node) {
+  const methods = [];
+  const properties = [];
+
+  for (const member of node.members) {
+    if ((member.name && ts.isPrivateIdentifier(member.name)) ||
+        hasModifier(member, ts.SyntaxKind.PrivateKeyword) || hasModifier(member, ts.SyntaxKind.ProtectedKeyword)) {
+      continue;
+    }
+
+    const doc = readJSDoc(member);
+    if (ts.isConstructorDeclaration(member) || ts.isMethodDeclaration(member)) {
+      const isStatic = hasModifier(member, ts.SyntaxKind.StaticKeyword);
+      const name = ts.isConstructorDeclaration(member) ? 'constructor' : member.name.getText();
+      methods.push({
+        name: isStatic ? `static ${name}` : name,
+        signature: headerText(member, member.body ? member.body.getStart() : member.end).replace(/;$/, ''),
+        description: doc.description,
+        params: describeParameters(member, doc),
+        returns: ts.isConstructorDeclaration(member) ? null : describeReturns(member, doc),
+        examples: doc.examples,
+        deprecated: doc.deprecated
+      });
+    } else if (ts.isPropertyDeclaration(member) || ts.isGetAccessorDeclaration(member)) {
+      properties.push(...memberRows([member]).map(row => ({
+        ...row,
+        type: row.type || (member.initializer ? member.initializer.getText() : null)
+      })));
+    }
+  }
+
+  return {
+    kind: 'class',
+    signature: headerText(node, node.members.pos),
+    methods,
+    properties
+  };
+}
+
+/**
+ * Document one exported declaration. `node` is the declaration itself (for
+ * variables the VariableDeclaration) and `name` the exported name.
+ */
+function describeDeclaration(node, name) {
+  const doc = readJSDoc(node);
+  const base = {
+    name,
+    description: doc.description,
+    examples: doc.examples,
+    deprecated: doc.deprecated,
+    params: [],
+    returns: null,
+    members: [],
+    methods: [],
+    properties: []
+  };
+
+  if (ts.isFunctionDeclaration(node)) {
+    return { ...base, ...describeFunction(node, node, name, doc) };
+  }
+
+  if (ts.isClassDeclaration(node)) {
+    return { ...base, ...describeClass(node) };
+  }
+
+  if (ts.isInterfaceDeclaration(node)) {
+    return { ...base, kind: 'interface', signature: headerText(node, node.end), members: memberRows(node.members) };
+  }
+
+  if (ts.isTypeAliasDeclaration(node)) {
+    const members = ts.isTypeLiteralNode(node.type) ? memberRows(node.type.members) : [];
+    return { ...base, kind: 'type', signature: headerText(node, node.end), members };
+  }
+
+  if (ts.isEnumDeclaration(node)) {
+    return { ...base, kind: 'enum', signature: headerText(node, node.members.pos), members: memberRows(node.members) };
+  }
+
+  if (ts.isVariableDeclaration(node)) {
+    let initializer = node.initializer;
+    while (initializer && (ts.isAsExpression(initializer) || ts.isParenthesizedExpression(initializer))) {
+      initializer = initializer.expression;
+    }
+
+    // forwardRef(function Button(...)), memo((props) => ...) and the like
+    if (initializer && ts.isCallExpression(initializer) && isFunctionLike(initializer.arguments[0])) {
+      const wrapper = headerText(node.parent.parent, initializer.arguments.pos).replace(/\($/, '');
+      return {
+        ...base,
+        ...describeFunction(node, initializer.arguments[0], name, doc),
+        signature: `${wrapper}(...)`
+      };
+    }
+
+    if (isFunctionLike(initializer)) {
+      return { ...base, ...describeFunction(node, initializer, name, doc) };
+    }
+
+    if (initializer && ts.isClassExpression(initializer)) {
+      return { ...base, ...describeClass(initializer), signature: `class ${name}` };
+    }
+
+    const keyword = node.parent.flags & ts.NodeFlags.Const ? 'const' : 'let';
+    const value = initializer ? initializer.getText() : '';
+    let signature = `${keyword} ${node.name.getText()}`;
+    if (node.type) {
+      signature += `: ${node.type.getText()}`;
+    } else if (value && value.length <= 80 && !value.includes('\n')) {
+      signature += ` = ${value}`;
+    }
+    return { ...base, kind: 'variable', signature };
+  }
+
+  return null;
+}
+
+// Top-level declarations by name, for `export { a }`, `export default a` and module.exports
+function localDeclarations(sourceFile) {
+  const declarations = new Map();
+
+  for (const statement of sourceFile.statements) {
+    if (ts.isVariableStatement(statement)) {
+      for (const declaration of statement.declarationList.declarations.filter(candidate => ts.isIdentifier(candidate.name))) {
+        declarations.set(declaration.name.text, declaration);
+      }
+    } else if ((ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement) ||
+        ts.isInterfaceDeclaration(statement) || ts.isTypeAliasDeclaration(statement) ||
+        ts.isEnumDeclaration(statement)) && statement.name) {
+      declarations.set(statement.name.text, statement);
+    }
+  }
+
+  return declarations;
+}
+
+function isModuleExports(expression) {
+  return ts.isPropertyAccessExpression(expression) &&
+    ts.isIdentifier(expression.expression) && expression.expression.text === 'module' &&
+    expression.name.text === 'exports';
+}
+
+// [exportedName, declaration] pairs plus the modules re-exported wholesale
+function collectExports(sourceFile) {
+  const locals = localDeclarations(sourceFile);
+  const exported = [];
+  const reexports = [];
+  const add = (name, node) => {
+    if (node && !exported.some(([, existing]) => existing === node)) {
+      exported.push([name, node]);
+    }
+  };
+
+  for (const statement of sourceFile.statements) {
+    const isExported = hasModifier(statement, ts.SyntaxKind.ExportKeyword);
+    const isDefault = hasModifier(statement, ts.SyntaxKind.DefaultKeyword);
+
+    if (isExported && ts.isVariableStatement(statement)) {
+      for (const declaration of statement.declarationList.declarations.filter(candidate => ts.isIdentifier(candidate.name))) {
+        add(declaration.name.text, declaration);
+      }
+    } else if (isExported && !ts.isVariableStatement(statement) && 'name' in statement) {
+      add(statement.name ? statement.name.text : 'default', statement);
+    } else if (ts.isExportAssignment(statement) && ts.isIdentifier(statement.expression)) {
+      add(statement.expression.text, locals.get(statement.expression.text));
+    } else if (ts.isExportDeclaration(statement) && !statement.isTypeOnly && statement.moduleSpecifier) {
+      const names = statement.exportClause && ts.isNamedExports(statement.exportClause)
+        ? statement.exportClause.elements.map(element => element.name.text)
+        : ['*'];
+      reexports.push({ from: statement.moduleSpecifier.text, names });
+    } else if (ts.isExportDeclaration(statement) && statement.exportClause && ts.isNamedExports(statement.exportClause)) {
+      for (const element of statement.exportClause.elements) {
+        add(element.name.text, locals.get((element.propertyName || element.name).text));
+      }
+    } else if (ts.isExpressionStatement(statement) && ts.isBinaryExpression(statement.expression) &&
+        statement.expression.operatorToken.kind === ts.SyntaxKind.EqualsToken) {
+      const { left, right } = statement.expression;
+
+      // module.exports = { a, b: c } / module.exports = a
+      if (isModuleExports(left) && ts.isObjectLiteralExpression(right)) {
+        for (const property of right.properties) {
+          if (ts.isShorthandPropertyAssignment(property)) {
+            add(property.name.text, locals.get(property.name.text));
+          } else if (ts.isPropertyAssignment(property) && ts.isIdentifier(property.initializer)) {
+            add(property.name.getText(), locals.get(property.initializer.text));
+          }
+        }
+      } else if (isModuleExports(left) && ts.isIdentifier(right)) {
+        add(right.text, locals.get(right.text));
+      }
+    }
+  }
+
+  return { exported, reexports };
+}
+
+// File-level description: a block tagged @packageDocumentation / @module /
+// @fileoverview, or the block above the first statement when that statement
+// exports nothing (a header comment above the imports). `exported` holds the
+// declarations collectExports found, so a function exported through
+// module.exports keeps its own block
+function moduleDescription(sourceFile, exported) {
+  const first = sourceFile.statements[0];
+  if (!first) {
+    return '';
+  }
+
+  const docs = jsDocsOf(ts.isVariableStatement(first) ? first.declarationList.declarations[0] || first : first);
+  const tagged = docs.find(isModuleDoc);
+  if (tagged) {
+    return commentText(tagged.comment);
+  }
+
+  const exportsFirst = hasModifier(first, ts.SyntaxKind.ExportKeyword) || ts.isExportAssignment(first) || ts.isExportDeclaration(first) ||
+    exported.some(([, node]) => node === first || node.parent?.parent === first);
+  if (docs.length > 1 || (docs.length === 1 && !exportsFirst)) {
+    return commentText(docs[0].comment);
+  }
+  return '';
+}
+
+/**
+ * Parse a JS/TS module and describe its exports: { language, description,
+ * symbols, reexports }. Each symbol is { name, kind, signature, description,
+ * params, returns, examples, deprecated, members, methods, properties }.
+ */
+function extractModuleReference(filePath, source) {
+  if (!loadTypeScript()) {
+    throw new Error('Code reference pages need the typescript package (pnpm add typescript)');
+  }
+  const scriptKind = SCRIPT_KINDS[path.extname(filePath).toLowerCase()] || 'TS';
+  const sourceFile = ts.createSourceFile(filePath, source, ts.ScriptTarget.Latest, true, ts.ScriptKind[scriptKind]);
+  const { exported, reexports } = collectExports(sourceFile);
+
+  return {
+    language: FENCE_LANGUAGES[scriptKind],
+    description: moduleDescription(sourceFile, exported),
+    symbols: exported.map(([name, node]) => describeDeclaration(node, name)).filter(Boolean),
+    reexports
+  };
+}
+
+/**
+ * Import path of a module: the name of the nearest package.json (up to
+ * `rootDir`) followed by the file's path inside the package, without src/,
+ * the extension or a trailing /index. Falls back to the path from `rootDir`.
+ */
+function moduleName(filePath, rootDir) {
+  const root = path.resolve(rootDir);
+  let dir = path.dirname(path.resolve(filePath));
+
+  while (dir.startsWith(root)) {
+    try {
+      const { name } = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+      if (name) {
+        const subpath = path.relative(dir, filePath)
+          .split(path.sep)
+          .join('/')
+          .replace(/^(src|lib)\//, '')
+          .replace(/\.[^./]+$/, '')
+          .replace(/(^|\/)index$/, '');
+        return subpath ? `${name}/${subpath}` : name;
+      }
+    } catch {
+      // No (readable) package.json here; keep looking further up
+    }
+
+    if (dir === root) {
+      break;
+    }
+    dir = path.dirname(dir);
+  }
+
+  return path.relative(root, filePath).split(path.sep).join('/').replace(/\.[^./]+$/, '');
+}
+
+function cell(text) {
+  return String(text || '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ').trim();
+}
+
+function code(text) {
+  return text ? `\`${cell(text).replace(/`/g, "'")}\`` : '';
+}
+
+// Names in headings and links: __init__ or *args must not turn into emphasis
+function escapeName(name) {
+  return name.replace(/([_*])/g, '\\$1');
+}
+
+function anchor(name) {
+  return name.toLowerCase().replace(/[^a-z0-9_\s-]/g, '').replace(/\s/g, '-');
+}
+
+function firstSentence(text) {
+  return cell(text).split(/(?<=\.)\s/)[0];
+}
+
+function fence(text, language) {
+  // Examples that bring their own fences are used as written
+  return /^\s*(```|~~~)/m.test(text) ? [text.trim(), ''] : [`\`\`\`${language}`, text.trim(), '```', ''];
+}
+
+function renderParameterTable(params) {
+  if (params.length === 0) {
+    return [];
+  }
+
+  const rows = params.map(param => {
+    const required = param.optional ? 'No' : 'Yes';
+    return `| \`${cell(param.name)}\` | ${code(param.type)} | ${required} | ${code(param.defaultValue)} | ${cell(param.description)} |`;
+  });
+  return ['**Parameters**', '', '| Name | Type | Required | Default | Description |', '| --- | --- | --- | --- | --- |', ...rows, ''];
+}
+
+function renderReturns(returns) {
+  if (!returns) {
+    return [];
+  }
+  const parts = [code(returns.type), returns.description].filter(Boolean);
+  return [`**Returns** ${parts.join(' — ')}`, ''];
+}
+
+function renderMemberTable(members, heading) {
+  if (members.length === 0) {
+    return [];
+  }
+
+  const rows = members.map(member => {
+    const description = member.deprecated ? `**Deprecated.** ${cell(member.description)}`.trim() : cell(member.description);
+    return `| \`${cell(member.name)}\`${member.optional ? ' (optional)' : ''} | ${code(member.type)} | ${description} |`;
+  });
+  return [`**${heading}**`, '', '| Name | Type | Description |', '| --- | --- | --- |', ...rows, ''];
+}
+
+function renderRaises(raises = []) {
+  if (raises.length === 0) {
+    return [];
+  }
+  return ['**Raises**', '', ...raises.map(raise => `- ${[code(raise.type), raise.description].filter(Boolean).join(' — ')}`), ''];
+}
+
+function renderDeprecated(deprecated) {
+  return deprecated ? [`> **Deprecated:** ${deprecated}`, ''] : [];
+}
+
+function renderSymbol(symbol, language) {
+  const lines = [`## ${escapeName(symbol.name)}`, ''];
+
+  lines.push(...renderDeprecated(symbol.deprecated));
+  lines.push(...fence(symbol.signature, language));
+
+  if (symbol.description) {
+    lines.push(symbol.description, '');
+  }
+
+  lines.push(...renderParameterTable(symbol.params));
+  lines.push(...renderReturns(symbol.returns));
+  lines.push(...renderRaises(symbol.raises));
+
+  const memberHeading = symbol.kind === 'enum' ? 'Members' : 'Properties';
+  lines.push(...renderMemberTable(symbol.members, memberHeading));
+  lines.push(...renderMemberTable(symbol.properties, 'Properties'));
+
+  for (const method of symbol.methods) {
+    lines.push(`### ${escapeName(`${symbol.name}.${method.name.replace(/^static /, '')}`)}`, '');
+    lines.push(...renderDeprecated(method.deprecated));
+    lines.push(...fence(method.signature, language));
+    if (method.description) {
+      lines.push(method.description, '');
+    }
+    lines.push(...renderParameterTable(method.params));
+    lines.push(...renderReturns(method.returns));
+    lines.push(...renderRaises(method.raises));
+    for (const example of method.examples) {
+      lines.push('**Example**', '', ...fence(example, language));
+    }
+  }
+
+  if (symbol.examples.length > 0) {
+    lines.push(symbol.examples.length === 1 ? '**Example**' : '**Examples**', '');
+    lines.push(...symbol.examples.flatMap(example => fence(example, language)));
+  }
+
+  return lines;
+}
+
+/**
+ * Markdown reference page for a module: its description, a summary table of
+ * the exports and one section per export.
+ */
+function renderModuleReference(name, reference) {
+  const language = reference.language || 'ts';
+  const lines = [`# ${name}`, ''];
+
+  if (reference.description) {
+    lines.push(reference.description, '');
+  }
+
+  if (reference.symbols.length > 0) {
+    lines.push('| Export | Kind | Description |', '| --- | --- | --- |');
+    for (const symbol of reference.symbols) {
+      const label = KIND_LABELS[symbol.kind] || symbol.kind;
+      const summary = symbol.deprecated ? `**Deprecated.** ${firstSentence(symbol.description)}`.trim() : firstSentence(symbol.description);
+      lines.push(`| [${escapeName(cell(symbol.name))}](#${anchor(symbol.name)}) | ${label} | ${summary} |`);
+    }
+    lines.push('');
+  }
+
+  if (reference.reexports.length > 0) {
+    lines.push('Also re-exports:', '');
+    for (const { from, names } of reference.reexports) {
+      lines.push(`- ${names.includes('*') ? 'everything' : names.map(exported => `\`${exported}\``).join(', ')} from \`${from}\``);
+    }
+    lines.push('');
+  }
+
+  for (const symbol of reference.symbols) {
+    lines.push(...renderSymbol(symbol, language));
+  }
+
+  return lines.join('\n').trim();
+}
+
+module.exports = {
+  CODE_EXTENSIONS,
+  isCodeFile,
+  loadTypeScript,
+  extractModuleReference,
+  moduleName,
+  renderModuleReference
+};
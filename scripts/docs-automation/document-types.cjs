@@ -0,0 +1,215 @@
+/**
+ * Document Types for LostMind AI Documentation
+ *
+ * The pages a configured project can ask for in its `documentTypes`. Each
+ * type is a plugin object; every key but `id` is optional:
+ *   id          the name listed in documentTypes; also the page's route (<id>.mdx)
+ *   title       page title suffix ("<project> - Architecture")
+ *   label       link text in the project introduction (defaults to title)
+ *   summary     one line after that link
+ *   description frontmatter description when the source has none, a string
+ *               or (project) => string
+ *   sources     { classifications, paths }: the project's primaryFiles with
+ *               one of these classifications, or whose path contains one of
+ *               these strings (case-insensitive), are its sources
+ *   merge       what happens with several sources (see source-merge.cjs):
+ *               'first' (default) uses the first in primaryFiles order,
+ *               'page' merges them into one page, 'tree' gives each a page
+ *               below an overview
+ *   template    (context) => Markdown of the page when no source matches;
+ *               without a template such a page is skipped
+ *   render      async (context) => Markdown of the page, used instead of the
+ *               source or template (the introduction)
+ *   generate    async (context) => page records, or null on failure, for types
+ *               that write their own pages (the changelog)
+ *   navigation  { classification, order }: the classification picks the
+ *               navigation section (defaults to the id), order the position
+ *               among the project's pages (defaults to the classification's)
+ * context is { scanner, project, files, source, sources, outputDir, written, metadata };
+ * written is the set of the project's types whose pages were written (types
+ * with render are generated after the others); render and template get
+ * metadata, the sourceMetadata() of the page.
+ *
+ * docs.config.yaml can add types or change built-in ones under
+ * `documentTypes`, either declaratively or with a `module` exporting a plugin.
+ */
+
+const { orderSources } = require('./source-merge.cjs');
+
+const MERGE_MODES = ['first', 'page', 'tree'];
+
+const BUILT_IN_DOCUMENT_TYPES = [
+  {
+    id: 'introduction',
+    title: 'Introduction',
+    render: ({ scanner, project, files, metadata, outputDir, written }) =>
+      scanner.generateIntroductionContent(project, files, metadata, outputDir, written),
+    navigation: { order: 0 }
+  },
+  {
+    id: 'readme',
+    title: 'Readme',
+    label: 'README',
+    summary: 'Complete project documentation',
+    sources: { paths: ['readme'] },
+    template: ({ scanner, project }) => scanner.generateDefaultReadme(project)
+  },
+  {
+    id: 'architecture',
+    title: 'Architecture',
+    summary: 'Technical architecture details',
+    // Architecture docs and decision records each get a page
+    sources: { classifications: ['architecture'], paths: ['architecture', 'adr/', 'adrs/', 'decisions/'] },
+    merge: 'tree',
+    template: ({ scanner, project }) => scanner.generateDefaultArchitecture(project)
+  },
+  {
+    id: 'development',
+    title: 'Development',
+    summary: 'Development setup and guidelines',
+    sources: { classifications: ['development'], paths: ['development'] },
+    template: ({ scanner, project }) => scanner.generateDefaultDevelopment(project)
+  },
+  {
+    id: 'api',
+    title: 'API',
+    summary: 'API overview',
+    sources: { classifications: ['api-reference'], paths: ['api.md', 'api/readme'] },
+    navigation: { classification: 'api-reference' }
+  },
+  {
+    id: 'deployment',
+    title: 'Deployment',
+    summary: 'Deployment and operations',
+    sources: { classifications: ['deployment'], paths: ['deploy'] }
+  },
+  {
+    id: 'security',
+    title: 'Security',
+    summary: 'Security model and practices',
+    sources: { paths: ['security'] }
+  },
+  {
+    id: 'faq',
+    title: 'FAQ',
+    summary: 'Frequently asked questions',
+    sources: { paths: ['faq'] },
+    navigation: { order: 13 }
+  },
+  {
+    id: 'migration',
+    title: 'Migration',
+    summary: 'Upgrading between versions',
+    sources: { classifications: ['migration'], paths: ['migration', 'upgrad'] }
+  },
+  {
+    id: 'changelog',
+    title: 'Changelog',
+    summary: 'Release history',
+    sources: { classifications: ['changelog'] },
+    // An overview plus a page per release, see processChangelog
+    generate: async ({ scanner, project, source, outputDir }) => {
+      if (!source) {
+        scanner.logger.warn(`No changelog among the primaryFiles of ${project.displayName}`);
+        return [];
+      }
+      return scanner.processChangelog(source, project, outputDir, 'changelog.mdx');
+    }
+  }
+];
+
+class DocumentTypeRegistry {
+  constructor(types = BUILT_IN_DOCUMENT_TYPES) {
+    this.types = new Map();
+    for (const type of types) {
+      this.register(type);
+    }
+  }
+
+  // Add a type, or replace the one with the same id
+  register(plugin) {
+    if (!plugin || typeof plugin.id !== 'string' || !plugin.id) {
+      throw new Error('A document type needs an id');
+    }
+    if (!plugin.sources && !plugin.template && !plugin.render && !plugin.generate) {
+      throw new Error(`Document type ${plugin.id} needs sources, a template, render or generate`);
+    }
+    if (plugin.merge && !MERGE_MODES.includes(plugin.merge)) {
+      throw new Error(`Document type ${plugin.id} has merge "${plugin.merge}", expected one of ${MERGE_MODES.join(', ')}`);
+    }
+
+    const title = plugin.title || plugin.id.charAt(0).toUpperCase() + plugin.id.slice(1);
+    this.types.set(plugin.id, {
+      ...plugin,
+      title,
+      label: plugin.label || title,
+      description: typeof plugin.description === 'function'
+        ? plugin.description
+        : project => plugin.description || `${plugin.id} documentation for ${project.displayName}`,
+      sources: {
+        classifications: plugin.sources?.classifications || [],
+        paths: (plugin.sources?.paths || []).map(fragment => fragment.toLowerCase())
+      },
+      merge: plugin.merge || 'first',
+      navigation: { classification: plugin.id, ...plugin.navigation }
+    });
+    return this;
+  }
+
+  get(id) {
+    return this.types.get(id);
+  }
+
+  ids() {
+    return [...this.types.keys()];
+  }
+
+  // Source file of a type among a project's files, if any
+  selectSource(type, files) {
+    return this.selectSources(type, files)[0];
+  }
+
+  // Every source of a type: in primaryFiles order, or reading order when merged
+  selectSources(type, files) {
+    const { classifications, paths } = type.sources;
+    const matches = files.filter(file => classifications.includes(file.classification) ||
+      paths.some(fragment => file.relativePath.toLowerCase().includes(fragment)));
+    return type.merge === 'first' ? matches : orderSources(matches);
+  }
+
+  // Whether a type has a page for a project: a template or render, or a source
+  hasPage(type, files) {
+    return Boolean(type.template || type.render || this.selectSource(type, files));
+  }
+
+  /**
+   * Built-in types with the manifest's `documentTypes` applied: a `module`
+   * (an absolute path) is loaded and its plugin merged over the built-in
+   * type of the same id, then the manifest's own keys over both.
+   */
+  static fromManifest(configured = {}) {
+    const registry = new DocumentTypeRegistry();
+    for (const [id, { module: modulePath, ...settings }] of Object.entries(configured)) {
+      const plugin = modulePath ? require(modulePath) : {};
+      if (!plugin || typeof plugin !== 'object') {
+        throw new Error(`Document type module ${modulePath} must export a plugin object`);
+      }
+      const builtIn = registry.get(id) || {};
+      registry.register({
+        ...builtIn,
+        ...plugin,
+        ...settings,
+        id,
+        sources: settings.sources || plugin.sources || builtIn.sources,
+        navigation: { ...builtIn.navigation, ...plugin.navigation, ...settings.navigation }
+      });
+    }
+    return registry;
+  }
+}
+
+module.exports = {
+  BUILT_IN_DOCUMENT_TYPES,
+  MERGE_MODES,
+  DocumentTypeRegistry
+};
@@ -1,16 +1,14 @@
-#!/usr/bin/env node
-
 /**
  * Enhanced Documentation Scraper for LostMind AI
  * 
- * This script provides comprehensive project discovery, content extraction,
+ * This module provides comprehensive project discovery, content extraction,
  * and documentation generation for professional docs at docs.lostmindai.com
  * 
  * Features:
  * - Deep recursive file scanning
  * - Smart content classification
  * - Docstring/comment extraction
- * - Asset management and link validation
+ * - Asset management and link rewriting
  * - Navigation structure generation
  * - API reference extraction
  * - Metadata enrichment
@@ -19,18 +17,30 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { execSync } = require('child_process');
 const crypto = require('crypto');
-
-// Load selective project configuration
-const selectiveConfig = require('./selective-project-config.cjs');
-
-// Configuration - Updated to use selective project targeting
+const { glob } = require('glob');
+
+// Projects are declared in docs.config.yaml
+const { loadManifest } = require('./project-manifest.cjs');
+const { findMDXError } = require('./mdx-compiler.cjs');
+const { sanitizeMarkdown } = require('./mdx-sanitizer.cjs');
+const { parseFrontmatter, stringifyFrontmatter, formatDocument } = require('./frontmatter.cjs');
+const { updateMintNavigation } = require('./mint-navigation.cjs');
+const { parseSpec, buildApiReference, slugify } = require('./openapi-reference.cjs');
+const { isCodeFile, loadTypeScript, extractModuleReference, moduleName, renderModuleReference } = require('./code-reference.cjs');
+const { extractPythonReferences, pythonModuleName } = require('./python-reference.cjs');
+const { detectWorkspaces } = require('./workspaces.cjs');
+const { findGitHubRepository, sourceUrl, editUrl, GitHistory } = require('./git-repository.cjs');
+const { loadSharp, outputExtension, publishImage, describeImage } = require('./image-pipeline.cjs');
+const { parseChangelog, renderRelease, releaseSummary, releaseSlug, renderAtomFeed } = require('./changelog.cjs');
+const { DocumentTypeRegistry } = require('./document-types.cjs');
+const { mergeSources, documentRoutes, findIndex, sourceTitle } = require('./source-merge.cjs');
+const { TemplateSet } = require('./page-templates.cjs');
+const { NAVIGATION_GROUPS, NAVIGATION_SECTIONS } = require('./selective-project-config.cjs');
+
+// Configuration
 const CONFIG = {
-  // Use selective project configuration instead of scanning everything
-  projects: selectiveConfig.PROJECT_CONFIG,
-
-  // Output directory for generated docs
+  // Output directory for generated docs, unless the manifest sets outputDir
   outputDir: './apps/docs/projects',
   
   // File patterns to include
@@ -38,7 +48,7 @@ const CONFIG = {
     docs: ['*.md', '*.mdx', '*.txt', '*.rst'],
     code: ['*.js', '*.ts', '*.jsx', '*.tsx', '*.py', '*.java', '*.go'],
     config: ['package.json', 'pyproject.toml', 'go.mod', 'pom.xml'],
-    api: ['openapi.json', 'openapi.yaml', 'swagger.json', 'api.json'],
+    api: ['openapi.json', 'openapi.yaml', 'openapi.yml', 'swagger.json', 'swagger.yaml', 'swagger.yml', 'api.json'],
     assets: ['*.png', '*.jpg', '*.jpeg', '*.gif', '*.svg', '*.webp']
   },
   
@@ -71,7 +81,10 @@ class Logger {
       projectsFound: 0,
       filesProcessed: 0,
       errorsEncountered: 0,
-      assetscopied: 0
+      warningsEncountered: 0,
+      assetscopied: 0,
+      projectsUnchanged: 0,
+      filesUnchanged: 0
     };
   }
 
@@ -79,13 +92,17 @@ class Logger {
     const timestamp = new Date().toISOString();
     const prefix = `[${timestamp}] [${level.toUpperCase()}]`;
     
-    if (level === 'error' || this.verbose || level === 'info') {
+    if (level === 'error' || level === 'warn' || this.verbose || level === 'info') {
       console.log(`${prefix} ${message}`);
     }
     
     if (level === 'error') {
       this.stats.errorsEncountered++;
     }
+
+    if (level === 'warn') {
+      this.stats.warningsEncountered++;
+    }
   }
 
   debug(message) {
@@ -96,6 +113,10 @@ class Logger {
     this.log(message, 'info');
   }
 
+  warn(message) {
+    this.log(message, 'warn');
+  }
+
   error(message) {
     this.log(message, 'error');
   }
@@ -113,6 +134,15 @@ class FileClassifier {
     const filename = path.basename(filePath).toLowerCase();
     const ext = path.extname(filePath).toLowerCase();
     
+    // OpenAPI / Swagger documents, by conventional name or by their version key
+    if (['.json', '.yaml', '.yml'].includes(ext) &&
+        (CONFIG.includePatterns.api.includes(filename) || /^\s*["']?(openapi|swagger)["']?\s*:/m.test(content))) {
+      return 'api-spec';
+    }
+
+    // Source files are documented from their exports, whatever their name
+    if (isCodeFile(filePath) || ['.py', '.java'].includes(ext)) return 'code';
+
     // Check filename patterns
     if (filename.includes('readme')) return 'readme';
     if (filename.includes('claude')) return 'ai-context';
@@ -134,7 +164,6 @@ class FileClassifier {
     
     // Default classification by extension
     if (['.md', '.mdx'].includes(ext)) return 'documentation';
-    if (['.js', '.ts', '.py', '.java'].includes(ext)) return 'code';
     if (filename === 'package.json') return 'config';
     if (['.json', '.yaml', '.yml'].includes(ext) && filename.includes('api')) return 'api-spec';
     
@@ -143,10 +172,12 @@ class FileClassifier {
 
   static getNavigationOrder(type) {
     const order = {
+      'introduction': 0,
       'readme': 1,
       'quickstart': 2,
       'guide': 3,
       'api-reference': 4,
+      'code-reference': 4,
       'architecture': 5,
       'development': 6,
       'deployment': 7,
@@ -157,91 +188,30 @@ class FileClassifier {
       'documentation': 12,
       'misc': 99
     };
-    return order[type] || 50;
+    return order[type] ?? 50;
   }
 }
 
 class ContentExtractor {
-  static async extractDocstrings(filePath, content) {
-    const ext = path.extname(filePath);
-    
-    switch (ext) {
-      case '.js':
-      case '.ts':
-      case '.jsx':
-      case '.tsx':
-        return this.extractJSDocstrings(content);
-      case '.py':
-        return this.extractPythonDocstrings(content);
-      default:
-        return [];
-    }
-  }
-
-  static extractJSDocstrings(content) {
-    const docstrings = [];
-    const jsDocRegex = /\/\*\*([\s\S]*?)\*\//g;
-    let match;
-
-    while ((match = jsDocRegex.exec(content)) !== null) {
-      const docstring = match[1].replace(/^\s*\*/gm, '').trim();
-      if (docstring.length > 20) {
-        docstrings.push(docstring);
-      }
-    }
-
-    return docstrings;
-  }
-
-  static extractPythonDocstrings(content) {
-    const docstrings = [];
-    const pythonDocRegex = /"""([\s\S]*?)"""/g;
-    let match;
-
-    while ((match = pythonDocRegex.exec(content)) !== null) {
-      const docstring = match[1].trim();
-      if (docstring.length > 20) {
-        docstrings.push(docstring);
-      }
-    }
-
-    return docstrings;
-  }
-
   static extractFrontmatter(content) {
-    const frontmatterRegex = /^---\s*\n([\s\S]*?)\n---\s*\n([\s\S]*)$/;
-    const match = content.match(frontmatterRegex);
-    
-    if (match) {
-      try {
-        const frontmatter = {};
-        const lines = match[1].split('\n');
-        for (const line of lines) {
-          const [key, ...valueParts] = line.split(':');
-          if (key && valueParts.length) {
-            frontmatter[key.trim()] = valueParts.join(':').trim().replace(/^['"]|['"]$/g, '');
-          }
-        }
-        return { frontmatter, content: match[2] };
-      } catch (error) {
-        return { frontmatter: {}, content };
-      }
-    }
-    
-    return { frontmatter: {}, content };
+    const { data, content: body, error } = parseFrontmatter(content);
+    return { frontmatter: data, content: body, error };
   }
 
-  static enhanceFrontmatter(filePath, existingFrontmatter, projectInfo) {
+  static enhanceFrontmatter(filePath, existingFrontmatter, projectInfo, options = {}) {
     const filename = path.basename(filePath, path.extname(filePath));
     const classification = FileClassifier.classify(filePath);
+    // lastUpdated defaults to today for pages without a known source date
+    const { addTimestamps = true, lastUpdated = new Date().toISOString().split('T')[0] } = options;
     
     return {
       title: existingFrontmatter.title || this.generateTitle(filename),
       description: existingFrontmatter.description || `${classification} for ${projectInfo.name}`,
-      category: existingFrontmatter.category || classification,
+      // The project's navigation group; the file classification goes into tags
+      category: existingFrontmatter.category || projectInfo.category || classification,
       project: projectInfo.name,
-      lastUpdated: new Date().toISOString().split('T')[0],
-      tags: existingFrontmatter.tags || [classification, projectInfo.category],
+      ...(addTimestamps && { lastUpdated }),
+      tags: existingFrontmatter.tags || [classification, projectInfo.category].filter(Boolean),
       ...existingFrontmatter
     };
   }
@@ -255,100 +225,527 @@ class ContentExtractor {
 }
 
 class AssetManager {
-  constructor(logger) {
+  // settings are SCANNER_CONFIG.images
+  constructor(logger, settings = {}) {
     this.logger = logger;
+    this.settings = settings;
+    // Published image URL by project images directory and content hash
+    this.images = new Map();
+    // { size, width, height } by published image URL
+    this.imageSizes = new Map();
   }
 
+  // Copy an asset, optimising images on the way; returns the copy's size and dimensions
   async copyAssets(sourcePath, destPath) {
     try {
-      await fs.mkdir(path.dirname(destPath), { recursive: true });
-      await fs.copyFile(sourcePath, destPath);
+      const image = await publishImage(sourcePath, destPath, this.settings);
       this.logger.debug(`Copied asset: ${sourcePath} -> ${destPath}`);
       this.logger.stats.assetscopied++;
+      return image;
     } catch (error) {
       this.logger.error(`Failed to copy asset ${sourcePath}: ${error.message}`);
+      return null;
     }
   }
 
-  async validateLinks(content, basePath) {
-    const linkRegex = /\[([^\]]+)\]\(([^)]+)\)/g;
-    const validatedContent = content;
-    let match;
-
-    while ((match = linkRegex.exec(content)) !== null) {
-      const [fullMatch, text, url] = match;
-      
-      if (!url.startsWith('http') && !url.startsWith('#')) {
-        const fullPath = path.resolve(basePath, url);
-        try {
-          await fs.access(fullPath);
-        } catch {
-          this.logger.error(`Broken link found: ${url} in content`);
+  /**
+   * Point the relative links and images of a published source at what the
+   * docs site serves. context holds the source and page paths (absolute),
+   * `routes` (source path → page path of every published document), the
+   * project's `imagesDir` and its `imagesUrl`, and `sourceUrl(path)` for
+   * the web URL of any other file. Code spans and blocks are left alone.
+   */
+  async rewriteLinks(content, context) {
+    const segments = content.split(/(```[\s\S]*?```|~~~[\s\S]*?~~~|`[^`\n]+`)/);
+
+    for (let index = 0; index < segments.length; index += 2) {
+      segments[index] = await replaceAsync(segments[index], LINK_PATTERN, async (match, ...groups) => {
+        const link = linkParts(groups);
+        const url = await this.resolveLink(link.url, link.kind !== 'link', context);
+        const image = this.imageSizes.get(url);
+        const size = this.settings.addDimensions && image && image.width ? image : null;
+
+        if (url === link.url && !size) {
+          return match;
+        }
+        if (link.kind === 'link') {
+          return `${link.prefix}${url}`;
         }
+        if (link.kind === 'tag') {
+          const dimensions = size && !/\s(width|height)=/.test(`${link.tag}${link.rest}`) ? ` width="${size.width}" height="${size.height}"` : '';
+          return `${link.tag}${link.quote}${url}${link.quote}${dimensions}${link.rest}`;
+        }
+        // A Markdown image cannot carry its size, so it becomes an <img>
+        if (size) {
+          const attribute = (name, value) => ` ${name}="${value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`;
+          return `<img${attribute('src', url)}${attribute('alt', link.alt)}${link.title ? attribute('title', link.title) : ''} width="${size.width}" height="${size.height}" />`;
+        }
+        return `![${link.alt}](${url}${link.title ? ` "${link.title}"` : ''})`;
+      });
+    }
+
+    return segments.join('');
+  }
+
+  async resolveLink(url, image, context) {
+    // External, site-absolute and same-page links already work
+    if (/^[a-z][a-z0-9+.-]*:/i.test(url) || /^[#/]/.test(url)) {
+      return url;
+    }
+
+    const [, target, suffix] = url.match(/^([^?#]*)(.*)$/);
+    let sourcePath;
+    try {
+      sourcePath = path.resolve(path.dirname(context.sourcePath), decodeURIComponent(target));
+    } catch {
+      return url;
+    }
+
+    const stats = await fs.stat(sourcePath).catch(() => null);
+    if (!stats) {
+      if (context.reportBroken) {
+        this.logger.error(`Broken link ${url} in ${context.sourcePath}`);
+      }
+      return url;
+    }
+
+    if (stats.isFile() && (image || IMAGE_EXTENSIONS.includes(path.extname(sourcePath).toLowerCase()))) {
+      return this.copyImage(sourcePath, context);
+    }
+
+    // A link to a directory shows its README when that is published
+    const document = stats.isDirectory()
+      ? [...context.routes.keys()].find(source => path.dirname(source) === sourcePath && /^(readme|index)\.mdx?$/i.test(path.basename(source)))
+      : sourcePath;
+    const page = document && context.routes.get(document);
+    if (page) {
+      const route = path.relative(path.dirname(context.pagePath), page).split(path.sep).join('/').replace(/\.mdx?$/, '');
+      const hash = suffix.includes('#') ? suffix.slice(suffix.indexOf('#')) : '';
+      return `${route.startsWith('.') ? route : `./${route}`}${hash}`;
+    }
+
+    const sourceUrl = await context.sourceUrl(sourcePath);
+    if (sourceUrl) {
+      return `${sourceUrl}${suffix}`;
+    }
+
+    this.logger.warn(`${url} in ${context.sourcePath} is not published and the project has no GitHub repository to link to`);
+    return url;
+  }
+
+  // Publish an image into the project's images directory once per content
+  // hash; large PNG/JPEG files become WebP (see image-pipeline.cjs)
+  async copyImage(sourcePath, context) {
+    const source = await fs.readFile(sourcePath);
+    const hash = crypto.createHash('sha256').update(source).digest('hex');
+    const key = `${context.imagesDir}:${hash}`;
+
+    if (!this.images.has(key)) {
+      if (this.settings.optimize && !loadSharp() && !this.sharpMissing) {
+        this.sharpMissing = true;
+        this.logger.warn('sharp is not installed, images are copied without optimisation');
+      }
+
+      const ext = outputExtension(sourcePath, source.length, this.settings);
+      const filename = `${slugify(path.basename(sourcePath, path.extname(sourcePath)), 'image')}-${hash.slice(0, 8)}${ext}`;
+      const destPath = path.join(context.imagesDir, filename);
+      const url = `${context.imagesUrl}/${encodeURIComponent(filename)}`;
+
+      // The hash is part of the name, so an existing copy is up to date
+      let image;
+      if (await fs.stat(destPath).catch(() => null)) {
+        image = await describeImage(destPath);
+      } else {
+        image = context.dryRun ? await describeImage(sourcePath) : await this.copyAssets(sourcePath, destPath);
       }
+
+      const budget = this.settings.maxSizeKB * 1024;
+      if (image && budget > 0 && image.size > budget) {
+        this.logger.error(`Image ${sourcePath} (used in ${context.sourcePath}) is ${Math.round(image.size / 1024)} KB, over the ${this.settings.maxSizeKB} KB image budget`);
+      }
+
+      this.images.set(key, url);
+      if (image) {
+        this.imageSizes.set(url, image);
+      }
+    }
+
+    return this.images.get(key);
+  }
+}
+
+// Markdown images, Markdown links, reference definitions and <img src>
+const LINK_PATTERN = new RegExp([
+  /!\[([^\]\n]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"([^"]*)")?\s*\)/.source,
+  /(\[[^\]\n]*\]\(\s*<?)([^)\s>]+)/.source,
+  /^( {0,3}\[[^\]\n]+\]:\s*<?)(\S+?)(?=>?(?:\s|$))/.source,
+  /(<img\b[^>]*?\bsrc=)(["'])([^"']+)\9([^>]*>)/.source
+].join('|'), 'gm');
+const IMAGE_EXTENSIONS = CONFIG.includePatterns.assets.map(pattern => pattern.slice(1));
+
+function linkParts(groups) {
+  if (groups[1] !== undefined) {
+    return { kind: 'image', alt: groups[0], url: groups[1], title: groups[2] };
+  }
+  if (groups[4] !== undefined) {
+    return { kind: 'link', prefix: groups[3], url: groups[4] };
+  }
+  if (groups[6] !== undefined) {
+    return { kind: 'link', prefix: groups[5], url: groups[6] };
+  }
+  return { kind: 'tag', tag: groups[7], quote: groups[8], url: groups[9], rest: groups[10] };
+}
+
+// String.replace with an async replacer, called for one match at a time
+async function replaceAsync(text, pattern, replacer) {
+  let result = '';
+  let last = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    result += text.slice(last, match.index) + await replacer(...match);
+    last = match.index + match[0].length;
+  }
+
+  return result + text.slice(last);
+}
+
+class ScanCache {
+  constructor(cachePath, options = {}) {
+    this.cachePath = cachePath;
+    this.force = options.force || false;
+    this.entries = { files: {}, outputs: {} };
+  }
+
+  async load() {
+    // --force starts from an empty cache so every source is rebuilt
+    if (this.force) {
+      return;
+    }
+
+    try {
+      const cached = JSON.parse(await fs.readFile(this.cachePath, 'utf8'));
+      if (cached.version === ScanCache.VERSION) {
+        this.entries = { files: cached.files || {}, outputs: cached.outputs || {} };
+      }
+    } catch {
+      // Missing or unreadable cache: treat every source as changed
+    }
+  }
+
+  async save() {
+    const data = { version: ScanCache.VERSION, ...this.entries };
+    await fs.mkdir(path.dirname(this.cachePath), { recursive: true });
+    await fs.writeFile(this.cachePath, JSON.stringify(data, null, 2));
+  }
+
+  // Hash a source file, reusing the stored hash while mtime and size match
+  async hashFile(filePath, stats) {
+    const entry = this.entries.files[filePath];
+    if (entry && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size) {
+      return entry.hash;
+    }
+
+    const hash = ScanCache.hash(await fs.readFile(filePath));
+    this.entries.files[filePath] = { mtimeMs: stats.mtimeMs, size: stats.size, hash };
+    return hash;
+  }
+
+  isFresh(key, fingerprint) {
+    const entry = this.entries.outputs[key];
+    return Boolean(entry && entry.fingerprint === fingerprint);
+  }
+
+  getOutput(key) {
+    return this.entries.outputs[key];
+  }
+
+  setOutput(key, fingerprint, value) {
+    this.entries.outputs[key] = { fingerprint, ...value };
+  }
+
+  static hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+}
+
+// Bump when generated output changes shape so stale caches are discarded
+ScanCache.VERSION = 8;
+
+// Pages claimed during a scan, so two sources never write the same page
+class RouteRegistry {
+  constructor(logger, outputDir) {
+    this.logger = logger;
+    this.outputDir = outputDir;
+    this.owners = new Map();
+  }
+
+  // True when the page is free or already belongs to `source`; reports the conflict otherwise
+  claim(outputPath, source) {
+    const key = path.resolve(this.outputDir, outputPath);
+    const owner = this.owners.get(key);
+
+    if (owner && owner !== source) {
+      const route = path.relative(this.outputDir, key);
+      this.logger.error(`Route conflict: ${route} is produced by both ${owner} and ${source}; keeping ${owner}. Give one of them a \`route\` in its frontmatter`);
+      return false;
     }
 
-    return validatedContent;
+    this.owners.set(key, source);
+    return true;
   }
 }
 
+// Top-level navigation group of the aggregated changelog page
+const CHANGELOG_GROUP = { title: 'Changelog', icon: 'clock-rotate-left' };
+
 class NavigationBuilder {
-  constructor() {
+  // outputDir is the generated pages directory inside the Mintlify app;
+  // navigationGroups maps project categories to top-level groups and
+  // navigationSections file classifications to sub-groups of each project
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || CONFIG.outputDir;
+    this.navigationGroups = options.navigationGroups || NAVIGATION_GROUPS;
+    this.navigationSections = options.navigationSections || NAVIGATION_SECTIONS;
+    // Whether the aggregated changelog group is this builder's (the scanner's, not the extractor's)
+    this.ownsChangelog = options.changelog !== false;
     this.navigation = {};
+    // Page path of the aggregated changelog, once written
+    this.changelogPage = null;
   }
 
-  addProject(projectName, files) {
+  // files carry a classification and an output path relative to outputDir,
+  // and may set navigationPosition to override the classification's place;
+  // a project with a parent (a workspace package) is nested in its group
+  addProject(project, files) {
+    const seen = new Set();
     const sortedFiles = files
       .filter(file => file.classification !== 'code' && file.classification !== 'misc')
+      .map(file => ({
+        title: file.title,
+        category: file.classification,
+        position: file.navigationPosition ?? FileClassifier.getNavigationOrder(file.classification),
+        order: file.navigationOrder || 0,
+        page: this.pagePath(file.outputPath || file.relativePath),
+        release: file.release
+      }))
+      // Several sources can be written to the same page; list it once
+      .filter(file => !seen.has(file.page) && seen.add(file.page))
       .sort((a, b) => {
-        const orderA = FileClassifier.getNavigationOrder(a.classification);
-        const orderB = FileClassifier.getNavigationOrder(b.classification);
-        return orderA - orderB;
+        // Pages generated together (an API reference) keep their own order
+        return a.position - b.position ||
+          path.posix.dirname(a.page).localeCompare(path.posix.dirname(b.page)) ||
+          a.order - b.order ||
+          a.page.localeCompare(b.page);
       });
 
-    this.navigation[projectName] = {
-      name: projectName,
-      files: sortedFiles.map(file => ({
-        title: file.title,
-        path: file.outputPath,
-        category: file.classification
-      }))
+    this.navigation[project.name] = {
+      name: project.name,
+      title: project.displayName || project.name,
+      icon: project.icon,
+      category: project.category,
+      parent: project.parent,
+      files: sortedFiles
     };
   }
 
-  generateMintlifyConfig() {
-    const navigation = [];
-    
-    Object.entries(this.navigation).forEach(([projectName, project]) => {
-      navigation.push({
-        group: project.name,
-        pages: project.files.map(file => file.path.replace('.mdx', '').replace('./apps/docs/', ''))
-      });
-    });
+  // Releases of every changelog page added, each with its page path
+  releases() {
+    return Object.values(this.navigation).flatMap(entry => entry.files
+      .filter(file => file.release)
+      .map(file => ({ ...file.release, page: file.page })));
+  }
+
+  // Mintlify page path: relative to the app root, without extension
+  pagePath(outputPath) {
+    const docsRoot = path.dirname(path.resolve(this.outputDir));
+    const absolute = path.resolve(this.outputDir, outputPath);
+    return path.relative(docsRoot, absolute).split(path.sep).join('/').replace(/\.mdx?$/, '');
+  }
+
+  // Categories without a navigation group get their own group after the configured ones
+  groupFor(category) {
+    return this.navigationGroups[category] || {
+      title: ContentExtractor.generateTitle(category || 'other'),
+      order: Number.MAX_SAFE_INTEGER
+    };
+  }
+
+  sectionFor(classification) {
+    return Object.values(this.navigationSections)
+      .find(section => section.classifications.includes(classification));
+  }
+
+  // Mintlify group; the icon key is left out when none is configured
+  static group(title, icon, pages) {
+    return { group: title, ...(icon && { icon }), pages };
+  }
+
+  // Project pages: unsectioned pages first, then one sub-group per non-empty
+  // section, then one sub-group per workspace package
+  projectPages(project) {
+    const pages = [];
+    const sections = new Map();
+
+    for (const file of project.files) {
+      const section = this.sectionFor(file.category);
+      if (!section) {
+        pages.push(file.page);
+      } else {
+        if (!sections.has(section)) {
+          sections.set(section, []);
+        }
+        sections.get(section).push(file.page);
+      }
+    }
+
+    const sectionGroups = [...sections]
+      .sort(([a], [b]) => a.order - b.order)
+      .map(([section, sectionPages]) => NavigationBuilder.group(section.title, section.icon, sectionPages));
+
+    const packageGroups = Object.values(this.navigation)
+      .filter(entry => entry.parent === project.name)
+      .map(entry => NavigationBuilder.group(entry.title, entry.icon, this.projectPages(entry)))
+      .filter(group => group.pages.length > 0);
+
+    return [...pages, ...sectionGroups, ...packageGroups];
+  }
 
-    return { navigation };
+  // Category groups in NAVIGATION_GROUPS order, each holding one group per
+  // project in the order projects were added; empty groups are left out
+  generateMintlifyNavigation() {
+    const groups = new Map();
+
+    for (const project of Object.values(this.navigation).filter(entry => !entry.parent)) {
+      const pages = this.projectPages(project);
+      if (pages.length === 0) {
+        continue;
+      }
+
+      const { title, icon, order } = this.groupFor(project.category);
+      if (!groups.has(title)) {
+        groups.set(title, { icon, order, pages: [] });
+      }
+      groups.get(title).pages.push(NavigationBuilder.group(project.title, project.icon, pages));
+    }
+
+    const navigation = [...groups]
+      .sort(([titleA, a], [titleB, b]) => a.order - b.order || titleA.localeCompare(titleB))
+      .map(([title, group]) => NavigationBuilder.group(title, group.icon, group.pages));
+
+    // The changelog of all projects follows the project groups
+    if (this.changelogPage) {
+      navigation.push(NavigationBuilder.group(CHANGELOG_GROUP.title, CHANGELOG_GROUP.icon, [this.changelogPage]));
+    }
+    return navigation;
   }
 
-  async save(outputPath) {
-    await fs.writeFile(outputPath, JSON.stringify(this.generateMintlifyConfig(), null, 2));
+  // Merge the generated groups into mint.json next to the output directory;
+  // options.keep lists the output paths of projects whose existing groups stay
+  async save(options = {}) {
+    const docsRoot = path.dirname(path.resolve(this.outputDir));
+    return updateMintNavigation(path.join(docsRoot, 'mint.json'), this.generateMintlifyNavigation(), {
+      titles: [
+        ...Object.values(this.navigationGroups).map(group => group.title),
+        ...(this.ownsChangelog ? [CHANGELOG_GROUP.title] : [])
+      ],
+      keep: (options.keep || []).map(outputPath => this.pagePath(outputPath)),
+      dryRun: options.dryRun
+    });
   }
 }
 
 class EnhancedProjectScanner {
   constructor(options = {}) {
     this.logger = new Logger(options.verbose);
-    this.assetManager = new AssetManager(this.logger);
-    this.navigationBuilder = new NavigationBuilder();
-    this.options = { ...CONFIG, ...options };
+    this.manifest = options.manifest || loadManifest(options.configPath);
+    // output, validation, generation and image settings (SCANNER_CONFIG merged with the manifest)
+    this.settings = this.manifest.scanner;
+    this.assetManager = new AssetManager(this.logger, this.settings.images);
+    // Generators of the pages projects list in documentTypes
+    this.documentTypes = DocumentTypeRegistry.fromManifest(this.manifest.documentTypes);
+    // Templates of generated page bodies: the manifest's `templates` directory, then the built-in ones
+    this.templates = new TemplateSet([this.manifest.templates]);
+    this.options = {
+      ...CONFIG,
+      projects: this.manifest.projects,
+      ...options,
+      outputDir: options.outputDir || this.manifest.outputDir || CONFIG.outputDir
+    };
+    this.navigationBuilder = new NavigationBuilder({
+      outputDir: this.options.outputDir,
+      navigationGroups: this.manifest.navigationGroups,
+      navigationSections: this.manifest.navigationSections
+    });
+    this.cache = new ScanCache(
+      path.join(this.options.outputDir, '../scan-cache.json'),
+      { force: this.options.force }
+    );
+    this.routes = new RouteRegistry(this.logger, this.options.outputDir);
+    // Configured projects whose sourcePath does not exist; their pages and navigation are kept
+    this.missingProjects = [];
+    // Published page of every source document, for rewriting links between them
+    this.sourceRoutes = new Map();
+    this.repositories = new Map();
+    this.gitHistory = new GitHistory();
+    // Copied images go to images/<project>/ in the Mintlify app
+    this.imagesDir = path.join(path.dirname(path.resolve(this.options.outputDir)), 'images');
   }
 
   async scan() {
-    this.logger.info('Starting selective project scan for 5 target projects...');
+    await this.cache.load();
+
+    // Base paths switch to discovery mode: every project found below them is documented
+    const projects = this.options.basePaths && this.options.basePaths.length > 0
+      ? await this.scanDiscoveredProjects()
+      : await this.scanConfiguredProjects();
+
+    // Remove output for projects that are no longer configured or discovered
+    if (this.settings.output.cleanBuild) {
+      await this.pruneStaleProjects(projects);
+    }
+
+    await this.writeChangelog();
 
-    // Use selective project configuration instead of scanning directories
+    // Merge the generated groups into mint.json (dry runs only print the diff),
+    // keeping the groups of configured projects that are not checked out here.
+    // A scan that is about to fail leaves mint.json alone.
+    const failing = this.settings.validation.strictMode && this.logger.stats.errorsEncountered > 0;
+    if (this.settings.output.createNavigation && failing) {
+      this.logger.warn('Navigation not updated: the scan failed in strict mode');
+    } else if (this.settings.output.createNavigation) {
+      try {
+        await this.navigationBuilder.save({
+          dryRun: this.options.dryRun,
+          keep: this.missingProjects.map(project => project.outputPath)
+        });
+      } catch (error) {
+        this.logger.error(`Failed to update navigation: ${error.message}`);
+      }
+    }
+
+    // Generate summary and persist hashes for the next incremental run
+    if (!this.options.dryRun) {
+      await this.generateSummary(projects);
+      await this.cache.save();
+    }
+
+    this.logger.printStats();
+
+    const { errorsEncountered } = this.logger.stats;
+    if (this.settings.validation.strictMode && errorsEncountered > 0) {
+      throw new Error(`Strict mode: ${errorsEncountered} error(s) encountered during the scan`);
+    }
+
+    return projects;
+  }
+
+  async scanConfiguredProjects() {
+    this.logger.info(`Starting selective project scan for ${this.options.projects.length} configured projects...`);
+
+    // Use the manifest's project list instead of scanning directories
     const selectedProjects = [];
 
-    for (const projectConfig of CONFIG.projects) {
+    for (const projectConfig of this.options.projects) {
       if (await this.pathExists(projectConfig.sourcePath)) {
         this.logger.info(`Processing configured project: ${projectConfig.displayName}`);
 
@@ -357,18 +754,24 @@ class EnhancedProjectScanner {
           name: projectConfig.id,
           path: projectConfig.sourcePath,
           displayName: projectConfig.displayName,
+          icon: projectConfig.icon,
           category: projectConfig.category,
           priority: projectConfig.priority,
           documentTypes: projectConfig.documentTypes,
           scanStrategy: projectConfig.scanStrategy,
           outputPath: projectConfig.outputPath,
           primaryFiles: projectConfig.primaryFiles || [],
+          codeReference: projectConfig.codeReference || [],
+          workspaces: projectConfig.workspaces !== false,
+          repository: projectConfig.repository,
+          templates: projectConfig.templates,
           skipPatterns: projectConfig.skipPatterns || []
         };
 
         selectedProjects.push(project);
       } else {
         this.logger.error(`Project path not found: ${projectConfig.sourcePath}`);
+        this.missingProjects.push(projectConfig);
       }
     }
 
@@ -380,18 +783,38 @@ class EnhancedProjectScanner {
       await this.processSelectiveProject(project);
     }
 
-    // Generate navigation
-    if (!this.options.dryRun) {
-      await this.navigationBuilder.save(path.join(this.options.outputDir, '../navigation.json'));
+    return selectedProjects;
+  }
+
+  async scanDiscoveredProjects() {
+    this.logger.info('Starting enhanced project scan...');
+
+    const allProjects = [];
+
+    for (const basePath of this.options.basePaths) {
+      if (basePath && await this.pathExists(basePath)) {
+        this.logger.info(`Scanning base path: ${basePath}`);
+        const projects = await this.scanBasePath(basePath);
+        allProjects.push(...projects);
+      } else {
+        this.logger.error(`Base path not found: ${basePath}`);
+      }
     }
 
-    // Generate summary
+    this.logger.info(`Found ${allProjects.length} projects`);
+    this.logger.stats.projectsFound = allProjects.length;
+
+    // Process each project, once every document's page is known
     if (!this.options.dryRun) {
-      await this.generateSummary(selectedProjects);
+      for (const project of allProjects) {
+        this.registerDocumentRoutes(project);
+      }
+      for (const project of allProjects) {
+        await this.processProject(project);
+      }
     }
 
-    this.logger.printStats();
-    return selectedProjects;
+    return allProjects;
   }
 
   async scanBasePath(basePath) {
@@ -465,7 +888,7 @@ class EnhancedProjectScanner {
       // Scan all files in project
       const files = await this.scanProjectFiles(projectPath);
       
-      return {
+      const project = {
         name: projectName,
         path: projectPath,
         displayName: packageInfo.name || projectName,
@@ -478,16 +901,23 @@ class EnhancedProjectScanner {
           dependencies: packageInfo.dependencies || {},
           devDependencies: packageInfo.devDependencies || {},
           scripts: packageInfo.scripts || {},
-          lastModified: new Date().toISOString()
+          lastModified: await this.lastModified(projectPath, files)
         }
       };
+
+      // In a monorepo each workspace package is documented as a sub-project
+      project.packages = await this.findWorkspacePackages(project);
+      project.files = this.assignPackageFiles(files, project.packages);
+
+      return project;
     } catch (error) {
       this.logger.error(`Failed to analyze project ${projectPath}: ${error.message}`);
       return null;
     }
   }
 
-  async scanProjectFiles(projectPath, currentDepth = 0) {
+  // Paths of the returned files are relative to projectRoot, the directory the scan started in
+  async scanProjectFiles(projectPath, currentDepth = 0, projectRoot = projectPath) {
     if (currentDepth > this.options.extraction.maxDepth) {
       return [];
     }
@@ -495,18 +925,20 @@ class EnhancedProjectScanner {
     const files = [];
     
     try {
-      const entries = await fs.readdir(projectPath, { withFileTypes: true });
+      // Sorted, so the same source wins a route conflict on every run
+      const entries = (await fs.readdir(projectPath, { withFileTypes: true }))
+        .sort((a, b) => a.name.localeCompare(b.name));
       
       for (const entry of entries) {
         const fullPath = path.join(projectPath, entry.name);
         
         if (entry.isDirectory()) {
           if (!this.options.excludeDirs.includes(entry.name)) {
-            const subFiles = await this.scanProjectFiles(fullPath, currentDepth + 1);
+            const subFiles = await this.scanProjectFiles(fullPath, currentDepth + 1, projectRoot);
             files.push(...subFiles);
           }
         } else if (entry.isFile()) {
-          const fileInfo = await this.analyzeFile(fullPath, projectPath);
+          const fileInfo = await this.analyzeFile(fullPath, projectRoot);
           if (fileInfo) {
             files.push(fileInfo);
           }
@@ -541,12 +973,15 @@ class EnhancedProjectScanner {
       let frontmatter = {};
       
       // Read content for text files
-      if (['.md', '.mdx', '.txt', '.json', '.yaml', '.yml', '.js', '.ts', '.py'].includes(ext)) {
+      if (['.md', '.mdx', '.txt', '.json', '.yaml', '.yml', '.py'].includes(ext) || isCodeFile(filePath)) {
         try {
           content = await fs.readFile(filePath, 'utf8');
           
           if (['.md', '.mdx'].includes(ext)) {
             const extracted = ContentExtractor.extractFrontmatter(content);
+            if (extracted.error) {
+              this.logger.error(`Invalid frontmatter in ${filePath}: ${extracted.error.message}`);
+            }
             frontmatter = extracted.frontmatter;
             content = extracted.content;
           }
@@ -558,12 +993,6 @@ class EnhancedProjectScanner {
       
       const classification = FileClassifier.classify(filePath, content);
       
-      // Extract docstrings from code files
-      let docstrings = [];
-      if (['code'].includes(classification)) {
-        docstrings = await ContentExtractor.extractDocstrings(filePath, content);
-      }
-      
       this.logger.stats.filesProcessed++;
       
       return {
@@ -575,7 +1004,6 @@ class EnhancedProjectScanner {
         lastModified: stats.mtime,
         content: content.substring(0, 5000), // Limit content preview
         frontmatter,
-        docstrings,
         title: frontmatter.title || ContentExtractor.generateTitle(path.basename(filePath, ext))
       };
     } catch (error) {
@@ -584,6 +1012,84 @@ class EnhancedProjectScanner {
     }
   }
 
+  // Workspace packages of a monorepo as sub-projects of `project`, or [] for a single package
+  async findWorkspacePackages(project) {
+    let workspace;
+
+    try {
+      workspace = await detectWorkspaces(project.path);
+    } catch (error) {
+      this.logger.warn(`Could not read the workspaces of ${project.displayName}: ${error.message}`);
+      return [];
+    }
+
+    if (!workspace) {
+      return [];
+    }
+
+    const tool = [workspace.manager, workspace.turbo && 'Turborepo'].filter(Boolean).join(' + ');
+    this.logger.info(`📦 ${project.displayName}: ${workspace.packages.length} workspace packages (${tool})`);
+    project.workspace = workspace;
+
+    return Promise.all(workspace.packages.map(async pkg => ({
+      name: `${project.name}/${pkg.relativePath}`,
+      path: pkg.path,
+      displayName: pkg.name,
+      description: pkg.description,
+      version: pkg.version || project.version,
+      category: project.category,
+      priority: project.priority,
+      outputPath: project.outputPath && path.join(project.outputPath, pkg.relativePath),
+      parent: project.name,
+      // Source links resolve against the monorepo root
+      repository: project.repository,
+      templates: project.templates,
+      sourceRoot: project.sourceRoot || project.path,
+      workspace,
+      workspacePackage: pkg,
+      files: [],
+      metadata: {
+        dependencies: pkg.dependencies,
+        devDependencies: pkg.devDependencies,
+        scripts: pkg.scripts,
+        lastModified: await this.lastModified(pkg.path, [])
+      }
+    })));
+  }
+
+  // Time of the newest commit below `dir`, or without git history of the newest of `files`
+  async lastModified(dir, files) {
+    const history = this.settings.generation.gitMetadata ? await this.gitHistory.history(dir) : null;
+    if (history && !history.dirty) {
+      return history.date;
+    }
+
+    const newest = files.reduce((latest, file) => Math.max(latest, file.lastModified.getTime()), 0);
+    return newest ? new Date(newest).toISOString() : null;
+  }
+
+  // Hand each file to the innermost workspace package containing it and
+  // return the files left for the project root
+  assignPackageFiles(files, packages) {
+    const innermostFirst = [...packages].sort((a, b) => b.path.length - a.path.length);
+    const rootFiles = [];
+
+    for (const file of files) {
+      const filePath = path.resolve(file.path);
+      const owner = innermostFirst.find(pkg => filePath.startsWith(`${path.resolve(pkg.path)}${path.sep}`));
+      (owner ? owner.files : rootFiles).push(file);
+    }
+
+    // Packages without a description borrow the first paragraph of their README
+    for (const pkg of packages.filter(candidate => !candidate.description)) {
+      const readmePath = pkg.workspacePackage.readme;
+      const readme = readmePath && pkg.files.find(file => path.resolve(file.path) === path.resolve(readmePath));
+      pkg.description = (readme && this.extractDescription(readme.content)) || `${pkg.displayName} workspace package`;
+    }
+
+    return rootFiles;
+  }
+
   isFileRelevant(filePath) {
     const filename = path.basename(filePath).toLowerCase();
     const ext = path.extname(filePath).toLowerCase();
@@ -603,105 +1109,410 @@ class EnhancedProjectScanner {
       return true;
     }
     
-    // Include code files with likely documentation
-    if (['.js', '.ts', '.py'].includes(ext) && filename.includes('index')) {
+    // Include module entry points, whose exports get a reference page
+    if (isCodeFile(filePath) && filename.includes('index')) {
       return true;
     }
+
+    // Python modules other than tests and private ones get a reference page too
+    if (ext === '.py') {
+      const isTest = /^(test_.*|.*_test|conftest)\.py$/.test(filename) || /(^|[\\/])tests?[\\/]/.test(filePath);
+      const isPrivate = filename.startsWith('_') && filename !== '__init__.py';
+      return !isTest && !isPrivate && filename !== 'setup.py';
+    }
     
     return false;
   }
 
+  // Returns whether any page changed and the output files the project owns
   async processProject(project) {
     this.logger.info(`Processing project: ${project.name}`);
     
     const outputDir = path.join(this.options.outputDir, project.name);
     await fs.mkdir(outputDir, { recursive: true });
+
+    // Workspace packages write to sub-directories of the project's output
+    const packageOutputs = [];
+    let packagesChanged = false;
+
+    for (const pkg of project.packages || []) {
+      const result = await this.processProject(pkg);
+      packageOutputs.push(...result.outputs);
+      packagesChanged = packagesChanged || result.changed;
+    }
     
     // Process documentation files
     const processedFiles = [];
+    let changed = false;
+    this.routes.claim(path.join(outputDir, 'index.mdx'), `the ${project.name} overview`);
+    const routes = this.routesFingerprint(project);
     
-    for (const file of project.files.filter(f => f.classification !== 'code')) {
+    for (const file of project.files.filter(f => f.classification !== 'code' || this.hasReference(f.path))) {
       try {
-        const processed = await this.processDocumentationFile(file, project, outputDir);
-        if (processed) {
-          processedFiles.push(processed);
+        const cacheKey = `${project.name}:${file.relativePath}`;
+        const stats = { mtimeMs: file.lastModified.getTime(), size: file.size };
+        // Links are rewritten with the project's routes, so a moved or deleted document refreshes every page
+        const fingerprint = `${await this.cache.hashFile(file.path, stats)}:${await this.lastCommitOf(file.path)}:${routes}`;
+        const cached = this.cache.getOutput(cacheKey);
+
+        // Leave the MDX untouched when its source has not changed
+        if (this.cache.isFresh(cacheKey, fingerprint) && await this.outputsExist(cached.processed)) {
+          this.logger.debug(`Unchanged: ${file.relativePath}`);
+          this.logger.stats.filesUnchanged++;
+          processedFiles.push(...cached.processed.filter(page => this.routes.claim(page.outputPath, file.path)));
+          continue;
+        }
+
+        // An API spec or a changelog becomes several pages, a module its
+        // reference page, any other document one page
+        const errorsBefore = this.logger.stats.errorsEncountered;
+        let processed;
+        if (file.classification === 'api-spec') {
+          processed = await this.processApiSpec(file, project, outputDir);
+        } else if (file.classification === 'changelog') {
+          processed = await this.processChangelog(file, project, outputDir);
+        } else if (file.classification === 'code') {
+          processed = await this.processCodeReference(file.path, project, outputDir);
+        } else {
+          processed = [await this.processDocumentationFile(file, project, outputDir)].filter(Boolean);
+        }
+
+        if (processed && processed.length > 0) {
+          processedFiles.push(...processed);
+          changed = true;
+        }
+        // Pages that logged errors are not cached, so the next scan reports them again
+        if (processed && processed.length > 0 && this.logger.stats.errorsEncountered === errorsBefore) {
+          this.cache.setOutput(cacheKey, fingerprint, {
+            processed: processed.map(page => ({
+              title: page.title,
+              classification: page.classification,
+              outputPath: page.outputPath,
+              navigationOrder: page.navigationOrder,
+              release: page.release
+            }))
+          });
         }
       } catch (error) {
         this.logger.error(`Failed to process file ${file.path}: ${error.message}`);
       }
     }
     
-    // Generate project index
-    await this.generateProjectIndex(project, processedFiles, outputDir);
+    // Generate project index only when one of its pages (or packages) changed, a page
+    // was added or removed, or its template changed
+    const indexKey = `${project.name}:index`;
+    const indexFingerprint = ScanCache.hash(JSON.stringify({
+      pages: processedFiles.map(file => [file.title, file.outputPath]),
+      templates: await this.fingerprintTemplates(project)
+    }));
+    if (changed || packagesChanged || !this.cache.isFresh(indexKey, indexFingerprint) ||
+        !(await this.pathExists(path.join(outputDir, 'index.mdx')))) {
+      if (await this.generateProjectIndex(project, processedFiles, outputDir)) {
+        this.cache.setOutput(indexKey, indexFingerprint, {});
+      }
+    }
+
+    const outputs = [
+      path.join(outputDir, 'index.mdx'),
+      ...processedFiles.map(file => path.join(this.options.outputDir, file.outputPath)),
+      ...packageOutputs
+    ];
+
+    // The root project prunes for its packages too
+    if (this.settings.output.cleanBuild && !project.parent) {
+      await this.pruneProjectOutput(outputDir, outputs);
+    }
     
-    // Add to navigation
-    this.navigationBuilder.addProject(project.name, processedFiles);
+    // Add to navigation, overview first
+    this.navigationBuilder.addProject(project, [
+      { title: project.displayName, classification: 'introduction', outputPath: path.join(project.name, 'index.mdx') },
+      ...processedFiles
+    ]);
+
+    return { changed: changed || packagesChanged, outputs };
   }
 
   async processSelectiveProject(project) {
     this.logger.info(`Processing selective project: ${project.displayName}`);
 
-    // Create output directory using project.outputPath
     const outputDir = project.outputPath;
+
+    // Skip the project when neither its sources nor its configuration changed
+    const sourcePaths = await this.findSelectiveProjectFiles(project);
+    const modulePaths = await this.glob(project.codeReference, {
+      cwd: project.path,
+      ignore: project.skipPatterns
+    });
+    // Workspace packages of a monorepo get their own pages; their package.json counts as a source
+    const packages = project.workspaces ? await this.findWorkspacePackages(project) : [];
+    const manifestPaths = packages.map(pkg => path.join(pkg.path, 'package.json'));
+    // Edited page templates count as changed sources
+    const templatePaths = await this.templates.forDirectory(project.templates).files();
+    const fingerprint = await this.fingerprintSources(project, [...sourcePaths, ...modulePaths, ...manifestPaths, ...templatePaths]);
+    const cached = this.cache.getOutput(project.name);
+
+    if (this.cache.isFresh(project.name, fingerprint) &&
+        await this.outputsExist([...cached.processedFiles, ...cached.packages.flatMap(pkg => pkg.pages)])) {
+      this.logger.info(`No changes in ${project.displayName}, keeping existing output`);
+      this.logger.stats.projectsUnchanged++;
+      for (const pkg of cached.packages) {
+        this.navigationBuilder.addProject(pkg.project, pkg.pages);
+      }
+      this.navigationBuilder.addProject(project, cached.processedFiles);
+      return cached.processedFiles;
+    }
+
+    // Create output directory using project.outputPath
     if (!this.options.dryRun) {
       await fs.mkdir(outputDir, { recursive: true });
     }
+    const errorsBefore = this.logger.stats.errorsEncountered;
 
-    // Scan project files based on strategy
-    const files = await this.scanSelectiveProjectFiles(project);
+    // Scan project files based on strategy; documents inside a workspace
+    // package belong to that package's pages
+    const files = this.assignPackageFiles(await this.scanSelectiveProjectFiles(project, sourcePaths), packages);
+    project.packages = packages;
+
+    for (const documentType of project.documentTypes) {
+      const type = this.documentTypes.get(documentType);
+      const sources = type ? this.documentTypes.selectSources(type, files) : [];
+      for (const { source, route } of documentRoutes(documentType, type?.merge, sources)) {
+        this.sourceRoutes.set(path.resolve(source.path), path.resolve(outputDir, route));
+      }
+    }
+    for (const pkg of packages) {
+      this.registerDocumentRoutes(pkg);
+    }
 
     // Process documentation files
     const processedFiles = [];
-
-    for (const documentType of project.documentTypes) {
+    let failed = false;
+
+    // Pages rendered from the others (the introduction links to them) come
+    // last, so they only link to pages that were written
+    const rendersLast = id => Boolean(this.documentTypes.get(id)?.render);
+    const documentTypes = [
+      ...project.documentTypes.filter(id => !rendersLast(id)),
+      ...project.documentTypes.filter(rendersLast)
+    ];
+    const written = new Set();
+
+    for (const documentType of documentTypes) {
       try {
-        const processed = await this.generateSelectiveDocument(project, files, documentType, outputDir);
-        if (processed) {
-          processedFiles.push(processed);
+        const pages = await this.generateSelectiveDocument(project, files, documentType, outputDir, written);
+        if (pages) {
+          processedFiles.push(...pages);
+          if (pages.length > 0) {
+            written.add(documentType);
+          }
+        } else {
+          failed = true;
         }
       } catch (error) {
+        failed = true;
         this.logger.error(`Failed to generate ${documentType} for ${project.displayName}: ${error.message}`);
       }
     }
 
-    // Add to navigation
-    this.navigationBuilder.addProject(project.name, processedFiles);
+    // OpenAPI / Swagger specs among the primary files get an API reference
+    for (const file of files.filter(candidate => candidate.classification === 'api-spec')) {
+      const pages = await this.processApiSpec(file, project, outputDir);
+      if (pages) {
+        processedFiles.push(...pages);
+      } else {
+        failed = true;
+      }
+    }
+
+    // Modules matched by codeReference get a page listing their exports
+    for (const modulePath of modulePaths) {
+      try {
+        const pages = await this.processCodeReference(modulePath, project, outputDir);
+        if (pages) {
+          processedFiles.push(...pages);
+        } else {
+          failed = true;
+        }
+      } catch (error) {
+        failed = true;
+        this.logger.error(`Failed to document ${modulePath} for ${project.displayName}: ${error.message}`);
+      }
+    }
+
+    // Each workspace package gets an overview page plus its matched documents
+    const packagePages = [];
+    for (const pkg of packages) {
+      try {
+        const result = await this.processSelectivePackage(pkg);
+        failed = failed || result.failed;
+        packagePages.push({
+          project: { name: pkg.name, displayName: pkg.displayName, category: pkg.category, parent: pkg.parent },
+          pages: result.pages
+        });
+        this.navigationBuilder.addProject(pkg, result.pages);
+      } catch (error) {
+        failed = true;
+        this.logger.error(`Failed to document package ${pkg.displayName} of ${project.displayName}: ${error.message}`);
+      }
+    }
+
+    // Only cache complete runs without errors (broken links, oversized images, ...),
+    // so the next scan reports them again instead of keeping the output
+    if (!this.options.dryRun && !failed && this.logger.stats.errorsEncountered === errorsBefore) {
+      this.cache.setOutput(project.name, fingerprint, { processedFiles, packages: packagePages });
+    }
+
+    if (this.settings.output.cleanBuild) {
+      await this.pruneProjectOutput(
+        outputDir,
+        [...processedFiles, ...packagePages.flatMap(pkg => pkg.pages)]
+          .map(file => path.join(this.options.outputDir, file.relativePath))
+      );
+    }
+
+    // Add to navigation
+    this.navigationBuilder.addProject(project, processedFiles);
 
     return processedFiles;
   }
 
-  async scanSelectiveProjectFiles(project) {
+  // Overview page and matched documents of one workspace package in a selective project
+  async processSelectivePackage(pkg) {
+    const outputDir = pkg.outputPath;
+    if (!this.options.dryRun) {
+      await fs.mkdir(outputDir, { recursive: true });
+    }
+
+    const pages = [];
+    let failed = false;
+
+    for (const file of pkg.files.filter(candidate => candidate.classification !== 'code')) {
+      if (file.classification === 'api-spec') {
+        const specPages = await this.processApiSpec(file, pkg, outputDir);
+        pages.push(...(specPages || []));
+        failed = failed || !specPages;
+        continue;
+      }
+      if (file.classification === 'changelog') {
+        const changelogPages = await this.processChangelog(file, pkg, outputDir);
+        pages.push(...(changelogPages || []));
+        failed = failed || !changelogPages;
+        continue;
+      }
+
+      const page = await this.processDocumentationFile(file, pkg, outputDir);
+      if (page) {
+        pages.push({ title: page.title, classification: page.classification, outputPath: page.outputPath, relativePath: page.outputPath });
+      } else {
+        failed = true;
+      }
+    }
+
+    if (!(await this.generateProjectIndex(pkg, pages, outputDir))) {
+      failed = true;
+    }
+    const indexPath = path.relative(this.options.outputDir, path.join(outputDir, 'index.mdx'));
+
+    return {
+      pages: [{ title: pkg.displayName, classification: 'introduction', outputPath: indexPath, relativePath: indexPath }, ...pages],
+      failed
+    };
+  }
+
+  async findSelectiveProjectFiles(project) {
+    return this.glob(project.primaryFiles, {
+      cwd: project.path,
+      ignore: project.skipPatterns
+    });
+  }
+
+  // Combine the project configuration with the hash and last commit of every
+  // source file; the project's last commit dates its generated pages
+  async fingerprintSources(project, sourcePaths) {
+    const sources = [];
+
+    for (const filePath of sourcePaths) {
+      try {
+        const stats = await fs.stat(filePath);
+        sources.push([filePath, await this.cache.hashFile(filePath, stats), await this.lastCommitOf(filePath)]);
+      } catch (error) {
+        this.logger.debug(`Could not hash ${filePath}: ${error.message}`);
+      }
+    }
+
+    return ScanCache.hash(JSON.stringify({ project, sources, lastCommit: await this.lastCommitOf(project.path) }));
+  }
+
+  // Hash of the pages every document of a project (or of its monorepo) is published at
+  routesFingerprint(project) {
+    const root = path.resolve(project.sourceRoot || project.path);
+    const routes = [...this.sourceRoutes]
+      .filter(([sourcePath]) => sourcePath.startsWith(`${root}${path.sep}`))
+      .sort(([a], [b]) => a.localeCompare(b));
+    return ScanCache.hash(JSON.stringify(routes));
+  }
+
+  // Hash of the page templates a project uses
+  async fingerprintTemplates(project) {
+    const templates = [];
+    for (const filePath of await this.templates.forDirectory(project.templates).files()) {
+      templates.push([filePath, await this.cache.hashFile(filePath, await fs.stat(filePath))]);
+    }
+    return ScanCache.hash(JSON.stringify(templates));
+  }
+
+  // Hash of the last commit touching a path, so new commits refresh its pages' metadata
+  async lastCommitOf(sourcePath) {
+    const history = this.settings.generation.gitMetadata ? await this.gitHistory.history(sourcePath) : null;
+    return history ? history.hash : null;
+  }
+
+  async outputsExist(processedFiles = []) {
+    for (const file of processedFiles) {
+      if (!(await this.pathExists(path.join(this.options.outputDir, file.relativePath || file.outputPath)))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  async scanSelectiveProjectFiles(project, matchedFiles = null) {
     this.logger.debug(`Scanning files for project: ${project.displayName}`);
     const files = [];
 
-    // Scan files based on primaryFiles patterns
-    for (const pattern of project.primaryFiles) {
-      const globPattern = path.join(project.path, pattern);
-      try {
-        const matchedFiles = await this.glob(globPattern);
-        for (const filePath of matchedFiles) {
-          // Skip if matches skip patterns
-          if (project.skipPatterns.some(skipPattern => filePath.includes(skipPattern))) {
-            continue;
-          }
+    // Resolve primaryFiles globs, honouring negated patterns and skipPatterns
+    const filePaths = matchedFiles || await this.findSelectiveProjectFiles(project);
 
-          const stat = await fs.stat(filePath);
-          if (stat.isFile()) {
-            const content = await fs.readFile(filePath, 'utf-8');
-            const classification = FileClassifier.classify(filePath, content);
-
-            files.push({
-              path: filePath,
-              relativePath: path.relative(project.path, filePath),
-              content,
-              classification,
-              size: stat.size,
-              modified: stat.mtime
-            });
+    for (const filePath of filePaths) {
+      try {
+        const stat = await fs.stat(filePath);
+        let content = await fs.readFile(filePath, 'utf-8');
+        let frontmatter = {};
+
+        if (['.md', '.mdx'].includes(path.extname(filePath).toLowerCase())) {
+          const extracted = ContentExtractor.extractFrontmatter(content);
+          if (extracted.error) {
+            this.logger.error(`Invalid frontmatter in ${filePath}: ${extracted.error.message}`);
           }
+          frontmatter = extracted.frontmatter;
+          content = extracted.content;
         }
+
+        const classification = FileClassifier.classify(filePath, content);
+
+        files.push({
+          path: filePath,
+          relativePath: path.relative(project.path, filePath),
+          filename: path.basename(filePath),
+          title: frontmatter.title || ContentExtractor.generateTitle(path.basename(filePath, path.extname(filePath))),
+          content,
+          frontmatter,
+          classification,
+          size: stat.size,
+          modified: stat.mtime
+        });
       } catch (error) {
-        this.logger.debug(`Pattern ${pattern} failed: ${error.message}`);
+        this.logger.debug(`Could not read ${filePath}: ${error.message}`);
       }
     }
 
@@ -709,61 +1520,306 @@ class EnhancedProjectScanner {
     return files;
   }
 
-  async generateSelectiveDocument(project, files, documentType, outputDir) {
+  /**
+   * Generate the pages of one of a project's documentTypes with its plugin
+   * from the DocumentTypeRegistry. Several sources are merged into the page
+   * or, for merge: 'tree', get a page each below an overview. Returns the
+   * pages written (none when the type has no source and no template), or
+   * null on failure.
+   */
+  // written holds the ids of the project's document types whose pages were written so far
+  async generateSelectiveDocument(project, files, documentType, outputDir, written = new Set()) {
     this.logger.debug(`Generating ${documentType} for ${project.displayName}`);
 
-    const fileName = `${documentType}.mdx`;
-    const filePath = path.join(outputDir, fileName);
-
-    let content = '';
-    let primarySource = null;
-
-    // Find relevant files for this document type
-    switch (documentType) {
-      case 'introduction':
-        content = this.generateIntroductionContent(project, files);
-        break;
-      case 'readme':
-        primarySource = files.find(f => f.relativePath.toLowerCase().includes('readme'));
-        content = primarySource ? this.sanitizeMDXContent(primarySource.content) : this.generateDefaultReadme(project);
-        break;
-      case 'architecture':
-        primarySource = files.find(f => f.classification === 'architecture' || f.relativePath.toLowerCase().includes('architecture'));
-        content = primarySource ? this.sanitizeMDXContent(primarySource.content) : this.generateDefaultArchitecture(project);
-        break;
-      case 'development':
-        primarySource = files.find(f => f.classification === 'development' || f.relativePath.toLowerCase().includes('development'));
-        content = primarySource ? this.sanitizeMDXContent(primarySource.content) : this.generateDefaultDevelopment(project);
-        break;
-      default:
-        this.logger.warn(`Unknown document type: ${documentType}`);
-        return null;
+    const type = this.documentTypes.get(documentType);
+    if (!type) {
+      this.logger.warn(`Unknown document type: ${documentType}`);
+      return null;
     }
 
-    // Generate frontmatter
-    const frontmatter = this.generateCleanFrontmatter(project, documentType, primarySource);
+    const sources = this.documentTypes.selectSources(type, files);
+    const context = { scanner: this, project, files, source: sources[0], sources, outputDir, written };
 
-    // Combine frontmatter and content
-    const finalContent = `${frontmatter}\n\n${content}`;
+    // Types such as the changelog write their own pages
+    if (type.generate) {
+      return type.generate(context);
+    }
+    if (sources.length === 0 && !type.render && !type.template) {
+      this.logger.warn(`No ${type.label} source among the primaryFiles of ${project.displayName}, skipping ${documentType}`);
+      return [];
+    }
 
-    // Validate MDX before writing
-    if (this.validateMDXSyntax(finalContent)) {
-      // Only write files if not in dry run mode
-      if (!this.options.dryRun) {
-        await fs.writeFile(filePath, finalContent, 'utf-8');
-      }
-      this.logger.debug(`Generated ${fileName} for ${project.displayName}`);
+    const routes = documentRoutes(documentType, type.merge, sources);
+    if (type.merge === 'tree' && sources.length > 1) {
+      return this.generateDocumentTree(project, type, routes, outputDir);
+    }
 
-      return {
-        type: documentType,
-        classification: documentType,
-        path: path.relative('./apps/docs', filePath),
-        relativePath: path.relative(this.options.outputDir, filePath)
-      };
+    const filePath = path.join(outputDir, `${documentType}.mdx`);
+    if (!this.routes.claim(filePath, `the ${project.displayName} ${documentType} document`)) {
+      return null;
+    }
+
+    // Pages without a source document are dated by the project's history
+    const pageSources = routes.map(route => route.source);
+    const metadata = await this.pageMetadata(pageSources, project);
+    let content;
+    if (type.render) {
+      content = await type.render({ ...context, metadata });
+    } else if (pageSources.length > 0) {
+      // Without a README or overview to start with, the page gets the type's title
+      const parts = await this.publishSources(pageSources, filePath, project);
+      content = parts.length === 1 ? parts[0].content : mergeSources(parts, findIndex(pageSources) ? null : `# ${type.title}`);
     } else {
-      this.logger.error(`MDX validation failed for ${fileName} in ${project.displayName}`);
+      content = await type.template({ ...context, metadata });
+    }
+
+    const page = await this.writeSelectivePage(project, type, filePath, content, {
+      source: pageSources[0],
+      metadata,
+      footer: pageSources.length > 0 && !type.render
+    });
+    return page && [page];
+  }
+
+  /**
+   * Pages of a document type with merge: 'tree': one per source below
+   * <type>/, and an overview at <type>.mdx that is the README/index source
+   * (when there is one) followed by links to those pages.
+   */
+  async generateDocumentTree(project, type, routes, outputDir) {
+    const overviewPath = path.join(outputDir, `${type.id}.mdx`);
+    const index = routes.find(entry => entry.route === `${type.id}.mdx`)?.source || null;
+    const pages = [];
+
+    for (const [position, { source, route }] of routes.filter(entry => entry.source !== index).entries()) {
+      const filePath = path.join(outputDir, route);
+      if (!this.routes.claim(filePath, source.path)) {
+        continue;
+      }
+
+      const title = sourceTitle(source);
+      const [{ content }] = await this.publishSources([source], filePath, project);
+      const page = await this.writeSelectivePage(project, type, filePath, content, {
+        source,
+        metadata: await this.sourceMetadata(source.path, project),
+        footer: true,
+        title,
+        navigationOrder: position + 1
+      });
+      if (page) {
+        pages.push({ ...page, title, route });
+      }
+    }
+
+    if (!this.routes.claim(overviewPath, `the ${project.displayName} ${type.id} document`)) {
+      return null;
+    }
+
+    const intro = index
+      ? (await this.publishSources([index], overviewPath, project))[0].content
+      : `# ${type.title}${type.summary ? `\n\n${type.summary}.` : ''}`;
+    const links = pages
+      .map(page => `- [${page.title.replace(/[[\]]/g, '\\$&')}](./${page.route.replace(/\.mdx$/, '')})`)
+      .join('\n');
+    const metadata = await this.pageMetadata(routes.map(entry => entry.source), project);
+    const overview = await this.writeSelectivePage(project, type, overviewPath, `${intro.trimEnd()}\n\n## Pages\n\n${links}\n`, {
+      source: index,
+      // A generated overview has no source to edit
+      metadata: index ? { ...metadata, editUrl: (await this.sourceMetadata(index.path, project)).editUrl } : { ...metadata, editUrl: undefined },
+      footer: Boolean(index),
+      navigationOrder: 0
+    });
+    if (!overview) {
       return null;
     }
+
+    this.logger.debug(`Generated ${type.id} overview and ${pages.length} pages for ${project.displayName}`);
+    return [overview, ...pages.map(({ route, ...page }) => page)];
+  }
+
+  // Sources as { title, content } published at filePath: sanitised, links rewritten
+  async publishSources(sources, filePath, project) {
+    return Promise.all(sources.map(async source => ({
+      title: source.title,
+      content: await this.rewriteSourceLinks(await this.sanitizeMDXContent(source.content), source.path, filePath, project)
+    })));
+  }
+
+  // sourceMetadata() of a page built from `sources`: the newest commit and
+  // every contributor; the project's when there is no source
+  async pageMetadata(sources, project) {
+    if (sources.length <= 1) {
+      return this.sourceMetadata(sources.length > 0 ? sources[0].path : project.path, project);
+    }
+
+    const all = await Promise.all(sources.map(source => this.sourceMetadata(source.path, project)));
+    const newest = all.reduce((latest, metadata) => ((metadata.lastUpdated || '') > (latest.lastUpdated || '') ? metadata : latest));
+    const contributors = [...new Set(all.flatMap(metadata => metadata.contributors || []))];
+    return {
+      ...newest,
+      contributors: contributors.length > 0 ? contributors : undefined,
+      // Edits go to the first source, the one the page starts with
+      editUrl: all[0].editUrl
+    };
+  }
+
+  // Write one page of a selective document; returns its page record, or null
+  // when it does not compile. options are { source, metadata, footer, title,
+  // navigationOrder }; title names a page of a sub-tree
+  async writeSelectivePage(project, type, filePath, body, options) {
+    const { source, metadata, title, navigationOrder } = options;
+    let content = body;
+
+    if (this.settings.generation.generateTOC) {
+      content = this.insertTableOfContents(content);
+    }
+
+    const footer = options.footer ? this.sourceFooter(metadata) : '';
+    if (footer) {
+      content = `${content.trimEnd()}\n\n---\n${footer}\n`;
+    }
+
+    // Combine frontmatter and content
+    const frontmatter = this.generateCleanFrontmatter(project, type, source, metadata, title);
+    const finalContent = formatDocument(frontmatter, content);
+    const label = path.relative(this.options.outputDir, filePath);
+    await this.checkGeneratedContent(finalContent, filePath, source?.path);
+
+    // Validate MDX before writing
+    const mdxError = this.settings.output.validateMDX ? await this.validateMDXSyntax(finalContent, filePath) : null;
+    if (mdxError) {
+      this.logger.error(`MDX validation failed for ${label} in ${project.displayName}: ${mdxError}`);
+      return null;
+    }
+
+    // Only write files if not in dry run mode
+    if (!this.options.dryRun) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, finalContent, 'utf-8');
+    }
+    this.logger.debug(`Generated ${label} for ${project.displayName}`);
+
+    return {
+      type: type.id,
+      classification: type.navigation.classification,
+      navigationPosition: type.navigation.order,
+      navigationOrder,
+      path: path.relative('./apps/docs', filePath),
+      relativePath: path.relative(this.options.outputDir, filePath)
+    };
+  }
+
+  // Record the page of every document a project (and its workspace packages) publishes
+  registerDocumentRoutes(project) {
+    const outputDir = project.outputPath || path.join(this.options.outputDir, project.name);
+
+    for (const file of project.files.filter(candidate => candidate.content && !['code', 'api-spec'].includes(candidate.classification))) {
+      this.sourceRoutes.set(path.resolve(file.path), path.resolve(outputDir, this.routeFor(file, project)));
+    }
+    for (const pkg of project.packages || []) {
+      this.registerDocumentRoutes(pkg);
+    }
+  }
+
+  // Rewrite the links of a source published at outputPath; its images go to images/<project>/
+  async rewriteSourceLinks(content, sourcePath, outputPath, project) {
+    const imagesProject = project.parent || project.name;
+    const repository = await this.repositoryFor(project);
+
+    return this.assetManager.rewriteLinks(content, {
+      sourcePath: path.resolve(sourcePath),
+      pagePath: path.resolve(outputPath),
+      routes: this.sourceRoutes,
+      imagesDir: path.join(this.imagesDir, imagesProject),
+      imagesUrl: `/images/${imagesProject.split('/').map(encodeURIComponent).join('/')}`,
+      sourceUrl: target => (repository ? sourceUrl(repository.baseUrl, repository.root, target) : null),
+      reportBroken: this.settings.validation.validateLinks,
+      dryRun: this.options.dryRun
+    });
+  }
+
+  /**
+   * Where unpublished sources of a project are linked: the `repository`
+   * URL from the manifest (the web location of sourcePath), otherwise the
+   * GitHub origin of the git checkout the project lives in. `url` is the
+   * repository itself, when known. Null when neither is available.
+   */
+  async repositoryFor(project) {
+    const root = project.sourceRoot || project.path;
+    if (project.repository) {
+      const repositoryUrl = project.repository.match(/^https:\/\/github\.com\/[^/]+\/[^/]+/);
+      return { baseUrl: project.repository, root, url: repositoryUrl?.[0] };
+    }
+
+    if (!this.repositories.has(root)) {
+      this.repositories.set(root, findGitHubRepository(root));
+    }
+    const repository = await this.repositories.get(root);
+    return repository && { baseUrl: `${repository.url}/blob/${repository.ref}`, root: repository.root, url: repository.url };
+  }
+
+  /**
+   * What a page can say about its source: { lastUpdated, lastCommit,
+   * commitUrl, contributors, editUrl }. `sourcePath` is a file or, for
+   * overview pages, a directory. lastUpdated is the date of the last commit;
+   * without git history, or with uncommitted changes, it is `fallback` or
+   * the modification time of the source, and there is no lastCommit.
+   */
+  async sourceMetadata(sourcePath, project, fallback = null) {
+    const useGit = this.settings.generation.gitMetadata;
+    const history = useGit ? await this.gitHistory.history(sourcePath) : null;
+    const repository = useGit ? await this.repositoryFor(project) : null;
+
+    let stats = null;
+    try {
+      stats = await fs.stat(sourcePath);
+    } catch {
+      // A generated source: only git can date it
+    }
+
+    // Uncommitted changes are newer than the last commit
+    const committed = history && !history.dirty;
+    const date = committed ? history.date : fallback || stats?.mtime.toISOString();
+    const fileUrl = repository && stats && stats.isFile() ? await sourceUrl(repository.baseUrl, repository.root, sourcePath) : null;
+
+    return {
+      lastUpdated: date ? date.split('T')[0] : undefined,
+      lastCommit: committed ? history.hash : undefined,
+      commitUrl: committed && repository && repository.url ? `${repository.url}/commit/${history.hash}` : undefined,
+      contributors: history ? history.authors.map(author => author.name) : undefined,
+      editUrl: (fileUrl && editUrl(fileUrl)) || undefined
+    };
+  }
+
+  // Frontmatter fields of sourceMetadata(); lastUpdated only with addTimestamps
+  metadataFrontmatter(metadata) {
+    return {
+      lastUpdated: this.settings.generation.addTimestamps ? metadata.lastUpdated : undefined,
+      lastCommit: metadata.lastCommit,
+      contributors: metadata.contributors,
+      editUrl: metadata.editUrl
+    };
+  }
+
+  // "Edit on GitHub · Last updated … · Contributors: …" line closing a page, or ''
+  sourceFooter(metadata) {
+    const escapeMarkdown = text => text.replace(/[\\`*_{}[\]<>|#]/g, '\\$&');
+    const parts = [];
+
+    if (metadata.editUrl) {
+      parts.push(`[Edit on GitHub](${metadata.editUrl})`);
+    }
+    if (metadata.lastUpdated && this.settings.generation.addTimestamps) {
+      const commit = metadata.lastCommit && (metadata.commitUrl
+        ? ` in [\`${metadata.lastCommit.slice(0, 7)}\`](${metadata.commitUrl})`
+        : ` in \`${metadata.lastCommit.slice(0, 7)}\``);
+      parts.push(`Last updated ${metadata.lastUpdated}${commit || ''}`);
+    }
+    if (metadata.contributors && metadata.contributors.length > 0) {
+      parts.push(`Contributors: ${metadata.contributors.map(escapeMarkdown).join(', ')}`);
+    }
+
+    return parts.length > 0 ? `*${parts.join(' · ')}*` : '';
   }
 
   async processDocumentationFile(file, project, outputDir) {
@@ -771,34 +1827,59 @@ class EnhancedProjectScanner {
       return null;
     }
     
-    const outputFilename = this.generateOutputFilename(file);
-    const outputPath = path.join(outputDir, outputFilename);
+    const outputPath = path.join(outputDir, this.routeFor(file, project));
+    if (!this.routes.claim(outputPath, file.path)) {
+      return null;
+    }
     
-    // Enhance frontmatter
-    const enhancedFrontmatter = ContentExtractor.enhanceFrontmatter(
-      file.path, 
-      file.frontmatter, 
-      project
-    );
+    // Enhance frontmatter; git history dates the page and credits its authors
+    const metadata = await this.sourceMetadata(file.path, project);
+    // route only places the page
+    const { route, ...enhancedFrontmatter } = {
+      ...ContentExtractor.enhanceFrontmatter(
+        file.path,
+        file.frontmatter,
+        project,
+        { addTimestamps: this.settings.generation.addTimestamps, lastUpdated: metadata.lastUpdated }
+      ),
+      ...this.metadataFrontmatter(metadata),
+      // The source's own frontmatter still wins
+      ...file.frontmatter
+    };
+
+    if (this.settings.generation.includeSourcePath) {
+      enhancedFrontmatter.sourceFile = file.relativePath;
+    }
     
     // Process content
-    let processedContent = file.content;
+    let processedContent = await this.sanitizeMDXContent(file.content);
+
+    if (this.settings.generation.generateTOC) {
+      processedContent = this.insertTableOfContents(processedContent);
+    }
     
     // Add source attribution
-    const attribution = `\n\n---\n*This content was automatically extracted from ${project.name}. For the most up-to-date information, refer to the source project.*\n`;
+    const footer = this.sourceFooter(metadata);
+    const attribution = `\n\n---\n*This content was automatically extracted from ${project.name}. For the most up-to-date information, refer to the source project.*\n${footer ? `\n${footer}\n` : ''}`;
     
-    // Validate and fix links
-    processedContent = await this.assetManager.validateLinks(processedContent, project.path);
+    // Point relative links and images at the docs site
+    processedContent = await this.rewriteSourceLinks(processedContent, file.path, outputPath, project);
     
     // Format final content
-    const frontmatterYaml = Object.entries(enhancedFrontmatter)
-      .map(([key, value]) => `${key}: "${value}"`)
-      .join('\n');
-    
-    const finalContent = `---\n${frontmatterYaml}\n---\n\n${processedContent}${attribution}`;
+    const finalContent = formatDocument(enhancedFrontmatter, `${processedContent}${attribution}`);
+    await this.checkGeneratedContent(finalContent, outputPath, file.path);
+
+    const mdxError = this.settings.output.validateMDX ? await this.validateMDXSyntax(finalContent, outputPath) : null;
+    if (mdxError) {
+      this.logger.error(`MDX validation failed for ${file.relativePath} in ${project.name}: ${mdxError}`);
+      return null;
+    }
     
     // Write file
-    await fs.writeFile(outputPath, finalContent, 'utf8');
+    if (!this.options.dryRun) {
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+      await fs.writeFile(outputPath, finalContent, 'utf8');
+    }
     
     return {
       ...file,
@@ -807,6 +1888,306 @@ class EnhancedProjectScanner {
     };
   }
 
+  /**
+   * Render an OpenAPI 3.x or Swagger 2.0 spec as an overview page plus one
+   * page per operation under <project>/api/<api title>/. Returns the
+   * generated pages in navigation order, or null when the spec cannot be
+   * parsed.
+   */
+  async processApiSpec(file, project, outputDir) {
+    let spec;
+    try {
+      // file.content is only a preview in discovery mode
+      spec = parseSpec(await fs.readFile(file.path, 'utf8'));
+    } catch (error) {
+      this.logger.error(`Invalid API spec ${file.relativePath} in ${project.name}: ${error.message}`);
+      return null;
+    }
+    if (!spec) {
+      this.logger.warn(`Not an OpenAPI or Swagger document: ${file.relativePath}`);
+      return [];
+    }
+
+    // Named after the API rather than the file, as most specs are openapi.yaml
+    const apiName = slugify(spec.info?.title || '', slugify(path.basename(file.path, path.extname(file.path)), 'api'));
+    const apiDir = path.join(outputDir, 'api', apiName);
+    const pages = [];
+
+    // Two specs with the same title would share a directory
+    if (!this.routes.claim(apiDir, file.path)) {
+      return null;
+    }
+
+    if (!this.options.dryRun) {
+      await fs.mkdir(apiDir, { recursive: true });
+    }
+
+    const metadata = await this.sourceMetadata(file.path, project);
+    const footer = this.sourceFooter(metadata);
+
+    for (const [index, page] of buildApiReference(spec).entries()) {
+      const outputPath = path.join(apiDir, `${page.slug}.mdx`);
+      if (!this.routes.claim(outputPath, file.path)) {
+        continue;
+      }
+
+      const frontmatter = {
+        title: page.title,
+        description: page.description,
+        category: project.category,
+        project: project.name,
+        tags: ['api-reference', ...(page.operation ? page.operation.tags : [])],
+        ...this.metadataFrontmatter(metadata),
+        sourceFile: this.settings.generation.includeSourcePath ? file.relativePath : undefined
+      };
+
+      const body = await this.sanitizeMDXContent(page.markdown);
+      const finalContent = formatDocument(frontmatter, `${body}\n${footer ? `\n---\n${footer}\n` : ''}`);
+      await this.checkGeneratedContent(finalContent, outputPath, file.path);
+
+      const mdxError = this.settings.output.validateMDX ? await this.validateMDXSyntax(finalContent, outputPath) : null;
+      if (mdxError) {
+        this.logger.error(`MDX validation failed for ${page.slug} of ${file.relativePath} in ${project.name}: ${mdxError}`);
+        continue;
+      }
+
+      if (!this.options.dryRun) {
+        await fs.writeFile(outputPath, finalContent, 'utf8');
+      }
+
+      const relativePath = path.relative(this.options.outputDir, outputPath);
+      pages.push({
+        title: page.title,
+        classification: 'api-reference',
+        outputPath: relativePath,
+        relativePath,
+        navigationOrder: index
+      });
+    }
+
+    this.logger.debug(`Generated ${pages.length} API reference pages from ${file.relativePath}`);
+    return pages;
+  }
+
+  /**
+   * Render a changelog as an overview page at `route` plus one page per
+   * release next to it (changelog.mdx → changelog/v1-2-0.mdx). Only the
+   * newest changelog.releasePages releases get a page; older ones are
+   * rendered on the overview. Returns the pages in navigation order, those
+   * of releases carrying `release` for the aggregated changelog, or null
+   * when the changelog cannot be read.
+   */
+  async processChangelog(file, project, outputDir, route = this.routeFor(file, project)) {
+    let changelog;
+    try {
+      // file.content is only a preview in discovery mode
+      const { content } = ContentExtractor.extractFrontmatter(await fs.readFile(file.path, 'utf8'));
+      changelog = parseChangelog(content);
+    } catch (error) {
+      this.logger.error(`Could not read changelog ${file.relativePath} in ${project.name}: ${error.message}`);
+      return null;
+    }
+
+    const overviewPath = path.join(outputDir, route);
+    if (!this.routes.claim(overviewPath, file.path)) {
+      return null;
+    }
+
+    const projectTitle = project.displayName || project.name;
+    const metadata = await this.sourceMetadata(file.path, project);
+    const footer = this.sourceFooter(metadata);
+    const { releasePages } = this.settings.changelog;
+    const paged = releasePages > 0 ? changelog.releases.slice(0, releasePages) : changelog.releases;
+    const releaseDir = overviewPath.replace(/\.mdx$/, '');
+    const pages = [];
+
+    // Write one page; false when it does not compile
+    const writePage = async (outputPath, frontmatter, body) => {
+      let content = await this.sanitizeMDXContent(body);
+      content = await this.rewriteSourceLinks(content, file.path, outputPath, project);
+      const finalContent = formatDocument(frontmatter, `${content.trimEnd()}\n${footer ? `\n---\n${footer}\n` : ''}`);
+      await this.checkGeneratedContent(finalContent, outputPath, file.path);
+
+      const mdxError = this.settings.output.validateMDX ? await this.validateMDXSyntax(finalContent, outputPath) : null;
+      if (mdxError) {
+        this.logger.error(`MDX validation failed for ${path.basename(outputPath)} of ${file.relativePath} in ${project.name}: ${mdxError}`);
+        return false;
+      }
+      if (!this.options.dryRun) {
+        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+        await fs.writeFile(outputPath, finalContent, 'utf8');
+      }
+      return true;
+    };
+
+    for (const [index, release] of paged.entries()) {
+      const outputPath = path.join(releaseDir, `${releaseSlug(release.version)}.mdx`);
+      if (!this.routes.claim(outputPath, file.path)) {
+        continue;
+      }
+
+      const summary = releaseSummary(release);
+      const frontmatter = {
+        title: `${projectTitle} ${release.version}`,
+        sidebarTitle: release.version,
+        description: [summary, release.date && `released ${release.date}`].filter(Boolean).join(', ') || `Release notes of ${projectTitle}`,
+        category: project.category,
+        project: project.name,
+        tags: ['changelog', ...new Set(release.sections.map(section => section.kind))],
+        ...this.metadataFrontmatter({ ...metadata, lastUpdated: release.date || metadata.lastUpdated }),
+        sourceFile: this.settings.generation.includeSourcePath ? file.relativePath : undefined
+      };
+      const body = `${release.date ? `*Released ${release.date}*\n\n` : ''}${renderRelease(release)}`;
+      if (!await writePage(outputPath, frontmatter, body)) {
+        continue;
+      }
+
+      const relativePath = path.relative(this.options.outputDir, outputPath);
+      pages.push({
+        title: frontmatter.title,
+        classification: 'changelog',
+        outputPath: relativePath,
+        relativePath,
+        navigationOrder: index + 1,
+        release: { project: project.name, projectTitle, version: release.version, date: release.date, summary }
+      });
+    }
+
+    // The overview lists the release pages and keeps the older releases
+    const links = pages.map(page => `- [${page.release.version}](/${this.navigationBuilder.pagePath(page.outputPath)})${page.release.date ? ` (${page.release.date})` : ''}`);
+    const older = changelog.releases.slice(paged.length)
+      .map(release => `## ${release.version}${release.date ? ` (${release.date})` : ''}\n\n${renderRelease(release, 3)}`);
+    const body = changelog.releases.length > 0
+      ? [changelog.intro, links.length > 0 && `## Releases\n\n${links.join('\n')}`, ...older].filter(Boolean).join('\n\n')
+      : (await fs.readFile(file.path, 'utf8').then(text => ContentExtractor.extractFrontmatter(text).content));
+
+    const frontmatter = {
+      title: `${projectTitle} Changelog`,
+      sidebarTitle: 'Changelog',
+      description: `Release history of ${projectTitle}`,
+      category: project.category,
+      project: project.name,
+      tags: ['changelog'],
+      ...this.metadataFrontmatter(metadata),
+      sourceFile: this.settings.generation.includeSourcePath ? file.relativePath : undefined
+    };
+    if (!await writePage(overviewPath, frontmatter, body)) {
+      return null;
+    }
+
+    const relativePath = path.relative(this.options.outputDir, overviewPath);
+    pages.unshift({
+      title: frontmatter.title,
+      classification: 'changelog',
+      outputPath: relativePath,
+      relativePath,
+      navigationOrder: 0
+    });
+
+    this.logger.debug(`Generated ${pages.length - 1} release pages from ${file.relativePath}`);
+    return pages;
+  }
+
+  // Source files processCodeReference can document
+  hasReference(filePath) {
+    return isCodeFile(filePath) || path.extname(filePath).toLowerCase() === '.py';
+  }
+
+  // Reference of a JS/TS or Python module, or null when it cannot be parsed
+  async extractReference(filePath) {
+    if (isCodeFile(filePath)) {
+      // Without the TypeScript compiler no JS/TS module can be documented; say so once
+      if (!loadTypeScript()) {
+        if (!this.typescriptMissing) {
+          this.typescriptMissing = true;
+          this.logger.warn('typescript is not installed, JS/TS reference pages are skipped');
+        }
+        return null;
+      }
+      return extractModuleReference(filePath, await fs.readFile(filePath, 'utf8'));
+    }
+
+    if (this.pythonUnavailable) {
+      return null;
+    }
+
+    let reference;
+    try {
+      reference = (await extractPythonReferences([filePath])).get(filePath);
+    } catch (error) {
+      // Without an interpreter no Python module can be documented; say so once
+      if (error.code === 'ENOENT') {
+        this.pythonUnavailable = true;
+        this.logger.warn(`Python reference pages skipped, could not run ${process.env.PYTHON || 'python3'}: ${error.message}`);
+        return null;
+      }
+      // Anything else (a crash, a timeout, unreadable output) is this module's problem
+      this.logger.warn(`Could not parse ${filePath}: ${error.message}`);
+      return null;
+    }
+
+    if (reference.error) {
+      this.logger.warn(`Could not parse ${filePath}: ${reference.error}`);
+      return null;
+    }
+    return reference;
+  }
+
+  /**
+   * Write the reference page of a JS/TS or Python module to
+   * <project>/reference/, named after its import path (@repo/auth/keys →
+   * repo-auth-keys.mdx, keeper.core → keeper-core.mdx). Returns the page in
+   * an array, or an empty array when the module has nothing to document.
+   */
+  async processCodeReference(filePath, project, outputDir) {
+    const reference = await this.extractReference(filePath);
+    if (!reference || reference.symbols.length === 0) {
+      this.logger.debug(`No exports to document in ${filePath}`);
+      return [];
+    }
+
+    const name = reference.language === 'python'
+      ? pythonModuleName(filePath, project.path)
+      : moduleName(filePath, project.path);
+    const outputPath = path.join(outputDir, 'reference', `${slugify(name, 'module')}.mdx`);
+    if (!this.routes.claim(outputPath, filePath)) {
+      return null;
+    }
+
+    const sourceFile = path.relative(project.path, filePath);
+    const metadata = await this.sourceMetadata(filePath, project);
+    const footer = this.sourceFooter(metadata);
+    const frontmatter = {
+      title: name,
+      description: reference.description
+        ? reference.description.replace(/\s*\n\s*/g, ' ').split(/(?<=\.)\s/)[0]
+        : `Exports of ${name}`,
+      category: project.category,
+      project: project.name,
+      tags: ['code-reference', reference.language],
+      ...this.metadataFrontmatter(metadata),
+      sourceFile: this.settings.generation.includeSourcePath ? sourceFile : undefined
+    };
+
+    const body = await this.sanitizeMDXContent(renderModuleReference(name, reference));
+    const finalContent = formatDocument(frontmatter, `${body}\n${footer ? `\n---\n${footer}\n` : ''}`);
+    await this.checkGeneratedContent(finalContent, outputPath, filePath);
+
+    const mdxError = this.settings.output.validateMDX ? await this.validateMDXSyntax(finalContent, outputPath) : null;
+    if (mdxError) {
+      this.logger.error(`MDX validation failed for the reference of ${sourceFile} in ${project.name}: ${mdxError}`);
+      return null;
+    }
+
+    if (!this.options.dryRun) {
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+      await fs.writeFile(outputPath, finalContent, 'utf8');
+    }
+
+    const relativePath = path.relative(this.options.outputDir, outputPath);
+    return [{ title: name, classification: 'code-reference', outputPath: relativePath, relativePath }];
+  }
+
   generateOutputFilename(file) {
     const basename = path.basename(file.filename, path.extname(file.filename));
     
@@ -819,53 +2200,127 @@ class EnhancedProjectScanner {
       return 'ai-context.mdx';
     }
     
-    return `${basename.replace(/[^a-zA-Z0-9-_]/g, '-')}.mdx`;
+    return `${slugify(basename, 'page')}.mdx`;
+  }
+
+  /**
+   * Output path of a document relative to its project's output directory.
+   * The source path is mirrored with every segment slugified
+   * (docs/Setup Guide/README.md → docs/setup-guide/readme.mdx), so a
+   * page's route only depends on where its source lives. A `route` in the
+   * frontmatter (e.g. guides/install) replaces it.
+   */
+  routeFor(file, project) {
+    const { route } = file.frontmatter || {};
+    if (typeof route === 'string' && route.trim()) {
+      const segments = route.replace(/\.mdx?$/i, '').split('/')
+        .filter(segment => segment && segment !== '.' && segment !== '..');
+      return `${segments.map(segment => slugify(segment, 'page')).join('/') || 'page'}.mdx`;
+    }
+
+    const directories = path.dirname(path.relative(project.path, file.path))
+      .split(path.sep)
+      .filter(segment => segment && segment !== '.')
+      .map(segment => slugify(segment, 'section'));
+    return path.join(...directories, this.generateOutputFilename(file));
   }
 
   async generateProjectIndex(project, processedFiles, outputDir) {
     const indexPath = path.join(outputDir, 'index.mdx');
+    const metadata = await this.sourceMetadata(project.path, project, project.metadata?.lastModified);
+    const footer = this.sourceFooter(metadata);
     
-    const content = `---
-title: "${project.displayName}"
-description: "${project.description}"
-category: "project-overview"
-project: "${project.name}"
-version: "${project.version}"
-lastUpdated: "${new Date().toISOString().split('T')[0]}"
----
-
-# ${project.displayName}
-
-${project.description}
-
-## Overview
-
-This project is part of the LostMind AI ecosystem and falls under the **${project.category}** category.
+    const frontmatter = stringifyFrontmatter({
+      title: project.displayName,
+      description: project.description,
+      // The project's navigation group, like every other page; the page kind goes into tags
+      category: project.category,
+      project: project.name,
+      version: project.version,
+      tags: ['project-overview'],
+      ...this.metadataFrontmatter(metadata)
+    });
 
-## Available Documentation
+    const body = await this.renderTemplate(project, 'project-index', {
+      pages: processedFiles.map(file => ({
+        title: file.title,
+        href: path.relative(outputDir, path.join(this.options.outputDir, file.outputPath)).replace(/\.mdx$/, '').split(path.sep).join('/')
+      })),
+      dependencies: Object.entries(project.metadata.dependencies).map(([name, version]) => ({ name, version })),
+      package: this.packageDetails(project),
+      footer
+    });
+    const content = `${frontmatter}\n\n${body}`;
 
-${processedFiles.map(file => `- [${file.title}](./${path.basename(file.outputPath, '.mdx')})`).join('\n')}
+    // An override template can still produce invalid MDX; report it like any other page
+    const mdxError = this.settings.output.validateMDX ? await this.validateMDXSyntax(content, indexPath) : null;
+    if (mdxError) {
+      this.logger.error(`MDX validation failed for ${path.relative(this.options.outputDir, indexPath)} in ${project.displayName}: ${mdxError}`);
+      return false;
+    }
 
-## Project Information
+    if (!this.options.dryRun) {
+      await fs.writeFile(indexPath, content, 'utf8');
+    }
+    return true;
+  }
 
-- **Version**: ${project.version}
-- **Category**: ${project.category}
-- **Priority**: ${project.priority}
-- **Files Processed**: ${processedFiles.length}
+  /**
+   * Render page template `name` (see page-templates.cjs) with the project's
+   * own templates searched first. Every template gets `project` and
+   * `workspace` besides `data`; scripts/templates/README.md lists the rest.
+   */
+  renderTemplate(project, name, data = {}) {
+    return this.templates.forDirectory(project.templates).render(name, {
+      project: {
+        name: project.name,
+        displayName: project.displayName,
+        description: project.description,
+        category: project.category,
+        categoryLabel: project.category.replace(/-/g, ' '),
+        priority: project.priority,
+        version: project.version,
+        scanStrategy: project.scanStrategy
+      },
+      workspace: this.workspaceDetails(project),
+      ...data
+    });
+  }
 
-## Dependencies
+  // A monorepo's build tool and packages, for the workspace table; null for other projects
+  workspaceDetails(project) {
+    if (!project.packages || project.packages.length === 0) {
+      return null;
+    }
 
-${Object.keys(project.metadata.dependencies).length > 0 ? 
-  Object.entries(project.metadata.dependencies)
-    .map(([name, version]) => `- ${name}: ${version}`)
-    .join('\n') 
-  : 'No dependencies found.'}
+    const { manager, turbo } = project.workspace;
+    return {
+      tool: [manager, turbo && 'Turborepo'].filter(Boolean).join(' + '),
+      packages: project.packages.map(pkg => ({
+        name: pkg.name,
+        displayName: pkg.displayName,
+        path: pkg.workspacePackage.relativePath,
+        // Escaped for a table cell
+        description: pkg.description.replace(/\|/g, '\\|').replace(/\s+/g, ' ')
+      }))
+    };
+  }
 
----
-*This index was automatically generated. Last updated: ${new Date().toISOString()}*
-`;
+  // Scripts and the internal dependency graph of a workspace package; null for other projects
+  packageDetails(project) {
+    if (!project.workspacePackage) {
+      return null;
+    }
 
-    await fs.writeFile(indexPath, content, 'utf8');
+    const pkg = project.workspacePackage;
+    const byName = new Map(project.workspace.packages.map(other => [other.name, other]));
+    const link = name => ({ name, href: `${path.posix.relative(pkg.relativePath, byName.get(name).relativePath)}/index` });
+    return {
+      scripts: Object.entries(pkg.scripts)
+        .map(([name, command]) => ({ name, command: command.replace(/\|/g, '\\|').replace(/`/g, "'") })),
+      internalDependencies: pkg.internalDependencies.map(link),
+      dependents: pkg.dependents.map(link)
+    };
   }
 
   async generateSummary(projects) {
@@ -881,8 +2336,14 @@ ${Object.keys(project.metadata.dependencies).length > 0 ?
         description: p.description,
         category: p.category,
         priority: p.priority,
-        fileCount: p.files.length,
-        version: p.version
+        fileCount: (p.files || []).length,
+        version: p.version,
+        packages: (p.packages || []).map(pkg => ({
+          name: pkg.displayName,
+          path: pkg.workspacePackage.relativePath,
+          fileCount: pkg.files.length,
+          internalDependencies: pkg.workspacePackage.internalDependencies
+        }))
       })),
       statistics: this.logger.stats
     };
@@ -961,297 +2422,374 @@ ${Object.keys(project.metadata.dependencies).length > 0 ?
     }
   }
 
-  // Utility method for glob patterns - using simple implementation for now
-  async glob(pattern) {
-    try {
-      // For now, just check if the exact file exists
-      if (await this.pathExists(pattern)) {
-        return [pattern];
+  // Expand glob patterns (**, character classes, braces) relative to cwd.
+  // Patterns prefixed with "!" and all ignore patterns exclude matches.
+  // Results keep the order of the patterns so earlier entries take priority.
+  async glob(patterns, options = {}) {
+    const include = [];
+    const exclude = [];
+
+    for (const pattern of [].concat(patterns || [])) {
+      if (pattern.startsWith('!')) {
+        exclude.push(pattern.slice(1));
+      } else {
+        include.push(pattern);
       }
-      return [];
-    } catch {
-      return [];
     }
-  }
 
-  // Sanitize content to prevent MDX parsing errors
-  sanitizeMDXContent(content) {
-    if (!content) return '';
-
-    return content
-      // Remove problematic HTML/XML patterns
-      .replace(/<!DOCTYPE[^>]*>/g, '')
-      .replace(/<br\s*\/?>/g, '<br/>')
-      .replace(/<([a-zA-Z][a-zA-Z0-9]*)\s*(?![^>]*\/>)[^>]*>/g, (match, tag) => {
-        // Ensure tags are properly closed
-        return match.includes('/') ? match : `${match}</${tag}>`;
-      })
-      // Escape problematic characters in JSX expressions
-      .replace(/\{([^}]*[0-9]+[^}]*)\}/g, (match, content) => {
-        // Replace numbered variables with safe alternatives
-        return `{/* ${content} */}`;
-      })
-      // Remove unclosed expressions
-      .replace(/\{[^}]*$/gm, '')
-      // Clean frontmatter issues
-      .replace(/^---\s*\n([\s\S]*?)\n---/m, (match, yaml) => {
-        try {
-          // Basic YAML validation - remove problematic lines
-          const cleanYaml = yaml
-            .split('\n')
-            .filter(line => !line.includes('{{') && !line.includes('}}'))
-            .join('\n');
-          return `---\n${cleanYaml}\n---`;
-        } catch {
-          return '';
-        }
-      })
-      .trim();
-  }
+    const ignore = [...exclude, ...(options.ignore || [])]
+      .flatMap(pattern => this.expandIgnorePattern(pattern));
+    const results = new Set();
 
-  // Generate clean frontmatter
-  generateCleanFrontmatter(project, documentType, source) {
-    const frontmatter = {
-      title: `${project.displayName} - ${documentType.charAt(0).toUpperCase() + documentType.slice(1)}`,
-      description: `${documentType} documentation for ${project.displayName}`,
-      category: project.category,
-      lastUpdated: new Date().toISOString().split('T')[0],
-      project: project.id
-    };
-
-    if (source) {
-      frontmatter.sourceFile = source.relativePath;
+    for (const pattern of include) {
+      try {
+        const matches = await glob(pattern, {
+          cwd: options.cwd || process.cwd(),
+          ignore,
+          dot: true,
+          nodir: true,
+          absolute: true
+        });
+        for (const match of matches.sort()) {
+          results.add(match);
+        }
+      } catch (error) {
+        this.logger.debug(`Pattern ${pattern} failed: ${error.message}`);
+      }
     }
 
-    return `---\n${Object.entries(frontmatter)
-      .map(([key, value]) => `${key}: "${value}"`)
-      .join('\n')}\n---`;
+    return [...results];
   }
 
-  // Generate introduction content
-  generateIntroductionContent(project, files) {
-    const readmeFile = files.find(f => f.relativePath.toLowerCase().includes('readme'));
-    const description = readmeFile ?
-      readmeFile.content.split('\n').slice(0, 3).join('\n') :
-      `${project.displayName} is a professional project in the ${project.category} category.`;
-
-    return `# ${project.displayName}
-
-${this.sanitizeMDXContent(description)}
+  // Ignore patterns follow .gitignore conventions: a pattern without a slash
+  // matches at any depth, and a matched directory excludes everything below it.
+  expandIgnorePattern(pattern) {
+    const trimmed = pattern.replace(/\/+$/, '');
+    const base = trimmed.includes('/') ? trimmed.replace(/^\//, '') : `**/${trimmed}`;
+    return [base, `${base}/**`];
+  }
 
-## Overview
+  // Delete files in a project's output directory that this run did not produce
+  async pruneProjectOutput(outputDir, keepPaths) {
+    const keep = new Set(keepPaths.map(keepPath => path.resolve(keepPath)));
+    let entries;
 
-This project is part of the LostMind AI ecosystem and represents our work in ${project.category.replace('-', ' ')}.
+    try {
+      entries = await fs.readdir(outputDir, { recursive: true, withFileTypes: true });
+    } catch {
+      return;
+    }
 
-## Navigation
+    for (const entry of entries.filter(candidate => candidate.isFile())) {
+      const filePath = path.resolve(entry.parentPath || entry.path, entry.name);
+      if (!keep.has(filePath)) {
+        await this.removeOutput(filePath);
+      }
+    }
+  }
 
-- [README](./readme) - Complete project documentation
-- [Architecture](./architecture) - Technical architecture details
-${project.documentTypes.includes('development') ? '- [Development](./development) - Development setup and guidelines' : ''}
+  // Delete project directories in the output dir that belong to no scanned or configured project
+  async pruneStaleProjects(projects) {
+    const known = new Set([
+      ...this.options.projects.map(project => path.resolve(project.outputPath)),
+      ...projects.map(project => path.resolve(project.outputPath || path.join(this.options.outputDir, project.name)))
+    ]);
+    let entries;
 
-## Project Details
+    try {
+      entries = await fs.readdir(this.options.outputDir, { withFileTypes: true });
+    } catch {
+      return;
+    }
 
-- **Category**: ${project.category}
-- **Priority**: ${project.priority}
-- **Scan Strategy**: ${project.scanStrategy}
-- **Last Updated**: ${new Date().toISOString().split('T')[0]}
+    for (const entry of entries.filter(candidate => candidate.isDirectory())) {
+      const dirPath = path.resolve(this.options.outputDir, entry.name);
+      if (!known.has(dirPath)) {
+        await this.removeOutput(dirPath);
+      }
+    }
+  }
 
----
+  async removeOutput(target) {
+    if (this.options.dryRun) {
+      this.logger.info(`Would remove stale output: ${target}`);
+      return;
+    }
 
-*This documentation was automatically generated from project sources.*`;
+    await fs.rm(target, { recursive: true, force: true });
+    this.logger.info(`Removed stale output: ${target}`);
   }
 
-  // Generate default content when source files aren't found
-  generateDefaultReadme(project) {
-    return `# ${project.displayName}
-
-Welcome to ${project.displayName}, a key component of the LostMind AI ecosystem.
+  /**
+   * Write the changelog of all projects: changelog.mdx in the Mintlify app,
+   * an <Update> per release linking to its page, and the changelog.xml
+   * Atom feed. Both hold the newest changelog.aggregateReleases dated
+   * releases. Without any release, clean builds remove the generated pair.
+   */
+  async writeChangelog() {
+    const docsRoot = path.dirname(path.resolve(this.options.outputDir));
+    const pagePath = path.join(docsRoot, 'changelog.mdx');
+    const feedPath = path.join(docsRoot, 'changelog.xml');
+    const { aggregateReleases, siteUrl } = this.settings.changelog;
+
+    const releases = this.navigationBuilder.releases()
+      .filter(release => release.date)
+      .sort((a, b) => b.date.localeCompare(a.date) || a.projectTitle.localeCompare(b.projectTitle))
+      .slice(0, aggregateReleases > 0 ? aggregateReleases : undefined);
+
+    if (releases.length === 0) {
+      // Only a page written here is removed, never a hand-written one
+      const existing = await fs.readFile(pagePath, 'utf8').catch(() => null);
+      const generated = existing && (parseFrontmatter(existing).data.tags || []).includes('all-releases');
+      if (generated && this.settings.output.cleanBuild) {
+        await this.removeOutput(pagePath);
+        await this.removeOutput(feedPath);
+      }
+      return;
+    }
 
-## About
+    const site = siteUrl.replace(/\/+$/, '');
+    const updates = releases.map(release => `<Update label={${JSON.stringify(`${release.projectTitle} ${release.version}`)}} description={${JSON.stringify(release.date)}}>
+${release.summary ? `${release.summary[0].toUpperCase()}${release.summary.slice(1)}. ` : ''}[Release notes](/${release.page})
+</Update>`);
+    const content = formatDocument({
+      title: 'Changelog',
+      description: 'Releases across all LostMind AI projects',
+      tags: ['changelog', 'all-releases'],
+      lastUpdated: this.settings.generation.addTimestamps ? releases[0].date : undefined
+    }, `The newest releases of every project, also available as an [Atom feed](/changelog.xml).
+
+${updates.join('\n\n')}
+`);
+
+    const mdxError = this.settings.output.validateMDX ? await this.validateMDXSyntax(content, pagePath) : null;
+    if (mdxError) {
+      this.logger.error(`MDX validation failed for the aggregated changelog: ${mdxError}`);
+      return;
+    }
 
-This project focuses on ${project.category.replace('-', ' ')} and is maintained as part of our professional development infrastructure.
+    const feed = renderAtomFeed({
+      id: `${site}/changelog`,
+      title: 'LostMind AI Changelog',
+      url: `${site}/changelog`,
+      feedUrl: `${site}/changelog.xml`,
+      updated: releases[0].date,
+      entries: releases.map(release => ({
+        id: `${site}/${release.page}`,
+        title: `${release.projectTitle} ${release.version}`,
+        url: `${site}/${release.page}`,
+        updated: release.date,
+        summary: release.summary || `Release notes of ${release.projectTitle} ${release.version}`
+      }))
+    });
 
-## Status
+    this.navigationBuilder.changelogPage = 'changelog';
+    if (this.options.dryRun) {
+      this.logger.info(`Would write the changelog of ${releases.length} releases to ${pagePath}`);
+      return;
+    }
+    await fs.writeFile(pagePath, content, 'utf8');
+    await fs.writeFile(feedPath, feed, 'utf8');
+    this.logger.info(`Wrote the changelog of ${releases.length} releases and its feed`);
+  }
 
-- **Project Category**: ${project.category}
-- **Priority Level**: ${project.priority}
-- **Documentation Strategy**: ${project.scanStrategy}
+  // Insert a list of the h2/h3 headings after the page's H1 (or at the top)
+  insertTableOfContents(content) {
+    const lines = content.split('\n');
+    const slugs = new Map();
+    const entries = [];
+    let inFence = false;
+    let titleIndex = -1;
+
+    lines.forEach((line, index) => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        return;
+      }
 
-## Getting Started
+      const heading = !inFence && line.match(/^(#{1,3})\s+(.+?)\s*#*\s*$/);
+      if (!heading) {
+        return;
+      }
 
-Please refer to the source project for detailed setup and usage instructions.
+      if (heading[1].length === 1) {
+        if (titleIndex === -1 && entries.length === 0) {
+          titleIndex = index;
+        }
+        return;
+      }
 
-## Support
+      const text = heading[2].replace(/\[([^\]]*)\]\([^)]*\)/g, '$1').replace(/[`*_]/g, '');
+      entries.push({ depth: heading[1].length, text, slug: this.slugify(text, slugs) });
+    });
 
-For questions and support, please contact the LostMind AI team.
+    if (entries.length < 2) {
+      return content;
+    }
 
----
+    const toc = [
+      '**Contents**',
+      '',
+      ...entries.map(entry => `${entry.depth === 3 ? '  ' : ''}- [${entry.text}](#${entry.slug})`),
+      ''
+    ];
 
-*Note: This is auto-generated documentation. Source README file was not found at the expected location.*`;
+    lines.splice(titleIndex + 1, 0, ...(titleIndex === -1 ? [...toc, ''] : ['', ...toc]));
+    return lines.join('\n');
   }
 
-  generateDefaultArchitecture(project) {
-    return `# Architecture Overview
-
-## ${project.displayName} Architecture
-
-This document outlines the architectural design and technical decisions for ${project.displayName}.
-
-## System Overview
-
-${project.displayName} is designed as a ${project.category.replace('-', ' ')} solution with focus on scalability and maintainability.
-
-## Key Components
-
-- **Core Infrastructure**: Primary application logic
-- **Data Layer**: Information processing and storage
-- **Integration Layer**: External service connections
-- **Presentation Layer**: User interface and API endpoints
+  // GitHub-style heading anchors; `seen` numbers repeated headings
+  slugify(text, seen) {
+    const base = text
+      .toLowerCase()
+      .trim()
+      .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+      .replace(/\s/g, '-');
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count}`;
+  }
 
-## Technical Stack
+  // Line length and image checks from SCANNER_CONFIG.validation
+  async checkGeneratedContent(content, outputPath, sourcePath) {
+    const { maxLineLength, checkImages } = this.settings.validation;
+    const label = path.relative(process.cwd(), outputPath);
 
-Details about the technical implementation are available in the source project documentation.
+    if (maxLineLength) {
+      let inFence = false;
+      const longLines = [];
 
-## Design Decisions
+      content.split('\n').forEach((line, index) => {
+        if (/^\s*(```|~~~)/.test(line)) {
+          inFence = !inFence;
+        } else if (!inFence && line.length > maxLineLength) {
+          longLines.push(index + 1);
+        }
+      });
 
-Architecture decisions are driven by:
-- Performance requirements
-- Scalability needs
-- Maintainability goals
-- Integration capabilities
+      if (longLines.length > 0) {
+        this.logger.warn(`${label}: ${longLines.length} line(s) longer than ${maxLineLength} characters (first at line ${longLines[0]})`);
+      }
+    }
 
----
+    if (checkImages && sourcePath) {
+      const imageRegex = /!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)|<img\s[^>]*src=["']([^"']+)["']/g;
+      for (const match of content.matchAll(imageRegex)) {
+        const src = (match[1] || match[2]).split(/[?#]/)[0];
+        if (/^([a-z]+:|\/\/)/i.test(src) || src.startsWith('/')) {
+          continue;
+        }
 
-*Note: This is auto-generated architecture documentation. Source architecture files were not found.*`;
+        const imagePath = path.resolve(path.dirname(sourcePath), src);
+        if (!(await this.pathExists(imagePath)) && !(await this.pathExists(imagePath.replace(/%20/g, ' ')))) {
+          this.logger.error(`${label}: missing image ${src}`);
+        }
+      }
+    }
   }
 
-  generateDefaultDevelopment(project) {
-    return `# Development Guide
-
-## ${project.displayName} Development
-
-This guide covers development setup and workflow for ${project.displayName}.
-
-## Prerequisites
+  // Convert Markdown to MDX that compiles; see mdx-sanitizer.cjs
+  async sanitizeMDXContent(content) {
+    return sanitizeMarkdown(content);
+  }
 
-Please refer to the source project for specific prerequisites and requirements.
+  // Generate the frontmatter of a document `type`. Fields from the source document's own
+  // frontmatter are kept unless the generator owns them (title, category, ...);
+  // `metadata` is the sourceMetadata() of the page, `pageTitle` names a page
+  // of a sub-tree
+  generateCleanFrontmatter(project, type, source, metadata = {}, pageTitle = null) {
+    const sourceData = source?.frontmatter || {};
+    const frontmatter = {
+      ...sourceData,
+      title: `${project.displayName} - ${pageTitle || type.title}`,
+      ...(pageTitle && { sidebarTitle: sourceData.sidebarTitle || pageTitle }),
+      description: sourceData.description ||
+        (pageTitle ? `${pageTitle}, part of the ${type.title.toLowerCase()} documentation for ${project.displayName}` : type.description(project)),
+      category: project.category,
+      // The document type, like the page kind other generated pages are tagged with
+      tags: sourceData.tags || [type.id],
+      lastUpdated: sourceData.lastUpdated || metadata.lastUpdated,
+      project: project.name
+    };
 
-## Setup
+    // Git history fills in what the source's frontmatter does not say
+    for (const [field, value] of Object.entries(this.metadataFrontmatter(metadata))) {
+      frontmatter[field] = frontmatter[field] ?? value;
+    }
 
-1. Clone the repository
-2. Install dependencies
-3. Configure environment
-4. Run development server
+    if (!this.settings.generation.addTimestamps) {
+      frontmatter.lastUpdated = undefined;
+    }
 
-## Development Workflow
+    if (source && this.settings.generation.includeSourcePath) {
+      frontmatter.sourceFile = source.relativePath;
+    }
 
-Standard development practices apply:
-- Feature branch workflow
-- Code review process
-- Testing requirements
-- Documentation updates
+    return frontmatter;
+  }
 
-## Contributing
+  // Generate introduction content, linking the document types in `written`;
+  // its README excerpt links and images are rewritten like the README's own page
+  async generateIntroductionContent(project, files, metadata = {}, outputDir = project.outputPath, written = new Set()) {
+    const readmeFile = files.find(f => f.relativePath.toLowerCase().includes('readme'));
+    // The template's heading is the page's H1, so the README's own title is left out
+    const excerptOf = content => content.replace(/^\s*#[ \t][^\n]*\n/, '').trimStart().split('\n').slice(0, 3).join('\n');
+    const [excerpt] = readmeFile
+      ? await this.publishSources([{ ...readmeFile, content: excerptOf(readmeFile.content) }],
+        path.join(outputDir, 'introduction.mdx'), project)
+      : [];
+
+    return this.renderTemplate(project, 'introduction', {
+      excerpt: excerpt?.content ? excerpt.content : null,
+      links: project.documentTypes
+        .map(id => this.documentTypes.get(id))
+        .filter(type => type && type.id !== 'introduction' && written.has(type.id))
+        .map(type => ({ label: type.label, href: type.id, summary: type.summary })),
+      lastUpdated: this.settings.generation.addTimestamps ? metadata.lastUpdated : null,
+      contributors: metadata.contributors || []
+    });
+  }
 
-Contributions are welcome. Please follow the established coding standards and testing procedures.
+  // Generate default content when source files aren't found
+  generateDefaultReadme(project) {
+    return this.renderTemplate(project, 'default-readme');
+  }
 
----
+  generateDefaultArchitecture(project) {
+    return this.renderTemplate(project, 'default-architecture');
+  }
 
-*Note: This is auto-generated development documentation. Source development files were not found.*`;
+  generateDefaultDevelopment(project) {
+    return this.renderTemplate(project, 'default-development');
   }
 
-  // Basic MDX syntax validation
-  validateMDXSyntax(content) {
+  // Compile the generated page with the MDX compiler; returns a description of
+  // the first syntax error (code frame in verbose mode) or null
+  async validateMDXSyntax(content, filePath) {
     try {
-      // Basic checks for common MDX issues
-      const issues = [];
-
-      // Check for unclosed JSX expressions
-      if (content.includes('{') && !content.includes('}')) {
-        issues.push('Unclosed JSX expression');
-      }
-
-      // Check for DOCTYPE declarations
-      if (content.includes('<!DOCTYPE')) {
-        issues.push('DOCTYPE declaration found');
-      }
-
-      // Check for unclosed HTML tags
-      const openTags = content.match(/<([a-zA-Z][a-zA-Z0-9]*)[^>]*>/g) || [];
-      const closeTags = content.match(/<\/([a-zA-Z][a-zA-Z0-9]*)\s*>/g) || [];
-
-      if (openTags.length !== closeTags.length) {
-        // This is a simplified check - in reality we'd need more sophisticated parsing
-        this.logger.debug('Potential unclosed HTML tags detected');
-      }
-
-      // Check frontmatter
-      const frontmatterMatch = content.match(/^---\s*\n([\s\S]*?)\n---/);
-      if (frontmatterMatch) {
-        const yamlContent = frontmatterMatch[1];
-        if (yamlContent.includes('{{') || yamlContent.includes('}}')) {
-          issues.push('Template syntax in frontmatter');
-        }
+      const mdxError = await findMDXError(content, filePath);
+      if (!mdxError) {
+        return null;
       }
 
-      if (issues.length > 0) {
-        this.logger.debug(`MDX validation issues: ${issues.join(', ')}`);
-        return false;
+      if (mdxError.frame) {
+        this.logger.debug(`MDX compile error in ${filePath}:\n${mdxError.frame}`);
       }
-
-      return true;
+      return mdxError.line ? `${mdxError.line}:${mdxError.column} ${mdxError.message}` : mdxError.message;
     } catch (error) {
-      this.logger.error(`MDX validation error: ${error.message}`);
-      return false;
+      return `MDX compiler failed: ${error.message}`;
     }
   }
 }
 
-// CLI Interface
-async function main() {
-  const args = process.argv.slice(2);
-  const options = {
-    verbose: args.includes('--verbose') || args.includes('-v'),
-    dryRun: args.includes('--dry-run'),
-    basePath: args.find(arg => arg.startsWith('--base-path='))?.split('=')[1]
-  };
-  
-  if (options.basePath) {
-    CONFIG.basePaths = [options.basePath];
-  }
-  
-  console.log('🚀 Enhanced Documentation Scraper for LostMind AI');
-  console.log('================================================\n');
-  
-  if (options.dryRun) {
-    console.log('🔍 DRY RUN MODE - No files will be written\n');
-  }
-  
-  const scanner = new EnhancedProjectScanner(options);
-  
-  try {
-    await scanner.scan();
-    console.log('\n✅ Documentation scan completed successfully!');
-    console.log(`📁 Output directory: ${CONFIG.outputDir}`);
-    console.log(`🌐 Ready for deployment to docs.lostmindai.com`);
-  } catch (error) {
-    console.error('\n❌ Scan failed:', error.message);
-    process.exit(1);
-  }
-}
-
 // Export for programmatic use
 module.exports = {
   EnhancedProjectScanner,
   CONFIG,
   Logger,
+  ScanCache,
   FileClassifier,
   ContentExtractor,
   AssetManager,
   NavigationBuilder
 };
-
-// Run if called directly
-if (require.main === module) {
-  main().catch(console.error);
-}
\ No newline at end of file
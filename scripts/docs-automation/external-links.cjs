@@ -0,0 +1,325 @@
+/**
+ * External Link Checker for LostMind AI Documentation
+ *
+ * Checks the http(s) links of generated pages. Hosts are checked
+ * concurrently, but each host gets one request at a time with a pause in
+ * between; 429s, 5xx responses, timeouts and network errors are retried.
+ * Links are requested with HEAD and again with GET when HEAD fails, since
+ * many servers reject or mishandle HEAD. Redirects are followed by hand so
+ * permanent moves can be reported, and pages that answer 200 for missing
+ * content (soft 404s) count as broken. Results are kept in an on-disk cache
+ * for cacheTTLHours so repeated runs only request new or expired links.
+ */
+
+const fs = require('node:fs').promises;
+const path = require('node:path');
+
+const CACHE_VERSION = 1;
+const MAX_REDIRECTS = 10;
+const MAX_RETRY_DELAY_MS = 30000;
+// Enough of an HTML page to see its <title> and first heading
+const SNIFF_BYTES = 64 * 1024;
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+// Hosts commonly answer crawlers with these, so they say nothing about the link
+const DENIED_STATUSES = [401, 403];
+const PERMANENT_REDIRECTS = [301, 308];
+const SOFT_404_PATHS = /(^|\/)(404|not[-_]?found|page[-_]?not[-_]?found|error)(\.html?)?\/?$/i;
+const SOFT_404_TEXT = /\b404\b|\bnot found\b|\bpage (?:does not|doesn't|could not|couldn't) (?:exist|be found)\b/i;
+
+const USER_AGENT = 'LostMind-Docs-LinkChecker/1.0';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delay requested by a Retry-After header (seconds or an HTTP date), or null
+function retryAfterMs(response, now) {
+  const value = response?.headers.get('retry-after');
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  const ms = Number.isNaN(seconds) ? Date.parse(value) - now : seconds * 1000;
+  return Number.isNaN(ms) ? null : Math.max(0, ms);
+}
+
+// Start of a response body as text; the rest is discarded
+async function readStart(response) {
+  if (!response.body) {
+    return '';
+  }
+  const reader = response.body.getReader();
+  const chunks = [];
+  let length = 0;
+  try {
+    while (length < SNIFF_BYTES) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      chunks.push(value);
+      length += value.length;
+    }
+  } finally {
+    await reader.cancel().catch(() => {});
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function discard(response) {
+  if (response.body) {
+    await response.body.cancel().catch(() => {});
+  }
+}
+
+// Reason a successful response is really a missing page, or null
+function softNotFound(url, finalUrl, html) {
+  const requested = new URL(url);
+  const landed = new URL(finalUrl);
+  if (landed.href !== requested.href) {
+    if (requested.pathname !== '/' && landed.pathname === '/') {
+      return `redirects to the home page ${landed.origin}/`;
+    }
+    if (SOFT_404_PATHS.test(landed.pathname)) {
+      return `redirects to an error page ${landed.href}`;
+    }
+  }
+
+  const title = html && (html.match(/<title[^>]*>([^<]*)<\/title>/i) || html.match(/<h1[^>]*>([^<]*)<\/h1>/i));
+  if (title && SOFT_404_TEXT.test(title[1])) {
+    return `page says "${title[1].trim()}"`;
+  }
+  return null;
+}
+
+/**
+ * Checks external links. check(urls) resolves to a Map from each URL to
+ * { state, status, reason, location, cached } where state is
+ * - ok:         the link works (temporary redirects included)
+ * - redirect:   the link permanently redirects to `location`
+ * - broken:     404, 410, a soft 404, an unknown host or an invalid URL
+ * - unverified: the host kept failing or refused the request (401, 403);
+ *               these results are not cached
+ */
+class ExternalLinkChecker {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 8;
+    this.hostIntervalMs = options.hostIntervalMs ?? 1000;
+    this.retries = options.retries ?? 2;
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.cacheTTLHours = options.cacheTTLHours ?? 24;
+    this.cachePath = options.cachePath || null;
+    this.now = options.now || Date.now;
+    this.cache = null;
+    this.nextRequestAt = new Map();
+    this.requests = 0;
+  }
+
+  async check(urls) {
+    await this.loadCache();
+    const results = new Map();
+    const hosts = new Map();
+
+    for (const url of new Set(urls)) {
+      const cached = this.cachedResult(url);
+      if (cached) {
+        results.set(url, cached);
+        continue;
+      }
+
+      let host;
+      try {
+        host = new URL(url).host;
+      } catch {
+        results.set(url, { state: 'broken', status: null, reason: 'invalid URL', location: null, cached: false });
+        continue;
+      }
+      if (!hosts.has(host)) {
+        hosts.set(host, []);
+      }
+      hosts.get(host).push(url);
+    }
+
+    // Each worker takes the next host and checks its links one by one
+    const queues = [...hosts.values()];
+    const worker = async () => {
+      while (queues.length > 0) {
+        for (const url of queues.shift()) {
+          const result = await this.checkLink(url);
+          results.set(url, result);
+          this.storeResult(url, result);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, queues.length) }, worker));
+
+    await this.saveCache();
+    return results;
+  }
+
+  // Check one link, retrying transient failures with exponential backoff
+  async checkLink(url) {
+    for (let attempt = 0; ; attempt++) {
+      const result = await this.attempt(url);
+      if (!result.retryable || attempt >= this.retries) {
+        const { retryable, retryAfter, ...checked } = result;
+        return { ...checked, cached: false };
+      }
+      const backoff = this.retryDelayMs * 2 ** attempt;
+      await sleep(Math.min(MAX_RETRY_DELAY_MS, result.retryAfter ?? backoff));
+    }
+  }
+
+  async attempt(url) {
+    let outcome;
+    let html = null;
+    try {
+      outcome = await this.follow(url, 'HEAD').catch(() => null);
+      if (!outcome || outcome.response.status >= 400) {
+        if (outcome) {
+          await discard(outcome.response);
+        }
+        outcome = await this.follow(url, 'GET');
+        const type = outcome.response.headers.get('content-type') || '';
+        html = outcome.response.ok && type.includes('html') ? await readStart(outcome.response) : null;
+      }
+      await discard(outcome.response);
+    } catch (error) {
+      return this.failure(error);
+    }
+
+    const { response, finalUrl, redirects } = outcome;
+    const status = response.status;
+    if (status >= 400) {
+      if (RETRYABLE_STATUSES.includes(status)) {
+        return {
+          state: 'unverified',
+          status,
+          reason: `HTTP ${status}`,
+          location: null,
+          retryable: true,
+          retryAfter: retryAfterMs(response, Date.now())
+        };
+      }
+      const state = DENIED_STATUSES.includes(status) ? 'unverified' : 'broken';
+      return { state, status, reason: `HTTP ${status}`, location: null };
+    }
+
+    const soft404 = softNotFound(url, finalUrl, html);
+    if (soft404) {
+      return { state: 'broken', status, reason: `soft 404: ${soft404}`, location: finalUrl };
+    }
+    if (redirects.some(redirect => PERMANENT_REDIRECTS.includes(redirect.status))) {
+      return { state: 'redirect', status, reason: `moved permanently to ${finalUrl}`, location: finalUrl };
+    }
+    return { state: 'ok', status, reason: null, location: null };
+  }
+
+  // Result for a request that got no response
+  failure(error) {
+    const cause = error.cause || {};
+    if (cause.code === 'ENOTFOUND') {
+      return { state: 'broken', status: null, reason: `host not found (${cause.hostname || 'DNS lookup failed'})`, location: null };
+    }
+    if (error.tooManyRedirects) {
+      return { state: 'broken', status: null, reason: error.message, location: null };
+    }
+    const reason = error.name === 'TimeoutError' ? `timed out after ${this.timeoutMs}ms` : cause.code || cause.message || error.message;
+    return { state: 'unverified', status: null, reason, location: null, retryable: true };
+  }
+
+  // Request `url`, following redirects; { response, finalUrl, redirects }
+  async follow(url, method) {
+    const redirects = [];
+    let current = url;
+    for (;;) {
+      const response = await this.request(current, method);
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return { response, finalUrl: current, redirects };
+      }
+
+      await discard(response);
+      if (redirects.length >= MAX_REDIRECTS) {
+        const error = new Error(`more than ${MAX_REDIRECTS} redirects`);
+        error.tooManyRedirects = true;
+        throw error;
+      }
+      const next = new URL(location, current).href;
+      redirects.push({ status: response.status, from: current, to: next });
+      current = next;
+    }
+  }
+
+  async request(url, method) {
+    await this.throttle(new URL(url).host);
+    this.requests++;
+    return fetch(url, {
+      method,
+      redirect: 'manual',
+      headers: { 'user-agent': USER_AGENT, accept: 'text/html,application/xhtml+xml,*/*;q=0.8' },
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+  }
+
+  // Wait for this host's next free slot and reserve the one after it
+  async throttle(host) {
+    const now = Date.now();
+    const at = Math.max(now, this.nextRequestAt.get(host) || 0);
+    this.nextRequestAt.set(host, at + this.hostIntervalMs);
+    if (at > now) {
+      await sleep(at - now);
+    }
+  }
+
+  async loadCache() {
+    if (this.cache) {
+      return;
+    }
+    this.cache = { version: CACHE_VERSION, links: {} };
+    if (!this.cachePath || this.cacheTTLHours <= 0) {
+      return;
+    }
+    try {
+      const stored = JSON.parse(await fs.readFile(this.cachePath, 'utf8'));
+      if (stored.version === CACHE_VERSION && stored.links) {
+        this.cache = stored;
+      }
+    } catch {
+      // Missing or unreadable: check everything again
+    }
+  }
+
+  cachedResult(url) {
+    const entry = this.cache.links[url];
+    if (!entry || this.now() - entry.checkedAt > this.cacheTTLHours * 3600 * 1000) {
+      return null;
+    }
+    const { checkedAt, ...result } = entry;
+    return { ...result, cached: true };
+  }
+
+  storeResult(url, result) {
+    if (result.state === 'unverified') {
+      delete this.cache.links[url];
+      return;
+    }
+    const { cached, ...entry } = result;
+    this.cache.links[url] = { ...entry, checkedAt: this.now() };
+  }
+
+  async saveCache() {
+    if (!this.cachePath || this.cacheTTLHours <= 0) {
+      return;
+    }
+    // Drop expired entries so the file does not grow forever
+    const links = Object.fromEntries(Object.entries(this.cache.links)
+      .filter(([, entry]) => this.now() - entry.checkedAt <= this.cacheTTLHours * 3600 * 1000));
+    this.cache.links = links;
+    await fs.mkdir(path.dirname(this.cachePath), { recursive: true });
+    await fs.writeFile(this.cachePath, JSON.stringify(this.cache, null, 2), 'utf8');
+  }
+}
+
+module.exports = {
+  ExternalLinkChecker
+};
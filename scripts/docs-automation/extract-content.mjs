@@ -3,16 +3,29 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseFrontmatter, stringifyFrontmatter } from './frontmatter.cjs';
+import { NavigationBuilder } from './enhanced-scan-projects.cjs';
+import { TemplateSet } from './page-templates.cjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-class MintlifyContentExtractor {
-  constructor() {
+// Navigation groups for discovered project categories; other categories
+// are listed under Other Projects
+const DISCOVERY_NAVIGATION_GROUPS = {
+  'main-platform': { title: '🚀 Main Platforms', icon: 'rocket', order: 1 },
+  'ai-backend': { title: '🧠 AI & Backend', icon: 'brain', order: 2 },
+  'development-tools': { title: '🛠️ Development Tools', icon: 'screwdriver-wrench', order: 3 },
+  other: { title: '📊 Other Projects', icon: 'folder', order: 4 }
+};
+
+export class MintlifyContentExtractor {
+  // options.templates: a directory of page templates replacing the built-in ones
+  constructor(options = {}) {
     this.configPath = path.join(__dirname, '../../apps/docs/config/discovered-projects.json');
     this.docsPath = path.join(__dirname, '../../apps/docs');
     this.projectsPath = path.join(this.docsPath, 'projects');
-    this.templatesPath = path.join(__dirname, '../templates');
+    this.templates = new TemplateSet([options.templates]);
   }
 
   async extract() {
@@ -37,6 +50,7 @@ class MintlifyContentExtractor {
       
     } catch (error) {
       console.error('❌ Error extracting content:', error.message);
+      throw error;
     }
   }
 
@@ -66,76 +80,39 @@ class MintlifyContentExtractor {
   }
 
   async generateProjectIndex(project, outputDir) {
-    const content = `---
-title: "${project.name}"
-description: "${project.claudeDescription || project.metadata?.description || 'LostMind AI project documentation'}"
----
-
-# ${project.name}
-
-${project.claudeDescription || project.metadata?.description || 'No description available'}
-
-<Info>
-**Last Updated:** ${new Date(project.lastModified).toLocaleDateString()}  
-**Category:** ${project.category.replace('-', ' ')}  
-**Framework:** ${project.metadata?.framework || 'Unknown'}  
-**Priority:** ${project.priority}
-</Info>
-
-## 📋 Project Overview
-
-${this.generateProjectOverview(project)}
-
-## 📚 Available Documentation
-
-<CardGroup cols={2}>
-${project.indicators.hasReadme ? `  <Card title="📖 README" icon="book-open" href="./${project.slug}/readme">
-    Complete project overview and setup instructions
-  </Card>` : ''}
-
-${project.indicators.hasDocs ? `  <Card title="📚 Technical Docs" icon="files" href="./${project.slug}/docs">
-    Detailed technical documentation and guides
-  </Card>` : ''}
-
-${project.indicators.hasClaudeFile ? `  <Card title="🛠️ Development Guide" icon="code" href="./${project.slug}/development">
-    AI-assisted development instructions and guidelines
-  </Card>` : ''}
-
-  <Card title="🏗️ Architecture" icon="sitemap" href="./${project.slug}/architecture">
-    System architecture and design patterns
-  </Card>
-</CardGroup>
-
-## 🚀 Quick Start
-
-${this.generateQuickStart(project)}
-
-## 🔗 Related Projects
-
-This project is part of the LostMind AI ecosystem:
-
-<CardGroup cols={3}>
-  <Card title="🚀 Main Platform" icon="rocket" href="../lostmindai-turborepo">
-    Core SaaS application
-  </Card>
-  <Card title="🧠 RAG Backend" icon="brain" href="../back-end-architecture-for-turborepo-with-rag-embeddings">
-    AI processing backend
-  </Card>
-  <Card title="📊 Finance Tools" icon="chart-line" href="../xlsm-core-app">
-    Excel-based finance tools
-  </Card>
-</CardGroup>
-
----
+    const body = await this.templates.render('extract-introduction', {
+      ...this.templateData(project),
+      overview: this.generateProjectOverview(project),
+      quickStart: this.generateQuickStart(project),
+      syncedAt: new Date().toLocaleDateString()
+    });
+    const content = `${stringifyFrontmatter({
+  title: project.name,
+  description: project.claudeDescription || project.metadata?.description || 'LostMind AI project documentation'
+})}
 
-<Note>
-This documentation is automatically generated from the source project. 
-Last sync: ${new Date().toLocaleDateString()}
-</Note>`;
+${body}`;
 
     await fs.writeFile(path.join(outputDir, 'introduction.mdx'), content, 'utf8');
   }
 
+  // What the extract-* templates get about a project (see scripts/templates/README.md)
+  templateData(project) {
+    return {
+      project: {
+        name: project.name,
+        slug: project.slug,
+        description: project.claudeDescription || project.metadata?.description,
+        category: project.category,
+        categoryLabel: project.category.replace(/-/g, ' '),
+        framework: project.metadata?.framework,
+        priority: project.priority
+      },
+      indicators: project.indicators,
+      lastUpdated: new Date(project.lastModified).toLocaleDateString()
+    };
+  }
+
   generateProjectOverview(project) {
     let overview = `This is a ${project.metadata?.framework || 'software'} project`;
     
@@ -202,13 +179,14 @@ cd ${project.slug}
       
       if (readmeFile) {
         const readmePath = path.join(project.path, readmeFile);
-        const content = await fs.readFile(readmePath, 'utf8');
+        const { data, content } = parseFrontmatter(await fs.readFile(readmePath, 'utf8'));
         
         // Convert to Mintlify format
-        const mintlifyContent = `---
-title: "README - ${project.name}"
-description: "Complete project README and setup instructions"
----
+        const mintlifyContent = `${stringifyFrontmatter({
+  description: 'Complete project README and setup instructions',
+  ...data,
+  title: `README - ${project.name}`
+})}
 
 ${this.convertToMintlify(content, project)}`;
         
@@ -247,8 +225,10 @@ ${this.convertToMintlify(content, project)}`;
         await fs.mkdir(targetFilePath, { recursive: true });
         await this.copyDocsRecursively(sourceFilePath, targetFilePath, project);
       } else if (entry.name.endsWith('.md')) {
-        const content = await fs.readFile(sourceFilePath, 'utf8');
-        const processedContent = this.convertToMintlify(content, project);
+        const { data, content } = parseFrontmatter(await fs.readFile(sourceFilePath, 'utf8'));
+        const processedContent = Object.keys(data).length > 0
+          ? `${stringifyFrontmatter(data)}\n\n${this.convertToMintlify(content, project)}`
+          : this.convertToMintlify(content, project);
         await fs.writeFile(targetFilePath.replace('.md', '.mdx'), processedContent, 'utf8');
       }
     }
@@ -257,12 +237,13 @@ ${this.convertToMintlify(content, project)}`;
   async extractClaudeFile(project, outputDir) {
     try {
       const claudePath = path.join(project.path, 'CLAUDE.md');
-      const content = await fs.readFile(claudePath, 'utf8');
+      const { data, content } = parseFrontmatter(await fs.readFile(claudePath, 'utf8'));
       
-      const mintlifyContent = `---
-title: "Development Guide - ${project.name}"
-description: "AI-assisted development instructions and project guidelines"
----
+      const mintlifyContent = `${stringifyFrontmatter({
+  description: 'AI-assisted development instructions and project guidelines',
+  ...data,
+  title: `Development Guide - ${project.name}`
+})}
 
 ${this.convertToMintlify(content, project)}`;
       
@@ -274,45 +255,18 @@ ${this.convertToMintlify(content, project)}`;
   }
 
   async generateArchitectureOverview(project, outputDir) {
-    const content = `---
-title: "Architecture - ${project.name}"
-description: "System architecture and design overview"
----
-
-# Architecture Overview
-
-## System Design
-
-${this.generateArchitectureDescription(project)}
-
-## Technology Stack
-
-<CardGroup cols={2}>
-  <Card title="Framework" icon="layer-group">
-    ${project.metadata?.framework || 'Not specified'}
-  </Card>
-  <Card title="Category" icon="tags">
-    ${project.category.replace('-', ' ')}
-  </Card>
-  <Card title="Last Updated" icon="clock">
-    ${new Date(project.lastModified).toLocaleDateString()}
-  </Card>
-  <Card title="Documentation" icon="book">
-    ${project.indicators.hasDocs ? 'Available' : 'Basic'}
-  </Card>
-</CardGroup>
-
-## Key Components
-
-${this.generateComponentsList(project)}
-
-## Deployment
-
-This project is designed for ${this.getDeploymentInfo(project)} deployment.
+    const body = await this.templates.render('extract-architecture', {
+      ...this.templateData(project),
+      description: this.generateArchitectureDescription(project),
+      components: this.generateComponentsList(project),
+      deployment: this.getDeploymentInfo(project)
+    });
+    const content = `${stringifyFrontmatter({
+  title: `Architecture - ${project.name}`,
+  description: 'System architecture and design overview'
+})}
 
-<Note>
-Architecture details are extracted from project analysis. For detailed technical specifications, refer to the project's documentation folder.
-</Note>`;
+${body}`;
 
     await fs.writeFile(path.join(outputDir, 'architecture.mdx'), content, 'utf8');
   }
@@ -388,120 +342,29 @@ For the most up-to-date information, refer to the source project.
 
   async updateMintNavigation(projects) {
     try {
-      const mintConfigPath = path.join(this.docsPath, 'mint.json');
-      const mintConfig = JSON.parse(await fs.readFile(mintConfigPath, 'utf8'));
-      
-      // Build organized navigation structure
-      const projectsByCategory = this.organizeProjectsByCategory(projects);
-      
-      // Create projects navigation
-      const projectsNavigation = [];
-      
-      // Add high priority projects first
-      if (projectsByCategory['main-platform']?.length > 0) {
-        projectsNavigation.push({
-          group: "🚀 Main Platforms",
-          pages: projectsByCategory['main-platform'].map(project => [
-            `projects/${project.slug}/introduction`,
-            ...(project.indicators.hasReadme ? [`projects/${project.slug}/readme`] : []),
-            ...(project.indicators.hasClaudeFile ? [`projects/${project.slug}/development`] : []),
-            `projects/${project.slug}/architecture`
-          ]).flat()
-        });
+      const builder = new NavigationBuilder({
+        outputDir: this.projectsPath,
+        navigationGroups: DISCOVERY_NAVIGATION_GROUPS,
+        changelog: false
+      });
+
+      for (const project of projects) {
+        const category = DISCOVERY_NAVIGATION_GROUPS[project.category] ? project.category : 'other';
+        const page = (classification, filename) => ({ classification, outputPath: path.join(project.slug, filename) });
+
+        builder.addProject({ name: project.slug, displayName: project.name, category }, [
+          page('introduction', 'introduction.mdx'),
+          ...(project.indicators.hasReadme ? [page('readme', 'readme.mdx')] : []),
+          ...(project.indicators.hasClaudeFile ? [page('development', 'development.mdx')] : []),
+          page('architecture', 'architecture.mdx')
+        ]);
       }
-      
-      // Add AI backends
-      if (projectsByCategory['ai-backend']?.length > 0) {
-        projectsNavigation.push({
-          group: "🧠 AI & Backend",
-          pages: projectsByCategory['ai-backend'].map(project => [
-            `projects/${project.slug}/introduction`,
-            ...(project.indicators.hasReadme ? [`projects/${project.slug}/readme`] : []),
-            ...(project.indicators.hasClaudeFile ? [`projects/${project.slug}/development`] : []),
-            `projects/${project.slug}/architecture`
-          ]).flat()
-        });
-      }
-      
-      // Add development tools
-      if (projectsByCategory['development-tools']?.length > 0) {
-        projectsNavigation.push({
-          group: "🛠️ Development Tools",
-          pages: projectsByCategory['development-tools'].map(project => [
-            `projects/${project.slug}/introduction`,
-            ...(project.indicators.hasReadme ? [`projects/${project.slug}/readme`] : []),
-            ...(project.indicators.hasClaudeFile ? [`projects/${project.slug}/development`] : []),
-            `projects/${project.slug}/architecture`
-          ]).flat()
-        });
-      }
-      
-      // Add other projects
-      const otherProjects = [...(projectsByCategory['finance-tools'] || []), ...(projectsByCategory['documentation'] || []), ...(projectsByCategory['other'] || [])];
-      if (otherProjects.length > 0) {
-        projectsNavigation.push({
-          group: "📊 Other Projects",
-          pages: otherProjects.map(project => [
-            `projects/${project.slug}/introduction`,
-            ...(project.indicators.hasReadme ? [`projects/${project.slug}/readme`] : []),
-            ...(project.indicators.hasClaudeFile ? [`projects/${project.slug}/development`] : []),
-            `projects/${project.slug}/architecture`
-          ]).flat()
-        });
-      }
-      
-      // Update navigation structure
-      mintConfig.navigation = [
-        {
-          group: "Get Started",
-          pages: ["introduction", "quickstart", "development"]
-        },
-        {
-          group: "Essentials",
-          pages: [
-            "essentials/markdown",
-            "essentials/code", 
-            "essentials/images",
-            "essentials/settings",
-            "essentials/navigation",
-            "essentials/reusable-snippets"
-          ]
-        },
-        ...projectsNavigation,
-        {
-          group: "API Documentation",
-          pages: ["api-reference/introduction"]
-        },
-        {
-          group: "Endpoint Examples",
-          pages: [
-            "api-reference/endpoint/get",
-            "api-reference/endpoint/create",
-            "api-reference/endpoint/delete"
-          ]
-        }
-      ];
-      
-      await fs.writeFile(mintConfigPath, JSON.stringify(mintConfig, null, 2), 'utf8');
-      console.log('✅ Updated Mintlify navigation');
+
+      // Replaces only the project groups; hand-written groups and branding are kept
+      await builder.save();
       
     } catch (error) {
       console.error('❌ Error updating navigation:', error.message);
     }
   }
-
-  organizeProjectsByCategory(projects) {
-    const organized = {};
-    projects.forEach(project => {
-      if (!organized[project.category]) {
-        organized[project.category] = [];
-      }
-      organized[project.category].push(project);
-    });
-    return organized;
-  }
 }
-
-// Run extractor if called directly
-const extractor = new MintlifyContentExtractor();
-extractor.extract().catch(console.error);
\ No newline at end of file
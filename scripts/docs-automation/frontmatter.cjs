@@ -0,0 +1,148 @@
+/**
+ * Frontmatter Parsing and Serialisation for LostMind AI Documentation
+ *
+ * Reads frontmatter with gray-matter using the `yaml` package as its engine
+ * (YAML 1.2, so dates and version numbers stay strings) and writes it back
+ * with `yaml`, so arrays, nested maps, multiline strings and values with
+ * quotes or colons survive a round trip.
+ */
+
+const matter = require('gray-matter');
+const YAML = require('yaml');
+
+const MATTER_OPTIONS = {
+  engines: {
+    yaml: source => YAML.parse(source) || {}
+  }
+};
+
+// Frontmatter every generated page should carry. Missing `required` fields
+// are errors and missing `recommended` ones warnings; wrong types, unknown
+// categories and malformed dates are errors, over-long values warnings.
+// `enum: 'categories'` is resolved against the categories the caller passes.
+const FRONTMATTER_SCHEMA = {
+  title: { type: 'string', required: true },
+  description: { type: 'string', required: true, maxLength: 160 }, // search snippet length
+  category: { type: 'string', recommended: true, enum: 'categories' },
+  tags: { type: 'array', items: 'string', recommended: true },
+  lastUpdated: { type: 'string', format: 'date', recommended: true },
+  project: { type: 'string' },
+  sourceFile: { type: 'string' },
+  // From the source's git history
+  lastCommit: { type: 'string' },
+  contributors: { type: 'array', items: 'string' },
+  editUrl: { type: 'string' }
+};
+
+// YYYY-MM-DD, optionally followed by an ISO 8601 time
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const STRINGIFY_OPTIONS = {
+  defaultStringType: 'QUOTE_DOUBLE',
+  defaultKeyType: 'PLAIN',
+  lineWidth: 0
+};
+
+/**
+ * Split a document into { data, content }. Documents without frontmatter
+ * return empty data; invalid YAML is reported through `error` and the
+ * document is returned unchanged.
+ */
+function parseFrontmatter(source) {
+  try {
+    // Passing options bypasses gray-matter's cache, which would share `data` objects
+    const { data, content } = matter(source, MATTER_OPTIONS);
+    return { data: data || {}, content, error: null };
+  } catch (error) {
+    return { data: {}, content: source, error };
+  }
+}
+
+// Drop undefined values so optional fields can be set conditionally
+function compact(data) {
+  return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+}
+
+function stringifyFrontmatter(data) {
+  return `---\n${YAML.stringify(compact(data), STRINGIFY_OPTIONS)}---`;
+}
+
+function isISODate(value) {
+  const match = ISO_DATE_PATTERN.exec(value);
+  if (!match) {
+    return false;
+  }
+
+  // Reject impossible days such as 2024-02-30
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Check frontmatter data against FRONTMATTER_SCHEMA. Returns a list of
+ * { field, rule, severity: 'error' | 'warning', message }, where rule is
+ * required, recommended, type, enum, date or length; fields the schema does
+ * not describe (Mintlify's icon, sidebarTitle, ...) are allowed.
+ */
+function validateFrontmatterData(data, context = {}, schema = FRONTMATTER_SCHEMA) {
+  const issues = [];
+  const report = (field, rule, severity, message) => issues.push({ field, rule, severity, message });
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = data[field];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        report(field, 'required', 'error', `Missing required frontmatter field: ${field}`);
+      } else if (rule.recommended) {
+        report(field, 'recommended', 'warning', `Missing recommended frontmatter field: ${field}`);
+      }
+      continue;
+    }
+
+    if (typeOf(value) !== rule.type) {
+      report(field, 'type', 'error', `Frontmatter field ${field} must be a ${rule.type}, got ${typeOf(value)}`);
+      continue;
+    }
+
+    if (rule.items && value.some(item => typeOf(item) !== rule.items)) {
+      report(field, 'type', 'error', `Frontmatter field ${field} must only contain ${rule.items} values`);
+    }
+
+    const allowed = typeof rule.enum === 'string' ? context[rule.enum] : rule.enum;
+    if (allowed && !allowed.includes(value)) {
+      report(field, 'enum', 'error', `Frontmatter field ${field} "${value}" is not one of ${allowed.join(', ')}`);
+    }
+
+    if (rule.format === 'date' && !isISODate(value)) {
+      report(field, 'date', 'error', `Frontmatter field ${field} "${value}" is not an ISO date (YYYY-MM-DD)`);
+    }
+
+    if (rule.maxLength && value.length > rule.maxLength) {
+      report(field, 'length', 'warning', `Frontmatter field ${field} is ${value.length} characters; keep it under ${rule.maxLength}`);
+    }
+  }
+
+  return issues;
+}
+
+// Frontmatter block, a blank line, then the body
+function formatDocument(data, body) {
+  return `${stringifyFrontmatter(data)}\n\n${body}`;
+}
+
+module.exports = {
+  FRONTMATTER_SCHEMA,
+  validateFrontmatterData,
+  parseFrontmatter,
+  stringifyFrontmatter,
+  formatDocument
+};
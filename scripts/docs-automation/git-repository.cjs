@@ -0,0 +1,197 @@
+/**
+ * Git Repository Lookup for LostMind AI Documentation
+ *
+ * Finds the git checkout a project lives in and, when its origin remote is
+ * on GitHub, the web URL of a source file, so generated pages can link to
+ * files that are not published on the docs site. GitHistory reads the last
+ * commit and the authors of every file from the checkout's log.
+ */
+
+const { execFile } = require('node:child_process');
+const { promisify } = require('node:util');
+const fs = require('node:fs').promises;
+const path = require('node:path');
+
+const execFileAsync = promisify(execFile);
+
+// The log of a large checkout takes longer and is bigger than other git output
+const LOG_OPTIONS = { timeout: 60000, maxBuffer: 256 * 1024 * 1024 };
+
+async function git(cwd, args, options = {}) {
+  const { stdout } = await execFileAsync('git', args, { cwd, timeout: 10000, ...options });
+  return stdout.trim();
+}
+
+// https://github.com/<owner>/<repo> for a GitHub remote in SSH or HTTPS form, otherwise null
+function githubUrl(remote) {
+  const match = remote.match(/github\.com[:/]([^/]+)\/([^/]+?)(?:\.git)?\/?$/);
+  return match ? `https://github.com/${match[1]}/${match[2]}` : null;
+}
+
+/**
+ * { root, url, ref } of the GitHub checkout containing `dir`: the checkout
+ * root, the repository URL and the branch (or commit, when detached) that
+ * links point at. Null when `dir` is not in a git checkout or its origin is
+ * not on GitHub.
+ */
+async function findGitHubRepository(dir) {
+  try {
+    const root = await git(dir, ['rev-parse', '--show-toplevel']);
+    const url = githubUrl(await git(dir, ['remote', 'get-url', 'origin']));
+    if (!url) {
+      return null;
+    }
+
+    const branch = await git(dir, ['rev-parse', '--abbrev-ref', 'HEAD']);
+    const ref = branch === 'HEAD' ? await git(dir, ['rev-parse', 'HEAD']) : branch;
+    return { root, url, ref };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * URL of `filePath` below `baseUrl`, the web location of `rootDir`. Null
+ * when the file lies outside rootDir.
+ */
+async function sourceUrl(baseUrl, rootDir, filePath) {
+  // git reports the real path of the checkout, so compare real paths
+  const [root, target] = await Promise.all([
+    fs.realpath(rootDir).catch(() => path.resolve(rootDir)),
+    fs.realpath(filePath).catch(() => path.resolve(filePath))
+  ]);
+  const relative = path.relative(root, target);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    return null;
+  }
+
+  const encoded = relative.split(path.sep).filter(Boolean).map(encodeURIComponent).join('/');
+  return encoded ? `${baseUrl.replace(/\/+$/, '')}/${encoded}` : baseUrl.replace(/\/+$/, '');
+}
+
+// Edit page of a GitHub blob or tree URL, otherwise null
+function editUrl(fileUrl) {
+  const match = fileUrl.match(/^(https:\/\/github\.com\/[^/]+\/[^/]+)\/(?:blob|tree)\/(.+)$/);
+  return match ? `${match[1]}/edit/${match[2]}` : null;
+}
+
+/**
+ * Last commit and authors of the files in git checkouts. The log of each
+ * checkout is read once; history(targetPath) then resolves to
+ * { hash, date, authors, dirty } for a file, or for a directory its newest
+ * commit and the authors of every file below it. Authors are
+ * { name, email, commits } sorted by commit count, honouring .mailmap;
+ * dirty is set when the file (or a file below the directory) has
+ * uncommitted changes. Null when git does not track the path.
+ */
+class GitHistory {
+  constructor() {
+    // Checkout root (or null) by directory, and the parsed log by root
+    this.roots = new Map();
+    this.logs = new Map();
+  }
+
+  async history(targetPath) {
+    let target;
+    let isDirectory;
+    try {
+      target = await fs.realpath(targetPath);
+      isDirectory = (await fs.stat(target)).isDirectory();
+    } catch {
+      return null;
+    }
+
+    const root = await this.rootOf(isDirectory ? target : path.dirname(target));
+    const log = root && await this.logOf(root);
+    if (!log) {
+      return null;
+    }
+
+    const relative = path.relative(root, target).split(path.sep).join('/');
+    if (!isDirectory) {
+      const file = log.files.get(relative);
+      return file ? { ...file, authors: sortAuthors(file.authors), dirty: log.dirty.has(relative) } : null;
+    }
+
+    // A directory: merge the histories of the files below it
+    const prefix = relative ? `${relative}/` : '';
+    let newest = null;
+    const authors = new Map();
+    let dirty = false;
+    for (const [filePath, file] of log.files) {
+      if (!filePath.startsWith(prefix)) {
+        continue;
+      }
+      if (!newest || Date.parse(file.date) > Date.parse(newest.date)) {
+        newest = file;
+      }
+      for (const [email, author] of file.authors) {
+        const merged = authors.get(email) || { name: author.name, email, hashes: new Set() };
+        for (const hash of author.hashes) {
+          merged.hashes.add(hash);
+        }
+        authors.set(email, merged);
+      }
+      dirty = dirty || log.dirty.has(filePath);
+    }
+    return newest && { hash: newest.hash, date: newest.date, authors: sortAuthors(authors), dirty };
+  }
+
+  rootOf(dir) {
+    if (!this.roots.has(dir)) {
+      this.roots.set(dir, git(dir, ['rev-parse', '--show-toplevel']).catch(() => null));
+    }
+    return this.roots.get(dir);
+  }
+
+  logOf(root) {
+    if (!this.logs.has(root)) {
+      this.logs.set(root, readLog(root).catch(() => null));
+    }
+    return this.logs.get(root);
+  }
+}
+
+// { files: Map(path → { hash, date, authors }), dirty: Set(path) } where
+// authors maps each author's email to { name, email, hashes } of their commits
+async function readLog(root) {
+  const output = await git(root, [
+    '-c', 'core.quotePath=false',
+    'log', '--name-only', '--no-renames', '--format=%x1e%H%x1f%cI%x1f%aN%x1f%aE'
+  ], LOG_OPTIONS);
+
+  const files = new Map();
+  // Newest commit first, so the first commit seen for a file is its last change
+  for (const record of output.split('\x1e').filter(Boolean)) {
+    const [header, ...paths] = record.split('\n');
+    const [hash, date, name, email] = header.split('\x1f');
+    for (const filePath of paths.filter(Boolean)) {
+      if (!files.has(filePath)) {
+        files.set(filePath, { hash, date, authors: new Map() });
+      }
+      const { authors } = files.get(filePath);
+      if (!authors.has(email)) {
+        authors.set(email, { name, email, hashes: new Set() });
+      }
+      authors.get(email).hashes.add(hash);
+    }
+  }
+
+  // Staged and unstaged changes to tracked files
+  const changed = await git(root, ['-c', 'core.quotePath=false', 'diff', '--name-only', 'HEAD']).catch(() => '');
+  return { files, dirty: new Set(changed.split('\n').filter(Boolean)) };
+}
+
+function sortAuthors(authors) {
+  return [...authors.values()]
+    .map(({ name, email, hashes }) => ({ name, email, commits: hashes.size }))
+    .sort((a, b) => b.commits - a.commits || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  githubUrl,
+  findGitHubRepository,
+  sourceUrl,
+  editUrl,
+  GitHistory
+};
@@ -0,0 +1,94 @@
+/**
+ * Image Pipeline for LostMind AI Documentation
+ *
+ * Prepares images referenced from published documents for the docs site.
+ * PNG and JPEG files above a size threshold become WebP, raster images are
+ * re-encoded so EXIF, GPS and other metadata is dropped, and the pixel size
+ * of every published image is measured so pages can set width and height.
+ * Uses sharp; when it cannot be loaded images are copied unchanged.
+ */
+
+const fs = require('node:fs').promises;
+const path = require('node:path');
+
+const RASTER_FORMATS = { '.png': 'png', '.jpg': 'jpeg', '.jpeg': 'jpeg', '.webp': 'webp' };
+
+const ENCODER_OPTIONS = {
+  png: () => ({ compressionLevel: 9, adaptiveFiltering: true }),
+  jpeg: settings => ({ quality: settings.quality, mozjpeg: true }),
+  webp: settings => ({ quality: settings.quality })
+};
+
+let sharp;
+
+// sharp, or null when it is not installed for this platform
+function loadSharp() {
+  if (sharp === undefined) {
+    try {
+      sharp = require('sharp');
+    } catch {
+      sharp = null;
+    }
+  }
+  return sharp;
+}
+
+/**
+ * Extension of the published copy of an image: PNG and JPEG files larger
+ * than settings.webpThresholdKB are converted to WebP when sharp is
+ * available, everything else keeps its format.
+ */
+function outputExtension(sourcePath, size, settings) {
+  const ext = path.extname(sourcePath).toLowerCase();
+  const convertible = ['png', 'jpeg'].includes(RASTER_FORMATS[ext]);
+  return settings.optimize && convertible && size > settings.webpThresholdKB * 1024 && loadSharp() ? '.webp' : ext;
+}
+
+async function encode(source, format, settings) {
+  const image = loadSharp()(source);
+  const metadata = await image.metadata();
+  // rotate() bakes in the EXIF orientation before the metadata is dropped
+  const encoded = await image.rotate()[format](ENCODER_OPTIONS[format](settings)).toBuffer();
+  const carriesMetadata = Boolean(metadata.exif || metadata.xmp || metadata.iptc || (metadata.orientation || 1) > 1);
+
+  // Keep a smaller original as long as it has nothing to strip
+  return encoded.length < source.length || carriesMetadata ? encoded : source;
+}
+
+/**
+ * Write the published copy of `sourcePath` to `destPath`, whose extension
+ * comes from outputExtension. Returns describeImage() of the copy.
+ */
+async function publishImage(sourcePath, destPath, settings) {
+  const source = await fs.readFile(sourcePath);
+  const format = RASTER_FORMATS[path.extname(destPath).toLowerCase()];
+  const output = settings.optimize && format && loadSharp()
+    ? await encode(source, format, settings)
+    : source;
+
+  await fs.mkdir(path.dirname(destPath), { recursive: true });
+  await fs.writeFile(destPath, output);
+  return describeImage(destPath);
+}
+
+// { size, width, height } of an image file; width and height need sharp
+async function describeImage(imagePath) {
+  const { size } = await fs.stat(imagePath);
+  if (!loadSharp()) {
+    return { size };
+  }
+
+  try {
+    const { width, height } = await loadSharp()(imagePath).metadata();
+    return { size, width, height };
+  } catch {
+    return { size };
+  }
+}
+
+module.exports = {
+  loadSharp,
+  outputExtension,
+  publishImage,
+  describeImage
+};
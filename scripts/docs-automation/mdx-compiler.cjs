@@ -0,0 +1,76 @@
+/**
+ * MDX Compilation Check for LostMind AI Documentation
+ *
+ * Compiles MDX with @mdx-js/mdx, the compiler Mintlify builds with, so the
+ * scanner and the validator reject exactly what `mintlify build` rejects.
+ * Failures carry the parser's line and column plus a code frame.
+ */
+
+let compilerPromise = null;
+
+// @mdx-js/mdx and the remark plugins are ESM-only
+function loadCompiler() {
+  if (!compilerPromise) {
+    compilerPromise = Promise.all([
+      import('@mdx-js/mdx'),
+      import('remark-frontmatter'),
+      import('remark-gfm')
+    ]).then(([mdx, remarkFrontmatter, remarkGfm]) => ({
+      compile: mdx.compile,
+      remarkPlugins: [[remarkFrontmatter.default, ['yaml']], remarkGfm.default]
+    }));
+  }
+  return compilerPromise;
+}
+
+// Render the lines around line:column with a caret under the column
+function codeFrame(source, line, column, context = 2) {
+  const lines = source.split('\n');
+  const start = Math.max(1, line - context);
+  const end = Math.min(lines.length, line + context);
+  const width = String(end).length;
+  const frame = [];
+
+  for (let number = start; number <= end; number++) {
+    const text = lines[number - 1];
+    frame.push(`${number === line ? '>' : ' '} ${String(number).padStart(width)} | ${text}`);
+
+    if (number === line && column) {
+      const indent = text.slice(0, column - 1).replace(/[^\t]/g, ' ');
+      frame.push(`  ${' '.repeat(width)} | ${indent}^`);
+    }
+  }
+
+  return frame.join('\n');
+}
+
+/**
+ * Compile MDX source and return the first syntax error, or null when it compiles.
+ * The error has { line, column, message, ruleId, source, frame }; line and
+ * column count from the start of the file, frontmatter included.
+ */
+async function findMDXError(source, filePath) {
+  const { compile, remarkPlugins } = await loadCompiler();
+
+  try {
+    await compile({ value: source, path: filePath }, { remarkPlugins });
+    return null;
+  } catch (error) {
+    const line = error.line || null;
+    const column = error.column || null;
+
+    return {
+      line,
+      column,
+      message: error.reason || error.message,
+      ruleId: error.ruleId || null,
+      source: error.source || null,
+      frame: line ? codeFrame(source, line, column) : ''
+    };
+  }
+}
+
+module.exports = {
+  findMDXError,
+  codeFrame
+};
@@ -0,0 +1,330 @@
+/**
+ * Markdown to MDX Sanitizer for LostMind AI Documentation
+ *
+ * Parses source Markdown with remark (CommonMark + GFM) and rewrites only the
+ * parts MDX reads differently, patching the original text by position so
+ * everything else is kept byte for byte:
+ * - `{`, `}` and `<` in prose are backslash-escaped
+ * - raw HTML becomes JSX: comments turn into MDX comment expressions,
+ *   attributes get their React names, style strings become objects, void
+ *   elements are self-closed and tags without a partner are escaped as text;
+ *   in HTML blocks a tag closed on another line gets a line of its own, as
+ *   MDX otherwise reads its line as a paragraph the tag cannot leave
+ * - <https://...> autolinks become regular links and indented code becomes
+ *   a fenced block, since MDX supports neither
+ * - DOCTYPEs, processing instructions and source frontmatter are dropped
+ * Code spans and fenced code blocks are never modified.
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// One HTML construct per match: comment, CDATA, declaration, processing
+// instruction, or an opening/closing tag with its attributes
+const HTML_TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<![^>]*>?|<\?[\s\S]*?(?:\?>|$)|<(\/?)([A-Za-z][A-Za-z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+
+let parserPromise = null;
+
+// unified, remark and property-information are ESM-only
+function loadParser() {
+  if (!parserPromise) {
+    parserPromise = Promise.all([
+      import('unified'),
+      import('remark-parse'),
+      import('remark-gfm'),
+      import('remark-frontmatter'),
+      import('property-information')
+    ]).then(([{ unified }, remarkParse, remarkGfm, remarkFrontmatter, propertyInformation]) => ({
+      processor: unified()
+        .use(remarkParse.default)
+        .use(remarkGfm.default)
+        .use(remarkFrontmatter.default, ['yaml', 'toml']),
+      propertyInformation
+    }));
+  }
+  return parserPromise;
+}
+
+// Backslash-escape characters MDX would read as JSX or expressions,
+// leaving characters that are already escaped alone
+function escapeProse(text) {
+  return text.replace(/(\\*)([{}<])/g, (match, slashes, character) =>
+    slashes.length % 2 === 1 ? match : `${slashes}\\${character}`
+  );
+}
+
+function tokenizeHTML(value) {
+  const tokens = [];
+  let lastIndex = 0;
+
+  for (const match of value.matchAll(HTML_TOKEN_PATTERN)) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', raw: value.slice(lastIndex, match.index) });
+    }
+
+    const [raw, closing, name, attributes, selfClosing] = match;
+    const { index } = match;
+    if (raw.startsWith('<!--')) {
+      tokens.push({ type: 'comment', raw });
+    } else if (!name) {
+      tokens.push({ type: 'declaration', raw });
+    } else {
+      const isVoid = VOID_ELEMENTS.has(name.toLowerCase());
+      let type = 'open';
+      if (closing) {
+        type = 'close';
+      } else if (selfClosing || isVoid) {
+        type = 'self';
+      }
+      tokens.push({ type, raw, index, name, attributes: attributes || '', isVoid });
+    }
+
+    lastIndex = match.index + raw.length;
+  }
+
+  if (lastIndex < value.length) {
+    tokens.push({ type: 'text', raw: value.slice(lastIndex) });
+  }
+
+  return tokens;
+}
+
+function styleToObject(style) {
+  const entries = style
+    .split(';')
+    .map(declaration => declaration.split(/:(.*)/s).map(part => part.trim()))
+    .filter(([property, value]) => property && value)
+    .map(([property, value]) => {
+      const key = property.startsWith('--')
+        ? property
+        : property.replace(/^-ms-/, 'ms-').replace(/-([a-z])/g, (_match, letter) => letter.toUpperCase());
+      return `${JSON.stringify(key)}: ${JSON.stringify(value)}`;
+    });
+
+  return `{{${entries.join(', ')}}}`;
+}
+
+function convertAttributes(attributes, propertyInformation) {
+  const converted = [];
+
+  for (const match of attributes.matchAll(ATTRIBUTE_PATTERN)) {
+    const [, name, doubleQuoted, singleQuoted, unquoted] = match;
+    const value = doubleQuoted ?? singleQuoted ?? unquoted;
+    const lowerName = name.toLowerCase();
+
+    // Inline event handlers have no meaning in static docs
+    if (lowerName.startsWith('on')) {
+      continue;
+    }
+
+    const jsxName = lowerName.includes('-')
+      ? lowerName
+      : propertyInformation.find(propertyInformation.html, lowerName).property;
+
+    if (value === undefined) {
+      converted.push(jsxName);
+    } else if (jsxName === 'style') {
+      converted.push(`style=${styleToObject(value)}`);
+    } else {
+      converted.push(`${jsxName}="${value.replace(/"/g, '&quot;')}"`);
+    }
+  }
+
+  return converted.length > 0 ? ` ${converted.join(' ')}` : '';
+}
+
+function renderToken(token, propertyInformation) {
+  if (token.unmatched) {
+    return escapeProse(token.raw);
+  }
+
+  switch (token.type) {
+    case 'text':
+      return escapeProse(token.raw);
+    case 'comment': {
+      const body = token.raw.replace(/^<!--/, '').replace(/-->$/, '').replace(/\*\//g, '* /');
+      return `{/*${body}*/}`;
+    }
+    case 'declaration':
+      return '';
+    case 'close':
+      return token.isVoid ? '' : `</${token.name}>`;
+    case 'self':
+      return `<${token.name}${convertAttributes(token.attributes, propertyInformation)} />`;
+    default:
+      return `<${token.name}${convertAttributes(token.attributes, propertyInformation)}>`;
+  }
+}
+
+// Pair opening and closing tags within each parent (a paragraph for inline
+// HTML, the containing block for HTML blocks); anything left over is unmatched
+function matchTags(htmlNodes) {
+  const stacks = new Map();
+
+  for (const { tokens, parent } of htmlNodes) {
+    if (!stacks.has(parent)) {
+      stacks.set(parent, []);
+    }
+    const stack = stacks.get(parent);
+
+    for (const token of tokens) {
+      if (token.type === 'open') {
+        stack.push(token);
+      } else if (token.type === 'close' && !token.isVoid) {
+        const name = token.name.toLowerCase();
+        const index = stack.findLastIndex(open => open.name.toLowerCase() === name);
+
+        if (index === -1) {
+          token.unmatched = true;
+        } else {
+          const [open, ...unclosed] = stack.splice(index);
+          open.partner = token;
+          token.partner = open;
+          for (const other of unclosed) {
+            other.unmatched = true;
+          }
+        }
+      }
+    }
+  }
+
+  for (const stack of stacks.values()) {
+    for (const open of stack) {
+      open.unmatched = true;
+    }
+  }
+}
+
+// Render an html node's tokens. In an HTML block (not inline HTML in a
+// paragraph), a tag whose partner is on another line is moved to a line of
+// its own when it shares its line with other content.
+function renderHTML(entry, source, propertyInformation) {
+  const { node, parent, tokens } = entry;
+  const value = source.slice(node.position.start.offset, node.position.end.offset);
+  const isBlock = ['root', 'blockquote', 'listItem'].includes(parent.type);
+  const lineBreak = `\n${linePrefix(source, node.position.start.offset)}`;
+
+  // Start and end of the line holding `index`, and whether the partner tag is on it
+  const lineOf = index => {
+    const start = value.lastIndexOf('\n', index - 1) + 1;
+    const end = value.indexOf('\n', index);
+    return { start, end: end === -1 ? value.length : end };
+  };
+  const partnerOnLine = (token, line) =>
+    tokens.includes(token.partner) && token.partner.index >= line.start && token.partner.index < line.end;
+
+  return tokens.map(token => {
+    const rendered = renderToken(token, propertyInformation);
+    if (!isBlock || !token.partner) {
+      return rendered;
+    }
+
+    const line = lineOf(token.index);
+    if (partnerOnLine(token, line)) {
+      return rendered;
+    }
+    if (token.type === 'open' && value.slice(token.index + token.raw.length, line.end).trim()) {
+      return `${rendered}${lineBreak}`;
+    }
+    if (token.type === 'close' && value.slice(line.start, token.index).replace(/[\s>]/g, '')) {
+      return `${lineBreak}${rendered}`;
+    }
+    return rendered;
+  }).join('');
+}
+
+// Text a container puts before each line of a block starting at `offset`
+// ("> " in block quotes, spaces in list items)
+function linePrefix(source, offset) {
+  const lineStart = source.lastIndexOf('\n', offset - 1) + 1;
+  return source.slice(lineStart, offset).replace(/[^\s>]/g, ' ');
+}
+
+function fenceIndentedCode(node, source, start) {
+  const longestRun = Math.max(2, ...(node.value.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const prefix = linePrefix(source, start);
+  return [fence, ...node.value.split('\n'), fence].join(`\n${prefix}`);
+}
+
+function autolinkToLink(node, source) {
+  const text = source.slice(node.position.start.offset + 1, node.position.end.offset - 1);
+  const label = text.replace(/([\\[\]*_`])/g, '\\$1');
+  const url = node.url.replace(/\(/g, '%28').replace(/\)/g, '%29');
+  return `[${label}](${url})`;
+}
+
+/**
+ * Convert Markdown source to MDX that compiles with @mdx-js/mdx while
+ * rendering the same. Source frontmatter is removed; callers add their own.
+ */
+async function sanitizeMarkdown(source) {
+  if (!source) {
+    return '';
+  }
+
+  const { processor, propertyInformation } = await loadParser();
+  const tree = processor.parse(source);
+  const patches = [];
+  const htmlNodes = [];
+
+  const visit = (node, parent) => {
+    const start = node.position?.start.offset;
+    const end = node.position?.end.offset;
+
+    switch (node.type) {
+      case 'yaml':
+      case 'toml':
+        patches.push({ start, end, value: '' });
+        return;
+      case 'inlineCode':
+        return;
+      case 'code':
+        if (!FENCE_PATTERN.test(source.slice(start, end))) {
+          patches.push({ start, end, value: fenceIndentedCode(node, source, start) });
+        }
+        return;
+      case 'text':
+        patches.push({ start, end, value: escapeProse(source.slice(start, end)) });
+        return;
+      case 'html': {
+        const entry = { node, parent, tokens: tokenizeHTML(source.slice(start, end)) };
+        htmlNodes.push(entry);
+        patches.push({ start, end, entry });
+        return;
+      }
+      case 'link':
+        if (source[start] === '<' && source[end - 1] === '>') {
+          patches.push({ start, end, value: autolinkToLink(node, source) });
+          return;
+        }
+        break;
+      default:
+        break;
+    }
+
+    for (const child of node.children || []) {
+      visit(child, node);
+    }
+  };
+
+  visit(tree, null);
+  matchTags(htmlNodes);
+
+  let output = source;
+  for (const patch of patches.sort((a, b) => b.start - a.start)) {
+    const value = patch.entry ? renderHTML(patch.entry, source, propertyInformation) : patch.value;
+    output = output.slice(0, patch.start) + value + output.slice(patch.end);
+  }
+
+  return output.trim();
+}
+
+module.exports = {
+  sanitizeMarkdown,
+  escapeProse
+};
@@ -0,0 +1,182 @@
+/**
+ * Mintlify Navigation Merge for LostMind AI Documentation
+ *
+ * Writes generated navigation groups into mint.json, the only navigation
+ * Mintlify reads. A group belongs to a generator only when its title is
+ * one of the titles the generator owns (its navigation groups), so the
+ * scanner and the extractor each replace their own groups in place and
+ * keep the other's. Everything else in mint.json (hand-written groups,
+ * name, colors, anchors, ...) is left exactly as it was; a group whose
+ * title was renamed in the configuration has to be removed by hand.
+ * Project groups whose pages all lie below one of options.keep (projects
+ * that were not scanned this time) are carried over into the new groups.
+ * Changes are printed as a diff before writing.
+ */
+
+const fs = require('node:fs').promises;
+
+// Page paths of a navigation entry, including pages of nested groups
+function pagesOf(entry) {
+  if (typeof entry === 'string') {
+    return [entry];
+  }
+  return (entry.pages || []).flatMap(pagesOf);
+}
+
+function isGeneratedGroup(entry, titles) {
+  return typeof entry === 'object' && entry !== null && titles.includes(entry.group);
+}
+
+// Whether every page of a navigation entry lies below one of the page path prefixes
+function isKeptEntry(entry, keep) {
+  const pages = pagesOf(entry);
+  return pages.length > 0 && pages.every(page => keep.some(prefix => page.startsWith(`${prefix}/`)));
+}
+
+// Add the kept project groups of the previous generated groups to `generated`:
+// into the group of the same title, or as a group of their own after the
+// group that preceded it before
+function carryOver(navigation, generated, titles, keep) {
+  const groups = generated.map(group => ({ ...group, pages: [...group.pages] }));
+  let position = 0;
+
+  for (const entry of navigation || []) {
+    if (!isGeneratedGroup(entry, titles)) {
+      continue;
+    }
+    const kept = (entry.pages || []).filter(page => typeof page === 'object' && isKeptEntry(page, keep));
+    const existing = groups.findIndex(group => group.group === entry.group);
+
+    if (existing !== -1) {
+      groups[existing].pages.push(...kept.filter(page => !groups[existing].pages.some(other => other.group === page.group)));
+      position = existing + 1;
+    } else if (kept.length > 0) {
+      groups.splice(position, 0, { ...entry, pages: kept });
+      position++;
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Replace the generated groups in `navigation` with `generated`; options.titles
+ * are the group titles the generator owns, even when it has no pages for
+ * them now, and options.keep the page path prefixes (e.g. projects/api) of
+ * projects whose existing groups stay. The new groups take the position of
+ * the first generated group found, or go at the end when there was none.
+ */
+function mergeNavigation(navigation, generated, options) {
+  const titles = [...(options.titles || []), ...generated.map(group => group.group)];
+  const groups = options.keep && options.keep.length > 0
+    ? carryOver(navigation, generated, titles, options.keep)
+    : generated;
+  const merged = [];
+  let inserted = false;
+
+  for (const entry of navigation || []) {
+    if (!isGeneratedGroup(entry, titles)) {
+      merged.push(entry);
+    } else if (!inserted) {
+      merged.push(...groups);
+      inserted = true;
+    }
+  }
+
+  if (!inserted) {
+    merged.push(...groups);
+  }
+
+  return merged;
+}
+
+// Human-readable group and page changes between two navigation arrays
+function diffNavigation(before, after) {
+  const groupsOf = navigation => new Map(
+    (navigation || [])
+      .filter(entry => typeof entry === 'object' && entry !== null)
+      .map(entry => [entry.group, entry])
+  );
+  const previous = groupsOf(before);
+  const next = groupsOf(after);
+  const lines = [];
+
+  for (const [title, entry] of next) {
+    const pages = pagesOf(entry);
+    if (!previous.has(title)) {
+      lines.push(`+ ${title} (${pages.length} pages)`);
+      lines.push(...pages.map(page => `    + ${page}`));
+      continue;
+    }
+
+    const old = pagesOf(previous.get(title));
+    const added = pages.filter(page => !old.includes(page));
+    const removed = old.filter(page => !pages.includes(page));
+    const kept = pages.filter(page => old.includes(page));
+    const reordered = kept.join('\n') !== old.filter(page => pages.includes(page)).join('\n');
+    // Same pages, but nested differently or with other titles or icons
+    const restructured = !reordered && JSON.stringify(entry) !== JSON.stringify(previous.get(title));
+
+    if (added.length > 0 || removed.length > 0 || reordered || restructured) {
+      let note = '';
+      if (reordered) {
+        note = ' (pages reordered)';
+      } else if (restructured) {
+        note = ' (sub-groups or icons changed)';
+      }
+      lines.push(`~ ${title}${note}`);
+      lines.push(...added.map(page => `    + ${page}`), ...removed.map(page => `    - ${page}`));
+    }
+  }
+
+  for (const [title, entry] of previous) {
+    if (!next.has(title)) {
+      lines.push(`- ${title} (${pagesOf(entry).length} pages)`);
+    }
+  }
+
+  const order = groups => [...groups.keys()].filter(title => previous.has(title) && next.has(title)).join('\n');
+  if (order(previous) !== order(next)) {
+    lines.push(`~ group order: ${[...next.keys()].join(' → ')}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Merge `generated` into the navigation of the mint.json at `mintPath`,
+ * print the diff and write the file unless nothing changed or dryRun is set.
+ * Returns { changed, diff }.
+ */
+async function updateMintNavigation(mintPath, generated, options = {}) {
+  const source = await fs.readFile(mintPath, 'utf8');
+  const config = JSON.parse(source);
+  const navigation = mergeNavigation(config.navigation, generated, options);
+  const diff = diffNavigation(config.navigation, navigation);
+
+  if (diff.length === 0) {
+    console.log(`🧭 Navigation in ${mintPath} is up to date`);
+    return { changed: false, diff };
+  }
+
+  console.log(`🧭 Navigation changes for ${mintPath}:`);
+  for (const line of diff) {
+    console.log(`  ${line}`);
+  }
+
+  if (options.dryRun) {
+    console.log('🔍 Dry run: mint.json not written');
+  } else {
+    await fs.writeFile(mintPath, `${JSON.stringify({ ...config, navigation }, null, 2)}\n`, 'utf8');
+    console.log(`✅ Updated ${mintPath}`);
+  }
+
+  return { changed: true, diff };
+}
+
+module.exports = {
+  pagesOf,
+  mergeNavigation,
+  diffNavigation,
+  updateMintNavigation
+};
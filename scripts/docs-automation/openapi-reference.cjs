@@ -0,0 +1,721 @@
+/**
+ * OpenAPI Reference Generator for LostMind AI Documentation
+ *
+ * Reads OpenAPI 3.x and Swagger 2.0 documents (JSON or YAML), resolves local
+ * $refs and renders one Markdown page per operation (parameters, request
+ * body, responses, schemas and examples) plus an overview page listing every
+ * operation. Swagger 2.0 is normalised to the OpenAPI 3 shape first, so both
+ * render the same way. The Markdown is passed through the MDX sanitizer by
+ * the scanner like any other source.
+ */
+
+const YAML = require('yaml');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const MAX_SCHEMA_DEPTH = 3;
+const MAX_EXAMPLE_DEPTH = 4;
+
+// Reason phrases for response headings
+const STATUS_TEXT = {
+  200: 'OK', 201: 'Created', 202: 'Accepted', 204: 'No Content',
+  301: 'Moved Permanently', 302: 'Found', 304: 'Not Modified',
+  400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found',
+  405: 'Method Not Allowed', 409: 'Conflict', 422: 'Unprocessable Entity', 429: 'Too Many Requests',
+  500: 'Internal Server Error', 502: 'Bad Gateway', 503: 'Service Unavailable'
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parse an OpenAPI or Swagger document. Returns null when the source is not
+ * an API description, and throws when it looks like one but cannot be read.
+ */
+function parseSpec(source) {
+  let document;
+  try {
+    document = YAML.parse(source);
+  } catch {
+    return null;
+  }
+
+  if (!isPlainObject(document)) {
+    return null;
+  }
+
+  if (typeof document.openapi === 'string' && /^3\./.test(document.openapi)) {
+    return document;
+  }
+
+  if (String(document.swagger) === '2.0') {
+    return normaliseSwagger(document);
+  }
+
+  if (document.openapi || document.swagger) {
+    throw new Error(`Unsupported API description version ${document.openapi || document.swagger}`);
+  }
+
+  return null;
+}
+
+// JSON pointer lookup for local references (#/components/schemas/Pet)
+function resolvePointer(root, ref) {
+  const segments = ref.slice(2).split('/').map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+  let node = root;
+  for (const segment of segments) {
+    if (!isPlainObject(node) && !Array.isArray(node)) {
+      return undefined;
+    }
+    node = node[segment];
+  }
+  return node;
+}
+
+/**
+ * Replace local $refs with the referenced objects. Referenced schemas keep
+ * their name in `x-ref-name`; a reference back into a schema that is
+ * already being expanded becomes { 'x-circular': name } so recursive types
+ * terminate. References to other files are left as a pointer note.
+ */
+function dereference(node, root, seen = []) {
+  if (Array.isArray(node)) {
+    return node.map(item => dereference(item, root, seen));
+  }
+
+  if (!isPlainObject(node)) {
+    return node;
+  }
+
+  if (typeof node.$ref === 'string') {
+    const ref = node.$ref;
+    const name = ref.split('/').pop();
+
+    if (!ref.startsWith('#/')) {
+      return { description: `Defined in \`${ref}\``, 'x-external-ref': ref };
+    }
+    if (seen.includes(ref)) {
+      return { type: 'object', 'x-ref-name': name, 'x-circular': name };
+    }
+
+    const target = resolvePointer(root, ref);
+    if (target === undefined) {
+      return { description: `Unresolved reference \`${ref}\``, 'x-external-ref': ref };
+    }
+
+    const resolved = dereference(target, root, [...seen, ref]);
+    return isPlainObject(resolved) ? { 'x-ref-name': name, ...resolved } : resolved;
+  }
+
+  return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, dereference(value, root, seen)]));
+}
+
+// Swagger 2.0 parameter (non-body) to an OpenAPI 3 schema
+function swaggerParameterSchema(parameter) {
+  const { name, in: location, description, required, collectionFormat, allowEmptyValue, ...schema } = parameter;
+  return schema;
+}
+
+function swaggerRefsToOpenAPI(node) {
+  if (Array.isArray(node)) {
+    return node.map(swaggerRefsToOpenAPI);
+  }
+  if (!isPlainObject(node)) {
+    return node;
+  }
+  return Object.fromEntries(Object.entries(node).map(([key, value]) => {
+    if (key === '$ref' && typeof value === 'string') {
+      return [key, value
+        .replace(/^#\/definitions\//, '#/components/schemas/')
+        .replace(/^#\/parameters\//, '#/components/parameters/')
+        .replace(/^#\/responses\//, '#/components/responses/')];
+    }
+    return [key, swaggerRefsToOpenAPI(value)];
+  }));
+}
+
+// Convert a Swagger 2.0 document to the OpenAPI 3 shape the renderer reads
+function normaliseSwagger(swagger) {
+  const spec = swaggerRefsToOpenAPI(swagger);
+  const consumes = spec.consumes || ['application/json'];
+  const produces = spec.produces || ['application/json'];
+  const servers = (spec.schemes || ['https']).filter(() => spec.host).map(scheme => ({
+    url: `${scheme}://${spec.host}${spec.basePath || ''}`
+  }));
+
+  const convertParameters = (operationConsumes, parameters = []) => {
+    const converted = [];
+    const formProperties = {};
+    const formRequired = [];
+    let requestBody;
+
+    for (const entry of parameters) {
+      // Shared parameters may be body or form parameters, so resolve them before converting
+      const shared = entry.$ref?.startsWith('#/components/parameters/')
+        ? spec.parameters?.[entry.$ref.split('/').pop()]
+        : null;
+      const parameter = shared || entry;
+
+      if (parameter.$ref) {
+        converted.push(parameter);
+      } else if (parameter.in === 'body') {
+        requestBody = {
+          description: parameter.description,
+          required: parameter.required,
+          content: Object.fromEntries(operationConsumes.map(type => [type, { schema: parameter.schema }]))
+        };
+      } else if (parameter.in === 'formData') {
+        formProperties[parameter.name] = { description: parameter.description, ...swaggerParameterSchema(parameter) };
+        if (parameter.required) {
+          formRequired.push(parameter.name);
+        }
+      } else {
+        converted.push({
+          name: parameter.name,
+          in: parameter.in,
+          description: parameter.description,
+          required: parameter.required,
+          schema: swaggerParameterSchema(parameter)
+        });
+      }
+    }
+
+    if (Object.keys(formProperties).length > 0) {
+      const hasFile = Object.values(formProperties).some(property => property.type === 'file');
+      const type = hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded';
+      requestBody = {
+        required: formRequired.length > 0,
+        content: { [type]: { schema: { type: 'object', properties: formProperties, required: formRequired } } }
+      };
+    }
+
+    return { parameters: converted, requestBody };
+  };
+
+  const convertResponses = (operationProduces, responses = {}) => Object.fromEntries(
+    Object.entries(responses).map(([status, response]) => {
+      if (response.$ref || !response.schema) {
+        return [status, response];
+      }
+      const content = Object.fromEntries(operationProduces.map(type => [type, {
+        schema: response.schema,
+        ...(response.examples && response.examples[type] !== undefined && { example: response.examples[type] })
+      }]));
+      return [status, { description: response.description, headers: response.headers, content }];
+    })
+  );
+
+  const paths = {};
+  for (const [route, item] of Object.entries(spec.paths || {})) {
+    const pathParameters = convertParameters(consumes, item.parameters).parameters;
+    paths[route] = { parameters: pathParameters };
+
+    for (const method of HTTP_METHODS) {
+      const operation = item[method];
+      if (!operation) {
+        continue;
+      }
+      const { parameters, requestBody } = convertParameters(operation.consumes || consumes, operation.parameters);
+      paths[route][method] = {
+        ...operation,
+        parameters,
+        requestBody,
+        responses: convertResponses(operation.produces || produces, operation.responses)
+      };
+    }
+  }
+
+  const securitySchemes = Object.fromEntries(Object.entries(spec.securityDefinitions || {}).map(([name, scheme]) => {
+    if (scheme.type === 'basic') {
+      return [name, { type: 'http', scheme: 'basic', description: scheme.description }];
+    }
+    return [name, scheme];
+  }));
+
+  return {
+    openapi: '3.0.0',
+    'x-source-version': 'Swagger 2.0',
+    info: spec.info || {},
+    servers,
+    tags: spec.tags,
+    security: spec.security,
+    paths,
+    components: {
+      schemas: spec.definitions || {},
+      responses: convertResponses(produces, spec.responses),
+      securitySchemes
+    }
+  };
+}
+
+function slugify(text, fallback = 'operation') {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || fallback;
+}
+
+/**
+ * Every operation in the spec with references resolved and path-level
+ * parameters merged in: { method, path, operationId, slug, title, summary,
+ * description, tags, deprecated, parameters, requestBody, responses, security }.
+ */
+function collectOperations(spec) {
+  const operations = [];
+  const slugs = new Set();
+
+  for (const [route, rawItem] of Object.entries(spec.paths || {})) {
+    const item = dereference(rawItem, spec);
+
+    for (const method of HTTP_METHODS) {
+      const operation = item[method];
+      if (!operation) {
+        continue;
+      }
+
+      // Operation parameters override path parameters with the same name and location
+      const parameters = [...(item.parameters || []), ...(operation.parameters || [])]
+        .filter((parameter, index, all) => all.findLastIndex(other => other.name === parameter.name && other.in === parameter.in) === index);
+
+      let slug = slugify(operation.operationId || `${method} ${route}`);
+      for (let suffix = 2; slugs.has(slug); suffix++) {
+        slug = `${slugify(operation.operationId || `${method} ${route}`)}-${suffix}`;
+      }
+      slugs.add(slug);
+
+      operations.push({
+        method,
+        path: route,
+        operationId: operation.operationId,
+        slug,
+        title: operation.summary || operation.operationId || `${method.toUpperCase()} ${route}`,
+        summary: operation.summary,
+        description: operation.description,
+        tags: operation.tags || [],
+        deprecated: Boolean(operation.deprecated),
+        parameters,
+        requestBody: operation.requestBody,
+        responses: operation.responses || {},
+        security: operation.security || spec.security || []
+      });
+    }
+  }
+
+  return operations;
+}
+
+// allOf members merged into one object schema
+function flattenSchema(schema) {
+  if (!isPlainObject(schema) || !Array.isArray(schema.allOf)) {
+    return schema;
+  }
+
+  const { allOf, ...merged } = schema;
+  for (const part of allOf.map(flattenSchema)) {
+    Object.assign(merged, part, {
+      'x-ref-name': merged['x-ref-name'] || part['x-ref-name'],
+      properties: { ...merged.properties, ...part.properties },
+      required: [...(merged.required || []), ...(part.required || [])]
+    });
+  }
+  return merged;
+}
+
+function typeLabel(value) {
+  const schema = flattenSchema(value);
+  if (!isPlainObject(schema)) {
+    return 'any';
+  }
+
+  const variants = schema.oneOf || schema.anyOf;
+  if (variants) {
+    return variants.map(typeLabel).join(' | ');
+  }
+
+  let label;
+  if (schema.type === 'array') {
+    label = `${typeLabel(schema.items)}[]`;
+  } else if (schema['x-ref-name'] && (schema.type === 'object' || schema.properties)) {
+    label = schema['x-ref-name'];
+  } else if (Array.isArray(schema.type)) {
+    label = schema.type.join(' | ');
+  } else {
+    label = schema.type || (schema.properties ? 'object' : 'any');
+    if (schema.format) {
+      label = `${label} (${schema.format})`;
+    }
+  }
+
+  return schema.nullable ? `${label} | null` : label;
+}
+
+// One line of table text: no newlines, pipes escaped
+function cell(text) {
+  return String(text ?? '').replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim();
+}
+
+function describeSchema(schema, description) {
+  const parts = [description || schema.description || schema.title || ''];
+  if (Array.isArray(schema.enum)) {
+    parts.push(`One of ${schema.enum.map(value => `\`${JSON.stringify(value)}\``).join(', ')}.`);
+  }
+  if (schema.default !== undefined) {
+    parts.push(`Default \`${JSON.stringify(schema.default)}\`.`);
+  }
+  if (schema.deprecated) {
+    parts.push('Deprecated.');
+  }
+  return cell(parts.filter(Boolean).join(' '));
+}
+
+// Rows for an object schema's properties, nested properties as dotted names
+function schemaRows(value, prefix = '', depth = 0, rows = []) {
+  const schema = flattenSchema(value);
+  if (!isPlainObject(schema) || !schema.properties || schema['x-circular']) {
+    return rows;
+  }
+
+  const required = schema.required || [];
+  for (const [name, rawProperty] of Object.entries(schema.properties)) {
+    const property = flattenSchema(rawProperty) || {};
+    const fullName = prefix ? `${prefix}.${name}` : name;
+    rows.push({ name: fullName, type: typeLabel(property), required: required.includes(name), description: describeSchema(property) });
+
+    if (depth + 1 < MAX_SCHEMA_DEPTH) {
+      if (property.type === 'array' && flattenSchema(property.items)?.properties) {
+        schemaRows(property.items, `${fullName}[]`, depth + 1, rows);
+      } else if (property.properties) {
+        schemaRows(property, fullName, depth + 1, rows);
+      }
+    }
+  }
+
+  return rows;
+}
+
+function renderSchema(value) {
+  const schema = flattenSchema(value);
+  if (!isPlainObject(schema)) {
+    return [];
+  }
+
+  const lines = [];
+  let target = schema;
+
+  if (schema.type === 'array') {
+    lines.push(`An array of \`${typeLabel(schema.items)}\`.`, '');
+    target = flattenSchema(schema.items) || {};
+  } else if (!schema.properties) {
+    lines.push(`Type: \`${typeLabel(schema)}\`${schema.description ? `. ${cell(schema.description)}` : ''}`, '');
+    return lines;
+  }
+
+  const rows = schemaRows(target);
+  if (rows.length > 0) {
+    lines.push('| Field | Type | Required | Description |', '| --- | --- | --- | --- |');
+    lines.push(...rows.map(row => `| \`${row.name}\` | \`${cell(row.type)}\` | ${row.required ? 'Yes' : 'No'} | ${row.description} |`));
+    lines.push('');
+  }
+
+  return lines;
+}
+
+// Example value for a schema, preferring examples the spec provides
+function exampleFor(value, depth = 0) {
+  const schema = flattenSchema(value);
+  if (!isPlainObject(schema)) {
+    return null;
+  }
+  if (schema.example !== undefined) {
+    return schema.example;
+  }
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) {
+    return schema.examples[0];
+  }
+  if (schema.default !== undefined) {
+    return schema.default;
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[0];
+  }
+  if (schema.oneOf || schema.anyOf) {
+    return exampleFor((schema.oneOf || schema.anyOf)[0], depth);
+  }
+  if (schema['x-circular'] || depth > MAX_EXAMPLE_DEPTH) {
+    return schema.type === 'array' ? [] : {};
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find(candidate => candidate !== 'null') : schema.type;
+
+  switch (type || (schema.properties ? 'object' : undefined)) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {})
+        .map(([name, property]) => [name, exampleFor(property, depth + 1)]));
+    case 'array':
+      return [exampleFor(schema.items, depth + 1)];
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return true;
+    case 'string':
+      return {
+        'date-time': '2024-01-01T00:00:00Z',
+        date: '2024-01-01',
+        email: 'user@example.com',
+        uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+        uri: 'https://example.com',
+        binary: '<binary>'
+      }[schema.format] || 'string';
+    default:
+      return null;
+  }
+}
+
+// Example for a media type object: example, then the first named example, then the schema
+function mediaExample(media) {
+  if (media.example !== undefined) {
+    return media.example;
+  }
+  const named = Object.values(media.examples || {})[0];
+  if (named && named.value !== undefined) {
+    return named.value;
+  }
+  return exampleFor(media.schema);
+}
+
+function fenced(example, contentType) {
+  if (example === null || example === undefined) {
+    return [];
+  }
+  if (typeof example === 'string' && !/json/.test(contentType)) {
+    const language = /xml/.test(contentType) ? 'xml' : 'text';
+    return [`\`\`\`${language}`, example, '```', ''];
+  }
+  return ['```json', JSON.stringify(example, null, 2), '```', ''];
+}
+
+function renderParameters(parameters) {
+  if (parameters.length === 0) {
+    return [];
+  }
+
+  const lines = ['## Parameters', '', '| Name | In | Type | Required | Description |', '| --- | --- | --- | --- | --- |'];
+  for (const parameter of parameters) {
+    const schema = parameter.schema || {};
+    lines.push(`| \`${cell(parameter.name)}\` | ${parameter.in} | \`${cell(typeLabel(schema))}\` | ${parameter.required ? 'Yes' : 'No'} | ${describeSchema(schema, parameter.description)} |`);
+  }
+  lines.push('');
+  return lines;
+}
+
+function renderRequestBody(requestBody) {
+  if (!requestBody || !requestBody.content) {
+    return [];
+  }
+
+  const lines = ['## Request body', ''];
+  if (requestBody.description) {
+    lines.push(requestBody.description.trim(), '');
+  }
+
+  for (const [contentType, media] of Object.entries(requestBody.content)) {
+    lines.push(`Content type \`${contentType}\`${requestBody.required ? ' (required)' : ''}`, '');
+    lines.push(...renderSchema(media.schema || {}));
+    lines.push(...fenced(mediaExample(media), contentType));
+  }
+
+  return lines;
+}
+
+function renderResponses(responses) {
+  const entries = Object.entries(responses);
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const lines = ['## Responses', ''];
+  for (const [status, response] of entries) {
+    const statusText = STATUS_TEXT[status] || (status === 'default' ? 'Default response' : '');
+    lines.push(`### ${status}${statusText && status !== 'default' ? ` ${statusText}` : ''}`, '');
+    if (status === 'default' || response.description) {
+      lines.push(cell(response.description || statusText), '');
+    }
+
+    for (const [contentType, media] of Object.entries(response.content || {})) {
+      lines.push(`Content type \`${contentType}\``, '');
+      lines.push(...renderSchema(media.schema || {}));
+      lines.push(...fenced(mediaExample(media), contentType));
+    }
+  }
+
+  return lines;
+}
+
+function renderCurl(operation, spec) {
+  const baseUrl = (spec.servers?.[0]?.url || '').replace(/\/$/, '');
+  const query = operation.parameters
+    .filter(parameter => parameter.in === 'query' && parameter.required)
+    .map(parameter => `${parameter.name}=${encodeURIComponent(exampleFor(parameter.schema) ?? '')}`);
+  const url = `${baseUrl}${operation.path}${query.length > 0 ? `?${query.join('&')}` : ''}`;
+  const command = [`curl -X ${operation.method.toUpperCase()} "${url}"`];
+
+  for (const parameter of operation.parameters.filter(candidate => candidate.in === 'header')) {
+    command.push(`-H "${parameter.name}: ${exampleFor(parameter.schema) ?? ''}"`);
+  }
+
+  const [contentType, media] = Object.entries(operation.requestBody?.content || {})[0] || [];
+  if (contentType) {
+    command.push(`-H "Content-Type: ${contentType}"`);
+    const example = mediaExample(media);
+    if (example !== null && example !== undefined && /json/.test(contentType)) {
+      command.push(`-d '${JSON.stringify(example).replace(/'/g, "'\\''")}'`);
+    }
+  }
+
+  return ['## Example request', '', '```bash', command.join(' \\\n  '), '```', ''];
+}
+
+function renderSecurity(operation, spec) {
+  const schemes = spec.components?.securitySchemes || {};
+  const names = [...new Set(operation.security.flatMap(requirement => Object.keys(requirement)))];
+  if (names.length === 0) {
+    return [];
+  }
+
+  const described = names.map(name => {
+    const scheme = schemes[name] || {};
+    const detail = scheme.scheme || scheme.in || scheme.type;
+    return detail ? `\`${name}\` (${[scheme.type, detail].filter((part, index, all) => all.indexOf(part) === index).join(', ')})` : `\`${name}\``;
+  });
+
+  return [`**Authentication:** ${described.join(' or ')}`, ''];
+}
+
+/**
+ * Markdown for one operation page. The first line is the H1 title.
+ */
+function renderOperation(operation, spec) {
+  const lines = [`# ${operation.title}`, '', `\`${operation.method.toUpperCase()}\` \`${operation.path}\``, ''];
+
+  if (operation.deprecated) {
+    lines.push('> **Deprecated:** this operation may be removed in a future version.', '');
+  }
+  if (operation.description && operation.description !== operation.summary) {
+    lines.push(operation.description.trim(), '');
+  }
+
+  lines.push(
+    ...renderSecurity(operation, spec),
+    ...renderParameters(operation.parameters),
+    ...renderRequestBody(operation.requestBody),
+    ...renderResponses(operation.responses),
+    ...renderCurl(operation, spec)
+  );
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+/**
+ * Markdown for the overview page: API description, servers and a table of
+ * operations per tag linking to `./<slug>`.
+ */
+function renderOverview(spec, operations) {
+  const info = spec.info || {};
+  const title = info.title || 'API';
+  const lines = [`# ${title}`, ''];
+
+  if (info.version) {
+    lines.push(`Version \`${info.version}\`${spec['x-source-version'] ? ` (${spec['x-source-version']})` : ''}`, '');
+  }
+  if (info.description) {
+    lines.push(info.description.trim(), '');
+  }
+
+  if (spec.servers && spec.servers.length > 0) {
+    lines.push('## Servers', '');
+    lines.push(...spec.servers.map(server => `- \`${server.url}\`${server.description ? ` - ${cell(server.description)}` : ''}`));
+    lines.push('');
+  }
+
+  const tagOrder = (spec.tags || []).map(tag => tag.name);
+  const byTag = new Map();
+  for (const operation of operations) {
+    const tag = operation.tags[0] || 'Operations';
+    if (!byTag.has(tag)) {
+      byTag.set(tag, []);
+    }
+    byTag.get(tag).push(operation);
+  }
+
+  const tags = [...byTag.keys()].sort((a, b) => {
+    const indexA = tagOrder.includes(a) ? tagOrder.indexOf(a) : Number.MAX_SAFE_INTEGER;
+    const indexB = tagOrder.includes(b) ? tagOrder.indexOf(b) : Number.MAX_SAFE_INTEGER;
+    return indexA - indexB;
+  });
+
+  for (const tag of tags) {
+    lines.push(`## ${tag}`, '');
+    const tagInfo = (spec.tags || []).find(candidate => candidate.name === tag);
+    if (tagInfo?.description) {
+      lines.push(cell(tagInfo.description), '');
+    }
+    lines.push('| Operation | Method | Path |', '| --- | --- | --- |');
+    for (const operation of byTag.get(tag)) {
+      lines.push(`| [${cell(operation.title)}](./${operation.slug}) | \`${operation.method.toUpperCase()}\` | \`${cell(operation.path)}\` |`);
+    }
+    lines.push('');
+  }
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+// Operations grouped by their first tag in spec tag order, for page ordering
+function orderOperations(spec, operations) {
+  const tagOrder = (spec.tags || []).map(tag => tag.name);
+  const rank = operation => {
+    const index = tagOrder.indexOf(operation.tags[0]);
+    return index === -1 ? tagOrder.length : index;
+  };
+  return operations
+    .map((operation, index) => ({ operation, index }))
+    .sort((a, b) => rank(a.operation) - rank(b.operation) || a.index - b.index)
+    .map(({ operation }) => operation);
+}
+
+/**
+ * Build the reference for a parsed spec: [{ slug, title, description,
+ * markdown, operation }] with the overview (slug 'index') first and
+ * operations grouped by tag in spec order.
+ */
+function buildApiReference(spec) {
+  const operations = orderOperations(spec, collectOperations(spec));
+  const info = spec.info || {};
+
+  return [
+    {
+      slug: 'index',
+      title: `${info.title || 'API'} Reference`,
+      description: info.description ? cell(info.description).split(/(?<=\.)\s/)[0] : `Endpoints of ${info.title || 'the API'}`,
+      markdown: renderOverview(spec, operations),
+      operation: null
+    },
+    ...operations.map(operation => ({
+      slug: operation.slug,
+      title: operation.title,
+      description: cell(operation.summary || operation.description || `${operation.method.toUpperCase()} ${operation.path}`).split(/(?<=\.)\s/)[0],
+      markdown: renderOperation(operation, spec),
+      operation
+    }))
+  ];
+}
+
+module.exports = {
+  parseSpec,
+  dereference,
+  collectOperations,
+  buildApiReference,
+  exampleFor,
+  slugify
+};
@@ -0,0 +1,268 @@
+/**
+ * Page Templates for LostMind AI Documentation
+ *
+ * Renders the bodies of generated pages (project overviews, introductions
+ * and the default readme, architecture and development pages) from the
+ * templates in scripts/templates; scripts/templates/README.md documents the
+ * data each one gets. A template is looked up by name (<name>.hbs) in the
+ * project's `templates` directory, then the manifest's, then the built-in
+ * one, so copy and layout change without touching scanner code.
+ *
+ * Templates use a subset of Handlebars:
+ *   {{path.to.value}}                 value, escaped for MDX ({, } and <)
+ *   {{{path.to.value}}}               value inserted as it is (Markdown the
+ *                                     scanner already made MDX-safe)
+ *   {{#if path}} … {{else}} … {{/if}}  also {{#unless}}; empty lists are false
+ *   {{#each path}} … {{/each}}         {{this}}, {{@index}}, {{@first}}, {{@last}}
+ *   {{> name}}                        another template (a partial)
+ *   {{! comment }}                    left out
+ * Names not found in the current item are looked up in the enclosing ones,
+ * and a line holding nothing but a block, else, partial or comment tag
+ * disappears from the output with its line break.
+ */
+
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const { escapeProse } = require('./mdx-sanitizer.cjs');
+
+const BUILT_IN_TEMPLATES_DIR = path.join(__dirname, '../templates');
+const TEMPLATE_EXTENSION = '.hbs';
+
+const TAG_PATTERN = /\{\{(\{[^}]*\}|!--[\s\S]*?--|![\s\S]*?|[#/>]?\s*[^}]*?)\s*\}\}/g;
+const BLOCK_HELPERS = ['if', 'unless', 'each'];
+
+// Tags of a template with the text between them; standalone tags take
+// their line's indentation and line break with them
+function tokenize(source) {
+  const tokens = [];
+  let last = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const body = match[1].trim();
+    const kind = body.startsWith('!') ? 'comment'
+      : body.startsWith('#') ? 'open'
+        : body.startsWith('/') ? 'close'
+          : body.startsWith('>') ? 'partial'
+            : body.startsWith('{') ? 'raw'
+              : body === 'else' ? 'else' : 'value';
+
+    let start = match.index;
+    let end = match.index + match[0].length;
+    if (kind !== 'value' && kind !== 'raw') {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline + 1;
+      if (/^[ \t]*$/.test(source.slice(lineStart, start)) && /^[ \t]*\r?\n?$/.test(source.slice(end, lineEnd))) {
+        start = Math.max(lineStart, last);
+        end = lineEnd;
+      }
+    }
+
+    tokens.push({ kind: 'text', text: source.slice(last, start) });
+    tokens.push({ kind, body: body.replace(/^[#/>]\s*/, '').replace(/^\{\s*(.*?)\s*\}$/, '$1') });
+    last = end;
+  }
+  tokens.push({ kind: 'text', text: source.slice(last) });
+  return tokens;
+}
+
+/**
+ * Parse a template into a tree of nodes: { text }, { value, raw }, { partial }
+ * and { helper, path, children, inverse } for blocks. `name` goes into
+ * error messages.
+ */
+function parseTemplate(source, name = 'template') {
+  const root = { children: [] };
+  const stack = [root];
+  let nodes = root.children;
+
+  for (const token of tokenize(source)) {
+    const block = stack[stack.length - 1];
+    if (token.kind === 'text') {
+      if (token.text) {
+        nodes.push({ text: token.text });
+      }
+    } else if (token.kind === 'value' || token.kind === 'raw') {
+      nodes.push({ value: token.body, raw: token.kind === 'raw' });
+    } else if (token.kind === 'partial') {
+      nodes.push({ partial: token.body });
+    } else if (token.kind === 'open') {
+      const [helper, valuePath] = token.body.split(/\s+/);
+      if (!BLOCK_HELPERS.includes(helper) || !valuePath) {
+        throw new Error(`Template ${name}: unknown block {{#${token.body}}}, expected ${BLOCK_HELPERS.map(known => `#${known} <path>`).join(', ')}`);
+      }
+      const node = { helper, path: valuePath, children: [], inverse: [] };
+      nodes.push(node);
+      stack.push(node);
+      nodes = node.children;
+    } else if (token.kind === 'else') {
+      if (block === root || nodes === block.inverse) {
+        throw new Error(`Template ${name}: {{else}} outside a block`);
+      }
+      nodes = block.inverse;
+    } else if (token.kind === 'close') {
+      if (block === root || block.helper !== token.body) {
+        throw new Error(`Template ${name}: {{/${token.body}}} does not close ${block === root ? 'any block' : `{{#${block.helper}}}`}`);
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      nodes = parent === root ? root.children : (parent.inverse.includes(block) ? parent.inverse : parent.children);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Template ${name}: {{#${stack[stack.length - 1].helper}}} is not closed`);
+  }
+  return root.children;
+}
+
+// Value of a dotted path, from the innermost scope that has its first name
+function lookup(scopes, valuePath) {
+  if (valuePath === 'this' || valuePath === '.') {
+    return scopes[scopes.length - 1].item;
+  }
+
+  const [first, ...rest] = valuePath.replace(/^this\./, '').split('.');
+  for (let index = scopes.length - 1; index >= 0; index--) {
+    const scope = scopes[index];
+    const holder = first.startsWith('@') ? scope.data : scope.item;
+    if (holder !== null && typeof holder === 'object' && first.slice(first.startsWith('@') ? 1 : 0) in Object(holder)) {
+      return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]),
+        holder[first.replace(/^@/, '')]);
+    }
+  }
+  return undefined;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scopes, partials, name) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.text !== undefined) {
+      output += node.text;
+    } else if (node.value !== undefined) {
+      const value = lookup(scopes, node.value);
+      const text = value === null || value === undefined ? '' : String(value);
+      output += node.raw ? text : escapeProse(text);
+    } else if (node.partial !== undefined) {
+      if (!partials[node.partial]) {
+        throw new Error(`Template ${name}: unknown partial {{> ${node.partial}}}`);
+      }
+      output += renderNodes(partials[node.partial], scopes, partials, node.partial);
+    } else {
+      const value = lookup(scopes, node.path);
+      if (node.helper === 'each') {
+        const items = Array.isArray(value) ? value : [];
+        output += items.length === 0
+          ? renderNodes(node.inverse, scopes, partials, name)
+          : items.map((item, index) => renderNodes(node.children, [...scopes, {
+            item,
+            data: { index, first: index === 0, last: index === items.length - 1 }
+          }], partials, name)).join('');
+      } else {
+        const show = node.helper === 'if' ? isTruthy(value) : !isTruthy(value);
+        output += renderNodes(show ? node.children : node.inverse, scopes, partials, name);
+      }
+    }
+  }
+  return output;
+}
+
+/**
+ * Render a template source with `data`; `partials` maps names to template
+ * sources or parsed templates.
+ */
+function renderTemplate(source, data, partials = {}, name = 'template') {
+  const parsed = Object.fromEntries(Object.entries(partials)
+    .map(([partial, template]) => [partial, typeof template === 'string' ? parseTemplate(template, partial) : template]));
+  return renderNodes(parseTemplate(source, name), [{ item: data, data: {} }], parsed, name);
+}
+
+// Partial names a parsed template uses
+function partialNames(nodes, names = new Set()) {
+  for (const node of nodes) {
+    if (node.partial !== undefined) {
+      names.add(node.partial);
+    } else if (node.children) {
+      partialNames(node.children, names);
+      partialNames(node.inverse, names);
+    }
+  }
+  return names;
+}
+
+/**
+ * Templates found in `directories` (first match wins), then in the built-in
+ * ones. Sets made with forDirectory() share the parsed templates.
+ */
+class TemplateSet {
+  constructor(directories = [], parsed = new Map()) {
+    this.directories = [...directories.filter(Boolean), BUILT_IN_TEMPLATES_DIR];
+    this.parsed = parsed;
+  }
+
+  // This set with a project's template directory searched first
+  forDirectory(directory) {
+    return directory ? new TemplateSet([directory, ...this.directories.slice(0, -1)], this.parsed) : this;
+  }
+
+  async resolve(name) {
+    for (const directory of this.directories) {
+      const filePath = path.join(directory, `${name}${TEMPLATE_EXTENSION}`);
+      try {
+        await fs.access(filePath);
+        return filePath;
+      } catch {
+        // Not overridden here
+      }
+    }
+    throw new Error(`Template ${name}${TEMPLATE_EXTENSION} not found in ${this.directories.join(', ')}`);
+  }
+
+  async load(name) {
+    const filePath = await this.resolve(name);
+    if (!this.parsed.has(filePath)) {
+      this.parsed.set(filePath, parseTemplate(await fs.readFile(filePath, 'utf8'), name));
+    }
+    return this.parsed.get(filePath);
+  }
+
+  // Render template `name`, loading the partials it uses from the same directories
+  async render(name, data) {
+    const template = await this.load(name);
+    const partials = {};
+    const pending = [...partialNames(template)];
+    while (pending.length > 0) {
+      const partial = pending.pop();
+      if (!partials[partial]) {
+        partials[partial] = await this.load(partial);
+        pending.push(...partialNames(partials[partial]));
+      }
+    }
+    return renderNodes(template, [{ item: data, data: {} }], partials, name);
+  }
+
+  // Every template file of the set's directories, so the scan cache notices edits
+  async files() {
+    const files = [];
+    for (const directory of this.directories) {
+      try {
+        const entries = await fs.readdir(directory);
+        files.push(...entries.filter(entry => entry.endsWith(TEMPLATE_EXTENSION)).sort().map(entry => path.join(directory, entry)));
+      } catch {
+        // Directory without templates
+      }
+    }
+    return files;
+  }
+}
+
+module.exports = {
+  BUILT_IN_TEMPLATES_DIR,
+  TemplateSet,
+  parseTemplate,
+  renderTemplate
+};
@@ -0,0 +1,431 @@
+/**
+ * Project Manifest Loader for LostMind AI Documentation
+ *
+ * Reads docs.config.yaml (or .yml/.json) from the repository root, merges the
+ * optional git-ignored docs.config.local.yaml on top, resolves ${VARIABLE}
+ * placeholders and validates the result against MANIFEST_SCHEMA.
+ *
+ * Variable lookup order: environment, local manifest, manifest `variables`.
+ * Every project inherits `defaults`; keys set on the project (or in
+ * `overrides.<project-id>`) replace the inherited value, arrays included.
+ * Projects may list the built-in document types and those the manifest
+ * declares under `documentTypes` (see document-types.cjs). `templates`, at
+ * the top level or on a project, is a directory of page templates that
+ * replace the built-in ones (see page-templates.cjs).
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const YAML = require('yaml');
+const { NAVIGATION_GROUPS, NAVIGATION_SECTIONS, SCANNER_CONFIG } = require('./selective-project-config.cjs');
+const { BUILT_IN_DOCUMENT_TYPES, MERGE_MODES } = require('./document-types.cjs');
+
+const MANIFEST_FILENAMES = ['docs.config.yaml', 'docs.config.yml', 'docs.config.json'];
+const LOCAL_MANIFEST_FILENAME = 'docs.config.local.yaml';
+const VARIABLE_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+const PROJECT_PROPERTIES = {
+  id: { type: 'string', pattern: /^[a-z0-9][a-z0-9-]*$/ },
+  displayName: { type: 'string' },
+  sourcePath: { type: 'string' },
+  outputPath: { type: 'string' },
+  category: { type: 'string', enum: 'categories' },
+  icon: { type: 'string' },
+  priority: { type: 'number' },
+  documentTypes: { type: 'array', items: { type: 'string', enum: 'documentTypes' } },
+  scanStrategy: { type: 'string', enum: ['comprehensive', 'selective'] },
+  primaryFiles: { type: 'array', items: { type: 'string' } },
+  codeReference: { type: 'array', items: { type: 'string' } },
+  workspaces: { type: 'boolean' },
+  repository: { type: 'string' },
+  templates: { type: 'string' },
+  skipPatterns: { type: 'array', items: { type: 'string' } }
+};
+
+// Checked after `defaults` and `overrides` have been merged into each project
+const PROJECT_SCHEMA = {
+  type: 'object',
+  properties: PROJECT_PROPERTIES,
+  required: ['id', 'displayName', 'sourcePath', 'category', 'documentTypes']
+};
+
+// Scanner settings accept the keys of SCANNER_CONFIG with the same value types
+const SCANNER_SCHEMA = {
+  type: 'object',
+  properties: Object.fromEntries(Object.entries(SCANNER_CONFIG).map(([section, settings]) => [section, {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(settings).map(([key, value]) => [key, { type: typeof value }]))
+  }]))
+};
+
+const NAVIGATION_GROUP_PROPERTIES = {
+  title: { type: 'string' },
+  description: { type: 'string' },
+  icon: { type: 'string' },
+  order: { type: 'number' }
+};
+
+const NAVIGATION_SECTION_PROPERTIES = {
+  title: { type: 'string' },
+  icon: { type: 'string' },
+  order: { type: 'number' },
+  classifications: { type: 'array', items: { type: 'string' } }
+};
+
+// A document type declared or changed in the manifest; `module` is a
+// plugin file relative to the manifest
+const DOCUMENT_TYPE_PROPERTIES = {
+  module: { type: 'string' },
+  title: { type: 'string' },
+  label: { type: 'string' },
+  summary: { type: 'string' },
+  description: { type: 'string' },
+  merge: { type: 'string', enum: MERGE_MODES },
+  sources: {
+    type: 'object',
+    properties: {
+      classifications: { type: 'array', items: { type: 'string' } },
+      paths: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  navigation: {
+    type: 'object',
+    properties: {
+      classification: { type: 'string' },
+      order: { type: 'number' }
+    }
+  }
+};
+
+// Navigation entries may only set some keys of a built-in group or section,
+// so completeness is checked after merging with the defaults
+const NAVIGATION_SCHEMAS = {
+  navigationGroups: {
+    type: 'object',
+    values: { type: 'object', properties: NAVIGATION_GROUP_PROPERTIES, required: ['title', 'order'] }
+  },
+  navigationSections: {
+    type: 'object',
+    values: { type: 'object', properties: NAVIGATION_SECTION_PROPERTIES, required: ['title', 'order', 'classifications'] }
+  }
+};
+
+const MANIFEST_SCHEMA = {
+  type: 'object',
+  properties: {
+    variables: { type: 'object', values: { type: 'string' } },
+    outputDir: { type: 'string' },
+    templates: { type: 'string' },
+    discovery: {
+      type: 'object',
+      properties: {
+        basePaths: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    navigationGroups: { type: 'object', values: { type: 'object', properties: NAVIGATION_GROUP_PROPERTIES } },
+    navigationSections: { type: 'object', values: { type: 'object', properties: NAVIGATION_SECTION_PROPERTIES } },
+    documentTypes: { type: 'object', values: { type: 'object', properties: DOCUMENT_TYPE_PROPERTIES } },
+    scanner: SCANNER_SCHEMA,
+    defaults: { type: 'object', properties: PROJECT_PROPERTIES },
+    overrides: { type: 'object', values: { type: 'object', properties: PROJECT_PROPERTIES } },
+    projects: { type: 'array', items: { type: 'object', properties: PROJECT_PROPERTIES, required: ['id'] } }
+  },
+  required: ['projects']
+};
+
+class ManifestError extends Error {
+  constructor(filePath, problems) {
+    const list = problems.map(problem => `  • ${problem}`).join('\n');
+    super(`Invalid documentation manifest ${filePath}:\n${list}`);
+    this.name = 'ManifestError';
+    this.filePath = filePath;
+    this.problems = problems;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key; arrays and scalars from `override` replace `base`
+function mergeDeep(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return override === undefined ? base : override;
+  }
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = mergeDeep(base[key], value);
+  }
+  return merged;
+}
+
+function describe(value) {
+  if (Array.isArray(value)) {
+    return 'an array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  return typeof value === 'object' ? 'an object' : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+function join(location, key) {
+  return location ? `${location}.${key}` : key;
+}
+
+function validateValue(value, schema, location, context, problems) {
+  const actualType = Array.isArray(value) ? 'array' : typeof value;
+  const expectedType = schema.type === 'object' ? 'object' : schema.type;
+
+  if (actualType !== expectedType || value === null) {
+    problems.push(`${location || 'manifest'} must be ${expectedType === 'array' || expectedType === 'object' ? 'an' : 'a'} ${expectedType}, got ${describe(value)}`);
+    return;
+  }
+
+  if (schema.enum) {
+    const allowed = Array.isArray(schema.enum) ? schema.enum : context[schema.enum];
+    if (!allowed.includes(value)) {
+      problems.push(`${location} must be one of ${allowed.join(', ')}, got "${value}"`);
+    }
+  }
+
+  if (schema.pattern && !schema.pattern.test(value)) {
+    problems.push(`${location} "${value}" must match ${schema.pattern}`);
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => validateValue(item, schema.items, `${location}[${index}]`, context, problems));
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        problems.push(`${join(location, key)} is required`);
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties ? schema.properties[key] : schema.values;
+      if (!childSchema) {
+        const known = Object.keys(schema.properties || {}).join(', ');
+        problems.push(`${join(location, key)} is not a recognised option (expected one of ${known})`);
+      } else if (child !== undefined) {
+        validateValue(child, childSchema, join(location, key), context, problems);
+      }
+    }
+  }
+}
+
+// Replace ${NAME} placeholders in every string, recording unknown variables
+function resolveVariables(value, variables, location, problems) {
+  if (typeof value === 'string') {
+    const resolved = value.replace(VARIABLE_PATTERN, (match, name) => {
+      if (variables[name] === undefined) {
+        problems.push(`${location} uses undefined variable \${${name}}; export ${name} or add it to variables in ${LOCAL_MANIFEST_FILENAME}`);
+        return match;
+      }
+      return variables[name];
+    });
+    return resolved.startsWith('~/') ? path.join(os.homedir(), resolved.slice(2)) : resolved;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => resolveVariables(item, variables, `${location}[${index}]`, problems));
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, child]) => [key, resolveVariables(child, variables, `${location}.${key}`, problems)])
+    );
+  }
+
+  return value;
+}
+
+// Manifest variables may reference the environment and each other
+function collectVariables(declared, env, problems) {
+  const variables = { ...env };
+  const pending = Object.entries(declared).filter(([name]) => env[name] === undefined);
+
+  for (let pass = 0; pass <= pending.length; pass++) {
+    for (const [name, raw] of pending) {
+      const unresolved = [...raw.matchAll(VARIABLE_PATTERN)].filter(([, ref]) => variables[ref] === undefined);
+      if (unresolved.length === 0) {
+        variables[name] = raw.replace(VARIABLE_PATTERN, (_match, ref) => variables[ref]);
+      }
+    }
+  }
+
+  for (const [name, raw] of pending) {
+    if (variables[name] === undefined) {
+      resolveVariables(raw, variables, `variables.${name}`, problems);
+    }
+  }
+
+  return variables;
+}
+
+// Declared document types with their module paths made absolute; a new
+// type needs sources or a module that says how to build its page
+function resolveDocumentTypes(declared, variables, manifestDir, problems) {
+  const builtIn = new Set(BUILT_IN_DOCUMENT_TYPES.map(type => type.id));
+  const resolved = resolveVariables(declared, variables, 'documentTypes', problems);
+
+  for (const [id, type] of Object.entries(resolved)) {
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+      problems.push(`documentTypes.${id} must match /^[a-z0-9][a-z0-9-]*$/`);
+    }
+    if (type.module) {
+      type.module = path.resolve(manifestDir, type.module);
+      if (!fs.existsSync(type.module)) {
+        problems.push(`documentTypes.${id}.module ${type.module} does not exist`);
+      }
+    } else if (!builtIn.has(id) && !type.sources) {
+      problems.push(`documentTypes.${id} needs sources or a module`);
+    }
+  }
+  return resolved;
+}
+
+// A template directory relative to the manifest, made absolute
+function resolveTemplates(directory, manifestDir, location, problems) {
+  if (!directory) {
+    return undefined;
+  }
+  const resolved = path.resolve(manifestDir, directory);
+  if (!fs.existsSync(resolved)) {
+    problems.push(`${location} ${resolved} does not exist`);
+  }
+  return resolved;
+}
+
+function findManifest(cwd = process.cwd()) {
+  for (const filename of MANIFEST_FILENAMES) {
+    const candidate = path.join(cwd, filename);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return path.join(cwd, MANIFEST_FILENAMES[0]);
+}
+
+function readManifestFile(filePath) {
+  let source;
+  try {
+    source = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ManifestError(filePath, [`could not be read: ${error.message}`]);
+  }
+
+  try {
+    const parsed = YAML.parse(source) || {};
+    if (!isPlainObject(parsed)) {
+      throw new Error(`top level must be a mapping, got ${describe(parsed)}`);
+    }
+    return parsed;
+  } catch (error) {
+    throw new ManifestError(filePath, [error.message]);
+  }
+}
+
+// options.outputDir overrides the manifest's outputDir, and with it the
+// default outputPath of every project that does not set one. Like
+// sourcePath, outputDir and outputPath resolve against the manifest's
+// directory; options.outputDir, given on the command line, against cwd
+function loadManifest(filePath = findManifest(), options = {}) {
+  const env = options.env || process.env;
+  const manifestDir = path.dirname(path.resolve(filePath));
+  const localPath = path.join(manifestDir, LOCAL_MANIFEST_FILENAME);
+
+  let raw = readManifestFile(filePath);
+  if (fs.existsSync(localPath)) {
+    raw = mergeDeep(raw, readManifestFile(localPath));
+  }
+
+  const navigationGroups = mergeDeep(NAVIGATION_GROUPS, raw.navigationGroups || {});
+  const navigationSections = mergeDeep(NAVIGATION_SECTIONS, raw.navigationSections || {});
+  const context = {
+    categories: Object.keys(navigationGroups),
+    documentTypes: [...new Set([...BUILT_IN_DOCUMENT_TYPES.map(type => type.id), ...Object.keys(raw.documentTypes || {})])]
+  };
+
+  const problems = [];
+  validateValue(raw, MANIFEST_SCHEMA, '', context, problems);
+  if (problems.length === 0) {
+    validateValue(navigationGroups, NAVIGATION_SCHEMAS.navigationGroups, 'navigationGroups', context, problems);
+    validateValue(navigationSections, NAVIGATION_SCHEMAS.navigationSections, 'navigationSections', context, problems);
+  }
+  if (problems.length > 0) {
+    throw new ManifestError(filePath, problems);
+  }
+
+  const variables = collectVariables(raw.variables || {}, env, problems);
+  const outputDir = options.outputDir
+    ? path.resolve(options.outputDir)
+    : path.resolve(manifestDir, raw.outputDir || SCANNER_CONFIG.output.baseDir);
+  const seen = new Set();
+
+  const projects = raw.projects.map((project, index) => {
+    const location = `projects[${index}] (${project.id})`;
+    if (seen.has(project.id)) {
+      problems.push(`${location}.id is used by more than one project`);
+    }
+    seen.add(project.id);
+
+    const merged = mergeDeep(mergeDeep(raw.defaults || {}, project), raw.overrides?.[project.id] || {});
+    validateValue(merged, PROJECT_SCHEMA, location, context, problems);
+    const resolved = resolveVariables(merged, variables, location, problems);
+
+    return {
+      ...resolved,
+      sourcePath: path.resolve(manifestDir, resolved.sourcePath || ''),
+      outputPath: resolved.outputPath ? path.resolve(manifestDir, resolved.outputPath) : path.join(outputDir, resolved.id),
+      priority: resolved.priority ?? index + 1,
+      primaryFiles: resolved.primaryFiles || [],
+      codeReference: resolved.codeReference || [],
+      workspaces: resolved.workspaces !== false,
+      repository: resolved.repository,
+      templates: resolveTemplates(resolved.templates, manifestDir, `${location}.templates`, problems),
+      skipPatterns: resolved.skipPatterns || []
+    };
+  });
+
+  for (const id of Object.keys(raw.overrides || {})) {
+    if (!seen.has(id)) {
+      problems.push(`overrides.${id} does not match any project id`);
+    }
+  }
+
+  const discovery = resolveVariables(raw.discovery || {}, variables, 'discovery', problems);
+  const documentTypes = resolveDocumentTypes(raw.documentTypes || {}, variables, manifestDir, problems);
+  const templates = resolveTemplates(resolveVariables(raw.templates, variables, 'templates', problems), manifestDir, 'templates', problems);
+
+  if (problems.length > 0) {
+    throw new ManifestError(filePath, problems);
+  }
+
+  return {
+    filePath,
+    outputDir,
+    projects,
+    navigationGroups,
+    navigationSections,
+    documentTypes,
+    templates,
+    scanner: mergeDeep(SCANNER_CONFIG, raw.scanner || {}),
+    discovery: {
+      basePaths: (discovery.basePaths || []).map(basePath => path.resolve(manifestDir, basePath))
+    }
+  };
+}
+
+module.exports = {
+  loadManifest,
+  findManifest,
+  mergeDeep,
+  ManifestError,
+  MANIFEST_SCHEMA,
+  LOCAL_MANIFEST_FILENAME
+};
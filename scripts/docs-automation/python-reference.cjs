@@ -0,0 +1,394 @@
+/**
+ * Python Reference Extraction for LostMind AI Documentation
+ *
+ * Runs python-reference.py, which walks a module's syntax tree with the
+ * standard library `ast` module, and turns its output into the reference
+ * shape code-reference.cjs renders: public classes, functions and constants
+ * with signatures and type hints, described by their docstrings. Google,
+ * NumPy and Sphinx (reST field list) docstring styles are understood.
+ *
+ * The interpreter is `python3`, or the one named by the PYTHON environment
+ * variable.
+ */
+
+const path = require('node:path');
+const { execFile } = require('node:child_process');
+const { promisify } = require('node:util');
+
+const execFileAsync = promisify(execFile);
+
+const SCRIPT_PATH = path.join(__dirname, 'python-reference.py');
+
+// Docstring section headers and the part of the reference they fill; the
+// rest (Notes, See Also, ...) stays in the description
+const SECTIONS = {
+  args: 'params',
+  arguments: 'params',
+  parameters: 'params',
+  params: 'params',
+  'keyword args': 'params',
+  'keyword arguments': 'params',
+  'other parameters': 'params',
+  attributes: 'attributes',
+  returns: 'returns',
+  return: 'returns',
+  yields: 'returns',
+  raises: 'raises',
+  exceptions: 'raises',
+  example: 'examples',
+  examples: 'examples',
+  deprecated: 'deprecated'
+};
+
+// :func:`name`, :class:`~pkg.Name` and other reST cross-references
+const REST_ROLE = /:(?:py:)?[a-z]+:`~?([^`]+)`/g;
+
+const SPHINX_FIELD = /^:(param|parameter|arg|argument|key|keyword|type|returns?|rtype|raises?|except|exception)\b\s*([^:]*):\s*(.*)$/;
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+function dedent(lines) {
+  const indent = Math.min(...lines.filter(line => line.trim()).map(indentOf));
+  return lines.map(line => line.slice(Number.isFinite(indent) ? indent : 0));
+}
+
+function joinText(lines) {
+  return lines.map(line => line.trim()).filter(Boolean).join(' ');
+}
+
+// Lines of a section grouped into entries: a line at the shallowest indent
+// starts an entry, deeper lines continue it
+function entriesOf(lines) {
+  const indent = Math.min(...lines.filter(line => line.trim()).map(indentOf));
+  const entries = [];
+
+  for (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    if (indentOf(line) === indent || entries.length === 0) {
+      entries.push({ head: line.trim(), body: [] });
+    } else {
+      entries[entries.length - 1].body.push(line);
+    }
+  }
+
+  return entries;
+}
+
+// "str, optional" -> { type: 'str', optional: true }
+function splitOptional(type) {
+  if (!type) {
+    return { type: null, optional: false };
+  }
+  const optional = /(^|,\s*)optional\b/.test(type);
+  const cleaned = type.replace(/,?\s*optional\b/, '').replace(/,?\s*default[:=]?\s*.*$/, '').trim();
+  return { type: cleaned || null, optional };
+}
+
+function parseParameters(lines, numpy) {
+  return entriesOf(lines).flatMap(({ head, body }) => {
+    // NumPy: "name : type" / Google: "name (type): description"
+    const numpyMatch = numpy && /^(\*{0,2}\w[\w.]*(?:\s*,\s*\*{0,2}\w[\w.]*)*)(?:\s+:\s*(.*))?$/.exec(head);
+    if (numpyMatch) {
+      const { type, optional } = splitOptional(numpyMatch[2]);
+      return numpyMatch[1].split(/\s*,\s*/).map(name => ({ name, type, optional, description: joinText(body) }));
+    }
+
+    const googleMatch = /^(\*{0,2}\w[\w.]*)\s*(?:\(([^)]*)\))?\s*:\s*(.*)$/.exec(head);
+    if (googleMatch) {
+      const { type, optional } = splitOptional(googleMatch[2]);
+      return [{ name: googleMatch[1], type, optional, description: joinText([googleMatch[3], ...body]) }];
+    }
+
+    return [{ name: head.replace(/:$/, ''), type: null, optional: false, description: joinText(body) }];
+  });
+}
+
+function parseReturns(lines, numpy) {
+  const entries = entriesOf(lines);
+  if (entries.length === 0) {
+    return null;
+  }
+
+  if (numpy) {
+    // "type" or "name : type", each followed by an indented description
+    const types = entries.map(({ head }) => head.replace(/^\w+\s+:\s*/, ''));
+    return { type: types.join(', '), description: joinText(entries.flatMap(({ body }) => body)) };
+  }
+
+  const [{ head, body }] = entries;
+  const typed = /^([\w.[\], |'"]+?):\s+(.*)$/.exec(head);
+  const rest = entries.slice(1).flatMap(entry => [entry.head, ...entry.body]);
+  return typed
+    ? { type: typed[1], description: joinText([typed[2], ...body, ...rest]) }
+    : { type: null, description: joinText([head, ...body, ...rest]) };
+}
+
+function parseRaises(lines) {
+  return entriesOf(lines).map(({ head, body }) => {
+    const match = /^([\w.]+)\s*:?\s*(.*)$/.exec(head);
+    return match
+      ? { type: match[1], description: joinText([match[2], ...body]) }
+      : { type: null, description: joinText([head, ...body]) };
+  });
+}
+
+/**
+ * Split a docstring into { description, params, attributes, returns, raises,
+ * examples, deprecated }. Parameters are { name, type, optional,
+ * description }; returns is { type, description } or null; raises is a list
+ * of { type, description }.
+ */
+function parseDocstring(docstring) {
+  const result = { description: '', params: [], attributes: [], returns: null, raises: [], examples: [], deprecated: null };
+  if (!docstring) {
+    return result;
+  }
+
+  const lines = docstring.replace(/\r\n/g, '\n').replace(REST_ROLE, '`$1`').split('\n');
+  const description = [];
+  const sections = [];
+  let current = null;
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    const trimmed = line.trim();
+    const underline = lines[index + 1] !== undefined && /^\s*-{3,}\s*$/.test(lines[index + 1]);
+    const key = trimmed.replace(/:$/, '').toLowerCase();
+
+    // NumPy header (underlined) or Google header ("Args:") at the left margin
+    if (indentOf(line) === 0 && SECTIONS[key] && (underline || /^[A-Z][\w ]*:$/.test(trimmed))) {
+      current = { name: SECTIONS[key], numpy: underline, lines: [] };
+      sections.push(current);
+      if (underline) {
+        index++;
+      }
+      continue;
+    }
+
+    // reST directive: .. deprecated:: 2.0 followed by an indented explanation
+    const directive = /^\.\.\s+deprecated::\s*(.*)$/.exec(trimmed);
+    if (directive) {
+      current = { name: 'deprecated', numpy: false, lines: directive[1] ? [`Since ${directive[1]}.`] : [] };
+      sections.push(current);
+      continue;
+    }
+
+    // Sphinx field: :param name: ..., :type name: ..., :returns: ..., :raises Error: ...
+    const field = SPHINX_FIELD.exec(trimmed);
+    if (indentOf(line) === 0 && field) {
+      current = { name: 'sphinx', field: field[1], argument: field[2].trim(), lines: [field[3]] };
+      sections.push(current);
+      continue;
+    }
+
+    if (current && (!trimmed || indentOf(line) > 0 || current.numpy)) {
+      current.lines.push(line);
+    } else {
+      current = null;
+      description.push(line);
+    }
+  }
+
+  result.description = description.join('\n').trim();
+
+  for (const section of sections) {
+    switch (section.name) {
+      case 'params':
+        result.params.push(...parseParameters(section.lines, section.numpy));
+        break;
+      case 'attributes':
+        result.attributes.push(...parseParameters(section.lines, section.numpy));
+        break;
+      case 'returns':
+        result.returns = parseReturns(section.lines, section.numpy);
+        break;
+      case 'raises':
+        result.raises.push(...parseRaises(section.lines));
+        break;
+      case 'examples':
+        result.examples.push(dedent(section.lines).join('\n').trim());
+        break;
+      case 'deprecated':
+        result.deprecated = joinText(section.lines) || 'This API is deprecated.';
+        break;
+      case 'sphinx':
+        applySphinxField(result, section);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return result;
+}
+
+function applySphinxField(result, { field, argument, lines }) {
+  const text = joinText(lines);
+  const words = argument.split(/\s+/).filter(Boolean);
+  const name = words[words.length - 1];
+  const param = () => {
+    let entry = result.params.find(candidate => candidate.name === name);
+    if (!entry) {
+      entry = { name, type: null, optional: false, description: '' };
+      result.params.push(entry);
+    }
+    return entry;
+  };
+
+  switch (field) {
+    case 'type':
+      Object.assign(param(), splitOptional(text));
+      break;
+    case 'rtype':
+      result.returns = { type: text, description: result.returns?.description || '' };
+      break;
+    case 'return':
+    case 'returns':
+      result.returns = { type: result.returns?.type || null, description: text };
+      break;
+    case 'raise':
+    case 'raises':
+    case 'except':
+    case 'exception':
+      result.raises.push({ type: argument || null, description: text });
+      break;
+    default: {
+      // ":param int depth:" carries the type inline
+      const entry = param();
+      entry.description = text;
+      if (words.length > 1) {
+        entry.type = words.slice(0, -1).join(' ');
+      }
+    }
+  }
+}
+
+// Declared parameters described by the docstring; the docstring type only
+// fills in where the signature has no annotation
+function describeParameters(declared, documented) {
+  return declared.map(parameter => {
+    const bare = parameter.name.replace(/^\*+/, '');
+    const doc = documented.find(candidate => candidate.name.replace(/^\*+/, '') === bare) || {};
+    return {
+      name: parameter.name,
+      type: parameter.type || doc.type || null,
+      optional: parameter.default !== null || Boolean(doc.optional) || parameter.name.startsWith('*'),
+      defaultValue: parameter.default,
+      description: doc.description || ''
+    };
+  });
+}
+
+function describeFunction(raw) {
+  const doc = parseDocstring(raw.docstring);
+  const returns = raw.returns || doc.returns
+    ? { type: raw.returns || doc.returns?.type || null, description: doc.returns?.description || '' }
+    : null;
+
+  return {
+    name: raw.name,
+    kind: 'function',
+    signature: raw.signature,
+    description: doc.description,
+    params: describeParameters(raw.params, doc.params),
+    returns: returns && returns.type === 'None' && !returns.description ? null : returns,
+    raises: doc.raises,
+    examples: doc.examples,
+    deprecated: doc.deprecated,
+    members: [],
+    methods: [],
+    properties: []
+  };
+}
+
+function describeSymbol(raw) {
+  if (raw.kind === 'function') {
+    return describeFunction(raw);
+  }
+
+  const doc = parseDocstring(raw.docstring);
+  const symbol = {
+    name: raw.name,
+    kind: raw.kind,
+    signature: raw.signature,
+    description: doc.description,
+    params: [],
+    returns: null,
+    raises: [],
+    examples: doc.examples,
+    deprecated: doc.deprecated,
+    members: [],
+    methods: [],
+    properties: []
+  };
+
+  if (raw.kind === 'class') {
+    symbol.methods = raw.methods.map(method => {
+      const described = describeFunction(method);
+      return { ...described, name: method.decorators.includes('staticmethod') ? `static ${method.name}` : method.name };
+    });
+
+    // Class attributes, described by their own docstring or the class's Attributes section
+    symbol.properties = raw.attributes.map(attribute => {
+      const documented = doc.attributes.find(candidate => candidate.name === attribute.name) || {};
+      return {
+        name: attribute.name,
+        type: attribute.type || documented.type || null,
+        optional: attribute.default !== null,
+        description: attribute.docstring || documented.description || '',
+        deprecated: null
+      };
+    });
+  }
+
+  return symbol;
+}
+
+/**
+ * Parse Python modules. Resolves to a Map of file path to reference
+ * ({ language, description, symbols, reexports }) or { error } for files
+ * Python could not parse; rejects when the interpreter cannot be run (with
+ * error.code ENOENT when it is not installed) or fails.
+ */
+async function extractPythonReferences(filePaths) {
+  const python = process.env.PYTHON || 'python3';
+  const { stdout } = await execFileAsync(python, [SCRIPT_PATH, ...filePaths], {
+    maxBuffer: 64 * 1024 * 1024,
+    timeout: 60000
+  });
+
+  return new Map(JSON.parse(stdout).map(module => [
+    module.path,
+    module.error
+      ? { error: module.error }
+      : {
+          language: 'python',
+          description: parseDocstring(module.docstring).description,
+          symbols: module.symbols.map(describeSymbol),
+          reexports: []
+        }
+  ]));
+}
+
+/**
+ * Dotted import path of a module relative to `rootDir`, without a leading
+ * src/ and with packages named by their directory (pkg/__init__.py -> pkg).
+ */
+function pythonModuleName(filePath, rootDir) {
+  return path.relative(rootDir, filePath)
+    .split(path.sep)
+    .filter((part, index) => !(index === 0 && part === 'src'))
+    .join('.')
+    .replace(/\.py$/, '')
+    .replace(/(^|\.)__init__$/, '') || path.basename(path.resolve(rootDir));
+}
+
+module.exports = {
+  parseDocstring,
+  extractPythonReferences,
+  pythonModuleName
+};
@@ -0,0 +1,172 @@
+"""Describe the public API of Python modules as JSON.
+
+Usage: python3 python-reference.py FILE [FILE ...]
+
+Prints a JSON array with one entry per file: the module docstring and its
+public classes, functions and constants with signatures, type hints and raw
+docstrings. Docstring sections are parsed by python-reference.cjs. Only the
+standard library is used, so any Python 3.9+ works.
+"""
+
+import ast
+import json
+import sys
+
+
+def unparse(node):
+    return ast.unparse(node) if node is not None else None
+
+
+def public_names(tree):
+    """Names listed in a literal __all__, or None when the module has none."""
+    for node in tree.body:
+        if isinstance(node, ast.Assign) and any(
+            isinstance(target, ast.Name) and target.id == "__all__" for target in node.targets
+        ):
+            try:
+                return [str(name) for name in ast.literal_eval(node.value)]
+            except ValueError:
+                return None
+    return None
+
+
+def is_public(name, exported):
+    if exported is not None:
+        return name in exported
+    return not name.startswith("_")
+
+
+def parameters(args, skip_first=False):
+    positional = args.posonlyargs + args.args
+    defaults = [None] * (len(positional) - len(args.defaults)) + list(args.defaults)
+    result = []
+
+    for arg, default in zip(positional, defaults):
+        result.append({"name": arg.arg, "type": unparse(arg.annotation), "default": unparse(default)})
+    if args.vararg:
+        result.append({"name": "*" + args.vararg.arg, "type": unparse(args.vararg.annotation), "default": None})
+    for arg, default in zip(args.kwonlyargs, args.kw_defaults):
+        result.append({"name": arg.arg, "type": unparse(arg.annotation), "default": unparse(default)})
+    if args.kwarg:
+        result.append({"name": "**" + args.kwarg.arg, "type": unparse(args.kwarg.annotation), "default": None})
+
+    return result[1:] if skip_first and positional else result
+
+
+def decorator_names(node):
+    return [unparse(decorator) for decorator in node.decorator_list]
+
+
+def describe_function(node, is_method=False):
+    decorators = decorator_names(node)
+    prefix = "async def" if isinstance(node, ast.AsyncFunctionDef) else "def"
+    signature = "%s %s(%s)" % (prefix, node.name, unparse(node.args))
+    if node.returns is not None:
+        signature += " -> " + unparse(node.returns)
+
+    return {
+        "name": node.name,
+        "kind": "function",
+        "signature": "\n".join(["@" + name for name in decorators] + [signature]),
+        "decorators": decorators,
+        "docstring": ast.get_docstring(node),
+        # self / cls are implied for methods that are not static
+        "params": parameters(node.args, skip_first=is_method and "staticmethod" not in decorators),
+        "returns": unparse(node.returns),
+    }
+
+
+def attribute_docstring(body, index):
+    """A string literal right after an assignment documents it (PEP 257)."""
+    if index + 1 < len(body):
+        following = body[index + 1]
+        if isinstance(following, ast.Expr) and isinstance(following.value, ast.Constant) and isinstance(following.value.value, str):
+            return ast.get_docstring(ast.Module(body=[following], type_ignores=[]))
+    return None
+
+
+def assignments(body, index):
+    """(name, type, value) for a simple module- or class-level assignment."""
+    node = body[index]
+    if isinstance(node, ast.AnnAssign) and isinstance(node.target, ast.Name):
+        return [(node.target.id, unparse(node.annotation), unparse(node.value))]
+    if isinstance(node, ast.Assign):
+        return [(target.id, None, unparse(node.value)) for target in node.targets if isinstance(target, ast.Name)]
+    return []
+
+
+def describe_class(node):
+    methods = []
+    attributes = []
+
+    for index, member in enumerate(node.body):
+        if isinstance(member, (ast.FunctionDef, ast.AsyncFunctionDef)):
+            if member.name == "__init__" or not member.name.startswith("_"):
+                methods.append(describe_function(member, is_method=True))
+            continue
+        for name, annotation, value in assignments(node.body, index):
+            if not name.startswith("_"):
+                attributes.append({
+                    "name": name,
+                    "type": annotation,
+                    "default": value,
+                    "docstring": attribute_docstring(node.body, index),
+                })
+
+    bases = [unparse(base) for base in node.bases] + [unparse(keyword) for keyword in node.keywords]
+    decorators = decorator_names(node)
+    signature = "class %s(%s)" % (node.name, ", ".join(bases)) if bases else "class " + node.name
+
+    return {
+        "name": node.name,
+        "kind": "class",
+        "signature": "\n".join(["@" + name for name in decorators] + [signature]),
+        "decorators": decorators,
+        "docstring": ast.get_docstring(node),
+        "methods": methods,
+        "attributes": attributes,
+    }
+
+
+def describe_module(path):
+    with open(path, encoding="utf-8") as source:
+        tree = ast.parse(source.read(), filename=path)
+
+    exported = public_names(tree)
+    symbols = []
+
+    for index, node in enumerate(tree.body):
+        if isinstance(node, (ast.FunctionDef, ast.AsyncFunctionDef)) and is_public(node.name, exported):
+            symbols.append(describe_function(node))
+        elif isinstance(node, ast.ClassDef) and is_public(node.name, exported):
+            symbols.append(describe_class(node))
+        else:
+            for name, annotation, value in assignments(tree.body, index):
+                # Constants and annotated module attributes; plain variables are usually internal
+                if name != "__all__" and is_public(name, exported) and (name.isupper() or annotation or exported is not None):
+                    signature = name + (": " + annotation if annotation else "")
+                    # Long literals (lookup tables, settings) would swamp the page
+                    if value is not None and len(value) <= 80 and "\n" not in value:
+                        signature += " = " + value
+                    symbols.append({
+                        "name": name,
+                        "kind": "variable",
+                        "signature": signature,
+                        "docstring": attribute_docstring(tree.body, index),
+                    })
+
+    return {"path": path, "docstring": ast.get_docstring(tree), "symbols": symbols}
+
+
+def main(paths):
+    results = []
+    for path in paths:
+        try:
+            results.append(describe_module(path))
+        except (OSError, SyntaxError, ValueError) as error:
+            results.append({"path": path, "error": "%s: %s" % (type(error).__name__, error)})
+    json.dump(results, sys.stdout)
+
+
+if __name__ == "__main__":
+    main(sys.argv[1:])
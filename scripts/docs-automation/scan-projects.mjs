@@ -7,9 +7,13 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-class ProjectScanner {
-  constructor() {
-    this.basePath = '/Users/sumitm1/Documents/New Ongoing Projects';
+export class ProjectScanner {
+  constructor(options = {}) {
+    // Callers pass discovery.basePaths from docs.config.yaml or --base-path
+    if (!options.basePath) {
+      throw new Error('No discovery base path: set discovery.basePaths in docs.config.yaml or pass --base-path');
+    }
+    this.basePath = options.basePath;
     this.outputPath = path.join(__dirname, '../../apps/docs/config/discovered-projects.json');
     this.projects = [];
   }
@@ -270,7 +274,3 @@ class ProjectScanner {
       });
   }
 }
-
-// Run scanner if called directly
-const scanner = new ProjectScanner();
-scanner.scan().catch(console.error);
\ No newline at end of file
@@ -3,120 +3,124 @@
 /**
  * Selective Project Configuration for LostMind AI Documentation
  *
- * This configuration targets the 5 specific projects requested by the user
- * for clean, error-free documentation generation at docs.lostmindai.com
+ * Built-in defaults for documentation generation at docs.lostmindai.com.
+ * The projects themselves live in docs.config.yaml at the repository root;
+ * its navigationGroups, navigationSections and scanner sections are merged
+ * over these values.
  */
 
-const path = require('path');
-
-// Project mapping configuration for 5 target projects
-const PROJECT_CONFIG = [
-  {
-    id: 'lostmind-ai-saas-platform-development',
-    displayName: 'LostMind AI - SaaS Platform Development',
-    sourcePath: '/Users/sumitm1/Documents/New Ongoing Projects/LostMindAI-TurboRepo',
-    outputPath: './apps/docs/projects/lostmind-ai-saas-platform-development',
-    category: 'core-platforms',
-    priority: 1,
-    documentTypes: ['introduction', 'readme', 'architecture', 'development'],
-    scanStrategy: 'comprehensive', // Full project scan
-    primaryFiles: ['README.md', 'CLAUDE.md', 'docs/**/*.md', 'packages/**/README.md'],
-    skipPatterns: ['node_modules', '.next', 'dist', 'build', '.turbo']
-  },
-  {
-    id: 'lostmind-ai-proptech-variance-commentary-tool',
-    displayName: 'LostMind AI - PropTech Variance Commentary Tool',
-    sourcePath: '/Users/sumitm1/Documents/New Ongoing Projects/Back End Architecture for Turborepo from OLD Project Directory/Variance Commentary - PropertyFinAI',
-    outputPath: './apps/docs/projects/lostmind-ai-proptech-variance-commentary-tool',
-    category: 'proptech-solutions',
-    priority: 2,
-    documentTypes: ['introduction', 'readme', 'architecture'],
-    scanStrategy: 'selective', // Focus on planning and architecture docs
-    primaryFiles: ['*.md', 'Testing Random Quick Demos/**/*.md'],
-    skipPatterns: ['.DS_Store']
-  },
-  {
-    id: 'lostmind-ai-project-analyser-with-rag-gemini',
-    displayName: 'LostMind AI - Project Analyser with RAG (Gemini)',
-    sourcePath: '/Users/sumitm1/Documents/myproject/Ongoing Projects/Completed Projects/Advance File Combiner with Analyser/Gemini_Magic',
-    outputPath: './apps/docs/projects/lostmind-ai-project-analyser-with-rag-gemini',
-    category: 'ai-development-tools',
-    priority: 3,
-    documentTypes: ['introduction', 'readme', 'architecture'],
-    scanStrategy: 'comprehensive', // Full AI project documentation
-    primaryFiles: ['README.md', 'docs/**/*.md', '.claude/**/*.md', 'CHANGELOG.md'],
-    skipPatterns: ['node_modules', '.git', '__pycache__', 'venv']
-  },
-  {
-    id: 'lostmind-ai-contextkeeper',
-    displayName: 'LostMind AI - ContextKeeper',
-    sourcePath: '/Users/sumitm1/Documents/myproject/Ongoing Projects/Completed Projects/Advance Project Analyser/contextkeeper',
-    outputPath: './apps/docs/projects/lostmind-ai-contextkeeper',
-    category: 'ai-development-tools',
-    priority: 4,
-    documentTypes: ['introduction', 'readme', 'architecture'],
-    scanStrategy: 'comprehensive', // Mature project with full docs
-    primaryFiles: ['README.md', 'CLAUDE.md', 'CHANGELOG.md', 'docs/**/*.md'],
-    skipPatterns: ['.git', '.DS_Store', 'venv', '__pycache__']
-  },
-  {
-    id: 'proptech-x-all-in-one-pam-tools',
-    displayName: 'PropTech X - Your All-in-on PAM Tools',
-    sourcePath: '/Users/sumitm1/Documents/New Ongoing Projects/XLSM Core App/PropTech Finance Tools',
-    outputPath: './apps/docs/projects/proptech-x-all-in-one-pam-tools',
-    category: 'proptech-solutions',
-    priority: 5,
-    documentTypes: ['introduction', 'readme', 'architecture'],
-    scanStrategy: 'selective', // Focus on key documentation
-    primaryFiles: ['README.md', 'ai_integration/**/*.md', '.claude/**/*.md'],
-    skipPatterns: ['node_modules', '.git', '*.xlsx', '*.xlsm', 'backup.*']
-  }
-];
-
-// Navigation group configuration
+// Navigation group configuration; icons are Font Awesome names shown by Mintlify
 const NAVIGATION_GROUPS = {
   'core-platforms': {
     title: '🚀 Core Platforms',
     description: 'Primary SaaS platform development projects',
+    icon: 'rocket',
     order: 1
   },
   'proptech-solutions': {
     title: '🏠 PropTech Solutions',
     description: 'Property technology and finance tools',
+    icon: 'house',
     order: 2
   },
   'ai-development-tools': {
     title: '🤖 AI Development Tools',
     description: 'AI-powered development and analysis tools',
+    icon: 'robot',
     order: 3
   }
 };
 
+// Categories `scan --discover` gives projects it finds (see categorizeProject);
+// each gets a navigation group of its own after NAVIGATION_GROUPS
+const DISCOVERY_CATEGORIES = [
+  'main-platform',
+  'ai-services',
+  'websites',
+  'development-tools',
+  'documentation',
+  'backend-services',
+  'data-processing',
+  'miscellaneous'
+];
+
+// Sub-groups inside each project's navigation group, filled by file
+// classification. Pages whose classification is not listed (introduction,
+// readme, ...) sit directly under the project.
+const NAVIGATION_SECTIONS = {
+  guides: {
+    title: 'Guides',
+    icon: 'book-open',
+    order: 1,
+    classifications: ['quickstart', 'guide', 'development', 'deployment', 'migration', 'documentation']
+  },
+  api: {
+    title: 'API Reference',
+    icon: 'code',
+    order: 2,
+    classifications: ['api-reference', 'api-spec', 'code-reference']
+  },
+  architecture: {
+    title: 'Architecture',
+    icon: 'sitemap',
+    order: 3,
+    classifications: ['architecture', 'security']
+  },
+  changelog: {
+    title: 'Changelog',
+    icon: 'clock-rotate-left',
+    order: 4,
+    classifications: ['changelog']
+  }
+};
+
 // Enhanced scanner configuration
 const SCANNER_CONFIG = {
   output: {
     baseDir: './apps/docs/projects',
-    cleanBuild: true, // Remove existing content before generation
+    cleanBuild: true, // Remove stale pages and projects the scan no longer produces
     validateMDX: true, // Validate MDX syntax during generation
-    createNavigation: true // Auto-update mint.json navigation
+    createNavigation: true // Merge the scanned projects' groups into apps/docs/mint.json
   },
   validation: {
-    strictMode: true,
+    strictMode: true, // Fail the scan when any error was logged
     frontmatterRequired: true,
-    maxLineLength: 200,
+    maxLineLength: 200, // Warn about longer lines outside code blocks (0 disables)
     validateLinks: true,
     checkImages: false // Skip image validation for now
   },
   generation: {
-    addTimestamps: true,
-    includeSourcePath: true,
-    generateTOC: true,
+    addTimestamps: true, // lastUpdated in frontmatter: the source's last commit, or its modification time
+    includeSourcePath: true, // sourceFile in frontmatter
+    gitMetadata: true, // Last commit, contributors and an "Edit on GitHub" link from the source's git history
+    generateTOC: true, // Contents list of h2/h3 headings below the title
     minifyOutput: false
+  },
+  images: {
+    optimize: true, // Re-encode copied PNG/JPEG/WebP images with sharp, dropping their metadata
+    webpThresholdKB: 200, // Convert larger PNG and JPEG images to WebP
+    quality: 80, // JPEG and WebP quality
+    maxSizeKB: 500, // Error when a published image is larger than this (0 disables)
+    addDimensions: true // Set width and height on images so pages do not shift while loading
+  },
+  changelog: {
+    releasePages: 25, // Newest releases of a changelog with a page of their own (0 for all); older ones stay on its overview
+    aggregateReleases: 50, // Releases across all projects on /changelog and in its feed
+    siteUrl: 'https://docs.lostmindai.com' // Base of the links in the changelog.xml Atom feed
+  },
+  linkCheck: {
+    external: false, // Check http(s) links in `pnpm docs validate` (also enabled by --external-links)
+    concurrency: 8, // Hosts checked at the same time
+    hostIntervalMs: 1000, // Pause between two requests to the same host
+    retries: 2, // Extra attempts after a 429, 5xx, timeout or network error
+    timeoutMs: 10000,
+    cacheTTLHours: 24 // Reuse results from link-cache.json for this long (0 disables the cache)
   }
 };
 
 module.exports = {
-  PROJECT_CONFIG,
+  DISCOVERY_CATEGORIES,
   NAVIGATION_GROUPS,
+  NAVIGATION_SECTIONS,
   SCANNER_CONFIG
 };
\ No newline at end of file
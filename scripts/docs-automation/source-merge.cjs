@@ -0,0 +1,281 @@
+/**
+ * Source Merging for LostMind AI Documentation
+ *
+ * Combines the sources a document type matches (docs/architecture/*.md, an
+ * ADR folder, ...) into one page or into a sub-tree of pages. Sources are
+ * put in a stable reading order first; on a merged page every source after
+ * the first becomes a section, its headings shifted below the page title,
+ * and intro paragraphs or whole sections already on the page are left out.
+ */
+
+const path = require('node:path');
+const { slugify } = require('./openapi-reference.cjs');
+
+// Files that introduce their directory
+const INDEX_NAMES = /^(readme|index|overview|introduction|intro)$/i;
+// Repeated paragraphs shorter than this (e.g. "See below.") are kept
+const MIN_DUPLICATE_LENGTH = 20;
+
+const collator = new Intl.Collator('en', { numeric: true, sensitivity: 'base' });
+
+function segmentsOf(relativePath) {
+  return relativePath.split(/[\\/]+/).filter(Boolean);
+}
+
+function isIndex(source) {
+  const name = path.basename(source.relativePath, path.extname(source.relativePath));
+  return INDEX_NAMES.test(name);
+}
+
+// The README, index or overview nearest the project root, if any
+function findIndex(sources) {
+  const depth = source => segmentsOf(source.relativePath).length;
+  const top = Math.min(...sources.map(depth));
+  return sources.find(source => depth(source) === top && isIndex(source)) || null;
+}
+
+/**
+ * Reading order of a document's sources: a number in the frontmatter
+ * (`order`, or Docusaurus' `sidebar_position`) first, then files nearer the
+ * project root, then by directory, with README/index/overview files ahead of
+ * their siblings, and names in natural order (0002-x after 0001-y, 10-z
+ * after 9-z).
+ */
+function orderSources(sources) {
+  const explicit = source => {
+    const frontmatter = source.frontmatter || {};
+    const order = frontmatter.order ?? frontmatter.sidebar_position;
+    return typeof order === 'number' ? order : Number.MAX_SAFE_INTEGER;
+  };
+
+  return [...sources].sort((a, b) => {
+    const dirA = segmentsOf(a.relativePath).slice(0, -1);
+    const dirB = segmentsOf(b.relativePath).slice(0, -1);
+    return explicit(a) - explicit(b) ||
+      dirA.length - dirB.length ||
+      collator.compare(dirA.join('/'), dirB.join('/')) ||
+      Number(isIndex(b)) - Number(isIndex(a)) ||
+      collator.compare(path.basename(a.relativePath), path.basename(b.relativePath));
+  });
+}
+
+// Lines of a Markdown document, each with the heading level it starts (0
+// for other lines); lines inside code fences are never headings
+function scanLines(markdown) {
+  let fence = null;
+  return markdown.split('\n').map(text => {
+    const marker = text.match(/^\s*(`{3,}|~{3,})/);
+    if (marker) {
+      if (!fence) {
+        fence = marker[1];
+      } else if (marker[1].startsWith(fence)) {
+        fence = null;
+      }
+      return { text, level: 0, fenced: true };
+    }
+    const heading = !fence && text.match(/^(#{1,6})\s+\S/);
+    return { text, level: heading ? heading[1].length : 0, fenced: Boolean(fence) };
+  });
+}
+
+// Shift every heading so the highest one is at `top` (levels stop at 6)
+function normalizeHeadings(markdown, top = 2) {
+  const lines = scanLines(markdown);
+  const levels = lines.map(line => line.level).filter(Boolean);
+  if (levels.length === 0) {
+    return markdown;
+  }
+
+  const shift = top - Math.min(...levels);
+  return lines
+    .map(line => (line.level
+      ? `${'#'.repeat(Math.min(6, Math.max(1, line.level + shift)))}${line.text.slice(line.level)}`
+      : line.text))
+    .join('\n');
+}
+
+// { title, intro, sections } of a document: its leading heading (if the
+// document starts with one), the text before the next heading, and each
+// later heading with the text up to the one after it
+function splitSections(markdown) {
+  const lines = scanLines(markdown.trim());
+  const document = { title: null, intro: [], sections: [] };
+  let current = document.intro;
+
+  lines.forEach((line, index) => {
+    if (line.level && index === 0) {
+      document.title = line.text;
+    } else if (line.level) {
+      const section = { heading: line.text, body: [] };
+      document.sections.push(section);
+      current = section.body;
+    } else {
+      current.push(line.text);
+    }
+  });
+
+  const join = text => text.join('\n').trim();
+  return {
+    title: document.title,
+    intro: join(document.intro),
+    sections: document.sections.map(section => ({ heading: section.heading, body: join(section.body) }))
+  };
+}
+
+// Blank-line separated blocks, keeping code fences whole
+function paragraphs(markdown) {
+  const blocks = [];
+  let block = [];
+  for (const line of scanLines(markdown)) {
+    if (!line.fenced && line.text.trim() === '') {
+      if (block.length > 0) {
+        blocks.push(block.join('\n'));
+      }
+      block = [];
+    } else {
+      block.push(line.text);
+    }
+  }
+  if (block.length > 0) {
+    blocks.push(block.join('\n'));
+  }
+  return blocks;
+}
+
+// Title of a source: its frontmatter title, else its leading H1, else the
+// title derived from its file name
+function sourceTitle(source) {
+  if (source.frontmatter && typeof source.frontmatter.title === 'string') {
+    return source.frontmatter.title;
+  }
+  const { title } = splitSections(source.content || '');
+  const heading = title?.match(/^#\s+(.+?)\s*#*\s*$/);
+  return heading ? heading[1] : source.title;
+}
+
+function normalizeText(text) {
+  return text.replace(/^#+\s*/gm, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * One page from several sources, each { title, content } in reading order.
+ * The first source is kept as it is, unless a `heading` (e.g. "# Architecture")
+ * is given to start the page instead; every other source becomes a section:
+ * its headings are shifted so its own title is a level 2 heading (one named
+ * after `title` is added when it has none). Intro paragraphs and sections
+ * whose text is already on the page are dropped.
+ */
+function mergeSources(sources, heading = null) {
+  if (sources.length === 0) {
+    return heading ? `${heading}\n` : '';
+  }
+
+  const [first, ...rest] = heading ? [{ content: heading }, ...sources] : sources;
+  const seenParagraphs = new Set(paragraphs(first.content).map(normalizeText));
+  const seenSections = new Set(splitSections(normalizeHeadings(first.content)).sections
+    .map(section => normalizeText(`${section.heading}\n${section.body}`)));
+  const parts = [first.content.trim()];
+
+  for (const source of rest) {
+    const { title, intro, sections } = splitSections(normalizeHeadings(source.content, 2));
+    const body = [];
+
+    // Boilerplate repeated from an earlier source (a shared intro, a status note)
+    const introParagraphs = paragraphs(intro).filter(paragraph => {
+      const key = normalizeText(paragraph);
+      if (key.length >= MIN_DUPLICATE_LENGTH && seenParagraphs.has(key)) {
+        return false;
+      }
+      seenParagraphs.add(key);
+      return true;
+    });
+    if (introParagraphs.length > 0) {
+      body.push(introParagraphs.join('\n\n'));
+    }
+
+    for (const section of sections) {
+      const key = normalizeText(`${section.heading}\n${section.body}`);
+      if (seenSections.has(key)) {
+        continue;
+      }
+      seenSections.add(key);
+      for (const paragraph of paragraphs(section.body)) {
+        seenParagraphs.add(normalizeText(paragraph));
+      }
+      body.push(section.body ? `${section.heading}\n\n${section.body}` : section.heading);
+    }
+
+    if (body.length > 0) {
+      parts.push([title || `## ${source.title}`, ...body].join('\n\n'));
+    }
+  }
+
+  return `${parts.join('\n\n')}\n`;
+}
+
+/**
+ * Route of each source of document type `id`, relative to the project's
+ * output directory, as [{ source, route }] in reading order:
+ * - 'first': the first source only, at <id>.mdx
+ * - 'page':  every source, merged into <id>.mdx, the index (see below) first
+ * - 'tree':  an overview at <id>.mdx, which is the first README, index or
+ *            overview nearest the project root if there is one, and a page
+ *            per other source under <id>/, mirroring their paths below the
+ *            directory they share (docs/adr/0001-use-mdx.md →
+ *            <id>/adr/0001-use-mdx.mdx); a leading directory named like the
+ *            type is dropped (docs/architecture/data-flow.md →
+ *            architecture/data-flow.mdx). Pages are grouped by directory.
+ * A single source always gets <id>.mdx.
+ */
+function documentRoutes(id, merge, sources) {
+  if (sources.length === 0) {
+    return [];
+  }
+  if (merge === 'first' || sources.length === 1) {
+    return [{ source: sources[0], route: `${id}.mdx` }];
+  }
+  const index = findIndex(sources);
+  if (merge === 'page') {
+    // The page starts with the index
+    return [index, ...sources.filter(source => source !== index)]
+      .filter(Boolean)
+      .map(source => ({ source, route: `${id}.mdx` }));
+  }
+
+  const children = sources.filter(source => source !== index);
+  const directories = children.map(source => segmentsOf(source.relativePath).slice(0, -1));
+  let shared = 0;
+  while (directories.every(dir => dir.length > shared && dir[shared] === directories[0][shared])) {
+    shared++;
+  }
+
+  const used = new Set();
+  const routes = children.map(source => {
+    const segments = segmentsOf(source.relativePath).slice(shared);
+    if (segments.length > 1 && slugify(segments[0], 'section') === id) {
+      segments.shift();
+    }
+    const name = path.basename(segments.pop(), path.extname(source.relativePath));
+    const base = [id, ...segments.map(segment => slugify(segment, 'section')), slugify(name, 'page')].join('/');
+    let route = `${base}.mdx`;
+    for (let suffix = 2; used.has(route); suffix++) {
+      route = `${base}-${suffix}.mdx`;
+    }
+    used.add(route);
+    return { source, route };
+  });
+  // Grouped by output directory like the navigation, reading order within each
+  routes.sort((a, b) => path.posix.dirname(a.route).localeCompare(path.posix.dirname(b.route)));
+
+  return index ? [{ source: index, route: `${id}.mdx` }, ...routes] : routes;
+}
+
+module.exports = {
+  orderSources,
+  normalizeHeadings,
+  splitSections,
+  mergeSources,
+  documentRoutes,
+  findIndex,
+  sourceTitle
+};
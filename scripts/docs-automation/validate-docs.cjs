@@ -4,29 +4,141 @@
  * Documentation Validator for LostMind AI
  * 
  * Validates generated documentation for:
- * - MDX syntax errors
- * - Broken links
+ * - MDX compile errors (reported with line, column and code frame)
+ * - Broken links, and external links when linkCheck.external is set
  * - Missing images
- * - Frontmatter completeness
- * - Navigation consistency
+ * - Frontmatter against FRONTMATTER_SCHEMA (fixable with --fix; lastUpdated
+ *   comes from the last commit of the page's source)
+ * - Navigation consistency (every mint.json page exists)
+ *
+ * Every finding is an issue object (see RULES); the report is printed as
+ * text or rendered as JSON, SARIF or JUnit by validation-report.cjs.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const { findMDXError } = require('./mdx-compiler.cjs');
+const { parseFrontmatter, validateFrontmatterData, formatDocument } = require('./frontmatter.cjs');
+const { ContentExtractor } = require('./enhanced-scan-projects.cjs');
+const { DISCOVERY_CATEGORIES, NAVIGATION_GROUPS, SCANNER_CONFIG } = require('./selective-project-config.cjs');
+const { ExternalLinkChecker } = require('./external-links.cjs');
+const { formatReport } = require('./validation-report.cjs');
+const { pagesOf } = require('./mint-navigation.cjs');
+const { GitHistory } = require('./git-repository.cjs');
+
+const FRONTMATTER_FIX = 'Run `pnpm docs validate --fix` to fill in missing fields';
+
+// Rule ids reported by the validator, with their default severity and fix
+const RULES = {
+  'read-error': { severity: 'error', description: 'Page could not be read' },
+  'mdx-compile': {
+    severity: 'error',
+    description: 'Page must compile with the MDX compiler Mintlify builds with',
+    fix: 'Escape literal {, } and < in prose as \\{, \\} and \\<, and close every JSX tag'
+  },
+  'empty-link-url': { severity: 'error', description: 'Links must have a URL', fix: 'Add the link target or remove the link' },
+  'empty-link-text': { severity: 'warning', description: 'Links should have visible text', fix: 'Add text describing the link target' },
+  'broken-link': { severity: 'error', description: 'Relative links must point at an existing file', fix: 'Point the link at an existing page or remove it' },
+  'external-link-broken': { severity: 'error', description: 'External links must resolve', fix: 'Update the link or remove it' },
+  'external-link-redirect': {
+    severity: 'warning',
+    description: 'External links should not permanently redirect',
+    fix: 'Point the link at the URL it redirects to'
+  },
+  'external-link-unverified': { severity: 'warning', description: 'External links should answer the link checker' },
+  'missing-image': { severity: 'error', description: 'Local images must exist', fix: 'Add the image file or correct its path' },
+  'image-alt-text': { severity: 'warning', description: 'Images should have alt text', fix: 'Describe the image in the alt text' },
+  'frontmatter-yaml': { severity: 'error', description: 'Frontmatter must be valid YAML', fix: 'Quote values containing colons or leading special characters' },
+  'frontmatter-missing': { severity: 'error', description: 'Pages must have frontmatter', fix: FRONTMATTER_FIX },
+  'frontmatter-required': { severity: 'error', description: 'Required frontmatter fields must be set', fix: FRONTMATTER_FIX },
+  'frontmatter-recommended': { severity: 'warning', description: 'Recommended frontmatter fields should be set', fix: FRONTMATTER_FIX },
+  'frontmatter-type': { severity: 'error', description: 'Frontmatter fields must have the schema type' },
+  'frontmatter-enum': { severity: 'error', description: 'Frontmatter category must be a navigation group or a discovery category' },
+  'frontmatter-date': { severity: 'error', description: 'Frontmatter dates must be ISO dates', fix: 'Write the date as YYYY-MM-DD' },
+  'frontmatter-length': { severity: 'warning', description: 'Frontmatter values should fit search result snippets', fix: 'Shorten the description' },
+  'navigation-unreadable': { severity: 'warning', description: 'mint.json should exist and parse' },
+  'navigation-structure': { severity: 'error', description: 'mint.json must contain a navigation array' },
+  'navigation-group': { severity: 'warning', description: 'Navigation groups need a group name and pages' },
+  'navigation-missing-page': {
+    severity: 'error',
+    description: 'Navigation entries must point at existing pages',
+    fix: 'Run `pnpm docs scan` to regenerate project navigation, or fix the hand-written entry'
+  }
+};
+
+function createIssue(ruleId, file, message, details = {}) {
+  const rule = RULES[ruleId];
+  return {
+    file,
+    line: details.line || null,
+    column: details.column || null,
+    ruleId,
+    severity: details.severity || rule.severity,
+    message,
+    fix: details.fix === undefined ? rule.fix || null : details.fix,
+    ...(details.frame && { frame: details.frame })
+  };
+}
+
+// 1-based line and column of a character offset
+function positionAt(content, offset) {
+  const before = content.slice(0, offset);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return { line: before.split('\n').length, column: offset - lineStart + 1 };
+}
+
+// Line of `field:` inside the leading frontmatter block, or the block's first line
+function frontmatterLine(content, field) {
+  const lines = content.split('\n');
+  const end = lines.indexOf('---', 1);
+  const index = lines.slice(0, end === -1 ? lines.length : end).findIndex(line => line.startsWith(`${field}:`));
+  return index === -1 ? 1 : index + 1;
+}
+
 
 class DocumentationValidator {
   constructor(options = {}) {
     this.verbose = options.verbose || false;
+    this.quiet = options.quiet || false;
     this.docsDir = options.docsDir || './apps/docs/projects';
-    this.errors = [];
-    this.warnings = [];
+    this.fix = options.fix || false;
+    this.dryRun = options.dryRun || false;
+    // Discovered projects are categorised outside the configured navigation groups
+    this.categories = [...new Set([...(options.categories || Object.keys(NAVIGATION_GROUPS)), ...DISCOVERY_CATEGORIES])];
+    this.projects = options.projects || [];
+    this.linkCheck = { ...SCANNER_CONFIG.linkCheck, ...options.linkCheck };
+    this.linkCachePath = options.linkCachePath || path.join(this.docsDir, '../link-cache.json');
+    this.issues = [];
+    this.files = [];
+    this.fixed = [];
+    this.gitHistory = new GitHistory();
+  }
+
+  get errors() {
+    return this.issues.filter(issue => issue.severity === 'error');
+  }
+
+  get warnings() {
+    return this.issues.filter(issue => issue.severity === 'warning');
+  }
+
+  // Progress output; suppressed when a machine-readable report goes to stdout
+  log(message) {
+    if (!this.quiet) {
+      console.log(message);
+    }
   }
 
   async validate() {
-    console.log('🔍 Validating documentation...\n');
+    this.log('🔍 Validating documentation...\n');
     
+    this.files = await this.findFiles('**/*.mdx');
+
     await this.validateMDXSyntax();
     await this.validateLinks();
+    if (this.linkCheck.external) {
+      await this.validateExternalLinks();
+    }
     await this.validateImages();
     await this.validateFrontmatter();
     await this.validateNavigation();
@@ -35,93 +147,70 @@ class DocumentationValidator {
     
     return {
       success: this.errors.length === 0,
+      issues: this.issues,
       errors: this.errors,
       warnings: this.warnings
     };
   }
 
-  async validateMDXSyntax() {
-    console.log('📝 Checking MDX syntax...');
-    
-    const mdxFiles = await this.findFiles('**/*.mdx');
-    
-    for (const file of mdxFiles) {
+  // Read every page and collect the issues `check` reports for it
+  async checkFiles(check, failureMessage) {
+    for (const file of this.files) {
       try {
         const content = await fs.readFile(file, 'utf8');
-        
-        // Check for common MDX syntax errors
-        const issues = this.checkMDXSyntax(content, file);
-        this.errors.push(...issues.errors);
-        this.warnings.push(...issues.warnings);
-        
+        this.issues.push(...(await check(content, file)));
       } catch (error) {
-        this.errors.push(`Failed to read ${file}: ${error.message}`);
+        this.issues.push(createIssue('read-error', file, `${failureMessage}: ${error.message}`));
       }
     }
   }
 
-  checkMDXSyntax(content, filePath) {
-    const errors = [];
-    const warnings = [];
+  async validateMDXSyntax() {
+    this.log('📝 Checking MDX syntax...');
+    // Compile with the MDX parser and check link syntax
+    await this.checkFiles((content, file) => this.checkMDXSyntax(content, file), 'Failed to read page');
+  }
+
+  async checkMDXSyntax(content, filePath) {
+    const issues = [];
     const lines = content.split('\n');
+
+    // The compiler stops at the first syntax error, so at most one per file
+    const mdxError = await findMDXError(content, filePath);
+    if (mdxError) {
+      issues.push(createIssue('mdx-compile', filePath, `MDX compile error: ${mdxError.message}`, mdxError));
+    }
     
     lines.forEach((line, index) => {
       const lineNum = index + 1;
       
-      // Check for headings starting with numbers
-      if (/^#+\s*\d/.test(line)) {
-        errors.push(`${filePath}:${lineNum} - Heading starts with number: "${line.trim()}"`);
-      }
-      
-      // Check for invalid JSX expressions
-      if (/{[^}]*\d[^}]*}/.test(line) && !line.includes('```')) {
-        warnings.push(`${filePath}:${lineNum} - Potential invalid JSX expression: "${line.trim()}"`);
-      }
-      
-      // Check for unescaped curly braces in code blocks
-      if (line.includes('```') === false && /[{}]/.test(line) && !line.includes('import')) {
-        // This is a complex check, skip for now to avoid false positives
-      }
-      
       // Check for malformed links
       if (/\[.*\]\(.*\)/.test(line)) {
         const linkRegex = /\[([^\]]*)\]\(([^)]*)\)/g;
         let match;
         while ((match = linkRegex.exec(line)) !== null) {
           const [, text, url] = match;
+          const position = { line: lineNum, column: match.index + 1 };
           if (!text.trim()) {
-            warnings.push(`${filePath}:${lineNum} - Empty link text: [${text}](${url})`);
+            issues.push(createIssue('empty-link-text', filePath, `Empty link text: [${text}](${url})`, position));
           }
           if (!url.trim()) {
-            errors.push(`${filePath}:${lineNum} - Empty link URL: [${text}](${url})`);
+            issues.push(createIssue('empty-link-url', filePath, `Empty link URL: [${text}](${url})`, position));
           }
         }
       }
     });
     
-    return { errors, warnings };
+    return issues;
   }
 
   async validateLinks() {
-    console.log('🔗 Checking links...');
-    
-    const mdxFiles = await this.findFiles('**/*.mdx');
-    
-    for (const file of mdxFiles) {
-      try {
-        const content = await fs.readFile(file, 'utf8');
-        const issues = await this.checkLinks(content, file);
-        this.errors.push(...issues.errors);
-        this.warnings.push(...issues.warnings);
-      } catch (error) {
-        this.errors.push(`Failed to validate links in ${file}: ${error.message}`);
-      }
-    }
+    this.log('🔗 Checking links...');
+    await this.checkFiles((content, file) => this.checkLinks(content, file), 'Failed to validate links');
   }
 
   async checkLinks(content, filePath) {
-    const errors = [];
-    const warnings = [];
+    const issues = [];
     const linkRegex = /\[([^\]]*)\]\(([^)]*)\)/g;
     const dir = path.dirname(filePath);
     
@@ -135,43 +224,85 @@ class DocumentationValidator {
       }
       
       // Check internal links
-      const targetPath = path.resolve(dir, url);
-      try {
-        await fs.access(targetPath);
-      } catch {
-        errors.push(`${filePath} - Broken link: [${text}](${url})`);
+      if (!(await this.linkTargetExists(url, dir))) {
+        issues.push(createIssue('broken-link', filePath, `Broken link: [${text}](${url})`, positionAt(content, match.index)));
       }
     }
     
-    return { errors, warnings };
+    return issues;
   }
 
-  async validateImages() {
-    console.log('🖼️ Checking images...');
-    
-    const mdxFiles = await this.findFiles('**/*.mdx');
-    
-    for (const file of mdxFiles) {
+  // Request every http(s) link once and report it on each page using it
+  async validateExternalLinks() {
+    this.log('🌐 Checking external links...');
+    const occurrences = [];
+    await this.checkFiles((content, file) => {
+      const linkRegex = /\[([^\]]*)\]\(([^)]*)\)/g;
+      for (const match of content.matchAll(linkRegex)) {
+        // Drop a "title" after the URL
+        const url = match[2].trim().split(/\s+/)[0];
+        if (/^https?:\/\//i.test(url)) {
+          occurrences.push({ file, url, text: match[1], position: positionAt(content, match.index) });
+        }
+      }
+      return [];
+    }, 'Failed to collect external links');
+
+    const checker = new ExternalLinkChecker({ ...this.linkCheck, cachePath: this.linkCachePath });
+    const results = await checker.check(occurrences.map(occurrence => occurrence.url));
+    const cached = [...results.values()].filter(result => result.cached).length;
+    this.log(`   ${results.size} external links, ${cached} from cache, ${checker.requests} requests`);
+
+    for (const { file, url, text, position } of occurrences) {
+      const result = results.get(url);
+      if (result.state === 'broken') {
+        this.issues.push(createIssue('external-link-broken', file, `Broken external link: [${text}](${url}) (${result.reason})`, position));
+      } else if (result.state === 'redirect') {
+        this.issues.push(createIssue('external-link-redirect', file, `External link ${url} ${result.reason}`, position));
+      } else if (result.state === 'unverified') {
+        this.issues.push(createIssue('external-link-unverified', file, `Could not verify external link ${url} (${result.reason})`, position));
+      }
+    }
+  }
+
+  // Relative URLs resolve against the page, site-absolute ones (/images/...)
+  // against the Mintlify app; page routes have no extension
+  async linkTargetExists(url, dir) {
+    // Drop a "title", the query and the anchor
+    const target = url.trim().split(/\s+/)[0].split(/[?#]/)[0];
+    const docsRoot = path.dirname(path.resolve(this.docsDir));
+    let basePath;
+    try {
+      basePath = target.startsWith('/') ? path.join(docsRoot, decodeURI(target)) : path.resolve(dir, decodeURI(target));
+    } catch {
+      return false;
+    }
+
+    for (const candidate of [basePath, `${basePath}.mdx`, `${basePath}.md`, path.join(basePath, 'index.mdx')]) {
       try {
-        const content = await fs.readFile(file, 'utf8');
-        const issues = await this.checkImages(content, file);
-        this.errors.push(...issues.errors);
-        this.warnings.push(...issues.warnings);
-      } catch (error) {
-        this.errors.push(`Failed to validate images in ${file}: ${error.message}`);
+        await fs.access(candidate);
+        return true;
+      } catch {
+        // Try the next form of the route
       }
     }
+    return false;
+  }
+
+  async validateImages() {
+    this.log('🖼️ Checking images...');
+    await this.checkFiles((content, file) => this.checkImages(content, file), 'Failed to validate images');
   }
 
   async checkImages(content, filePath) {
-    const errors = [];
-    const warnings = [];
+    const issues = [];
     const imageRegex = /!\[([^\]]*)\]\(([^)]*)\)/g;
     const dir = path.dirname(filePath);
     
     let match;
     while ((match = imageRegex.exec(content)) !== null) {
       const [, alt, src] = match;
+      const position = positionAt(content, match.index);
       
       // Skip external images
       if (src.startsWith('http')) {
@@ -179,98 +310,142 @@ class DocumentationValidator {
       }
       
       // Check local images
-      const imagePath = path.resolve(dir, src);
-      try {
-        await fs.access(imagePath);
-      } catch {
-        errors.push(`${filePath} - Missing image: ![${alt}](${src})`);
+      if (!(await this.linkTargetExists(src, dir))) {
+        issues.push(createIssue('missing-image', filePath, `Missing image: ![${alt}](${src})`, position));
       }
       
       // Check alt text
       if (!alt.trim()) {
-        warnings.push(`${filePath} - Image missing alt text: ${src}`);
+        issues.push(createIssue('image-alt-text', filePath, `Image missing alt text: ${src}`, position));
       }
     }
     
-    return { errors, warnings };
+    return issues;
   }
 
   async validateFrontmatter() {
-    console.log('📋 Checking frontmatter...');
+    this.log('📋 Checking frontmatter...');
     
-    const mdxFiles = await this.findFiles('**/*.mdx');
-    
-    for (const file of mdxFiles) {
-      try {
-        const content = await fs.readFile(file, 'utf8');
-        const issues = this.checkFrontmatter(content, file);
-        this.warnings.push(...issues.warnings);
-      } catch (error) {
-        this.errors.push(`Failed to validate frontmatter in ${file}: ${error.message}`);
-      }
-    }
+    await this.checkFiles(async (content, file) => {
+      const current = this.fix ? await this.fixFrontmatter(content, file) : content;
+      return this.checkFrontmatter(current, file);
+    }, 'Failed to validate frontmatter');
   }
 
   checkFrontmatter(content, filePath) {
-    const warnings = [];
-    const frontmatterRegex = /^---\s*\n([\s\S]*?)\n---/;
-    const match = content.match(frontmatterRegex);
-    
-    if (!match) {
-      warnings.push(`${filePath} - Missing frontmatter`);
-      return { warnings };
+    const { data: frontmatter, error } = parseFrontmatter(content);
+
+    if (error) {
+      // gray-matter hands the parser everything after the opening ---, newline included,
+      // so YAML line numbers are already file line numbers
+      return [createIssue('frontmatter-yaml', filePath, `Invalid frontmatter YAML: ${error.message.split('\n')[0]}`, {
+        line: error.linePos?.[0]?.line
+      })];
     }
     
-    const frontmatter = match[1];
-    const requiredFields = ['title', 'description'];
-    const recommendedFields = ['category', 'tags', 'lastUpdated'];
-    
-    requiredFields.forEach(field => {
-      if (!frontmatter.includes(`${field}:`)) {
-        warnings.push(`${filePath} - Missing required frontmatter field: ${field}`);
-      }
-    });
+    if (Object.keys(frontmatter).length === 0) {
+      return [createIssue('frontmatter-missing', filePath, 'Missing frontmatter', { line: 1 })];
+    }
     
-    recommendedFields.forEach(field => {
-      if (!frontmatter.includes(`${field}:`)) {
-        warnings.push(`${filePath} - Missing recommended frontmatter field: ${field}`);
+    return validateFrontmatterData(frontmatter, { categories: this.categories }).map(issue => {
+      const details = { line: frontmatterLine(content, issue.field), severity: issue.severity };
+      if (issue.rule === 'enum') {
+        details.fix = `Use one of ${this.categories.join(', ')}`;
       }
+      return createIssue(`frontmatter-${issue.rule}`, filePath, issue.message, details);
     });
-    
-    return { warnings };
+  }
+
+  // Fill missing fields with ContentExtractor.enhanceFrontmatter and rewrite
+  // the file; existing values are never changed. lastUpdated is the date of
+  // the last commit of the page's source, and stays missing when git has none.
+  // Returns the new content.
+  async fixFrontmatter(content, filePath) {
+    const { data, content: body, error } = parseFrontmatter(content);
+    if (error) {
+      return content;
+    }
+
+    const project = this.findProject(filePath);
+    const lastUpdated = data.lastUpdated === undefined ? await this.lastCommitDate(filePath, data, project) : undefined;
+    const filled = ContentExtractor.enhanceFrontmatter(filePath, data, project, { addTimestamps: Boolean(lastUpdated), lastUpdated });
+    // Pages outside a configured project fall back to their file classification,
+    // which is only kept when it names a navigation group
+    if (data.category === undefined && !this.categories.includes(filled.category)) {
+      filled.category = undefined;
+    }
+    const added = Object.keys(filled).filter(field => data[field] === undefined && filled[field] !== undefined);
+    if (added.length === 0) {
+      return content;
+    }
+
+    this.fixed.push(filePath);
+
+    if (this.dryRun) {
+      this.log(`  🔍 Would add ${added.join(', ')} to ${filePath}`);
+      return content;
+    }
+
+    const fixedContent = formatDocument(filled, body.replace(/^\n+/, ''));
+    await fs.writeFile(filePath, fixedContent, 'utf8');
+    this.log(`  🔧 Added ${added.join(', ')} to ${filePath}`);
+    return fixedContent;
+  }
+
+  // The configured project whose output contains the page, else the page's top-level directory
+  findProject(filePath) {
+    const resolved = path.resolve(filePath);
+    const project = this.projects.find(candidate => resolved.startsWith(path.resolve(candidate.outputPath) + path.sep));
+
+    if (project) {
+      return { name: project.id, category: project.category, sourcePath: project.sourcePath };
+    }
+
+    return { name: path.relative(this.docsDir, filePath).split(path.sep)[0] };
+  }
+
+  // YYYY-MM-DD of the last commit of the page's source (its sourceFile in
+  // a configured project, else the page itself), or undefined when git has
+  // none or the file has uncommitted changes
+  async lastCommitDate(filePath, data, project) {
+    const source = project.sourcePath && typeof data.sourceFile === 'string'
+      ? path.join(project.sourcePath, data.sourceFile)
+      : filePath;
+    const history = await this.gitHistory.history(source);
+    return history && !history.dirty ? history.date.split('T')[0] : undefined;
   }
 
   async validateNavigation() {
-    console.log('🧭 Checking navigation...');
+    this.log('🧭 Checking navigation...');
     
-    const navPath = path.join(this.docsDir, '../navigation.json');
+    // Page paths in mint.json are relative to the Mintlify app, the parent of docsDir
+    const docsRoot = path.dirname(path.resolve(this.docsDir));
+    const mintPath = path.join(docsRoot, 'mint.json');
     
     try {
-      const navContent = await fs.readFile(navPath, 'utf8');
-      const navigation = JSON.parse(navContent);
+      const mintConfig = JSON.parse(await fs.readFile(mintPath, 'utf8'));
       
-      if (!navigation.navigation || !Array.isArray(navigation.navigation)) {
-        this.errors.push('Invalid navigation.json structure');
+      if (!Array.isArray(mintConfig.navigation)) {
+        this.issues.push(createIssue('navigation-structure', mintPath, 'mint.json has no navigation array'));
         return;
       }
       
-      for (const group of navigation.navigation) {
+      for (const group of mintConfig.navigation) {
         if (!group.group || !group.pages) {
-          this.warnings.push(`Navigation group missing required fields: ${JSON.stringify(group)}`);
+          this.issues.push(createIssue('navigation-group', mintPath, `Navigation group missing required fields: ${JSON.stringify(group)}`));
           continue;
         }
         
-        for (const page of group.pages) {
-          const pagePath = path.join(this.docsDir, `${page}.mdx`);
-          try {
-            await fs.access(pagePath);
-          } catch {
-            this.errors.push(`Navigation references missing file: ${page}.mdx`);
+        for (const page of pagesOf(group)) {
+          const candidates = [`${page}.mdx`, `${page}.md`].map(file => path.join(docsRoot, file));
+          const found = await Promise.all(candidates.map(file => fs.access(file).then(() => true, () => false)));
+          if (!found.includes(true)) {
+            this.issues.push(createIssue('navigation-missing-page', mintPath, `Navigation group "${group.group}" references missing page: ${page}`));
           }
         }
       }
     } catch (error) {
-      this.warnings.push(`Could not validate navigation: ${error.message}`);
+      this.issues.push(createIssue('navigation-unreadable', mintPath, `Could not validate navigation: ${error.message}`));
     }
   }
 
@@ -280,49 +455,21 @@ class DocumentationValidator {
     return files.map(file => path.join(this.docsDir, file));
   }
 
+  formatReport(format = 'text') {
+    return formatReport(format, this.issues, {
+      files: this.files,
+      docsDir: this.docsDir,
+      rules: RULES,
+      fixed: this.fixed,
+      dryRun: this.dryRun
+    });
+  }
+
   printReport() {
-    console.log('\n📊 VALIDATION REPORT');
-    console.log('===================');
-    
-    if (this.errors.length === 0 && this.warnings.length === 0) {
-      console.log('✅ All validations passed!');
-      return;
-    }
-    
-    if (this.errors.length > 0) {
-      console.log(`\n❌ ERRORS (${this.errors.length}):`);
-      this.errors.forEach(error => console.log(`  • ${error}`));
-    }
-    
-    if (this.warnings.length > 0) {
-      console.log(`\n⚠️  WARNINGS (${this.warnings.length}):`);
-      this.warnings.forEach(warning => console.log(`  • ${warning}`));
-    }
-    
-    console.log(`\nSummary: ${this.errors.length} errors, ${this.warnings.length} warnings`);
-    
-    if (this.errors.length > 0) {
-      console.log('\n💡 Fix all errors before deploying to production.');
+    if (!this.quiet) {
+      process.stdout.write(this.formatReport('text'));
     }
   }
 }
 
-// CLI Interface
-async function main() {
-  const args = process.argv.slice(2);
-  const options = {
-    verbose: args.includes('--verbose') || args.includes('-v'),
-    docsDir: args.find(arg => arg.startsWith('--docs-dir='))?.split('=')[1] || './apps/docs/projects'
-  };
-  
-  const validator = new DocumentationValidator(options);
-  const result = await validator.validate();
-  
-  process.exit(result.success ? 0 : 1);
-}
-
-module.exports = { DocumentationValidator };
-
-if (require.main === module) {
-  main().catch(console.error);
-}
\ No newline at end of file
+module.exports = { DocumentationValidator, RULES };
@@ -0,0 +1,205 @@
+/**
+ * Validation Report Formats for LostMind AI Documentation
+ *
+ * Renders the issues found by DocumentationValidator as console text, JSON,
+ * SARIF 2.1.0 (GitHub code scanning annotations) or JUnit XML (CI test
+ * reports). Each issue is { file, line, column, ruleId, severity, message,
+ * fix }; line, column and fix may be null.
+ */
+
+const path = require('node:path');
+
+const REPORT_FORMATS = ['text', 'json', 'sarif', 'junit'];
+const TOOL_NAME = 'docs-validate';
+
+// Repository-relative path with forward slashes, as SARIF and CI expect
+function toURI(file) {
+  return path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/');
+}
+
+function location(issue) {
+  if (!issue.line) {
+    return issue.file;
+  }
+  return issue.column ? `${issue.file}:${issue.line}:${issue.column}` : `${issue.file}:${issue.line}`;
+}
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatText(issues, { fixed = [], dryRun = false } = {}) {
+  const errors = issues.filter(issue => issue.severity === 'error');
+  const warnings = issues.filter(issue => issue.severity === 'warning');
+  const lines = ['', '📊 VALIDATION REPORT', '==================='];
+
+  if (issues.length === 0) {
+    lines.push('✅ All validations passed!');
+  }
+
+  const list = issue => {
+    lines.push(`  • ${location(issue)} - ${issue.message}`);
+    if (issue.frame) {
+      lines.push(issue.frame.replace(/^/gm, '    '));
+    }
+    if (issue.fix) {
+      lines.push(`    💡 ${issue.fix}`);
+    }
+  };
+
+  if (errors.length > 0) {
+    lines.push('', `❌ ERRORS (${errors.length}):`);
+    errors.forEach(list);
+  }
+
+  if (warnings.length > 0) {
+    lines.push('', `⚠️  WARNINGS (${warnings.length}):`);
+    warnings.forEach(list);
+  }
+
+  if (issues.length > 0) {
+    lines.push('', `Summary: ${errors.length} errors, ${warnings.length} warnings`);
+  }
+
+  if (fixed.length > 0) {
+    lines.push(`🔧 Frontmatter ${dryRun ? 'to fix' : 'fixed'} in ${fixed.length} file(s)`);
+  }
+
+  if (errors.length > 0) {
+    lines.push('', '💡 Fix all errors before deploying to production.');
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function formatJSON(issues, { files = [], docsDir } = {}) {
+  const report = {
+    tool: TOOL_NAME,
+    generatedAt: new Date().toISOString(),
+    docsDir,
+    summary: {
+      files: files.length,
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length
+    },
+    issues: issues.map(({ frame, ...issue }) => ({ ...issue, file: toURI(issue.file) }))
+  };
+
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+function formatSARIF(issues, { rules = {} } = {}) {
+  const ruleIds = Object.keys(rules);
+
+  const results = issues.map(issue => {
+    const physicalLocation = {
+      artifactLocation: { uri: toURI(issue.file), uriBaseId: '%SRCROOT%' }
+    };
+    if (issue.line) {
+      physicalLocation.region = { startLine: issue.line, ...(issue.column && { startColumn: issue.column }) };
+    }
+
+    return {
+      ruleId: issue.ruleId,
+      ...(ruleIds.includes(issue.ruleId) && { ruleIndex: ruleIds.indexOf(issue.ruleId) }),
+      level: issue.severity === 'error' ? 'error' : 'warning',
+      message: { text: issue.fix ? `${issue.message}. Suggested fix: ${issue.fix}` : issue.message },
+      locations: [{ physicalLocation }]
+    };
+  });
+
+  const report = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          rules: Object.entries(rules).map(([id, rule]) => ({
+            id,
+            shortDescription: { text: rule.description },
+            defaultConfiguration: { level: rule.severity === 'error' ? 'error' : 'warning' },
+            ...(rule.fix && { help: { text: rule.fix } })
+          }))
+        }
+      },
+      originalUriBaseIds: {
+        '%SRCROOT%': { uri: `file://${process.cwd().split(path.sep).join('/')}/` }
+      },
+      results
+    }]
+  };
+
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+// One test case per checked file (plus any file only named by an issue, such
+// as mint.json); errors fail the case, warnings go to system-out
+function formatJUnit(issues, { files = [] } = {}) {
+  const byFile = new Map(files.map(file => [toURI(file), []]));
+  for (const issue of issues) {
+    const uri = toURI(issue.file);
+    if (!byFile.has(uri)) {
+      byFile.set(uri, []);
+    }
+    byFile.get(uri).push(issue);
+  }
+
+  let failures = 0;
+  const cases = [...byFile].map(([uri, fileIssues]) => {
+    const errors = fileIssues.filter(issue => issue.severity === 'error');
+    const warnings = fileIssues.filter(issue => issue.severity === 'warning');
+    const describeIssue = issue => `${location({ ...issue, file: uri })} [${issue.ruleId}] ${issue.message}`;
+    const children = [];
+
+    if (errors.length > 0) {
+      failures++;
+      const summary = errors.length === 1 ? errors[0].message : `${errors.length} validation errors`;
+      children.push(`      <failure message="${escapeXML(summary)}" type="${escapeXML(errors[0].ruleId)}">${escapeXML(errors.map(describeIssue).join('\n'))}</failure>`);
+    }
+    if (warnings.length > 0) {
+      children.push(`      <system-out>${escapeXML(warnings.map(describeIssue).join('\n'))}</system-out>`);
+    }
+
+    const open = `    <testcase classname="${TOOL_NAME}" name="${escapeXML(uri)}"`;
+    return children.length > 0 ? `${open}>\n${children.join('\n')}\n    </testcase>` : `${open} />`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME}" tests="${cases.length}" failures="${failures}">`,
+    `  <testsuite name="${TOOL_NAME}" tests="${cases.length}" failures="${failures}" errors="0" timestamp="${new Date().toISOString()}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+const FORMATTERS = {
+  text: formatText,
+  json: formatJSON,
+  sarif: formatSARIF,
+  junit: formatJUnit
+};
+
+function formatReport(format, issues, context = {}) {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unknown report format "${format}"; expected one of ${REPORT_FORMATS.join(', ')}`);
+  }
+  return formatter(issues, context);
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  formatReport,
+  formatText,
+  formatJSON,
+  formatSARIF,
+  formatJUnit
+};
@@ -0,0 +1,9 @@
+import { defineConfig } from 'vitest/config';
+
+// Tests of the documentation scripts; run with `pnpm docs:test`
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['__tests__/**/*.test.mjs']
+  }
+});
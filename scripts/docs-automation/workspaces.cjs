@@ -0,0 +1,132 @@
+/**
+ * Workspace Detection for LostMind AI Documentation
+ *
+ * Finds the packages of a pnpm, npm, yarn or Turborepo monorepo so each one
+ * can be documented as a sub-project. Package globs come from
+ * pnpm-workspace.yaml or the `workspaces` field of the root package.json;
+ * a turbo.json without either falls back to the Turborepo layout
+ * (apps/* and packages/*). Every package is described by its package.json,
+ * its README and the other workspace packages it depends on.
+ */
+
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const YAML = require('yaml');
+const { glob } = require('glob');
+
+const TURBO_DEFAULT_PACKAGES = ['apps/*', 'packages/*'];
+const IGNORED_DIRS = ['**/node_modules/**', '**/.git/**', '**/dist/**', '**/.next/**', '**/.turbo/**'];
+
+async function readJSON(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Could not parse ${filePath}: ${error.message}`);
+  }
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// { manager, patterns } from the workspace configuration, or null for a single package
+async function readWorkspaceConfig(rootPath, packageJson) {
+  const pnpmPath = path.join(rootPath, 'pnpm-workspace.yaml');
+  if (await exists(pnpmPath)) {
+    const config = YAML.parse(await fs.readFile(pnpmPath, 'utf8')) || {};
+    return { manager: 'pnpm', patterns: config.packages || [] };
+  }
+
+  // npm and yarn accept an array or { packages: [...] }
+  const workspaces = packageJson?.workspaces;
+  const patterns = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+  if (Array.isArray(patterns)) {
+    return { manager: await exists(path.join(rootPath, 'yarn.lock')) ? 'yarn' : 'npm', patterns };
+  }
+
+  if (await exists(path.join(rootPath, 'turbo.json'))) {
+    return { manager: null, patterns: TURBO_DEFAULT_PACKAGES };
+  }
+
+  return null;
+}
+
+async function findReadme(packagePath) {
+  const entries = await fs.readdir(packagePath);
+  const readme = entries.find(entry => /^readme\.mdx?$/i.test(entry));
+  return readme ? path.join(packagePath, readme) : null;
+}
+
+/**
+ * Describe the workspace rooted at `rootPath`. Returns null when the
+ * directory is not a monorepo, otherwise { manager, turbo, packages } where
+ * each package lists its manifest fields, README path, the workspace
+ * packages it depends on (internalDependencies) and those depending on it
+ * (dependents). Packages are sorted by path.
+ */
+async function detectWorkspaces(rootPath) {
+  const rootPackage = await readJSON(path.join(rootPath, 'package.json'));
+  const config = await readWorkspaceConfig(rootPath, rootPackage);
+  if (!config) {
+    return null;
+  }
+
+  const include = config.patterns.filter(pattern => !pattern.startsWith('!'));
+  const exclude = config.patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1));
+  const manifests = await glob(include.map(pattern => `${pattern.replace(/\/+$/, '')}/package.json`), {
+    cwd: rootPath,
+    ignore: [...IGNORED_DIRS, ...exclude.flatMap(pattern => [pattern, `${pattern.replace(/\/+$/, '')}/package.json`])],
+    posix: true
+  });
+
+  const packages = [];
+  for (const manifest of manifests.sort()) {
+    const relativePath = path.posix.dirname(manifest);
+    // The root package.json matches patterns such as "*" or "."
+    if (relativePath === '.') {
+      continue;
+    }
+
+    const packagePath = path.join(rootPath, relativePath);
+    const packageJson = await readJSON(path.join(packagePath, 'package.json'));
+    packages.push({
+      name: packageJson.name || relativePath,
+      relativePath,
+      path: packagePath,
+      description: packageJson.description || '',
+      version: packageJson.version || null,
+      private: Boolean(packageJson.private),
+      dependencies: packageJson.dependencies || {},
+      devDependencies: packageJson.devDependencies || {},
+      scripts: packageJson.scripts || {},
+      readme: await findReadme(packagePath)
+    });
+  }
+
+  // Internal dependency graph: edges to other packages of this workspace
+  const names = new Set(packages.map(pkg => pkg.name));
+  for (const pkg of packages) {
+    const declared = { ...pkg.devDependencies, ...pkg.dependencies };
+    pkg.internalDependencies = Object.keys(declared).filter(name => names.has(name) && name !== pkg.name).sort();
+  }
+  for (const pkg of packages) {
+    pkg.dependents = packages
+      .filter(other => other.internalDependencies.includes(pkg.name))
+      .map(other => other.name);
+  }
+
+  const turbo = await exists(path.join(rootPath, 'turbo.json'));
+  return packages.length > 0 ? { manager: config.manager, turbo, packages } : null;
+}
+
+module.exports = {
+  detectWorkspaces
+};